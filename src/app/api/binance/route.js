@@ -1,4 +1,5 @@
 import { NextResponse } from "next/server";
+import { getBinanceFixture, isMarketFixtureMode } from "@/lib/marketFixtures";
 
 /**
  * Binance API 代理 - 使用公共端点
@@ -11,21 +12,37 @@ export async function GET(request) {
   const interval = searchParams.get("interval");
   const limit = searchParams.get("limit");
 
-  if (!symbol) {
+  // ticker/24hr 不带 symbol 时返回所有交易对
+  if (!symbol && endpoint !== "ticker/24hr") {
     return NextResponse.json({ error: "Symbol is required" }, { status: 400 });
   }
 
+  // 离线模式返回本地数据，格式与 Binance 一致
+  if (isMarketFixtureMode()) {
+    searchParams.delete("endpoint");
+    const data = getBinanceFixture(
+      endpoint,
+      Object.fromEntries(searchParams.entries())
+    );
+    return data
+      ? NextResponse.json(data)
+      : NextResponse.json(
+          { code: -1121, msg: "Invalid symbol." },
+          { status: 400 }
+        );
+  }
+
   try {
     console.log(
       `Fetching Binance data for symbol: ${symbol}, endpoint: ${endpoint}`
     );
 
-    // 构建基础URL
-    let url = `https://api1.binance.com/api/v3/${endpoint}?symbol=${symbol}`;
-
-    // 添加可选参数
-    if (interval) url += `&interval=${interval}`;
-    if (limit) url += `&limit=${limit}`;
+    // 构建URL
+    const params = new URLSearchParams();
+    if (symbol) params.set("symbol", symbol);
+    if (interval) params.set("interval", interval);
+    if (limit) params.set("limit", limit);
+    const url = `https://api1.binance.com/api/v3/${endpoint}?${params}`;
 
     const response = await fetch(url);
 
@@ -1,48 +1,6 @@
 import { NextResponse } from "next/server";
-import { Redis } from "@upstash/redis";
-import { kv } from "@vercel/kv";
-
-// 尝试初始化KV存储，如果不可用则使用内存缓存
-let kvStore;
-try {
-  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-    kvStore = kv;
-  } else if (
-    process.env.UPSTASH_REDIS_REST_URL &&
-    process.env.UPSTASH_REDIS_REST_TOKEN
-  ) {
-    kvStore = new Redis({
-      url: process.env.UPSTASH_REDIS_REST_URL,
-      token: process.env.UPSTASH_REDIS_REST_TOKEN,
-    });
-  }
-} catch (error) {
-  console.warn("Failed to initialize KV store:", error);
-}
-
-// 内存缓存（备用方案）
-const memoryCache = {
-  data: new Map(),
-  set: async (key, value, ttl) => {
-    memoryCache.data.set(key, {
-      value,
-      expires: Date.now() + ttl * 1000,
-    });
-    return true;
-  },
-  get: async (key) => {
-    const item = memoryCache.data.get(key);
-    if (!item) return null;
-    if (item.expires < Date.now()) {
-      memoryCache.data.delete(key);
-      return null;
-    }
-    return item.value;
-  },
-};
-
-// 使用可用的缓存存储
-const cache = kvStore || memoryCache;
+import { cache } from "@/lib/kvStore";
+import { getCoinGeckoFixture, isMarketFixtureMode } from "@/lib/marketFixtures";
 
 // 请求计数器
 let requestCount = 0;
@@ -71,6 +29,26 @@ export async function GET(request) {
   // 删除 endpoint 参数
   searchParams.delete("endpoint");
 
+  // 离线模式返回本地数据，不经过缓存和速率限制
+  if (isMarketFixtureMode()) {
+    const data = getCoinGeckoFixture(
+      endpoint,
+      Object.fromEntries(searchParams.entries())
+    );
+    if (data) return NextResponse.json(data);
+
+    return NextResponse.json(
+      {
+        error: "CoinGecko API error: 404",
+        status: 404,
+        timestamp: new Date().toISOString(),
+        endpoint,
+        details: "离线数据中没有该接口或币种",
+      },
+      { status: 404 }
+    );
+  }
+
   // 添加 API key 如果环境变量中存在
   const apiKey = process.env.NEXT_PUBLIC_COINGECKO_API_KEY;
 
@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { cache } from "@/lib/kvStore";
+import { getShareKey, isValidShareId } from "@/lib/shareStore";
+
+/**
+ * 返回错误响应
+ * @param {string} error - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @param {Object} [extra] - 附加字段
+ * @returns {NextResponse} 响应
+ */
+const errorResponse = (error, status, extra = {}) =>
+  NextResponse.json(
+    { error, timestamp: new Date().toISOString(), ...extra },
+    { status }
+  );
+
+/**
+ * 读取只读快照，不存在或已过期时返回 404
+ */
+export async function GET(request, { params }) {
+  const { id } = params;
+  if (!isValidShareId(id)) {
+    return errorResponse("Snapshot not found", 404);
+  }
+
+  try {
+    const record = await cache.get(getShareKey(id));
+    if (!record || new Date(record.expiresAt) < new Date()) {
+      return errorResponse("Snapshot not found", 404);
+    }
+
+    return NextResponse.json(record);
+  } catch (error) {
+    console.error("Share API read error:", error);
+    return errorResponse("Failed to read snapshot", 500, {
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from "next/server";
+import { cache, isPersistentStore } from "@/lib/kvStore";
+import { generateShareId, getShareKey } from "@/lib/shareStore";
+import { SHARE_EXPIRY_DAYS } from "@/lib/shareApi";
+
+// 单个快照的最大数据量（字节）
+const MAX_SNAPSHOT_SIZE = 256 * 1024;
+
+/**
+ * 返回错误响应
+ * @param {string} error - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @param {Object} [extra] - 附加字段
+ * @returns {NextResponse} 响应
+ */
+const errorResponse = (error, status, extra = {}) =>
+  NextResponse.json(
+    { error, timestamp: new Date().toISOString(), ...extra },
+    { status }
+  );
+
+/**
+ * 保存投资组合的只读快照
+ * 请求体为 {snapshot, expiresInDays}，快照过期后由存储自动删除，返回用于分享的快照ID
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return errorResponse("Request body must be JSON", 400);
+  }
+
+  const { snapshot, expiresInDays = 7 } = body || {};
+  if (!Array.isArray(snapshot?.portfolio?.coins)) {
+    return errorResponse("Invalid snapshot", 400);
+  }
+  if (!SHARE_EXPIRY_DAYS.includes(expiresInDays)) {
+    return errorResponse("Invalid expiration", 400);
+  }
+  if (JSON.stringify(snapshot).length > MAX_SNAPSHOT_SIZE) {
+    return errorResponse("Snapshot is too large", 413);
+  }
+
+  try {
+    const id = generateShareId();
+    const ttl = expiresInDays * 24 * 60 * 60;
+    const record = {
+      snapshot,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+    };
+    await cache.set(getShareKey(id), record, ttl);
+
+    return NextResponse.json({
+      id,
+      expiresAt: record.expiresAt,
+      // 未配置KV存储时快照只保存在内存中，客户端据此提示用户
+      storage: isPersistentStore ? "kv" : "memory",
+    });
+  } catch (error) {
+    console.error("Share API write error:", error);
+    return errorResponse("Failed to save snapshot", 500, {
+      details: error.message,
+    });
+  }
+}
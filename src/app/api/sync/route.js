@@ -0,0 +1,137 @@
+import { NextResponse } from "next/server";
+import { cache, isPersistentStore } from "@/lib/kvStore";
+
+// 同步令牌由客户端随机生成，只接受足够长的 base64url 字符串
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+// 单个令牌可保存的最大数据量（字节）
+const MAX_PAYLOAD_SIZE = 1024 * 1024;
+
+/**
+ * 从 Authorization 请求头读取同步令牌
+ * @param {Request} request - 请求
+ * @returns {string|null} 同步令牌，缺失或格式不正确时返回 null
+ */
+const getSyncToken = (request) => {
+  const match = (request.headers.get("authorization") || "").match(
+    /^Bearer\s+(\S+)$/i
+  );
+  return match && TOKEN_PATTERN.test(match[1]) ? match[1] : null;
+};
+
+/**
+ * 计算同步令牌对应的存储键，存储中不保存令牌原文
+ * @param {string} token - 同步令牌
+ * @returns {Promise<string>} 存储键
+ */
+const getSyncKey = async (token) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  const hex = Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `sync:${hex}`;
+};
+
+/**
+ * 返回错误响应
+ * @param {string} error - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @param {Object} [extra] - 附加字段
+ * @returns {NextResponse} 响应
+ */
+const errorResponse = (error, status, extra = {}) =>
+  NextResponse.json(
+    { error, timestamp: new Date().toISOString(), ...extra },
+    { status }
+  );
+
+// 未配置KV存储时数据只保存在内存中，客户端据此提示用户
+const STORAGE_TYPE = isPersistentStore ? "kv" : "memory";
+
+/**
+ * 读取同步令牌对应的投资组合数据
+ * 数据由客户端用同步令牌加密，服务端只保存密文和修订号
+ */
+export async function GET(request) {
+  const token = getSyncToken(request);
+  if (!token) {
+    return errorResponse("Missing or invalid sync token", 401);
+  }
+
+  try {
+    const record = await cache.get(await getSyncKey(token));
+    if (!record) {
+      return errorResponse("No data for this sync token", 404, {
+        storage: STORAGE_TYPE,
+      });
+    }
+
+    return NextResponse.json({ ...record, storage: STORAGE_TYPE });
+  } catch (error) {
+    console.error("Sync API read error:", error);
+    return errorResponse("Failed to read synced data", 500, {
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * 保存同步令牌对应的投资组合数据
+ * 请求体为 {data, baseRevision}，baseRevision 与服务端修订号不一致时返回 409，
+ * 客户端需要先拉取最新数据再决定是否覆盖
+ */
+export async function PUT(request) {
+  const token = getSyncToken(request);
+  if (!token) {
+    return errorResponse("Missing or invalid sync token", 401);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return errorResponse("Request body must be JSON", 400);
+  }
+
+  const { data, baseRevision = 0 } = body || {};
+  if (typeof data !== "string" || !Number.isInteger(baseRevision)) {
+    return errorResponse("Invalid sync payload", 400);
+  }
+  if (data.length > MAX_PAYLOAD_SIZE) {
+    return errorResponse("Sync payload is too large", 413);
+  }
+
+  try {
+    const key = await getSyncKey(token);
+    // KV存储没有条件写入，读取和写入之间的并发修改仍可能被覆盖
+    const current = await cache.get(key);
+    const currentRevision = current?.revision || 0;
+    if (baseRevision !== currentRevision) {
+      return errorResponse("Sync revision conflict", 409, {
+        revision: currentRevision,
+        updatedAt: current?.updatedAt || null,
+      });
+    }
+
+    const record = {
+      revision: currentRevision + 1,
+      updatedAt: new Date().toISOString(),
+      data,
+    };
+    await cache.set(key, record);
+
+    return NextResponse.json({
+      revision: record.revision,
+      updatedAt: record.updatedAt,
+      storage: STORAGE_TYPE,
+    });
+  } catch (error) {
+    console.error("Sync API write error:", error);
+    return errorResponse("Failed to save synced data", 500, {
+      details: error.message,
+    });
+  }
+}
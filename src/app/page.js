@@ -1,8 +1,9 @@
 "use client";
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { getCryptocurrencyDetails } from "@/lib/api";
 import { usePortfolio } from "@/hooks/usePortfolio";
+import { useServerSync } from "@/hooks/useServerSync";
 import Header from "@/components/layout/Header";
 import CryptoSearch from "@/components/features/CryptoSearch";
 import PortfolioSummary from "@/components/features/PortfolioSummary";
@@ -10,18 +11,60 @@ import PortfolioCharts from "@/components/features/PortfolioCharts";
 import CoinList from "@/components/features/CoinList";
 import TransactionList from "@/components/features/TransactionList";
 import TransactionFormDialog from "@/components/features/TransactionFormDialog";
-import { Button, Spinner } from "@/components/ui";
-
-export default function Home() {
+import SettingsDialog from "@/components/features/SettingsDialog";
+import PortfolioManagerDialog from "@/components/features/PortfolioManagerDialog";
+import ExchangeImportDialog from "@/components/features/ExchangeImportDialog";
+import CsvImportDialog from "@/components/features/CsvImportDialog";
+import ImportMergeDialog from "@/components/features/ImportMergeDialog";
+import BackupPassphraseDialog from "@/components/features/BackupPassphraseDialog";
+import SyncDialog from "@/components/features/SyncDialog";
+import ShareSnapshotDialog from "@/components/features/ShareSnapshotDialog";
+import { PortfolioProvider } from "@/components/providers/portfolio-provider";
+import { Button, Spinner, Toast } from "@/components/ui";
+import { format } from "date-fns";
+import { extractImportEntries, planImportMerge } from "@/utils/importMerge";
+import { isConflictError } from "@/utils/portfolioStorage";
+import {
+  decryptBackup,
+  encryptBackup,
+  isEncryptedBackup,
+} from "@/utils/backupCrypto";
+import {
+  formatValidationErrors,
+  parsePortfolioData,
+} from "@/utils/portfolioSchema";
+
+function PortfolioPage() {
   const {
     portfolio,
     isLoading: isPortfolioLoading,
     error: portfolioError,
+    notice: portfolioNotice,
     addTransaction,
+    addSwap,
+    mergeTransactions,
     deleteTransaction,
     refreshPortfolio,
+    reloadPortfolios,
     updateTransaction,
     importPortfolio,
+    exportPortfolioData,
+    setCostBasisMethod,
+    baseCurrency,
+    setBaseCurrency,
+    currency,
+    exchangeRates,
+    portfolios,
+    activePortfolioId,
+    isAggregateView,
+    switchPortfolio,
+    createPortfolio,
+    renamePortfolio,
+    duplicatePortfolio,
+    deletePortfolio,
+    undo,
+    redo,
+    lastChange,
   } = usePortfolio();
 
   const [isSearchModalOpen, setIsSearchModalOpen] = useState(false);
@@ -31,6 +74,22 @@ export default function Home() {
   const [transactionAdded, setTransactionAdded] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null);
   const [importError, setImportError] = useState(null);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isPortfolioManagerOpen, setIsPortfolioManagerOpen] = useState(false);
+  const [isExchangeImportOpen, setIsExchangeImportOpen] = useState(false);
+  const [isCsvImportOpen, setIsCsvImportOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  // 加密备份口令弹窗：{mode: "export"} 或 {mode: "restore", content}
+  const [backupDialog, setBackupDialog] = useState(null);
+  const [isSyncOpen, setIsSyncOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+
+  // 本地修改或投资组合列表变化后同步到云端
+  const serverSync = useServerSync({
+    onRemoteApplied: reloadPortfolios,
+    changeKey: `${lastChange?.id || ""}:${JSON.stringify(portfolios)}`,
+  });
+  const [toast, setToast] = useState(null);
 
   // 当选择的币种ID变化时，获取币种详情
   useEffect(() => {
@@ -41,7 +100,10 @@ export default function Home() {
       }
 
       try {
-        const cryptoData = await getCryptocurrencyDetails(selectedCoinId);
+        const cryptoData = await getCryptocurrencyDetails(
+          selectedCoinId,
+          currency
+        );
         setSelectedCrypto(cryptoData);
 
         // 当选择新币种且不是编辑模式时，自动打开交易表单
@@ -62,7 +124,7 @@ export default function Home() {
     };
 
     fetchCryptoDetails();
-  }, [selectedCoinId, portfolio.coins, editingTransaction]);
+  }, [selectedCoinId, portfolio.coins, editingTransaction, currency]);
 
   // 当交易添加后，刷新投资组合
   useEffect(() => {
@@ -72,6 +134,112 @@ export default function Home() {
     }
   }, [transactionAdded, refreshPortfolio]);
 
+  // 每次修改后提示可以撤销，与其他标签页的修改冲突时一并说明
+  useEffect(() => {
+    if (lastChange) {
+      const conflictCoins = (lastChange.conflictCoinIds || []).map(
+        (coinId) =>
+          lastChange.after.coins
+            .find((coin) => coin.id === coinId)
+            ?.symbol?.toUpperCase() || coinId
+      );
+      setToast({
+        id: lastChange.id,
+        message:
+          conflictCoins.length > 0
+            ? `已${lastChange.label}（其他标签页同时修改了 ${conflictCoins.join(
+                "、"
+              )}，已基于最新数据重新${lastChange.label}）`
+            : `已${lastChange.label}`,
+        action: "undo",
+      });
+    }
+  }, [lastChange]);
+
+  /**
+   * 撤销或重做时与其他标签页的修改冲突，提示无法恢复的币种
+   * @param {string} actionLabel - 操作名称
+   * @param {Error} err - 冲突错误
+   */
+  const showRestoreConflict = (actionLabel, err) => {
+    const conflictCoins = err.conflictCoinIds.map(
+      (coinId) =>
+        portfolio.coins
+          .find((coin) => coin.id === coinId)
+          ?.symbol?.toUpperCase() || coinId
+    );
+    setToast({
+      id: `conflict:${Date.now()}`,
+      message: `无法${actionLabel}：其他标签页已修改 ${conflictCoins.join(
+        "、"
+      )}`,
+    });
+  };
+
+  // 撤销最近一次修改
+  const handleUndo = async () => {
+    try {
+      const entry = await undo();
+      if (entry) {
+        setToast({
+          id: `${entry.id}:${Date.now()}`,
+          message: `已撤销：${entry.label}`,
+          action: "redo",
+        });
+      }
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      showRestoreConflict("撤销", err);
+    }
+  };
+
+  // 重做最近一次撤销的修改
+  const handleRedo = async () => {
+    try {
+      const entry = await redo();
+      if (entry) {
+        setToast({
+          id: `${entry.id}:${Date.now()}`,
+          message: `已重做：${entry.label}`,
+          action: "undo",
+        });
+      }
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      showRestoreConflict("重做", err);
+    }
+  };
+
+  const handleCloseToast = useCallback(() => setToast(null), []);
+
+  // 撤销和重做的快捷键：Ctrl/Cmd+Z 撤销，Ctrl/Cmd+Shift+Z 或 Ctrl/Cmd+Y 重做
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      // 输入框内保留浏览器自带的撤销
+      const target = event.target;
+      if (
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
   // 打开搜索模态框
   const handleOpenSearchModal = () => {
     setIsSearchModalOpen(true);
@@ -94,6 +262,31 @@ export default function Home() {
     setEditingTransaction(null);
   };
 
+  // 为投资组合中的币种添加交易记录
+  const handleAddTransactionForCoin = (coinId) => {
+    setSelectedCoinId(coinId);
+    // 获取选中的加密货币数据
+    const selectedCoin = portfolio.coins.find((coin) => coin.id === coinId);
+    if (selectedCoin) {
+      // 使用API获取最新数据
+      getCryptocurrencyDetails(coinId, currency)
+        .then((cryptoData) => {
+          setSelectedCrypto(cryptoData);
+          setIsTransactionFormOpen(true);
+        })
+        .catch((error) => {
+          console.error("Failed to fetch crypto details:", error);
+        });
+    }
+  };
+
+  // 切换投资组合，清除上一个投资组合中选中的币种
+  const handleSwitchPortfolio = async (portfolioId) => {
+    setSelectedCoinId(null);
+    setEditingTransaction(null);
+    await switchPortfolio(portfolioId);
+  };
+
   // 刷新投资组合数据
   const handleRefresh = async () => {
     // 不设置单独的刷新状态，直接调用刷新
@@ -117,7 +310,7 @@ export default function Home() {
     if (transaction.coinId) {
       setSelectedCoinId(transaction.coinId);
       // 获取对应的加密货币数据
-      getCryptocurrencyDetails(transaction.coinId)
+      getCryptocurrencyDetails(transaction.coinId, currency)
         .then((cryptoData) => {
           setSelectedCrypto(cryptoData);
           setEditingTransaction(transaction);
@@ -166,6 +359,17 @@ export default function Home() {
     }
   };
 
+  // 添加币币兑换记录
+  const handleAddSwap = async (swapData) => {
+    const success = await addSwap(swapData);
+    if (success) {
+      setTransactionAdded(true);
+      setIsTransactionFormOpen(false);
+    } else {
+      console.error("Failed to add swap");
+    }
+  };
+
   // 删除交易记录
   const handleDeleteTransaction = async (transactionId, coinId = null) => {
     // 如果提供了coinId，使用它，否则使用当前选中的币种ID
@@ -196,122 +400,148 @@ export default function Home() {
       (coin) => coin.transactions && coin.transactions.length > 0
     );
 
-  // 处理导入数据
-  const handleImportData = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // 打开合并预览，确认重复和冲突记录的处理方式后再保存
+  const handleReviewImport = (entries, portfolioData = null) => {
+    setPendingImport({
+      plan: planImportMerge(portfolio.coins, entries),
+      portfolioData,
+    });
+    return true;
+  };
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      try {
-        const content = e.target.result;
-        let data;
-
-        // 检查文件类型
-        if (file.type === "text/csv" || file.name.endsWith(".csv")) {
-          // 处理CSV文件
-          const lines = content.split("\n");
-          const headers = lines[0].split(",").map((h) => h.trim());
-          const transactions = lines
-            .slice(1)
-            .filter((line) => line.trim())
-            .map((line) => {
-              const values = line.split(",").map((v) => v.trim());
-              const record = {};
-              headers.forEach((header, index) => {
-                record[header] = values[index];
-              });
-              return record;
-            });
-
-          // 检查交易数据是否有效
-          if (!transactions.length || !transactions[0]["币种"]) {
-            setImportError("导入失败：CSV 文件格式不正确");
-            return;
-          }
+  // 按合并预览中选择的处理方式保存
+  const handleConfirmMerge = async (resolutions) => {
+    const result = await mergeTransactions(pendingImport.plan, resolutions);
+    if (result) {
+      setPendingImport(null);
+      setTransactionAdded(true);
+    }
+  };
 
-          // 转换为投资组合数据格式
-          data = {
-            coins: transactions.reduce((acc, tx) => {
-              // 确保币种字段存在
-              if (!tx["币种"]) return acc;
+  // 用导入的数据替换整个投资组合
+  const handleReplacePortfolio = async () => {
+    const success = await importPortfolio(pendingImport.portfolioData);
+    if (success) {
+      setPendingImport(null);
+      setImportError(null);
+    } else {
+      setImportError("导入失败：数据格式不正确");
+    }
+  };
 
-              const coinSymbol = tx["币种"].toLowerCase();
-              const existingCoin = acc.find(
-                (c) => c.symbol.toLowerCase() === coinSymbol
-              );
+  // 导入JSON格式的完整投资组合数据，已有交易记录时合并，否则直接导入
+  const importPortfolioText = async (text) => {
+    let data;
+    try {
+      // 升级早期版本的导出文件，并列出全部无效记录
+      data = parsePortfolioData(text);
+    } catch (error) {
+      console.error("Failed to parse imported file:", error);
+      setImportError(`导入失败：${formatValidationErrors(error)}`);
+      return;
+    }
 
-              // 解析数值，确保它们是有效的数字
-              const amount = parseFloat(tx["数量"] || 0);
-              const price = parseFloat(tx["价格(USD)"] || 0);
+    try {
+      if (hasAnyTransactions) {
+        handleReviewImport(extractImportEntries(data), data);
+        setImportError(null);
+        return;
+      }
 
-              if (isNaN(amount) || isNaN(price)) {
-                console.warn("忽略无效的交易数据:", tx);
-                return acc;
-              }
+      // 导入投资组合数据 (异步处理)
+      const success = await importPortfolio(data);
+      if (success) {
+        setImportError(null);
+      } else {
+        setImportError("导入失败：数据格式不正确");
+      }
+    } catch (error) {
+      console.error("Failed to import file:", error);
+      setImportError("导入失败：数据格式不正确");
+    }
+  };
 
-              const transaction = {
-                id: crypto.randomUUID(),
-                type: tx["类型"] === "买入" ? "buy" : "sell",
-                amount,
-                price,
-                date: tx["日期"] || new Date().toISOString(),
-                reason: tx["备注"] || "",
-              };
-
-              if (existingCoin) {
-                existingCoin.transactions.push(transaction);
-              } else {
-                // 为新币种创建合适的默认值
-                acc.push({
-                  id: crypto.randomUUID(),
-                  symbol: coinSymbol,
-                  name: (tx["币种名称"] || coinSymbol).toUpperCase(),
-                  // 优先使用 CoinGecko 图标格式
-                  image: `https://assets.coingecko.com/coins/images/1/small/${coinSymbol.toLowerCase()}.png`,
-                  currentPrice: price,
-                  holdings: 0, // 将在 refreshPortfolio 中计算
-                  averageBuyPrice: 0, // 将在 refreshPortfolio 中计算
-                  totalInvestment: 0, // 将在 refreshPortfolio 中计算
-                  currentValue: 0, // 将在 refreshPortfolio 中计算
-                  profitLoss: 0, // 将在 refreshPortfolio 中计算
-                  profitLossPercentage: 0, // 将在 refreshPortfolio 中计算
-                  transactions: [transaction],
-                });
-              }
-              return acc;
-            }, []),
-            totalInvestment: 0, // 将在 refreshPortfolio 中计算
-            totalValue: 0, // 将在 refreshPortfolio 中计算
-            totalProfitLoss: 0, // 将在 refreshPortfolio 中计算
-            totalProfitLossPercentage: 0, // 将在 refreshPortfolio 中计算
-          };
-        } else {
-          // 处理JSON文件
-          data = JSON.parse(content);
-        }
+  // 读取选择的文件，加密备份需要先输入口令
+  const handleImportData = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-        // 导入投资组合数据 (异步处理)
-        const success = await importPortfolio(data);
-        if (success) {
-          setImportError(null);
-        } else {
-          setImportError("导入失败：数据格式不正确");
-        }
-      } catch (error) {
-        console.error("Failed to parse imported file:", error);
-        setImportError("导入失败：文件格式不正确");
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      if (isEncryptedBackup(text)) {
+        setBackupDialog({ mode: "restore", content: text });
+        return;
       }
+      importPortfolioText(text);
     };
     reader.readAsText(file);
   };
 
+  // 解密备份后按普通JSON文件导入，口令错误时由弹窗显示错误
+  const handleRestoreBackup = async (passphrase) => {
+    const text = await decryptBackup(backupDialog.content, passphrase);
+    setBackupDialog(null);
+    await importPortfolioText(text);
+  };
+
+  // 用口令加密当前投资组合并下载
+  const handleExportBackup = async (passphrase) => {
+    const data = exportPortfolioData();
+    if (!data) {
+      throw new Error("Failed to export portfolio");
+    }
+
+    const content = await encryptBackup(data, passphrase);
+    const blob = new Blob([content], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute(
+      "download",
+      `投资组合备份_${format(new Date(), "yyyyMMdd")}.encrypted.json`
+    );
+    link.style.visibility = "hidden";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    setBackupDialog(null);
+  };
+
+  // 选择要导入的JSON文件
+  const handleOpenJsonImport = () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json";
+    input.onchange = handleImportData;
+    input.click();
+  };
+
   return (
     <div className="min-h-screen bg-background">
       <Header
         onAddCrypto={handleOpenSearchModal}
         onRefresh={handleRefresh}
+        onOpenSettings={() => setIsSettingsOpen(true)}
+        onImportExchange={
+          isAggregateView ? undefined : () => setIsExchangeImportOpen(true)
+        }
+        onImportCSV={
+          isAggregateView ? undefined : () => setIsCsvImportOpen(true)
+        }
+        onImportJSON={isAggregateView ? undefined : handleOpenJsonImport}
         isRefreshing={isPortfolioLoading} // 使用全局加载状态
+        portfolios={portfolios}
+        activePortfolioId={activePortfolioId}
+        onSwitchPortfolio={handleSwitchPortfolio}
+        onManagePortfolios={() => setIsPortfolioManagerOpen(true)}
+        syncStatus={serverSync.status}
+        onOpenSync={() => setIsSyncOpen(true)}
+        onShare={
+          portfolio.coins.length > 0 ? () => setIsShareOpen(true) : undefined
+        }
       />
 
       <main className="container mx-auto px-4 py-6">
@@ -325,31 +555,29 @@ export default function Home() {
           </div>
         ) : (
           <>
-            <PortfolioSummary portfolio={portfolio} />
+            {portfolioNotice && (
+              <div className="mb-4 rounded-md border border-yellow-300 bg-yellow-50 p-3 text-sm text-yellow-800 dark:border-yellow-900 dark:bg-yellow-900/20 dark:text-yellow-400">
+                {portfolioNotice}
+              </div>
+            )}
+
+            {importError && (
+              <div className="mb-4 whitespace-pre-line text-sm text-destructive">
+                {importError}
+              </div>
+            )}
+
+            <PortfolioSummary portfolio={portfolio} currency={currency} />
 
-            <PortfolioCharts portfolio={portfolio} />
+            <PortfolioCharts />
 
             <CoinList
               coins={portfolio.coins}
+              currency={currency}
               onSelectCoin={handleSelectCoin}
-              onAddTransaction={(coinId) => {
-                setSelectedCoinId(coinId);
-                // 获取选中的加密货币数据
-                const selectedCoin = portfolio.coins.find(
-                  (coin) => coin.id === coinId
-                );
-                if (selectedCoin) {
-                  // 使用API获取最新数据
-                  getCryptocurrencyDetails(coinId)
-                    .then((cryptoData) => {
-                      setSelectedCrypto(cryptoData);
-                      setIsTransactionFormOpen(true);
-                    })
-                    .catch((error) => {
-                      console.error("Failed to fetch crypto details:", error);
-                    });
-                }
-              }}
+              onAddTransaction={
+                isAggregateView ? undefined : handleAddTransactionForCoin
+              }
               isLoading={isPortfolioLoading} // 传递加载状态
             />
 
@@ -361,33 +589,45 @@ export default function Home() {
                 onDelete={handleDeleteTransaction}
                 onEdit={handleEditTransaction}
                 portfolio={portfolio}
+                onExportEncryptedBackup={() =>
+                  setBackupDialog({ mode: "export" })
+                }
+                readOnly={isAggregateView}
+                exchangeRates={exchangeRates}
                 isLoading={isPortfolioLoading} // 传递加载状态
               />
             )}
 
             {/* 未添加任何加密货币时显示导入按钮 */}
-            {!hasAnyTransactions && (
+            {!hasAnyTransactions && !isAggregateView && (
               <div className="text-center py-8">
                 <div className="mb-4">
                   <Button
                     variant="outline"
                     size="lg"
-                    onClick={() => {
-                      const input = document.createElement("input");
-                      input.type = "file";
-                      input.accept = ".json,.csv";
-                      input.onchange = handleImportData;
-                      input.click();
-                    }}
+                    onClick={handleOpenJsonImport}
                   >
                     导入数据
                   </Button>
                 </div>
-                {importError && (
-                  <div className="text-sm text-destructive mt-2">
-                    {importError}
-                  </div>
-                )}
+                <div className="mb-4">
+                  <Button
+                    variant="outline"
+                    size="lg"
+                    onClick={() => setIsExchangeImportOpen(true)}
+                  >
+                    导入交易所记录
+                  </Button>
+                </div>
+                <div className="mb-4">
+                  <Button
+                    variant="outline"
+                    size="lg"
+                    onClick={() => setIsCsvImportOpen(true)}
+                  >
+                    导入CSV
+                  </Button>
+                </div>
               </div>
             )}
           </>
@@ -399,6 +639,95 @@ export default function Home() {
         onClose={handleCloseSearchModal}
         onSelect={handleSelectCrypto}
         portfolio={portfolio}
+        currency={currency}
+      />
+
+      <SettingsDialog
+        isOpen={isSettingsOpen}
+        onClose={() => setIsSettingsOpen(false)}
+        settings={portfolio.settings}
+        // 成本计算方法属于单个投资组合，聚合视图只能修改基础货币
+        onCostBasisMethodChange={
+          isAggregateView ? undefined : setCostBasisMethod
+        }
+        baseCurrency={baseCurrency}
+        onBaseCurrencyChange={setBaseCurrency}
+      />
+
+      <PortfolioManagerDialog
+        isOpen={isPortfolioManagerOpen}
+        onClose={() => setIsPortfolioManagerOpen(false)}
+        portfolios={portfolios}
+        activePortfolioId={activePortfolioId}
+        onCreate={createPortfolio}
+        onRename={renamePortfolio}
+        onDuplicate={duplicatePortfolio}
+        onDelete={deletePortfolio}
+      />
+
+      <ExchangeImportDialog
+        isOpen={isExchangeImportOpen}
+        onClose={() => setIsExchangeImportOpen(false)}
+        onImport={handleReviewImport}
+      />
+
+      <CsvImportDialog
+        isOpen={isCsvImportOpen}
+        onClose={() => setIsCsvImportOpen(false)}
+        onImport={handleReviewImport}
+        portfolioCoins={portfolio.coins}
+      />
+
+      {toast && (
+        <Toast
+          key={toast.id}
+          message={toast.message}
+          actionLabel={
+            toast.action && (toast.action === "undo" ? "撤销" : "重做")
+          }
+          onAction={toast.action === "undo" ? handleUndo : handleRedo}
+          onClose={handleCloseToast}
+        />
+      )}
+
+      <ImportMergeDialog
+        isOpen={!!pendingImport}
+        onClose={() => setPendingImport(null)}
+        plan={pendingImport?.plan}
+        coins={portfolio.coins}
+        onConfirm={handleConfirmMerge}
+        onReplaceAll={
+          pendingImport?.portfolioData ? handleReplacePortfolio : undefined
+        }
+      />
+
+      <SyncDialog
+        isOpen={isSyncOpen}
+        onClose={() => setIsSyncOpen(false)}
+        sync={serverSync}
+      />
+
+      <ShareSnapshotDialog
+        isOpen={isShareOpen}
+        onClose={() => setIsShareOpen(false)}
+        portfolio={portfolio}
+        currency={currency}
+        portfolioName={
+          isAggregateView
+            ? "全部投资组合"
+            : portfolios.find((p) => p.id === activePortfolioId)?.name || ""
+        }
+      />
+
+      <BackupPassphraseDialog
+        isOpen={!!backupDialog}
+        mode={backupDialog?.mode}
+        onClose={() => setBackupDialog(null)}
+        onSubmit={
+          backupDialog?.mode === "export"
+            ? handleExportBackup
+            : handleRestoreBackup
+        }
       />
 
       {selectedCrypto && (
@@ -408,8 +737,20 @@ export default function Home() {
           crypto={selectedCrypto}
           onSubmit={handleAddOrUpdateTransaction}
           editTransaction={editingTransaction}
+          onSubmitSwap={handleAddSwap}
+          portfolio={portfolio}
+          baseCurrency={currency}
         />
       )}
     </div>
   );
 }
+
+// 投资组合数据只在首页加载，只读分享页面不读取本地存储
+export default function Home() {
+  return (
+    <PortfolioProvider>
+      <PortfolioPage />
+    </PortfolioProvider>
+  );
+}
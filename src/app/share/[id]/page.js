@@ -0,0 +1,123 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Image from "next/image";
+import Link from "next/link";
+import { format } from "date-fns";
+import PortfolioSummary from "@/components/features/PortfolioSummary";
+import PortfolioCharts from "@/components/features/PortfolioCharts";
+import CoinList from "@/components/features/CoinList";
+import { ReadOnlyPortfolioProvider } from "@/components/providers/portfolio-provider";
+import { Spinner } from "@/components/ui";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { fetchSharedSnapshot } from "@/lib/shareApi";
+import { normalizeBaseCurrency } from "@/utils/currency";
+import CryptoCostLogo from "@/app/crypto-cost-logo.svg";
+
+/**
+ * 投资组合只读快照页面
+ * @param {Object} props
+ * @param {{id: string}} props.params - 路由参数，id 为快照ID
+ * @returns {JSX.Element}
+ */
+export default function SharedPortfolioPage({ params }) {
+  const { id } = params;
+  const [record, setRecord] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const loadSnapshot = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const result = await fetchSharedSnapshot(id);
+        if (isCancelled) return;
+        if (result) {
+          setRecord(result);
+        } else {
+          setError("分享链接不存在或已过期");
+        }
+      } catch (err) {
+        console.error("Failed to load shared snapshot:", err);
+        if (!isCancelled) setError("加载分享数据失败，请稍后重试");
+      } finally {
+        if (!isCancelled) setIsLoading(false);
+      }
+    };
+
+    loadSnapshot();
+    return () => {
+      isCancelled = true;
+    };
+  }, [id]);
+
+  const snapshot = record?.snapshot;
+  const hideAmounts = Boolean(snapshot?.hideAmounts);
+  // 早期生成的快照没有记录货币，金额均为美元
+  const currency = normalizeBaseCurrency(snapshot?.currency);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="bg-black text-white p-4 shadow-md dark:bg-[#232325] dark:text-white">
+        <div className="container mx-auto flex justify-between items-center">
+          <Link href="/">
+            <Image
+              src={CryptoCostLogo}
+              alt="CryptoCost Logo"
+              width={155}
+              height={25}
+              priority
+            />
+          </Link>
+          <ThemeToggle />
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-6">
+        {isLoading ? (
+          <div className="flex justify-center items-center py-16">
+            <Spinner size="xl" />
+          </div>
+        ) : error ? (
+          <div className="text-center py-8 text-destructive">{error}</div>
+        ) : (
+          <ReadOnlyPortfolioProvider
+            portfolio={snapshot.portfolio}
+            currency={currency}
+          >
+            <div className="mb-6">
+              <h1 className="text-xl font-bold">
+                {snapshot.name || "投资组合"}
+              </h1>
+              <p className="text-sm text-muted-foreground">
+                只读快照，生成于
+                {format(new Date(snapshot.createdAt), "yyyy-MM-dd HH:mm")}
+                ，有效期至
+                {format(new Date(record.expiresAt), "yyyy-MM-dd HH:mm")}
+                {hideAmounts && "，金额已隐藏"}
+              </p>
+            </div>
+
+            <PortfolioSummary
+              portfolio={snapshot.portfolio}
+              hideAmounts={hideAmounts}
+              currency={currency}
+            />
+
+            <PortfolioCharts hideAmounts={hideAmounts} />
+
+            <CoinList
+              coins={snapshot.portfolio.coins}
+              hideAmounts={hideAmounts}
+              currency={currency}
+              readOnly
+            />
+          </ReadOnlyPortfolioProvider>
+        )}
+      </main>
+    </div>
+  );
+}
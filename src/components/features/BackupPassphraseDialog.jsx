@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+import { BACKUP_ERROR_CODES } from "@/utils/backupCrypto";
+
+// 导出时口令的最短长度
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// 加密和解密失败时显示的提示
+const ERROR_MESSAGES = {
+  [BACKUP_ERROR_CODES.DECRYPT_FAILED]: "口令错误或备份文件已损坏",
+  [BACKUP_ERROR_CODES.INVALID_BACKUP]: "无法识别的加密备份文件",
+  [BACKUP_ERROR_CODES.UNSUPPORTED]: "当前浏览器不支持加密，请使用 HTTPS 访问",
+};
+
+/**
+ * @typedef {Object} BackupPassphraseDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {"export"|"restore"} mode - 导出加密备份或恢复加密备份
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {(passphrase: string) => Promise<void>} onSubmit - 提交口令的回调函数，失败时抛出错误
+ */
+
+/**
+ * 加密备份口令弹窗组件，导出时设置口令，恢复时输入口令
+ * @param {BackupPassphraseDialogProps} props
+ * @returns {JSX.Element}
+ */
+const BackupPassphraseDialog = ({ isOpen, mode, onClose, onSubmit }) => {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isExport = mode === "export";
+
+  // 每次打开时清空输入，口令不在弹窗之外保留
+  useEffect(() => {
+    if (isOpen) {
+      setPassphrase("");
+      setConfirmation("");
+      setError(null);
+      setIsSubmitting(false);
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isExport && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`口令至少需要 ${MIN_PASSPHRASE_LENGTH} 个字符`);
+      return;
+    }
+    if (isExport && passphrase !== confirmation) {
+      setError("两次输入的口令不一致");
+      return;
+    }
+    if (!passphrase) {
+      setError("请输入口令");
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await onSubmit(passphrase);
+    } catch (err) {
+      console.error("Failed to process encrypted backup:", err);
+      setError(
+        ERROR_MESSAGES[err.code] ||
+          (isExport ? "导出失败，请重试" : "恢复失败，请重试")
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[420px] p-4 sm:p-6">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">
+            {isExport ? "导出加密备份" : "恢复加密备份"}
+          </DialogTitle>
+          <DialogDescription>
+            {isExport
+              ? "备份文件将使用口令加密，口令无法找回，忘记口令将无法恢复备份"
+              : "该文件是加密备份，请输入导出时设置的口令"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="backup-passphrase">口令</Label>
+            <Input
+              id="backup-passphrase"
+              type="password"
+              autoComplete={isExport ? "new-password" : "current-password"}
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoFocus
+            />
+          </div>
+
+          {isExport && (
+            <div className="space-y-2">
+              <Label htmlFor="backup-passphrase-confirmation">确认口令</Label>
+              <Input
+                id="backup-passphrase-confirmation"
+                type="password"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+              />
+            </div>
+          )}
+
+          {error && <p className="text-sm text-destructive">{error}</p>}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              取消
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting
+                ? isExport
+                  ? "加密中..."
+                  : "解密中..."
+                : isExport
+                ? "导出"
+                : "恢复"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BackupPassphraseDialog;
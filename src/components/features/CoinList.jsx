@@ -11,6 +11,11 @@ import {
   TooltipProvider,
   TooltipTrigger,
 } from "@/components/ui";
+import {
+  DEFAULT_BASE_CURRENCY,
+  formatCurrency,
+  formatPercentage,
+} from "@/utils/currency";
 
 /**
  * @typedef {Object} CoinListProps
@@ -18,8 +23,14 @@ import {
  * @property {(coinId: string) => void} onSelectCoin - 选择加密货币的回调函数
  * @property {(coinId: string) => void} onAddTransaction - 添加交易记录的回调函数
  * @property {boolean} [isLoading] - 加载状态
+ * @property {boolean} [hideAmounts] - 是否隐藏持有数量和金额，只显示价格和百分比
+ * @property {boolean} [readOnly] - 只读模式，不显示操作列
+ * @property {string} [currency] - 价格和金额的计价货币
  */
 
+// 隐藏金额时显示的占位符
+const MASKED_AMOUNT = "***";
+
 /**
  * 加密货币列表组件
  * @param {CoinListProps} props
@@ -30,6 +41,9 @@ const CoinList = ({
   onSelectCoin,
   onAddTransaction,
   isLoading = false,
+  hideAmounts = false,
+  readOnly = false,
+  currency = DEFAULT_BASE_CURRENCY,
 }) => {
   // 根据当前价值对币种进行排序（从高到低）
   const sortedCoins = useMemo(() => {
@@ -96,14 +110,28 @@ const CoinList = ({
                   scope="col"
                   className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
                 >
-                  利润/损失
+                  未实现盈亏
+                </th>
+                <th
+                  scope="col"
+                  className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                >
+                  已实现盈亏
                 </th>
                 <th
                   scope="col"
                   className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
                 >
-                  操作
+                  总回报
                 </th>
+                {!readOnly && (
+                  <th
+                    scope="col"
+                    className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                  >
+                    操作
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody
@@ -115,12 +143,33 @@ const CoinList = ({
                 const hasTransactions =
                   coin.transactions && coin.transactions.length > 0;
                 const isProfitable = hasTransactions && coin.profitLoss > 0;
+                // 指标为 null 表示无法计算（如缺少汇率），不显示盈亏颜色
+                const profitLossClass =
+                  coin.profitLoss === null
+                    ? "text-muted-foreground"
+                    : isProfitable
+                    ? "text-green-600"
+                    : "text-red-600";
+                const realizedProfitLoss =
+                  coin.realizedProfitLoss === null
+                    ? null
+                    : coin.realizedProfitLoss || 0;
+                const isRealizedProfitable = realizedProfitLoss > 0;
+                const totalReturn =
+                  coin.totalReturn === null ? null : coin.totalReturn || 0;
+                const isTotalReturnProfitable = totalReturn > 0;
+                const totalReturnClass =
+                  totalReturn === null
+                    ? "text-muted-foreground"
+                    : isTotalReturnProfitable
+                    ? "text-green-600"
+                    : "text-red-600";
 
                 return (
                   <tr
                     key={coin.id}
                     className="hover:bg-muted/50"
-                    onClick={() => onSelectCoin(coin.id)}
+                    onClick={() => onSelectCoin?.(coin.id)}
                   >
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
@@ -143,41 +192,41 @@ const CoinList = ({
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      ${coin.currentPrice.toLocaleString()}
+                      {formatCurrency(coin.currentPrice, currency)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      {hasTransactions
-                        ? `${coin.holdings.toLocaleString()} ${coin.symbol.toUpperCase()}`
-                        : "--"}
+                      {!hasTransactions
+                        ? "--"
+                        : hideAmounts
+                        ? MASKED_AMOUNT
+                        : `${coin.holdings.toLocaleString()} ${coin.symbol.toUpperCase()}`}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
                       {hasTransactions
-                        ? `$${coin.averageBuyPrice.toLocaleString()}`
+                        ? formatCurrency(coin.averageBuyPrice, currency)
                         : "--"}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      {hasTransactions
-                        ? `$${coin.currentValue.toLocaleString()}`
-                        : "--"}
+                      {!hasTransactions
+                        ? "--"
+                        : hideAmounts
+                        ? MASKED_AMOUNT
+                        : formatCurrency(coin.currentValue, currency)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       {hasTransactions ? (
                         <>
-                          <div
-                            className={
-                              isProfitable ? "text-green-600" : "text-red-600"
-                            }
-                          >
-                            {isProfitable ? "+" : ""}$
-                            {coin.profitLoss.toLocaleString()}
+                          <div className={profitLossClass}>
+                            {hideAmounts
+                              ? MASKED_AMOUNT
+                              : formatCurrency(coin.profitLoss, currency, {
+                                  signed: true,
+                                })}
                           </div>
-                          <div
-                            className={`text-xs ${
-                              isProfitable ? "text-green-600" : "text-red-600"
-                            }`}
-                          >
-                            {isProfitable ? "+" : ""}
-                            {coin.profitLossPercentage.toFixed(2)}%
+                          <div className={`text-xs ${profitLossClass}`}>
+                            {formatPercentage(coin.profitLossPercentage, {
+                              signed: true,
+                            })}
                           </div>
                         </>
                       ) : (
@@ -185,27 +234,70 @@ const CoinList = ({
                       )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <TooltipProvider>
-                        <Tooltip>
-                          <TooltipTrigger asChild>
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                onAddTransaction && onAddTransaction(coin.id);
-                              }}
-                              disabled={isLoading}
-                            >
-                              <FiPlusCircle className="h-4 w-4" />
-                            </Button>
-                          </TooltipTrigger>
-                          <TooltipContent>
-                            <p>添加交易记录</p>
-                          </TooltipContent>
-                        </Tooltip>
-                      </TooltipProvider>
+                      {hasTransactions ? (
+                        <div
+                          className={
+                            !realizedProfitLoss
+                              ? "text-muted-foreground"
+                              : isRealizedProfitable
+                              ? "text-green-600"
+                              : "text-red-600"
+                          }
+                        >
+                          {hideAmounts
+                            ? MASKED_AMOUNT
+                            : formatCurrency(realizedProfitLoss, currency, {
+                                signed: true,
+                              })}
+                        </div>
+                      ) : (
+                        "--"
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {hasTransactions ? (
+                        <>
+                          <div className={totalReturnClass}>
+                            {hideAmounts
+                              ? MASKED_AMOUNT
+                              : formatCurrency(totalReturn, currency, {
+                                  signed: true,
+                                })}
+                          </div>
+                          <div className={`text-xs ${totalReturnClass}`}>
+                            {formatPercentage(coin.totalReturnPercentage, {
+                              signed: true,
+                            })}
+                          </div>
+                        </>
+                      ) : (
+                        "--"
+                      )}
                     </td>
+                    {!readOnly && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <TooltipProvider>
+                          <Tooltip>
+                            <TooltipTrigger asChild>
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  onAddTransaction && onAddTransaction(coin.id);
+                                }}
+                                disabled={isLoading || !onAddTransaction}
+                              >
+                                <FiPlusCircle className="h-4 w-4" />
+                              </Button>
+                            </TooltipTrigger>
+                            <TooltipContent>
+                              <p>添加交易记录</p>
+                            </TooltipContent>
+                          </Tooltip>
+                        </TooltipProvider>
+                      </td>
+                    )}
                   </tr>
                 );
               })}
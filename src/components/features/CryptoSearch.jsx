@@ -9,6 +9,7 @@ import {
 import { Input } from "@/components/ui/input";
 import { Button, Spinner } from "@/components/ui";
 import { useCryptoSearch } from "@/hooks/useCryptoSearch";
+import { DEFAULT_BASE_CURRENCY, formatCurrency } from "@/utils/currency";
 
 /**
  * @typedef {Object} CryptoSearchProps
@@ -16,6 +17,7 @@ import { useCryptoSearch } from "@/hooks/useCryptoSearch";
  * @property {() => void} onClose - 关闭模态框的回调函数
  * @property {(crypto: Object) => void} onSelect - 选择加密货币的回调函数
  * @property {Array} [portfolio] - 当前投资组合，可选
+ * @property {string} [currency] - 价格的计价货币，默认美元
  */
 
 /**
@@ -28,6 +30,7 @@ const CryptoSearch = ({
   onClose,
   onSelect,
   portfolio = { coins: [] },
+  currency = DEFAULT_BASE_CURRENCY,
 }) => {
   const {
     searchQuery,
@@ -38,7 +41,7 @@ const CryptoSearch = ({
     updateSearchQuery,
     clearSearch,
     retryFetchTopCryptos,
-  } = useCryptoSearch();
+  } = useCryptoSearch(currency);
 
   const handleSearch = (e) => {
     updateSearchQuery(e.target.value);
@@ -186,7 +189,7 @@ const CryptoSearch = ({
                           </div>
                         </td>
                         <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-right text-xs sm:text-sm">
-                          ${crypto.current_price.toLocaleString()}
+                          {formatCurrency(crypto.current_price, currency)}
                         </td>
                         <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-right text-xs sm:text-sm font-medium hidden sm:table-cell">
                           <span
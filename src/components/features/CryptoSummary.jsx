@@ -1,11 +1,17 @@
 import React from "react";
 import { format } from "date-fns";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui";
+import {
+  DEFAULT_BASE_CURRENCY,
+  formatCurrency,
+  formatPercentage,
+} from "@/utils/currency";
 
 /**
  * @typedef {Object} CryptoSummaryProps
  * @property {Object} crypto - 加密货币数据
  * @property {Object} [portfolioCoin] - 投资组合中的加密货币数据，可能为空
+ * @property {string} [currency] - 价格和金额的计价货币
  */
 
 /**
@@ -13,7 +19,11 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui";
  * @param {CryptoSummaryProps} props
  * @returns {JSX.Element}
  */
-const CryptoSummary = ({ crypto, portfolioCoin }) => {
+const CryptoSummary = ({
+  crypto,
+  portfolioCoin,
+  currency = DEFAULT_BASE_CURRENCY,
+}) => {
   if (!crypto) {
     return null;
   }
@@ -33,12 +43,32 @@ const CryptoSummary = ({ crypto, portfolioCoin }) => {
   const profitLossPercentage = hasTransactions
     ? portfolioCoin.profitLossPercentage
     : 0;
+  // 指标为 null 表示无法计算（如缺少汇率），保持为 null 以显示为不可用
+  const getMetric = (field) =>
+    !hasTransactions
+      ? 0
+      : portfolioCoin[field] === null
+      ? null
+      : portfolioCoin[field] || 0;
+  const realizedProfitLoss = getMetric("realizedProfitLoss");
+  const totalReturn = getMetric("totalReturn");
+  const totalReturnPercentage = getMetric("totalReturnPercentage");
   const firstBuyDate = hasTransactions ? portfolioCoin.firstBuyDate : null;
   const lastTransactionDate = hasTransactions
     ? portfolioCoin.lastTransactionDate
     : null;
 
   const isProfitable = profitLoss > 0;
+  const isRealizedProfitable = realizedProfitLoss > 0;
+  const isTotalReturnProfitable = totalReturn > 0;
+  const profitLossClass =
+    profitLoss === null ? "" : isProfitable ? "text-green-600" : "text-red-600";
+  const totalReturnClass =
+    totalReturn === null
+      ? ""
+      : isTotalReturnProfitable
+      ? "text-green-600"
+      : "text-red-600";
 
   return (
     <Card className="mb-6">
@@ -65,7 +95,9 @@ const CryptoSummary = ({ crypto, portfolioCoin }) => {
               平均买入价格
             </h4>
             <p className="text-xl font-bold">
-              {hasTransactions ? `$${averageBuyPrice.toLocaleString()}` : "--"}
+              {hasTransactions
+                ? formatCurrency(averageBuyPrice, currency)
+                : "--"}
             </p>
           </div>
 
@@ -74,7 +106,7 @@ const CryptoSummary = ({ crypto, portfolioCoin }) => {
               当前价格
             </h4>
             <p className="text-xl font-bold">
-              ${currentPrice.toLocaleString()}
+              {formatCurrency(currentPrice, currency)}
             </p>
             <p
               className={`text-sm font-medium ${
@@ -92,10 +124,12 @@ const CryptoSummary = ({ crypto, portfolioCoin }) => {
 
           <div className="p-4 bg-muted rounded-lg">
             <h4 className="text-sm font-medium text-muted-foreground mb-1">
-              总投资
+              持仓成本
             </h4>
             <p className="text-xl font-bold">
-              {hasTransactions ? `$${totalInvestment.toLocaleString()}` : "--"}
+              {hasTransactions
+                ? formatCurrency(totalInvestment, currency)
+                : "--"}
             </p>
           </div>
 
@@ -104,30 +138,60 @@ const CryptoSummary = ({ crypto, portfolioCoin }) => {
               当前价值
             </h4>
             <p className="text-xl font-bold">
-              {hasTransactions ? `$${currentValue.toLocaleString()}` : "--"}
+              {hasTransactions ? formatCurrency(currentValue, currency) : "--"}
             </p>
           </div>
 
           <div className="p-4 bg-muted rounded-lg">
             <h4 className="text-sm font-medium text-muted-foreground mb-1">
-              利润/损失
+              未实现盈亏
+            </h4>
+            {hasTransactions ? (
+              <>
+                <p className={`text-xl font-bold ${profitLossClass}`}>
+                  {formatCurrency(profitLoss, currency, { signed: true })}
+                </p>
+                <p className={`text-sm font-medium ${profitLossClass}`}>
+                  {formatPercentage(profitLossPercentage, { signed: true })}
+                </p>
+              </>
+            ) : (
+              <p className="text-xl font-bold">--</p>
+            )}
+          </div>
+
+          <div className="p-4 bg-muted rounded-lg">
+            <h4 className="text-sm font-medium text-muted-foreground mb-1">
+              已实现盈亏
+            </h4>
+            {hasTransactions ? (
+              <p
+                className={`text-xl font-bold ${
+                  !realizedProfitLoss
+                    ? ""
+                    : isRealizedProfitable
+                    ? "text-green-600"
+                    : "text-red-600"
+                }`}
+              >
+                {formatCurrency(realizedProfitLoss, currency, { signed: true })}
+              </p>
+            ) : (
+              <p className="text-xl font-bold">--</p>
+            )}
+          </div>
+
+          <div className="p-4 bg-muted rounded-lg">
+            <h4 className="text-sm font-medium text-muted-foreground mb-1">
+              总回报
             </h4>
             {hasTransactions ? (
               <>
-                <p
-                  className={`text-xl font-bold ${
-                    isProfitable ? "text-green-600" : "text-red-600"
-                  }`}
-                >
-                  {isProfitable ? "+" : ""}${profitLoss.toLocaleString()}
+                <p className={`text-xl font-bold ${totalReturnClass}`}>
+                  {formatCurrency(totalReturn, currency, { signed: true })}
                 </p>
-                <p
-                  className={`text-sm font-medium ${
-                    isProfitable ? "text-green-600" : "text-red-600"
-                  }`}
-                >
-                  {isProfitable ? "+" : ""}
-                  {profitLossPercentage.toFixed(2)}%
+                <p className={`text-sm font-medium ${totalReturnClass}`}>
+                  {formatPercentage(totalReturnPercentage, { signed: true })}
                 </p>
               </>
             ) : (
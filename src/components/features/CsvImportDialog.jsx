@@ -0,0 +1,361 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button, Spinner } from "@/components/ui";
+import ImportStatusBadge from "./ImportStatusBadge";
+import UnmappedSymbolsPanel from "./UnmappedSymbolsPanel";
+import { useCsvImport } from "@/hooks/useCsvImport";
+import { IMPORT_ROW_STATUS } from "@/hooks/useExchangeImport";
+import {
+  CSV_DATE_FORMATS,
+  CSV_DELIMITERS,
+  CSV_IMPORT_FIELDS,
+} from "@/utils/csvMapping";
+import { getTransactionTypeLabel } from "@/utils/transactionUtils";
+import { DEFAULT_BASE_CURRENCY, formatCurrency } from "@/utils/currency";
+
+// 导入步骤
+const STEPS = {
+  UPLOAD: "upload",
+  MAPPING: "mapping",
+  PREVIEW: "preview",
+};
+
+// Select 不允许空字符串作为选项值，用该值表示不导入的字段
+const UNMAPPED_COLUMN = "__none__";
+
+/**
+ * @typedef {Object} CsvImportDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {(entries: Array<{coinId: string, transaction: Object}>) => boolean} onImport - 导入交易记录的回调函数
+ * @property {Array} [portfolioCoins] - 当前投资组合的币种
+ */
+
+/**
+ * 通用CSV导入向导组件：上传文件、映射列、预览后合并到投资组合
+ * @param {CsvImportDialogProps} props
+ * @returns {JSX.Element}
+ */
+const CsvImportDialog = ({ isOpen, onClose, onImport, portfolioCoins }) => {
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const {
+    headers,
+    csvRows,
+    delimiter,
+    mapping,
+    missingFields,
+    dateFormat,
+    rows,
+    entries,
+    unmappedSymbols,
+    symbolOverrides,
+    isProcessing,
+    error,
+    loadFile,
+    setDelimiter,
+    setFieldMapping,
+    setDateFormat,
+    setSymbolOverride,
+    buildPreview,
+    reset,
+  } = useCsvImport(portfolioCoins);
+
+  const handleClose = () => {
+    reset();
+    setStep(STEPS.UPLOAD);
+    onClose();
+  };
+
+  const handlePreview = async () => {
+    setStep(STEPS.PREVIEW);
+    await buildPreview();
+  };
+
+  const handleImport = () => {
+    if (entries.length === 0) return;
+    if (onImport(entries)) {
+      handleClose();
+    }
+  };
+
+  const readyCount = rows.filter(
+    (row) => row.status === IMPORT_ROW_STATUS.READY
+  ).length;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[800px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">导入CSV</DialogTitle>
+          <DialogDescription>
+            {step === STEPS.UPLOAD && "第 1 步：选择文件和分隔符"}
+            {step === STEPS.MAPPING && "第 2 步：将CSV的列对应到交易字段"}
+            {step === STEPS.PREVIEW && "第 3 步：确认导入的交易记录"}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === STEPS.UPLOAD && (
+          <div className="space-y-4">
+            <div className="space-y-1">
+              <Label htmlFor="csvFile" className="text-sm">
+                CSV 文件
+              </Label>
+              <Input
+                id="csvFile"
+                type="file"
+                accept=".csv,.txt"
+                onChange={(e) =>
+                  e.target.files[0] && loadFile(e.target.files[0])
+                }
+                className="text-sm"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-sm">分隔符</Label>
+              <Select
+                value={delimiter}
+                onValueChange={setDelimiter}
+                disabled={headers.length === 0}
+              >
+                <SelectTrigger className="text-sm sm:w-[200px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {CSV_DELIMITERS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {headers.length > 0 && (
+              <p className="text-sm text-muted-foreground">
+                识别到 {headers.length} 列、{csvRows.length} 行数据：
+                {headers.join("、")}
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === STEPS.MAPPING && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {CSV_IMPORT_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <Label className="text-sm">
+                    {field.label}
+                    {field.required && (
+                      <span className="ml-1 text-destructive">*</span>
+                    )}
+                  </Label>
+                  <Select
+                    value={mapping[field.key] || UNMAPPED_COLUMN}
+                    onValueChange={(value) =>
+                      setFieldMapping(
+                        field.key,
+                        value === UNMAPPED_COLUMN ? "" : value
+                      )
+                    }
+                  >
+                    <SelectTrigger className="text-sm">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={UNMAPPED_COLUMN}>不导入</SelectItem>
+                      {headers.filter(Boolean).map((header) => (
+                        <SelectItem key={header} value={header}>
+                          {header}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              <div className="space-y-1">
+                <Label className="text-sm">日期格式</Label>
+                <Select value={dateFormat} onValueChange={setDateFormat}>
+                  <SelectTrigger className="text-sm">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CSV_DATE_FORMATS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {missingFields.length > 0 && (
+              <p className="text-sm text-destructive">
+                请选择必填字段：
+                {missingFields.map((field) => field.label).join("、")}
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === STEPS.PREVIEW && (
+          <div className="space-y-4">
+            {isProcessing ? (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <Spinner size="sm" />
+                正在匹配币种
+              </div>
+            ) : (
+              <>
+                <UnmappedSymbolsPanel
+                  symbols={unmappedSymbols}
+                  overrides={symbolOverrides}
+                  onOverrideChange={setSymbolOverride}
+                  onApply={buildPreview}
+                />
+                <p className="text-sm text-muted-foreground">
+                  共 {rows.length} 行，{readyCount} 行可导入
+                </p>
+                <div className="overflow-x-auto rounded-md border">
+                  <table className="min-w-full divide-y divide-border text-sm">
+                    <thead className="bg-muted">
+                      <tr>
+                        {[
+                          "行",
+                          "日期",
+                          "类型",
+                          "币种",
+                          "数量",
+                          "价格",
+                          "状态",
+                        ].map((title) => (
+                          <th
+                            key={title}
+                            scope="col"
+                            className="px-3 py-2 text-left text-xs font-medium text-muted-foreground"
+                          >
+                            {title}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-card divide-y divide-border">
+                      {rows.map((row) => (
+                        <tr key={row.rowNumber}>
+                          <td className="px-3 py-2 text-muted-foreground">
+                            {row.rowNumber}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {row.transaction
+                              ? format(
+                                  new Date(row.transaction.date),
+                                  "yyyy-MM-dd HH:mm"
+                                )
+                              : "-"}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {row.transaction
+                              ? getTransactionTypeLabel(row.transaction.type)
+                              : "-"}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {row.symbol || "-"}
+                            {row.coinId && (
+                              <span className="ml-1 text-xs text-muted-foreground">
+                                ({row.coinId})
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {row.transaction
+                              ? row.transaction.amount.toLocaleString()
+                              : "-"}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {row.transaction
+                              ? formatCurrency(
+                                  row.transaction.price,
+                                  DEFAULT_BASE_CURRENCY
+                                )
+                              : "-"}
+                          </td>
+                          <td className="px-3 py-2">
+                            <ImportStatusBadge
+                              status={row.status}
+                              message={row.message}
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        <DialogFooter className="mt-4">
+          {step === STEPS.UPLOAD && (
+            <Button
+              onClick={() => setStep(STEPS.MAPPING)}
+              disabled={csvRows.length === 0}
+            >
+              下一步
+            </Button>
+          )}
+          {step === STEPS.MAPPING && (
+            <>
+              <Button variant="outline" onClick={() => setStep(STEPS.UPLOAD)}>
+                上一步
+              </Button>
+              <Button
+                onClick={handlePreview}
+                disabled={missingFields.length > 0}
+              >
+                预览
+              </Button>
+            </>
+          )}
+          {step === STEPS.PREVIEW && (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => setStep(STEPS.MAPPING)}
+                disabled={isProcessing}
+              >
+                上一步
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={isProcessing || entries.length === 0}
+              >
+                导入 {entries.length} 条记录
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CsvImportDialog;
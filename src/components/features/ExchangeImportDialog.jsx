@@ -0,0 +1,286 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { FiUpload } from "react-icons/fi";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button, Spinner } from "@/components/ui";
+import ImportStatusBadge from "./ImportStatusBadge";
+import UnmappedSymbolsPanel from "./UnmappedSymbolsPanel";
+import {
+  IMPORT_ROW_STATUS,
+  useExchangeImport,
+} from "@/hooks/useExchangeImport";
+import {
+  EXCHANGES,
+  EXCHANGE_LABELS,
+  EXCHANGE_RECORD_KINDS,
+} from "@/utils/exchangeParsers";
+import { SWAP_LABEL, getTransactionTypeLabel } from "@/utils/transactionUtils";
+
+// 自动识别交易所的选项值
+const AUTO_DETECT = "auto";
+
+/**
+ * 获取预览行的类型名称
+ * @param {Object} row - 预览行
+ * @returns {string}
+ */
+const getRowTypeLabel = (row) => {
+  if (row.entries.length > 1) return SWAP_LABEL;
+  if (row.entries.length === 1) {
+    return getTransactionTypeLabel(row.entries[0].transaction.type);
+  }
+  if (!row.record) return "-";
+  return row.record.kind === EXCHANGE_RECORD_KINDS.TRADE
+    ? "成交"
+    : getTransactionTypeLabel(row.record.kind);
+};
+
+/**
+ * 格式化交易所记录中的资产变动，如 "+0.001 BTC / -30 USDT"
+ * @param {Object} record - 标准化的交易所记录
+ * @returns {string}
+ */
+const formatRecordAssets = (record) => {
+  if (!record) return "-";
+  return [
+    record.received &&
+      `+${record.received.amount.toLocaleString()} ${record.received.symbol}`,
+    record.spent &&
+      `-${record.spent.amount.toLocaleString()} ${record.spent.symbol}`,
+  ]
+    .filter(Boolean)
+    .join(" / ");
+};
+
+/**
+ * @typedef {Object} ExchangeImportDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {(entries: Array<{coinId: string, transaction: Object}>) => boolean} onImport - 导入交易记录的回调函数
+ */
+
+/**
+ * 交易所交易历史导入弹窗组件
+ * 支持 Binance、Coinbase 和 Kraken 导出的CSV，导入前预览解析结果并标出未匹配的币种
+ * @param {ExchangeImportDialogProps} props
+ * @returns {JSX.Element}
+ */
+const ExchangeImportDialog = ({ isOpen, onClose, onImport }) => {
+  const [selectedExchange, setSelectedExchange] = useState(AUTO_DETECT);
+  const [file, setFile] = useState(null);
+  const {
+    exchange,
+    rows,
+    entries,
+    unmappedSymbols,
+    symbolOverrides,
+    progress,
+    isProcessing,
+    error,
+    loadFile,
+    setSymbolOverride,
+    applySymbolOverrides,
+    reset,
+  } = useExchangeImport();
+
+  const handleClose = () => {
+    reset();
+    setFile(null);
+    onClose();
+  };
+
+  const handleParse = () => {
+    if (!file) return;
+    loadFile(
+      file,
+      selectedExchange === AUTO_DETECT ? undefined : selectedExchange
+    );
+  };
+
+  const handleImport = () => {
+    if (entries.length === 0) return;
+    if (onImport(entries)) {
+      handleClose();
+    }
+  };
+
+  const readyCount = rows.filter(
+    (row) => row.status === IMPORT_ROW_STATUS.READY
+  ).length;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[900px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">
+            导入交易所记录
+          </DialogTitle>
+          <DialogDescription>
+            支持 Binance、Coinbase 和 Kraken
+            导出的交易历史CSV，计价货币会按成交当日汇率换算为美元
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-[1fr_180px_auto] gap-2 items-end">
+            <div className="space-y-1">
+              <Label htmlFor="exchangeFile" className="text-sm">
+                CSV 文件
+              </Label>
+              <Input
+                id="exchangeFile"
+                type="file"
+                accept=".csv"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="text-sm"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-sm">交易所</Label>
+              <Select
+                value={selectedExchange}
+                onValueChange={setSelectedExchange}
+              >
+                <SelectTrigger className="text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={AUTO_DETECT}>自动识别</SelectItem>
+                  {Object.values(EXCHANGES).map((id) => (
+                    <SelectItem key={id} value={id}>
+                      {EXCHANGE_LABELS[id]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button
+              variant="outline"
+              onClick={handleParse}
+              disabled={!file || isProcessing}
+            >
+              <FiUpload className="mr-1 h-4 w-4" />
+              解析
+            </Button>
+          </div>
+
+          {error && <p className="text-sm text-destructive">{error}</p>}
+
+          {isProcessing && (
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Spinner size="sm" />
+              正在匹配币种和价格 ({progress.done}/{progress.total})
+            </div>
+          )}
+
+          {!isProcessing && (
+            <UnmappedSymbolsPanel
+              symbols={unmappedSymbols}
+              overrides={symbolOverrides}
+              onOverrideChange={setSymbolOverride}
+              onApply={applySymbolOverrides}
+            />
+          )}
+
+          {!isProcessing && rows.length > 0 && (
+            <>
+              <p className="text-sm text-muted-foreground">
+                {EXCHANGE_LABELS[exchange]} · 共 {rows.length} 行，
+                {readyCount} 行可导入，生成 {entries.length} 条交易记录
+              </p>
+              <div className="overflow-x-auto rounded-md border">
+                <table className="min-w-full divide-y divide-border text-sm">
+                  <thead className="bg-muted">
+                    <tr>
+                      {["行", "日期", "类型", "资产变动", "价格", "状态"].map(
+                        (title) => (
+                          <th
+                            key={title}
+                            scope="col"
+                            className="px-3 py-2 text-left text-xs font-medium text-muted-foreground"
+                          >
+                            {title}
+                          </th>
+                        )
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-card divide-y divide-border">
+                    {rows.map((row) => (
+                      <tr key={row.rowNumber}>
+                        <td className="px-3 py-2 text-muted-foreground">
+                          {row.rowNumber}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {row.record
+                            ? format(
+                                new Date(row.record.date),
+                                "yyyy-MM-dd HH:mm"
+                              )
+                            : "-"}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {getRowTypeLabel(row)}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {formatRecordAssets(row.record)}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {row.entries.map(({ coinId, transaction }) => (
+                            <div key={`${coinId}-${transaction.type}`}>
+                              $
+                              {transaction.price.toLocaleString(undefined, {
+                                maximumFractionDigits:
+                                  transaction.price > 1 ? 2 : 8,
+                              })}
+                            </div>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2">
+                          <ImportStatusBadge
+                            status={row.status}
+                            message={row.message}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <DialogFooter className="mt-4">
+          <Button variant="outline" onClick={handleClose}>
+            取消
+          </Button>
+          <Button
+            onClick={handleImport}
+            disabled={isProcessing || entries.length === 0}
+          >
+            导入 {entries.length} 条记录
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ExchangeImportDialog;
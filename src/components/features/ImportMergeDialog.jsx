@@ -0,0 +1,296 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  DEFAULT_MERGE_RESOLUTION,
+  MERGE_RESOLUTIONS,
+} from "@/utils/importMerge";
+import { getTransactionLabel } from "@/utils/transactionUtils";
+
+// 重复记录可选的处理方式
+const DUPLICATE_OPTIONS = [
+  { value: MERGE_RESOLUTIONS.SKIP, label: "跳过" },
+  { value: MERGE_RESOLUTIONS.KEEP_BOTH, label: "仍然导入" },
+];
+
+// 冲突记录可选的处理方式
+const CONFLICT_OPTIONS = [
+  { value: MERGE_RESOLUTIONS.SKIP, label: "保留现有" },
+  { value: MERGE_RESOLUTIONS.REPLACE, label: "使用导入" },
+  { value: MERGE_RESOLUTIONS.KEEP_BOTH, label: "两者都保留" },
+];
+
+/**
+ * 交易记录的简要描述
+ * @param {Object} props
+ * @param {string} props.coinId - 加密货币ID
+ * @param {Object} props.transaction - 交易记录
+ * @param {Object<string, string>} props.symbols - 币种ID到符号的映射
+ * @returns {JSX.Element}
+ */
+const TransactionSummary = ({ coinId, transaction, symbols }) => (
+  <div className="text-sm">
+    <span className="font-medium">{getTransactionLabel(transaction)}</span>{" "}
+    {Number(transaction.amount).toLocaleString()}{" "}
+    {(symbols[coinId] || coinId).toUpperCase()} @ $
+    {Number(transaction.price).toLocaleString()}
+    <span className="ml-2 text-xs text-muted-foreground">
+      {format(new Date(transaction.date), "yyyy-MM-dd HH:mm")}
+    </span>
+  </div>
+);
+
+/**
+ * @typedef {Object} ImportMergeDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {{added: Array, duplicates: Array, conflicts: Array}|null} plan - 合并预览
+ * @property {Array} [coins] - 当前投资组合的币种，用于显示币种符号
+ * @property {(resolutions: Object<string, string>) => void} onConfirm - 确认合并的回调函数
+ * @property {() => void} [onReplaceAll] - 用导入的数据替换整个投资组合的回调函数，不传时不显示该选项
+ */
+
+/**
+ * 导入合并预览弹窗组件，列出将要新增、跳过和冲突的记录，确认处理方式后再保存
+ * @param {ImportMergeDialogProps} props
+ * @returns {JSX.Element}
+ */
+const ImportMergeDialog = ({
+  isOpen,
+  onClose,
+  plan,
+  coins = [],
+  onConfirm,
+  onReplaceAll,
+}) => {
+  const [resolutions, setResolutions] = useState({});
+
+  // 每次打开新的预览时重置处理方式
+  useEffect(() => {
+    setResolutions({});
+  }, [plan]);
+
+  if (!plan) return null;
+
+  const symbols = coins.reduce((acc, coin) => {
+    if (coin.symbol) acc[coin.id] = coin.symbol;
+    return acc;
+  }, {});
+
+  const getResolution = (key) => resolutions[key] || DEFAULT_MERGE_RESOLUTION;
+
+  const setResolution = (key, value) => {
+    setResolutions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const setAllResolutions = (items, value) => {
+    setResolutions((prev) =>
+      items.reduce((acc, item) => ({ ...acc, [item.key]: value }), prev)
+    );
+  };
+
+  const importedCount = [...plan.duplicates, ...plan.conflicts].filter(
+    (item) => getResolution(item.key) !== MERGE_RESOLUTIONS.SKIP
+  ).length;
+
+  const renderResolutionSelect = (item, options) => (
+    <Select
+      value={getResolution(item.key)}
+      onValueChange={(value) => setResolution(item.key, value)}
+    >
+      <SelectTrigger className="h-8 w-[120px] shrink-0 text-sm">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map((option) => (
+          <SelectItem key={option.value} value={option.value}>
+            {option.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[700px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">合并导入</DialogTitle>
+          <DialogDescription>
+            新增 {plan.added.length} 条，重复 {plan.duplicates.length} 条，冲突{" "}
+            {plan.conflicts.length} 条。重复记录默认跳过，冲突记录默认保留现有
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs
+          defaultValue={
+            plan.conflicts.length > 0
+              ? "conflicts"
+              : plan.duplicates.length > 0
+              ? "duplicates"
+              : "added"
+          }
+        >
+          <TabsList className="grid w-full grid-cols-3">
+            <TabsTrigger value="added">新增 ({plan.added.length})</TabsTrigger>
+            <TabsTrigger value="duplicates">
+              重复 ({plan.duplicates.length})
+            </TabsTrigger>
+            <TabsTrigger value="conflicts">
+              冲突 ({plan.conflicts.length})
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="added" className="space-y-2">
+            {plan.added.length === 0 ? (
+              <p className="py-4 text-center text-sm text-muted-foreground">
+                没有新的交易记录
+              </p>
+            ) : (
+              <div className="divide-y divide-border rounded-md border">
+                {plan.added.map((item) => (
+                  <div key={item.key} className="px-3 py-2">
+                    <TransactionSummary {...item} symbols={symbols} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="duplicates" className="space-y-2">
+            {plan.duplicates.length === 0 ? (
+              <p className="py-4 text-center text-sm text-muted-foreground">
+                没有重复的交易记录
+              </p>
+            ) : (
+              <>
+                <div className="flex justify-end">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() =>
+                      setAllResolutions(
+                        plan.duplicates,
+                        MERGE_RESOLUTIONS.KEEP_BOTH
+                      )
+                    }
+                  >
+                    全部仍然导入
+                  </Button>
+                </div>
+                <div className="divide-y divide-border rounded-md border">
+                  {plan.duplicates.map((item) => (
+                    <div
+                      key={item.key}
+                      className="flex items-center justify-between gap-2 px-3 py-2"
+                    >
+                      <div>
+                        <TransactionSummary {...item} symbols={symbols} />
+                        <p className="text-xs text-muted-foreground">
+                          {item.existing.isImported
+                            ? "与本次导入的另一条记录相同"
+                            : item.existing.transaction.id ===
+                              item.transaction.id
+                            ? "已存在相同ID的记录"
+                            : "已存在币种、时间、数量和价格都相同的记录"}
+                        </p>
+                      </div>
+                      {renderResolutionSelect(item, DUPLICATE_OPTIONS)}
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </TabsContent>
+
+          <TabsContent value="conflicts" className="space-y-2">
+            {plan.conflicts.length === 0 ? (
+              <p className="py-4 text-center text-sm text-muted-foreground">
+                没有冲突的交易记录
+              </p>
+            ) : (
+              <div className="divide-y divide-border rounded-md border">
+                {plan.conflicts.map((item) => (
+                  <div
+                    key={item.key}
+                    className="flex items-center justify-between gap-2 px-3 py-2"
+                  >
+                    <div className="space-y-1">
+                      <div className="flex items-baseline gap-2">
+                        <span className="w-8 shrink-0 text-xs text-muted-foreground">
+                          现有
+                        </span>
+                        <TransactionSummary
+                          {...item.existing}
+                          symbols={symbols}
+                        />
+                      </div>
+                      <div className="flex items-baseline gap-2">
+                        <span className="w-8 shrink-0 text-xs text-muted-foreground">
+                          导入
+                        </span>
+                        <TransactionSummary {...item} symbols={symbols} />
+                      </div>
+                    </div>
+                    {renderResolutionSelect(item, CONFLICT_OPTIONS)}
+                  </div>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+
+        <DialogFooter className="mt-4 gap-2 sm:justify-between">
+          {onReplaceAll ? (
+            <Button
+              variant="outline"
+              className="text-destructive hover:text-destructive"
+              onClick={() => {
+                if (
+                  window.confirm(
+                    "替换后当前投资组合的全部交易记录将被删除，确定继续吗？"
+                  )
+                ) {
+                  onReplaceAll();
+                }
+              }}
+            >
+              替换整个投资组合
+            </Button>
+          ) : (
+            <span />
+          )}
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={onClose}>
+              取消
+            </Button>
+            <Button
+              onClick={() => onConfirm(resolutions)}
+              disabled={plan.added.length + importedCount === 0}
+            >
+              合并 {plan.added.length + importedCount} 条记录
+            </Button>
+          </div>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportMergeDialog;
@@ -0,0 +1,47 @@
+import React from "react";
+import { cn } from "@/lib/utils";
+import { IMPORT_ROW_STATUS } from "@/hooks/useExchangeImport";
+
+const STATUS_LABELS = {
+  [IMPORT_ROW_STATUS.READY]: "可导入",
+  [IMPORT_ROW_STATUS.UNMAPPED]: "未匹配",
+  [IMPORT_ROW_STATUS.SKIPPED]: "已跳过",
+  [IMPORT_ROW_STATUS.ERROR]: "错误",
+};
+
+const STATUS_CLASSES = {
+  [IMPORT_ROW_STATUS.READY]:
+    "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400",
+  [IMPORT_ROW_STATUS.UNMAPPED]:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400",
+  [IMPORT_ROW_STATUS.SKIPPED]: "bg-muted text-muted-foreground",
+  [IMPORT_ROW_STATUS.ERROR]:
+    "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400",
+};
+
+/**
+ * 导入预览行的状态标签及说明
+ * @param {Object} props
+ * @param {string} props.status - 预览行状态
+ * @param {string} [props.message] - 状态说明
+ * @returns {JSX.Element}
+ */
+const ImportStatusBadge = ({ status, message }) => {
+  return (
+    <>
+      <span
+        className={cn(
+          "inline-flex px-2 text-xs font-semibold rounded-full",
+          STATUS_CLASSES[status]
+        )}
+      >
+        {STATUS_LABELS[status]}
+      </span>
+      {message && (
+        <p className="mt-1 text-xs text-muted-foreground">{message}</p>
+      )}
+    </>
+  );
+};
+
+export default ImportStatusBadge;
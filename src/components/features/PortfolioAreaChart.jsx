@@ -12,6 +12,8 @@ import {
   Button,
 } from "@/components/ui";
 import { getHistoricalPriceData } from "@/lib/api";
+import { getHoldingsDelta } from "@/utils/transactionUtils";
+import { DEFAULT_BASE_CURRENCY, formatCurrency } from "@/utils/currency";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -47,9 +49,15 @@ const GLOBAL_CHART_CACHE = {
  * Portfolio Area Chart Component
  * @param {Object} props - Component props
  * @param {Object} props.portfolio - Portfolio data
+ * @param {boolean} [props.hideAmounts] - 金额已按比例缩放，提示框显示相对值而不是金额
+ * @param {string} [props.currency] - 历史价格和金额的计价货币
  * @returns {JSX.Element} Component
  */
-const PortfolioAreaChart = ({ portfolio }) => {
+const PortfolioAreaChart = ({
+  portfolio,
+  hideAmounts = false,
+  currency = DEFAULT_BASE_CURRENCY,
+}) => {
   const [chartData, setChartData] = useState(() => {
     // 初始化时尝试从全局缓存获取数据
     if (GLOBAL_CHART_CACHE.data.labels && GLOBAL_CHART_CACHE.data.values) {
@@ -147,36 +155,13 @@ const PortfolioAreaChart = ({ portfolio }) => {
       );
       setEarliestTransactionDate(earliestDate);
 
-      // 检查是否有缓存的图表数据
-      const cacheKey = portfolio.coins
-        .map((coin) => `${coin.id}-${coin.transactions.length}`)
-        .join("|");
-
-      const cachedData = sessionStorage.getItem(`chart_data_${cacheKey}`);
-
-      if (cachedData) {
-        try {
-          const { timestamp, data } = JSON.parse(cachedData);
-          // 只使用60分钟内的缓存 (增加缓存时间)
-          if (Date.now() - timestamp < 60 * 60 * 1000) {
-            setChartData(data);
-            GLOBAL_CHART_CACHE.data = data;
-            GLOBAL_CHART_CACHE.lastUpdated = timestamp;
-            setIsLoading(false);
-            return;
-          }
-        } catch (e) {
-          console.error("解析缓存数据失败", e);
-        }
-      }
-
-      // 获取币种的ID
+      // 获取币种的ID，历史价格由本地价格缓存提供，只请求缺少的时间段
       const coinIds = portfolio.coins.map((coin) => coin.id);
 
       // 添加重试逻辑
       const fetchWithRetry = async (retries = 3) => {
         try {
-          return await getHistoricalPriceData(coinIds, 14); // 增加天数从7天到14天以获取更多数据点
+          return await getHistoricalPriceData(coinIds, 14, currency); // 增加天数从7天到14天以获取更多数据点
         } catch (err) {
           if (retries > 0) {
             console.log(`重试获取价格数据，剩余尝试次数: ${retries - 1}`);
@@ -228,10 +213,7 @@ const PortfolioAreaChart = ({ portfolio }) => {
           // 计算该日期的持有量
           const holdingsAtDate = coin.transactions
             .filter((t) => new Date(t.date) <= day.date)
-            .reduce(
-              (sum, t) => sum + (t.type === "buy" ? t.amount : -t.amount),
-              0
-            );
+            .reduce((sum, t) => sum + getHoldingsDelta(t), 0);
 
           if (holdingsAtDate <= 0) continue;
 
@@ -270,19 +252,6 @@ const PortfolioAreaChart = ({ portfolio }) => {
       // 更新全局缓存
       GLOBAL_CHART_CACHE.data = finalChartData;
       GLOBAL_CHART_CACHE.lastUpdated = Date.now();
-
-      // 缓存到session storage
-      try {
-        sessionStorage.setItem(
-          `chart_data_${cacheKey}`,
-          JSON.stringify({
-            timestamp: Date.now(),
-            data: finalChartData,
-          })
-        );
-      } catch (e) {
-        console.error("缓存图表数据失败", e);
-      }
     } catch (err) {
       console.error("图表数据获取错误:", err);
       setError(err.message || "获取数据失败");
@@ -356,10 +325,13 @@ const PortfolioAreaChart = ({ portfolio }) => {
             callbacks: {
               label: (context) => {
                 const value = context.parsed.y;
-                return `$${value.toLocaleString(undefined, {
-                  minimumFractionDigits: 2,
-                  maximumFractionDigits: 2,
-                })}`;
+                if (hideAmounts) return `相对价值: ${value.toFixed(2)}`;
+                return formatCurrency(value, currency, {
+                  localeOptions: {
+                    minimumFractionDigits: 2,
+                    maximumFractionDigits: 2,
+                  },
+                });
               },
             },
           },
@@ -383,7 +355,7 @@ const PortfolioAreaChart = ({ portfolio }) => {
         },
       },
     };
-  }, [chartData, growth]);
+  }, [chartData, growth, hideAmounts, currency]);
 
   return (
     <Card>
@@ -11,6 +11,7 @@ import {
 import { Pie } from "react-chartjs-2";
 import { Chart as ChartJS, ArcElement, Tooltip, Legend } from "chart.js";
 import { usePortfolio } from "@/hooks/usePortfolio";
+import { DEFAULT_BASE_CURRENCY, formatCurrency } from "@/utils/currency";
 import PortfolioAreaChart from "./PortfolioAreaChart";
 
 // 注册Chart.js组件
@@ -47,10 +48,17 @@ const generateChartColors = (count) => {
 
 /**
  * Portfolio Charts Component
+ * @param {Object} props - Component props
+ * @param {boolean} [props.hideAmounts] - 是否隐藏金额，只显示占比和涨跌幅
  * @returns {JSX.Element} Component
  */
-const PortfolioCharts = () => {
-  const { portfolio, isLoading, error } = usePortfolio();
+const PortfolioCharts = ({ hideAmounts = false }) => {
+  const {
+    portfolio,
+    isLoading,
+    error,
+    currency = DEFAULT_BASE_CURRENCY,
+  } = usePortfolio();
   const [pieChartData, setPieChartData] = useState({
     labels: [],
     datasets: [
@@ -170,17 +178,20 @@ const PortfolioCharts = () => {
           callbacks: {
             label: (context) => {
               const coin = coinPercentages[context.dataIndex];
-              const value = coin?.value.toLocaleString(undefined, {
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2,
+              if (hideAmounts) return `${coin?.symbol}: ${coin?.percentage}%`;
+              const value = formatCurrency(coin?.value, currency, {
+                localeOptions: {
+                  minimumFractionDigits: 2,
+                  maximumFractionDigits: 2,
+                },
               });
-              return `${coin?.symbol}: $${value} (${coin?.percentage}%)`;
+              return `${coin?.symbol}: ${value} (${coin?.percentage}%)`;
             },
           },
         },
       },
     }),
-    [coinPercentages]
+    [coinPercentages, hideAmounts, currency]
   );
 
   return (
@@ -238,7 +249,11 @@ const PortfolioCharts = () => {
       </Card>
 
       {/* 资产走势图 */}
-      <PortfolioAreaChart portfolio={portfolio} />
+      <PortfolioAreaChart
+        portfolio={portfolio}
+        hideAmounts={hideAmounts}
+        currency={currency}
+      />
     </div>
   );
 };
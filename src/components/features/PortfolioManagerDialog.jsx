@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import { FiCopy, FiEdit2, FiTrash2, FiCheck, FiX } from "react-icons/fi";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+
+/**
+ * @typedef {Object} PortfolioManagerDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {Array<{id: string, name: string}>} portfolios - 所有投资组合
+ * @property {string} activePortfolioId - 当前投资组合ID
+ * @property {(name: string) => void} onCreate - 新建投资组合的回调函数
+ * @property {(portfolioId: string, name: string) => void} onRename - 重命名投资组合的回调函数
+ * @property {(portfolioId: string) => void} onDuplicate - 复制投资组合的回调函数
+ * @property {(portfolioId: string) => Promise<boolean>} onDelete - 删除投资组合的回调函数，返回是否删除成功
+ */
+
+/**
+ * 投资组合管理弹窗组件
+ * @param {PortfolioManagerDialogProps} props
+ * @returns {JSX.Element}
+ */
+const PortfolioManagerDialog = ({
+  isOpen,
+  onClose,
+  portfolios = [],
+  activePortfolioId,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+}) => {
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+  const [deleteError, setDeleteError] = useState(null);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    onCreate(name);
+    setNewName("");
+  };
+
+  const startEditing = (portfolio) => {
+    setEditingId(portfolio.id);
+    setEditingName(portfolio.name);
+  };
+
+  const handleRename = () => {
+    const name = editingName.trim();
+    if (name) {
+      onRename(editingId, name);
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = async (portfolio) => {
+    if (
+      !window.confirm(
+        `确定删除"${portfolio.name}"及其全部交易记录吗？此操作无法撤销`
+      )
+    ) {
+      return;
+    }
+
+    // 其他标签页可能已删除其余的投资组合，此时按钮尚未禁用
+    const deleted = await onDelete(portfolio.id);
+    setDeleteError(deleted ? null : "至少需要保留一个投资组合，无法删除");
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[500px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">
+            管理投资组合
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="divide-y divide-border rounded-md border">
+            {portfolios.map((portfolio) => (
+              <div
+                key={portfolio.id}
+                className="flex items-center justify-between gap-2 px-3 py-2"
+              >
+                {editingId === portfolio.id ? (
+                  <>
+                    <Input
+                      value={editingName}
+                      onChange={(e) => setEditingName(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && handleRename()}
+                      className="h-8 text-sm"
+                      autoFocus
+                    />
+                    <div className="flex shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={handleRename}
+                        aria-label="保存名称"
+                      >
+                        <FiCheck className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setEditingId(null)}
+                        aria-label="取消"
+                      >
+                        <FiX className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <span className="text-sm truncate">
+                      {portfolio.name}
+                      {portfolio.id === activePortfolioId && (
+                        <span className="ml-2 text-xs text-muted-foreground">
+                          (当前)
+                        </span>
+                      )}
+                    </span>
+                    <div className="flex shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => startEditing(portfolio)}
+                        aria-label="重命名"
+                      >
+                        <FiEdit2 className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onDuplicate(portfolio.id)}
+                        aria-label="复制"
+                      >
+                        <FiCopy className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(portfolio)}
+                        disabled={portfolios.length <= 1}
+                        className="text-destructive hover:text-destructive"
+                        aria-label="删除"
+                      >
+                        <FiTrash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {deleteError && (
+            <p className="text-sm text-destructive">{deleteError}</p>
+          )}
+
+          <form onSubmit={handleCreate} className="space-y-2">
+            <Label htmlFor="newPortfolioName" className="text-sm">
+              新建投资组合
+            </Label>
+            <div className="flex gap-2">
+              <Input
+                id="newPortfolioName"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="如：长期持有、交易账户"
+                className="text-sm"
+              />
+              <Button type="submit" disabled={!newName.trim()}>
+                新建
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PortfolioManagerDialog;
@@ -1,17 +1,31 @@
 import React from "react";
 import { Card, CardContent } from "@/components/ui";
+import {
+  DEFAULT_BASE_CURRENCY,
+  formatCurrency,
+  formatPercentage,
+} from "@/utils/currency";
 
 /**
  * @typedef {Object} PortfolioSummaryProps
  * @property {Object} portfolio - 投资组合数据
+ * @property {boolean} [hideAmounts] - 是否隐藏金额，只显示百分比
+ * @property {string} [currency] - 金额的计价货币
  */
 
+// 隐藏金额时显示的占位符
+const MASKED_AMOUNT = "***";
+
 /**
  * 投资组合摘要组件
  * @param {PortfolioSummaryProps} props
  * @returns {JSX.Element}
  */
-const PortfolioSummary = ({ portfolio }) => {
+const PortfolioSummary = ({
+  portfolio,
+  hideAmounts = false,
+  currency = DEFAULT_BASE_CURRENCY,
+}) => {
   if (!portfolio || portfolio.coins.length === 0) {
     return (
       <div className="mb-6 text-center py-8 text-muted-foreground">
@@ -25,19 +39,43 @@ const PortfolioSummary = ({ portfolio }) => {
     totalValue,
     totalProfitLoss,
     totalProfitLossPercentage,
+    totalRealizedProfitLoss = 0,
+    totalIncome = 0,
+    totalReturn = 0,
+    totalReturnPercentage = 0,
   } = portfolio;
   const isProfitable = totalProfitLoss > 0;
+  const isRealizedProfitable = totalRealizedProfitLoss > 0;
+  const isTotalReturnProfitable = totalReturn > 0;
+
+  /**
+   * 盈亏的颜色，无法计算（为 null）时不显示颜色
+   * @param {number|null} value - 盈亏
+   * @param {boolean} isProfit - 是否盈利
+   * @returns {string} 颜色类名
+   */
+  const getProfitClass = (value, isProfit) =>
+    value === null ? "" : isProfit ? "text-green-600" : "text-red-600";
+
+  /**
+   * 格式化金额，隐藏金额时返回占位符
+   * @param {number} value - 金额
+   * @param {boolean} [signed] - 正数是否显示加号
+   * @returns {string} 格式化后的金额
+   */
+  const formatAmount = (value, signed = false) => {
+    if (hideAmounts) return MASKED_AMOUNT;
+    return formatCurrency(value, currency, { signed });
+  };
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+    <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
       <Card>
         <CardContent className="pt-6">
           <h4 className="text-sm font-medium text-muted-foreground mb-1">
-            总投资
+            持仓成本
           </h4>
-          <p className="text-2xl font-bold">
-            ${totalInvestment.toLocaleString()}
-          </p>
+          <p className="text-2xl font-bold">{formatAmount(totalInvestment)}</p>
         </CardContent>
       </Card>
 
@@ -46,24 +84,77 @@ const PortfolioSummary = ({ portfolio }) => {
           <h4 className="text-sm font-medium text-muted-foreground mb-1">
             当前总价值
           </h4>
-          <p className="text-2xl font-bold">${totalValue.toLocaleString()}</p>
+          <p className="text-2xl font-bold">{formatAmount(totalValue)}</p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          <h4 className="text-sm font-medium text-muted-foreground mb-1">
+            未实现盈亏
+          </h4>
+          <p
+            className={`text-2xl font-bold ${getProfitClass(
+              totalProfitLoss,
+              isProfitable
+            )}`}
+          >
+            {formatAmount(totalProfitLoss, true)}
+            <span className="text-sm font-medium">
+              ({formatPercentage(totalProfitLossPercentage, { signed: true })})
+            </span>
+          </p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          <h4 className="text-sm font-medium text-muted-foreground mb-1">
+            已实现盈亏
+          </h4>
+          <p
+            className={`text-2xl font-bold ${
+              !totalRealizedProfitLoss
+                ? ""
+                : isRealizedProfitable
+                ? "text-green-600"
+                : "text-red-600"
+            }`}
+          >
+            {formatAmount(totalRealizedProfitLoss, true)}
+          </p>
         </CardContent>
       </Card>
 
       <Card>
         <CardContent className="pt-6">
           <h4 className="text-sm font-medium text-muted-foreground mb-1">
-            总利润/损失
+            收入
           </h4>
           <p
             className={`text-2xl font-bold ${
-              isProfitable ? "text-green-600" : "text-red-600"
+              totalIncome > 0 ? "text-green-600" : ""
             }`}
           >
-            {isProfitable ? "+" : ""}${totalProfitLoss.toLocaleString()}
+            {formatAmount(totalIncome, true)}
+          </p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          <h4 className="text-sm font-medium text-muted-foreground mb-1">
+            总回报
+          </h4>
+          <p
+            className={`text-2xl font-bold ${getProfitClass(
+              totalReturn,
+              isTotalReturnProfitable
+            )}`}
+          >
+            {formatAmount(totalReturn, true)}
             <span className="text-sm font-medium">
-              ({isProfitable ? "+" : ""}
-              {totalProfitLossPercentage.toFixed(2)}%)
+              ({formatPercentage(totalReturnPercentage, { signed: true })})
             </span>
           </p>
         </CardContent>
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  COST_BASIS_METHOD_LABELS,
+  normalizeCostBasisMethod,
+} from "@/utils/costBasis";
+import { BASE_CURRENCY_LABELS, DEFAULT_BASE_CURRENCY } from "@/utils/currency";
+import { countPriceHistory } from "@/utils/priceHistoryStore";
+import { clearPriceHistoryCache } from "@/lib/api";
+
+/**
+ * @typedef {Object} SettingsDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {Object} [settings] - 当前投资组合设置
+ * @property {(method: string) => void} [onCostBasisMethodChange] - 修改成本计算方法的回调函数，不传时不显示该设置
+ * @property {string} [baseCurrency] - 当前基础货币
+ * @property {(currency: string) => void} onBaseCurrencyChange - 修改基础货币的回调函数
+ */
+
+/**
+ * 投资组合设置弹窗组件
+ * @param {SettingsDialogProps} props
+ * @returns {JSX.Element}
+ */
+const SettingsDialog = ({
+  isOpen,
+  onClose,
+  settings = {},
+  onCostBasisMethodChange,
+  baseCurrency = DEFAULT_BASE_CURRENCY,
+  onBaseCurrencyChange,
+}) => {
+  const costBasisMethod = normalizeCostBasisMethod(settings.costBasisMethod);
+  // 本地缓存的历史价格数量，null 表示还在统计或无法读取
+  const [priceCacheCount, setPriceCacheCount] = useState(null);
+  const [isClearingPriceCache, setIsClearingPriceCache] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    countPriceHistory()
+      .then((count) => !cancelled && setPriceCacheCount(count))
+      .catch((error) => {
+        console.error("统计价格缓存失败:", error);
+        if (!cancelled) setPriceCacheCount(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  const handleClearPriceCache = async () => {
+    setIsClearingPriceCache(true);
+    try {
+      await clearPriceHistoryCache();
+      setPriceCacheCount(0);
+    } catch (error) {
+      console.error("清除价格缓存失败:", error);
+    } finally {
+      setIsClearingPriceCache(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[500px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">设置</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="baseCurrency" className="text-sm">
+              基础货币
+            </Label>
+            <Select value={baseCurrency} onValueChange={onBaseCurrencyChange}>
+              <SelectTrigger id="baseCurrency" className="w-full">
+                <SelectValue placeholder="选择基础货币" />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(BASE_CURRENCY_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              所有投资组合的价格和金额按所选货币显示，以美元记录的交易按交易当天的汇率换算
+            </p>
+          </div>
+
+          {onCostBasisMethodChange && (
+            <div className="space-y-2">
+              <Label htmlFor="costBasisMethod" className="text-sm">
+                成本计算方法
+              </Label>
+              <Select
+                value={costBasisMethod}
+                onValueChange={onCostBasisMethodChange}
+              >
+                <SelectTrigger id="costBasisMethod" className="w-full">
+                  <SelectValue placeholder="选择成本计算方法" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(COST_BASIS_METHOD_LABELS).map(
+                    ([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    )
+                  )}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                卖出时按所选方法匹配买入批次，用于计算持仓成本和平均买入价格
+              </p>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label className="text-sm">价格缓存</Label>
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-xs text-muted-foreground">
+                {priceCacheCount === null
+                  ? "历史价格保存在本地，重新打开页面时不必重新获取"
+                  : `本地已保存 ${priceCacheCount} 个历史价格数据点`}
+              </p>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleClearPriceCache}
+                disabled={isClearingPriceCache || priceCacheCount === 0}
+              >
+                {isClearingPriceCache ? "清除中..." : "清除缓存"}
+              </Button>
+            </div>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SettingsDialog;
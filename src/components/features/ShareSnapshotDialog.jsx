@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { FiCopy } from "react-icons/fi";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
+import { Button, Spinner } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+import { SHARE_EXPIRY_DAYS, createSharedSnapshot } from "@/lib/shareApi";
+import { createShareSnapshot } from "@/utils/shareSnapshot";
+
+/**
+ * @typedef {Object} ShareSnapshotDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {Object} portfolio - 当前投资组合数据
+ * @property {string} portfolioName - 当前投资组合名称
+ * @property {string} [currency] - 当前金额的计价货币
+ */
+
+/**
+ * 生成只读分享链接的弹窗组件
+ * @param {ShareSnapshotDialogProps} props
+ * @returns {JSX.Element}
+ */
+const ShareSnapshotDialog = ({
+  isOpen,
+  onClose,
+  portfolio,
+  portfolioName,
+  currency,
+}) => {
+  const [hideAmounts, setHideAmounts] = useState(true);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [shared, setShared] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setError(null);
+      setShared(null);
+      setCopied(false);
+    }
+  }, [isOpen]);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError(null);
+    try {
+      const snapshot = createShareSnapshot(portfolio, {
+        name: portfolioName,
+        hideAmounts,
+        currency,
+      });
+      const result = await createSharedSnapshot(snapshot, expiresInDays);
+      setShared({
+        ...result,
+        url: `${window.location.origin}/share/${result.id}`,
+      });
+    } catch (err) {
+      console.error("Failed to create share link:", err);
+      setError("生成分享链接失败，请稍后重试");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shared.url);
+      setCopied(true);
+    } catch (err) {
+      console.error("Failed to copy share link:", err);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[500px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">
+            分享投资组合
+          </DialogTitle>
+          <DialogDescription>
+            生成当前投资组合的只读快照，任何拿到链接的人都可以查看。快照不包含交易明细，之后的修改不会同步到快照
+          </DialogDescription>
+        </DialogHeader>
+
+        {!shared ? (
+          <div className="space-y-4">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={hideAmounts}
+                onChange={(e) => setHideAmounts(e.target.checked)}
+              />
+              隐藏金额和持有数量，只显示占比和收益率
+            </label>
+
+            <div className="space-y-2">
+              <Label htmlFor="share-expiry">有效期</Label>
+              <Select
+                value={String(expiresInDays)}
+                onValueChange={(value) => setExpiresInDays(Number(value))}
+              >
+                <SelectTrigger id="share-expiry" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {SHARE_EXPIRY_DAYS.map((days) => (
+                    <SelectItem key={days} value={String(days)}>
+                      {days} 天
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {error && <p className="text-sm text-destructive">{error}</p>}
+
+            <div className="flex justify-end">
+              <Button
+                onClick={handleCreate}
+                disabled={isCreating || !portfolio?.coins?.length}
+              >
+                {isCreating && <Spinner size="sm" className="mr-2" />}
+                生成链接
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>分享链接</Label>
+              <div className="flex gap-2">
+                <Input value={shared.url} readOnly className="text-xs" />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleCopy}
+                  aria-label="复制分享链接"
+                >
+                  <FiCopy className="h-4 w-4" />
+                </Button>
+              </div>
+              {copied && (
+                <p className="text-xs text-muted-foreground">已复制</p>
+              )}
+            </div>
+
+            <div className="text-sm space-y-1">
+              <div className="text-muted-foreground">
+                有效期至：
+                {format(new Date(shared.expiresAt), "yyyy-MM-dd HH:mm")}
+              </div>
+              {shared.storage === "memory" && (
+                <div className="text-amber-600 dark:text-amber-400">
+                  服务器未配置持久化存储，分享链接可能在服务重启后失效
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end">
+              <Button variant="outline" onClick={onClose}>
+                完成
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ShareSnapshotDialog;
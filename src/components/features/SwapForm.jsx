@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from "react";
+import { format } from "date-fns";
+import { FiRefreshCw, FiX } from "react-icons/fi";
+import { Input } from "@/components/ui/input";
+import { Button, Spinner } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { cn } from "@/lib/utils";
+import { getHistoricalPrice } from "@/lib/api";
+import { useCryptoSearch } from "@/hooks/useCryptoSearch";
+import { FEE_CURRENCIES } from "@/utils/transactionUtils";
+
+/**
+ * @typedef {Object} SwapFormProps
+ * @property {Object} crypto - 兑出的加密货币数据
+ * @property {Object} [portfolio] - 当前投资组合，用于快速选择兑入币种
+ * @property {(swap: Object) => void} onSubmit - 提交兑换的回调函数
+ */
+
+/**
+ * 获取某一时间点的价格，最近1小时内直接使用当前价格
+ * @param {Object} coin - 加密货币数据
+ * @param {Date} date - 时间
+ * @returns {Promise<number|null>} 价格，获取失败时返回 null
+ */
+const fetchPriceAt = async (coin, date) => {
+  if (Date.now() - date.getTime() < 60 * 60 * 1000) {
+    return coin.current_price ?? coin.currentPrice ?? null;
+  }
+
+  try {
+    return await getHistoricalPrice(coin.id, date.getTime());
+  } catch (error) {
+    console.error("Failed to fetch historical price:", error);
+    return null;
+  }
+};
+
+/**
+ * 币币兑换表单组件
+ * @param {SwapFormProps} props
+ * @returns {JSX.Element}
+ */
+const SwapForm = ({ crypto, portfolio, onSubmit }) => {
+  const [toCoin, setToCoin] = useState(null);
+  const [formData, setFormData] = useState({
+    fromAmount: "",
+    toAmount: "",
+    fromPrice: crypto?.current_price?.toString() || "",
+    toPrice: "",
+    dateTime: format(new Date(), "yyyy-MM-dd'T'HH:mm"),
+    fee: "",
+    reason: "",
+  });
+  const [isLoadingPrices, setIsLoadingPrices] = useState(false);
+  const [errors, setErrors] = useState({});
+  const {
+    searchQuery,
+    searchResults,
+    isLoading,
+    updateSearchQuery,
+    clearSearch,
+  } = useCryptoSearch();
+
+  // 兑入币种或时间变化时，自动获取两边的价格
+  useEffect(() => {
+    if (!crypto || !toCoin || !formData.dateTime) return;
+
+    const date = new Date(formData.dateTime);
+    if (isNaN(date.getTime())) return;
+
+    let cancelled = false;
+    const fetchPrices = async () => {
+      setIsLoadingPrices(true);
+      const [fromPrice, toPrice] = await Promise.all([
+        fetchPriceAt(crypto, date),
+        fetchPriceAt(toCoin, date),
+      ]);
+      setIsLoadingPrices(false);
+      if (cancelled) return;
+
+      setFormData((prev) => ({
+        ...prev,
+        fromPrice: fromPrice != null ? fromPrice.toString() : prev.fromPrice,
+        toPrice: toPrice != null ? toPrice.toString() : prev.toPrice,
+      }));
+    };
+
+    fetchPrices();
+    return () => {
+      cancelled = true;
+    };
+  }, [crypto, toCoin, formData.dateTime]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+    // 清除错误
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleSelectToCoin = (coin) => {
+    setToCoin(coin);
+    clearSearch();
+
+    if (errors.toCoin) {
+      setErrors((prev) => ({ ...prev, toCoin: null }));
+    }
+  };
+
+  const isInvalidNumber = (value, allowZero = false) =>
+    !value ||
+    isNaN(value) ||
+    (allowZero ? parseFloat(value) < 0 : parseFloat(value) <= 0);
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!toCoin) {
+      newErrors.toCoin = "请选择兑入的币种";
+    } else if (toCoin.id === crypto.id) {
+      newErrors.toCoin = "不能兑换为同一币种";
+    }
+
+    if (isInvalidNumber(formData.fromAmount)) {
+      newErrors.fromAmount = "请输入有效的数量";
+    }
+
+    if (isInvalidNumber(formData.toAmount)) {
+      newErrors.toAmount = "请输入有效的数量";
+    }
+
+    if (isInvalidNumber(formData.fromPrice, true)) {
+      newErrors.fromPrice = "请输入有效的价格";
+    }
+
+    if (isInvalidNumber(formData.toPrice, true)) {
+      newErrors.toPrice = "请输入有效的价格";
+    }
+
+    if (!formData.dateTime) {
+      newErrors.dateTime = "请选择日期和时间";
+    }
+
+    if (formData.fee && (isNaN(formData.fee) || parseFloat(formData.fee) < 0)) {
+      newErrors.fee = "请输入有效的手续费";
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    // 手续费记在卖出部分，从兑出所得中扣除
+    onSubmit({
+      fromCoinId: crypto.id,
+      toCoinId: toCoin.id,
+      fromLeg: {
+        amount: parseFloat(formData.fromAmount),
+        price: parseFloat(formData.fromPrice),
+        fee: parseFloat(formData.fee) || 0,
+        feeCurrency: FEE_CURRENCIES.USD,
+      },
+      toLeg: {
+        amount: parseFloat(formData.toAmount),
+        price: parseFloat(formData.toPrice),
+      },
+      date: formData.dateTime,
+      reason: formData.reason.trim(),
+    });
+  };
+
+  const fromSymbol = crypto.symbol.toUpperCase();
+  const toSymbol = toCoin ? toCoin.symbol.toUpperCase() : "";
+  // 未搜索时列出投资组合中的其他币种，方便快速选择
+  const coinOptions = searchQuery
+    ? searchResults.slice(0, 5)
+    : (portfolio?.coins || [])
+        .filter((coin) => coin.id !== crypto.id && coin.symbol)
+        .slice(0, 5);
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4">
+      <div className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="fromAmount" className="text-sm">
+            兑出数量 ({fromSymbol})
+          </Label>
+          <Input
+            id="fromAmount"
+            name="fromAmount"
+            type="number"
+            inputMode="decimal"
+            value={formData.fromAmount}
+            onChange={handleChange}
+            placeholder="输入兑出数量"
+            className={cn(errors.fromAmount && "border-destructive", "text-sm")}
+            step="any"
+            min="0"
+          />
+          {errors.fromAmount && (
+            <p className="text-xs text-destructive">{errors.fromAmount}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="toCoinSearch" className="text-sm">
+            兑换为
+          </Label>
+          {toCoin ? (
+            <div className="flex items-center justify-between rounded-md border px-3 py-2">
+              <div className="flex items-center">
+                {toCoin.image && (
+                  <img
+                    src={toCoin.image}
+                    alt={toCoin.name}
+                    className="h-5 w-5 rounded-full mr-2"
+                  />
+                )}
+                <span className="text-sm font-medium">
+                  {toCoin.name} ({toSymbol})
+                </span>
+              </div>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => setToCoin(null)}
+              >
+                <FiX className="h-4 w-4" />
+              </Button>
+            </div>
+          ) : (
+            <>
+              <Input
+                id="toCoinSearch"
+                value={searchQuery}
+                onChange={(e) => updateSearchQuery(e.target.value)}
+                placeholder="搜索币种名称或代码"
+                className={cn(errors.toCoin && "border-destructive", "text-sm")}
+              />
+              {isLoading ? (
+                <div className="flex justify-center py-2">
+                  <Spinner size="sm" />
+                </div>
+              ) : (
+                coinOptions.length > 0 && (
+                  <div className="rounded-md border divide-y divide-border">
+                    {coinOptions.map((coin) => (
+                      <button
+                        key={coin.id}
+                        type="button"
+                        className="flex w-full items-center px-3 py-2 text-sm hover:bg-muted/50"
+                        onClick={() => handleSelectToCoin(coin)}
+                      >
+                        {coin.image && (
+                          <img
+                            src={coin.image}
+                            alt={coin.name}
+                            className="h-5 w-5 rounded-full mr-2"
+                          />
+                        )}
+                        <span>{coin.name}</span>
+                        <span className="ml-2 text-muted-foreground">
+                          {coin.symbol.toUpperCase()}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                )
+              )}
+            </>
+          )}
+          {errors.toCoin && (
+            <p className="text-xs text-destructive">{errors.toCoin}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="toAmount" className="text-sm">
+            获得数量{toSymbol && ` (${toSymbol})`}
+          </Label>
+          <Input
+            id="toAmount"
+            name="toAmount"
+            type="number"
+            inputMode="decimal"
+            value={formData.toAmount}
+            onChange={handleChange}
+            placeholder="输入获得数量"
+            className={cn(errors.toAmount && "border-destructive", "text-sm")}
+            step="any"
+            min="0"
+          />
+          {errors.toAmount && (
+            <p className="text-xs text-destructive">{errors.toAmount}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="swapDateTime" className="text-sm">
+            日期和时间
+          </Label>
+          <Input
+            id="swapDateTime"
+            name="dateTime"
+            type="datetime-local"
+            value={formData.dateTime}
+            onChange={handleChange}
+            className={cn(errors.dateTime && "border-destructive", "text-sm")}
+          />
+          {errors.dateTime && (
+            <p className="text-xs text-destructive">{errors.dateTime}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label className="text-sm">兑换时的美元价格</Label>
+            {isLoadingPrices && (
+              <span className="flex items-center text-xs text-muted-foreground">
+                <FiRefreshCw className="mr-1 h-3 w-3 animate-spin" />
+                获取历史价格...
+              </span>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <Input
+                id="fromPrice"
+                name="fromPrice"
+                type="number"
+                inputMode="decimal"
+                value={formData.fromPrice}
+                onChange={handleChange}
+                placeholder={`${fromSymbol} 价格`}
+                className={cn(
+                  errors.fromPrice && "border-destructive",
+                  "text-sm"
+                )}
+                step="any"
+                min="0"
+              />
+              <p className="mt-1 text-xs text-muted-foreground">{fromSymbol}</p>
+            </div>
+            <div>
+              <Input
+                id="toPrice"
+                name="toPrice"
+                type="number"
+                inputMode="decimal"
+                value={formData.toPrice}
+                onChange={handleChange}
+                placeholder={toSymbol ? `${toSymbol} 价格` : "兑入币种价格"}
+                className={cn(
+                  errors.toPrice && "border-destructive",
+                  "text-sm"
+                )}
+                step="any"
+                min="0"
+              />
+              <p className="mt-1 text-xs text-muted-foreground">
+                {toSymbol || "-"}
+              </p>
+            </div>
+          </div>
+          {(errors.fromPrice || errors.toPrice) && (
+            <p className="text-xs text-destructive">
+              {errors.fromPrice || errors.toPrice}
+            </p>
+          )}
+          <p className="text-xs text-muted-foreground">
+            兑换会记为一笔 {fromSymbol} 卖出和一笔{toSymbol && ` ${toSymbol}`}{" "}
+            买入，分别按以上价格计算盈亏和成本
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="swapFee" className="text-sm">
+            手续费（USD，可选）
+          </Label>
+          <Input
+            id="swapFee"
+            name="fee"
+            type="number"
+            inputMode="decimal"
+            value={formData.fee}
+            onChange={handleChange}
+            placeholder="0"
+            className={cn(errors.fee && "border-destructive", "text-sm")}
+            step="any"
+            min="0"
+          />
+          {errors.fee && (
+            <p className="text-xs text-destructive">{errors.fee}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="swapReason" className="text-sm">
+            备注（可选）
+          </Label>
+          <Textarea
+            id="swapReason"
+            name="reason"
+            value={formData.reason}
+            onChange={handleChange}
+            placeholder="输入备注（可选）"
+            className="text-sm"
+          />
+        </div>
+
+        <Button type="submit" className="w-full">
+          添加兑换记录
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default SwapForm;
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { FiCopy, FiRefreshCw } from "react-icons/fi";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui";
+import { Label } from "@/components/ui/label";
+import {
+  SYNC_STATUS,
+  generateSyncToken,
+  isValidSyncToken,
+} from "@/hooks/useServerSync";
+
+// 各同步状态的说明
+const STATUS_LABELS = {
+  [SYNC_STATUS.SYNCING]: "正在同步...",
+  [SYNC_STATUS.SYNCED]: "已同步",
+  [SYNC_STATUS.ERROR]: "同步失败",
+  [SYNC_STATUS.CONFLICT]: "本地和云端都有修改",
+};
+
+/**
+ * 格式化同步时间
+ * @param {string|null} value - ISO 时间
+ * @returns {string} 格式化后的时间
+ */
+const formatSyncTime = (value) =>
+  value ? format(new Date(value), "yyyy-MM-dd HH:mm:ss") : "尚未同步";
+
+/**
+ * @typedef {Object} SyncDialogProps
+ * @property {boolean} isOpen - 是否打开弹窗
+ * @property {() => void} onClose - 关闭弹窗的回调函数
+ * @property {Object} sync - useServerSync 返回的同步状态和方法
+ */
+
+/**
+ * 云端同步设置弹窗组件
+ * @param {SyncDialogProps} props
+ * @returns {JSX.Element}
+ */
+const SyncDialog = ({ isOpen, onClose, sync }) => {
+  const [tokenInput, setTokenInput] = useState("");
+  const [inputError, setInputError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTokenInput("");
+      setInputError(null);
+      setCopied(false);
+    }
+  }, [isOpen]);
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!sync.enable(tokenInput)) {
+      setInputError("同步令牌格式不正确");
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(sync.token);
+      setCopied(true);
+    } catch (error) {
+      console.error("Failed to copy sync token:", error);
+    }
+  };
+
+  const handleDisable = () => {
+    if (
+      window.confirm(
+        "确定停止同步吗？本地和云端的数据都会保留，之后可以用同一令牌重新开启"
+      )
+    ) {
+      sync.disable();
+    }
+  };
+
+  const isSyncing = sync.status === SYNC_STATUS.SYNCING;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-[95vw] w-full sm:max-w-[500px] p-4 sm:p-6 overflow-y-auto max-h-[90vh]">
+        <DialogHeader>
+          <DialogTitle className="text-base sm:text-lg">云端同步</DialogTitle>
+          <DialogDescription>
+            在多台设备上使用同一个同步令牌即可查看相同的投资组合。数据使用令牌加密后上传，丢失令牌将无法恢复云端数据
+          </DialogDescription>
+        </DialogHeader>
+
+        {!sync.isEnabled ? (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="sync-token">同步令牌</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="sync-token"
+                  value={tokenInput}
+                  onChange={(e) => {
+                    setTokenInput(e.target.value);
+                    setInputError(null);
+                  }}
+                  placeholder="粘贴其他设备上的令牌，或生成新令牌"
+                  className="font-mono text-xs"
+                  autoComplete="off"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setTokenInput(generateSyncToken())}
+                >
+                  生成
+                </Button>
+              </div>
+              {inputError && (
+                <p className="text-sm text-destructive">{inputError}</p>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <Button type="submit" disabled={!isValidSyncToken(tokenInput)}>
+                开启同步
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>同步令牌</Label>
+              <div className="flex gap-2">
+                <Input
+                  value={sync.token}
+                  readOnly
+                  className="font-mono text-xs"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleCopy}
+                  aria-label="复制同步令牌"
+                >
+                  <FiCopy className="h-4 w-4" />
+                </Button>
+              </div>
+              {copied && (
+                <p className="text-xs text-muted-foreground">已复制</p>
+              )}
+            </div>
+
+            <div className="text-sm space-y-1">
+              <div>
+                状态：{STATUS_LABELS[sync.status]}
+                {sync.status === SYNC_STATUS.ERROR && sync.error && (
+                  <span className="ml-1 text-destructive">({sync.error})</span>
+                )}
+              </div>
+              <div className="text-muted-foreground">
+                上次同步：{formatSyncTime(sync.lastSyncedAt)}
+              </div>
+              {sync.storage === "memory" && (
+                <div className="text-amber-600 dark:text-amber-400">
+                  服务器未配置持久化存储，云端数据可能在服务重启后丢失
+                </div>
+              )}
+            </div>
+
+            {sync.status === SYNC_STATUS.CONFLICT && (
+              <div className="rounded-md border p-3 space-y-3">
+                <p className="text-sm">
+                  云端数据在 {formatSyncTime(sync.conflictUpdatedAt)}
+                  被其他设备修改，本地也有未同步的修改，请选择保留哪一份：
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => sync.resolveConflict(true)}
+                  >
+                    使用云端数据
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => sync.resolveConflict(false)}
+                  >
+                    用本地数据覆盖云端
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-between">
+              <Button variant="outline" onClick={handleDisable}>
+                停止同步
+              </Button>
+              <Button
+                onClick={sync.syncNow}
+                disabled={isSyncing || sync.status === SYNC_STATUS.CONFLICT}
+              >
+                <FiRefreshCw
+                  className={`mr-2 h-4 w-4 ${isSyncing ? "animate-spin" : ""}`}
+                />
+                立即同步
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SyncDialog;
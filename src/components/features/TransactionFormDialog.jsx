@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { format, parseISO } from "date-fns";
 import {
   Dialog,
@@ -11,18 +11,81 @@ import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { cn } from "@/lib/utils";
 import { FiRefreshCw, FiPlus, FiMinus, FiClock } from "react-icons/fi";
-import { getHistoricalPrice } from "@/lib/api";
+import { getHistoricalPriceDetails, getQuoteUsdRate } from "@/lib/api";
+import SwapForm from "./SwapForm";
+import {
+  DEFAULT_INCOME_TYPE,
+  FEE_CURRENCIES,
+  INCOME_TYPE_LABELS,
+  TRANSACTION_TYPES,
+  TRANSACTION_TYPE_LABELS,
+  isTransferType,
+} from "@/utils/transactionUtils";
+import {
+  BASE_CURRENCIES,
+  DEFAULT_BASE_CURRENCY,
+  formatCurrency,
+} from "@/utils/currency";
+
+// 转账标签页下可选的转账方向
+const TRANSFER_OPTIONS = [
+  TRANSACTION_TYPES.TRANSFER_IN,
+  TRANSACTION_TYPES.TRANSFER_OUT,
+  TRANSACTION_TYPES.TRANSFER,
+];
+
+// 各交易类型新增时的按钮文字
+const SUBMIT_BUTTON_TEXT = {
+  [TRANSACTION_TYPES.BUY]: "添加买入交易",
+  [TRANSACTION_TYPES.SELL]: "添加卖出交易",
+  [TRANSACTION_TYPES.TRANSFER_IN]: "添加转入记录",
+  [TRANSACTION_TYPES.TRANSFER_OUT]: "添加转出记录",
+  [TRANSACTION_TYPES.TRANSFER]: "添加内部转账",
+  [TRANSACTION_TYPES.INCOME]: "添加收入记录",
+};
 
 /**
  * @typedef {Object} TransactionFormDialogProps
  * @property {boolean} isOpen - 是否打开弹窗
  * @property {() => void} onClose - 关闭弹窗的回调函数
- * @property {Object} crypto - 加密货币数据
+ * @property {Object} crypto - 以基础货币计价的加密货币数据
  * @property {(transaction: Object) => void} onSubmit - 提交交易的回调函数
  * @property {Object} [editTransaction] - 要编辑的交易记录，为null时表示新增
+ * @property {(swap: Object) => void} [onSubmitSwap] - 提交币币兑换的回调函数，未提供时不显示兑换标签页
+ * @property {Object} [portfolio] - 当前投资组合，用于兑换时快速选择币种
+ * @property {string} [baseCurrency] - 基础货币，新增交易时默认按该货币输入价格
+ */
+
+// 计价货币输入框的候选项，也可以输入其他法币或币种符号
+const QUOTE_CURRENCY_SUGGESTIONS = [
+  ...Object.values(BASE_CURRENCIES),
+  "USDT",
+  "USDC",
+  "BTC",
+  "ETH",
+  "BNB",
+];
+
+/**
+ * 历史价格数据粒度的显示文字
+ * @param {number} granularity - 数据粒度（毫秒）
+ * @returns {string} 例如 1分钟、1小时、1天
  */
+const formatGranularity = (granularity) => {
+  const minutes = Math.round(granularity / (60 * 1000));
+  if (minutes < 60) return `${minutes}分钟`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}小时`;
+  return `${Math.round(minutes / (24 * 60))}天`;
+};
 
 /**
  * 交易表单弹窗组件
@@ -35,63 +98,156 @@ const TransactionFormDialog = ({
   crypto,
   onSubmit,
   editTransaction,
+  onSubmitSwap,
+  portfolio,
+  baseCurrency = DEFAULT_BASE_CURRENCY,
 }) => {
   const [activeTab, setActiveTab] = useState("buy");
+  const [transferType, setTransferType] = useState(
+    TRANSACTION_TYPES.TRANSFER_IN
+  );
   const [formData, setFormData] = useState({
     amount: "",
     price: crypto?.current_price?.toString() || "",
+    quoteCurrency: baseCurrency,
     dateTime: format(new Date(), "yyyy-MM-dd'T'HH:mm"),
     reason: "",
+    fee: "",
+    feeCurrency: FEE_CURRENCIES.USD,
+    feeAsset: "",
+    feePrice: "",
+    fromLocation: "",
+    toLocation: "",
+    incomeType: DEFAULT_INCOME_TYPE,
   });
   const [reasonExpanded, setReasonExpanded] = useState(false);
   const [historicalPrice, setHistoricalPrice] = useState(null);
   const [isLoadingPrice, setIsLoadingPrice] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
   const [errors, setErrors] = useState({});
 
+  // 当前实际的交易类型，转账标签页下由转账方向决定
+  const transactionType = activeTab === "transfer" ? transferType : activeTab;
+  const isTransfer = isTransferType(transactionType);
+  const transactionTypeRef = useRef(transactionType);
+  transactionTypeRef.current = transactionType;
+  // 自动填入的价格，用户没有修改时可以在查不到当时价格时清空
+  const autoFilledPriceRef = useRef(null);
+
   // 当编辑交易记录变化时，更新表单数据
   useEffect(() => {
     if (editTransaction) {
       const dateObj = new Date(editTransaction.date);
 
-      setActiveTab(editTransaction.type);
+      if (isTransferType(editTransaction.type)) {
+        setActiveTab("transfer");
+        setTransferType(editTransaction.type);
+      } else {
+        setActiveTab(editTransaction.type);
+      }
+      // 价格自动填入在状态更新前执行，需要提前同步交易类型
+      transactionTypeRef.current = editTransaction.type;
+      // 非美元计价的交易按原始报价编辑，现金手续费按保存时的汇率换算回计价货币
+      const quoteCurrency =
+        editTransaction.quoteCurrency || DEFAULT_BASE_CURRENCY;
+      const quoteRate =
+        editTransaction.quotePrice > 0
+          ? editTransaction.price / editTransaction.quotePrice
+          : 1;
+      const fromUsd = (value) => (value / quoteRate).toString();
       setFormData({
         amount: editTransaction.amount.toString(),
-        price: editTransaction.price.toString(),
+        price:
+          editTransaction.quotePrice != null
+            ? editTransaction.quotePrice.toString()
+            : editTransaction.price.toString(),
+        quoteCurrency,
         dateTime: format(dateObj, "yyyy-MM-dd'T'HH:mm"),
         reason: editTransaction.reason || "",
+        fee: !editTransaction.fee
+          ? ""
+          : editTransaction.feeCurrency === FEE_CURRENCIES.COIN
+          ? editTransaction.fee.toString()
+          : fromUsd(editTransaction.fee),
+        feeCurrency: editTransaction.feeCurrency || FEE_CURRENCIES.USD,
+        feeAsset: editTransaction.feeAsset || "",
+        feePrice:
+          editTransaction.feePrice != null
+            ? fromUsd(editTransaction.feePrice)
+            : "",
+        fromLocation: editTransaction.fromLocation || "",
+        toLocation: editTransaction.toLocation || "",
+        incomeType: editTransaction.incomeType || DEFAULT_INCOME_TYPE,
       });
 
       setReasonExpanded(!!editTransaction.reason);
+      autoFilledPriceRef.current = null;
 
       // 当编辑交易记录时，尝试获取历史价格
-      fetchHistoricalPrice(dateObj, crypto?.id);
+      fetchHistoricalPrice(dateObj, crypto?.id, quoteCurrency);
     } else if (isOpen) {
       // 新增交易时重置表单
       const now = new Date();
       setFormData({
         amount: "",
         price: crypto?.current_price?.toString() || "",
+        quoteCurrency: baseCurrency,
         dateTime: format(now, "yyyy-MM-dd'T'HH:mm"),
         reason: "",
+        fee: "",
+        feeCurrency: FEE_CURRENCIES.USD,
+        feeAsset: "",
+        feePrice: "",
+        fromLocation: "",
+        toLocation: "",
+        incomeType: DEFAULT_INCOME_TYPE,
       });
       setReasonExpanded(false);
       setHistoricalPrice(null);
+      autoFilledPriceRef.current = crypto?.current_price?.toString() || null;
+    }
+  }, [editTransaction, isOpen, crypto, baseCurrency]);
+
+  /**
+   * 获取以计价货币表示的当时价格，基础货币可选的法币直接查询，
+   * 其他计价资产由美元价格和计价资产当时的美元价格换算
+   * @param {string} coinId - 币种ID
+   * @param {number} timestamp - 时间戳
+   * @param {string} currency - 计价货币
+   * @returns {Promise<Object|null>} 价格及其来源和精度，无法获取时返回null
+   */
+  const getQuotePrice = async (coinId, timestamp, currency) => {
+    if (Object.values(BASE_CURRENCIES).includes(currency)) {
+      return await getHistoricalPriceDetails(coinId, timestamp, currency);
     }
-  }, [editTransaction, isOpen, crypto]);
 
-  // 获取历史价格
-  const fetchHistoricalPrice = async (date, coinId) => {
-    if (!coinId) return;
+    const [usdPrice, quoteRate] = await Promise.all([
+      getHistoricalPriceDetails(coinId, timestamp),
+      getQuoteUsdRate(currency, timestamp),
+    ]);
+    return usdPrice && quoteRate
+      ? { ...usdPrice, price: usdPrice.price / quoteRate }
+      : null;
+  };
+
+  // 获取以指定货币计价的历史价格
+  const fetchHistoricalPrice = async (date, coinId, currency) => {
+    if (!coinId || !currency) return;
 
     const timestamp = date.getTime();
     const now = new Date().getTime();
 
-    // 如果选择的时间是最近1小时内的，就使用当前价格
-    if (now - timestamp < 60 * 60 * 1000) {
+    // 如果选择的时间是最近1小时内的，就使用当前价格，当前价格以基础货币计价
+    if (
+      now - timestamp < 60 * 60 * 1000 &&
+      currency === baseCurrency &&
+      crypto?.current_price
+    ) {
       setHistoricalPrice({
         price: crypto?.current_price,
-        isEstimated: false,
+        isUnavailable: false,
+        isCurrentPrice: true,
       });
       return;
     }
@@ -100,35 +256,52 @@ const TransactionFormDialog = ({
       setIsLoadingPrice(true);
 
       // 使用API获取历史价格
-      const price = await getHistoricalPrice(coinId, timestamp);
-
-      if (price !== null) {
-        // 判断是否为估算价格 (API返回的价格可能是估算的)
-        // 我们简单判断：如果时间超过90天，认为是估算价格
-        const isEstimated = now - timestamp > 90 * 24 * 60 * 60 * 1000;
+      const details = await getQuotePrice(coinId, timestamp, currency);
 
+      if (details !== null) {
+        const { price } = details;
         setHistoricalPrice({
-          price,
-          isEstimated,
+          ...details,
+          isUnavailable: false,
           timestamp: date.toISOString(),
         });
 
-        // 自动填入获取到的价格
-        setFormData((prev) => ({
-          ...prev,
-          price: price.toString(),
-        }));
+        // 自动填入获取到的价格，转入记录的价格是原始成本价，不自动覆盖
+        if (transactionTypeRef.current !== TRANSACTION_TYPES.TRANSFER_IN) {
+          autoFilledPriceRef.current = price.toString();
+          setFormData((prev) => ({
+            ...prev,
+            price: price.toString(),
+          }));
+        }
       } else {
-        setHistoricalPrice(null);
+        markPriceUnavailable(date);
       }
     } catch (error) {
       console.error("Failed to fetch historical price:", error);
-      setHistoricalPrice(null);
+      markPriceUnavailable(date);
     } finally {
       setIsLoadingPrice(false);
     }
   };
 
+  // 查不到当时价格时提示手动输入，并清空之前自动填入的价格，避免用其他时间的价格作为成本
+  const markPriceUnavailable = (date) => {
+    setHistoricalPrice({
+      price: null,
+      isUnavailable: true,
+      timestamp: date.toISOString(),
+    });
+
+    const autoFilledPrice = autoFilledPriceRef.current;
+    autoFilledPriceRef.current = null;
+    if (autoFilledPrice !== null) {
+      setFormData((prev) =>
+        prev.price === autoFilledPrice ? { ...prev, price: "" } : prev
+      );
+    }
+  };
+
   // 处理日期时间变化
   const handleDateTimeChange = (e) => {
     const newDateTime = e.target.value;
@@ -144,7 +317,7 @@ const TransactionFormDialog = ({
       try {
         const dateObj = new Date(newDateTime);
         if (!isNaN(dateObj.getTime())) {
-          fetchHistoricalPrice(dateObj, crypto?.id);
+          fetchHistoricalPrice(dateObj, crypto?.id, formData.quoteCurrency);
         }
       } catch (error) {
         console.error("Invalid date format:", error);
@@ -183,6 +356,32 @@ const TransactionFormDialog = ({
     }
   };
 
+  const handleFeeCurrencyChange = (value) => {
+    setFormData((prev) => ({ ...prev, feeCurrency: value }));
+
+    // 清除手续费相关错误
+    if (errors.feeAsset || errors.feePrice) {
+      setErrors((prev) => ({ ...prev, feeAsset: null, feePrice: null }));
+    }
+  };
+
+  const handleQuoteCurrencyChange = (e) => {
+    const quoteCurrency = e.target.value.trim().toUpperCase();
+    setFormData((prev) => ({ ...prev, quoteCurrency }));
+
+    if (errors.quoteCurrency) {
+      setErrors((prev) => ({ ...prev, quoteCurrency: null }));
+    }
+  };
+
+  // 输入完计价货币后按新货币重新获取当时价格
+  const handleQuoteCurrencyBlur = () => {
+    const dateObj = new Date(formData.dateTime);
+    if (!isNaN(dateObj.getTime())) {
+      fetchHistoricalPrice(dateObj, crypto?.id, formData.quoteCurrency);
+    }
+  };
+
   const handleUseMarketPrice = () => {
     setFormData((prev) => ({
       ...prev,
@@ -206,37 +405,127 @@ const TransactionFormDialog = ({
       newErrors.amount = "请输入有效的数量";
     }
 
+    // 转账类记录的价格可选，买入和卖出必须填写价格
     if (
-      !formData.price ||
-      isNaN(formData.price) ||
-      parseFloat(formData.price) < 0
+      (!isTransfer && !formData.price) ||
+      (formData.price &&
+        (isNaN(formData.price) || parseFloat(formData.price) < 0))
     ) {
       newErrors.price = "请输入有效的价格";
     }
 
+    if (!formData.quoteCurrency) {
+      newErrors.quoteCurrency = "请输入计价货币";
+    }
+
     if (!formData.dateTime) {
       newErrors.dateTime = "请选择日期和时间";
     }
 
+    if (formData.fee && (isNaN(formData.fee) || parseFloat(formData.fee) < 0)) {
+      newErrors.fee = "请输入有效的手续费";
+    }
+
+    if (
+      (transactionType === TRANSACTION_TYPES.BUY ||
+        transactionType === TRANSACTION_TYPES.TRANSFER_IN ||
+        transactionType === TRANSACTION_TYPES.INCOME) &&
+      formData.feeCurrency === FEE_CURRENCIES.COIN &&
+      parseFloat(formData.fee) >= parseFloat(formData.amount)
+    ) {
+      newErrors.fee = "手续费不能超过到账数量";
+    }
+
+    if (
+      formData.feeCurrency === FEE_CURRENCIES.OTHER &&
+      parseFloat(formData.fee) > 0
+    ) {
+      if (!formData.feeAsset.trim()) {
+        newErrors.feeAsset = "请输入手续费币种";
+      }
+
+      if (
+        !formData.feePrice ||
+        isNaN(formData.feePrice) ||
+        parseFloat(formData.feePrice) < 0
+      ) {
+        newErrors.feePrice = "请输入手续费币种的价格";
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
 
     if (!validateForm()) {
       return;
     }
 
+    // 交易记录以美元保存，其他货币输入的价格和手续费按计价货币当时的美元价格换算
+    const { quoteCurrency } = formData;
+    const isUsdQuote = quoteCurrency === DEFAULT_BASE_CURRENCY;
+    let usdRate = 1;
+    if (!isUsdQuote) {
+      setIsSubmitting(true);
+      usdRate = await getQuoteUsdRate(
+        quoteCurrency,
+        new Date(formData.dateTime)
+      );
+      setIsSubmitting(false);
+
+      if (!usdRate) {
+        setErrors((prev) => ({
+          ...prev,
+          quoteCurrency: `无法获取${quoteCurrency}当时的美元价格，请稍后重试或改用美元输入`,
+        }));
+        return;
+      }
+    }
+
+    const quotePrice = parseFloat(formData.price) || 0;
+    const feeAmount = parseFloat(formData.fee) || 0;
     const transaction = {
-      type: activeTab,
+      type: transactionType,
       amount: parseFloat(formData.amount),
-      price: parseFloat(formData.price),
+      price: quotePrice * usdRate,
       date: formData.dateTime, // 直接使用ISO格式的日期时间
       reason: formData.reason.trim(),
+      fee:
+        formData.feeCurrency === FEE_CURRENCIES.USD
+          ? feeAmount * usdRate
+          : feeAmount,
+      feeCurrency: formData.feeCurrency,
     };
 
+    // 第三方资产支付的手续费需要记录资产符号和当时的美元价格
+    if (formData.feeCurrency === FEE_CURRENCIES.OTHER) {
+      transaction.feeAsset = formData.feeAsset.trim().toUpperCase();
+      transaction.feePrice = (parseFloat(formData.feePrice) || 0) * usdRate;
+    }
+
+    // 非美元计价的交易同时保留原始报价，改回美元时清除之前的报价
+    if (!isUsdQuote) {
+      transaction.quoteCurrency = quoteCurrency;
+      transaction.quotePrice = quotePrice;
+    } else if (editTransaction?.quoteCurrency) {
+      transaction.quoteCurrency = undefined;
+      transaction.quotePrice = undefined;
+    }
+
+    // 转账记录保存来源和去向
+    if (isTransfer) {
+      transaction.fromLocation = formData.fromLocation.trim();
+      transaction.toLocation = formData.toLocation.trim();
+    }
+
+    // 收入记录保存收入类型
+    if (transactionType === TRANSACTION_TYPES.INCOME) {
+      transaction.incomeType = formData.incomeType;
+    }
+
     onSubmit(transaction);
 
     // 重置表单并关闭弹窗
@@ -258,11 +547,28 @@ const TransactionFormDialog = ({
 
   const buttonText = isEditing
     ? "保存修改"
-    : activeTab === "buy"
-    ? "添加买入交易"
-    : "添加卖出交易";
-  const reasonPlaceholder =
-    activeTab === "buy" ? "输入买入理由（可选）" : "输入卖出理由（可选）";
+    : SUBMIT_BUTTON_TEXT[transactionType];
+  const reasonLabel =
+    transactionType === TRANSACTION_TYPES.BUY
+      ? "买入理由"
+      : transactionType === TRANSACTION_TYPES.SELL
+      ? "卖出理由"
+      : "备注";
+  const reasonPlaceholder = `输入${reasonLabel}（可选）`;
+  const priceLabel =
+    transactionType === TRANSACTION_TYPES.TRANSFER_IN
+      ? "原始成本价（可选）"
+      : isTransfer
+      ? "参考价格（可选，不影响成本）"
+      : transactionType === TRANSACTION_TYPES.INCOME
+      ? "到账时市场价格"
+      : "价格";
+
+  // 兑换会生成两条关联记录，只能新增，不能作为单条记录编辑
+  const showSwapTab = !!onSubmitSwap && !isEditing;
+
+  // 当前市价以基础货币计价，价格使用其他货币时不能直接填入
+  const canUseMarketPrice = formData.quoteCurrency === baseCurrency;
 
   // 判断是否要显示历史价格组件
   const showHistoricalPrice =
@@ -284,171 +590,413 @@ const TransactionFormDialog = ({
           className="w-full"
           disabled={isEditing}
         >
-          <TabsList className="grid w-full grid-cols-2">
+          <TabsList
+            className={cn(
+              "grid w-full",
+              showSwapTab ? "grid-cols-5" : "grid-cols-4"
+            )}
+          >
             <TabsTrigger value="buy">买入</TabsTrigger>
             <TabsTrigger value="sell">卖出</TabsTrigger>
+            <TabsTrigger value="transfer">转账</TabsTrigger>
+            <TabsTrigger value="income">收入</TabsTrigger>
+            {showSwapTab && <TabsTrigger value="swap">兑换</TabsTrigger>}
           </TabsList>
 
-          <form onSubmit={handleSubmit} className="mt-4">
-            <div className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="amount" className="text-sm">
-                  数量
-                </Label>
-                <Input
-                  id="amount"
-                  name="amount"
-                  type="number"
-                  inputMode="decimal"
-                  value={formData.amount}
-                  onChange={handleChange}
-                  placeholder={`输入${crypto.symbol.toUpperCase()}数量`}
-                  className={cn(
-                    errors.amount && "border-destructive",
-                    "text-sm"
-                  )}
-                  required
-                  step="any"
-                />
-                {errors.amount && (
-                  <p className="text-xs text-destructive">{errors.amount}</p>
+          {activeTab === "swap" ? (
+            <SwapForm
+              crypto={crypto}
+              portfolio={portfolio}
+              onSubmit={(swap) => {
+                onSubmitSwap(swap);
+                onClose();
+              }}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="mt-4">
+              <div className="space-y-4">
+                {activeTab === "transfer" && (
+                  <div className="space-y-2">
+                    <Label htmlFor="transferType" className="text-sm">
+                      转账类型
+                    </Label>
+                    <Select
+                      value={transferType}
+                      onValueChange={setTransferType}
+                      disabled={isEditing}
+                    >
+                      <SelectTrigger id="transferType" className="w-full h-10">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {TRANSFER_OPTIONS.map((type) => (
+                          <SelectItem key={type} value={type}>
+                            {TRANSACTION_TYPE_LABELS[type]}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <div className="grid grid-cols-2 gap-2">
+                      <Input
+                        id="fromLocation"
+                        name="fromLocation"
+                        value={formData.fromLocation}
+                        onChange={handleChange}
+                        placeholder="来源（如 Binance）"
+                        className="text-sm"
+                      />
+                      <Input
+                        id="toLocation"
+                        name="toLocation"
+                        value={formData.toLocation}
+                        onChange={handleChange}
+                        placeholder="去向（如 冷钱包）"
+                        className="text-sm"
+                      />
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      转账只改变持仓，不计入卖出盈亏，也不产生新的成本
+                    </p>
+                  </div>
                 )}
-              </div>
 
-              <div className="space-y-2">
-                <Label
-                  htmlFor="price"
-                  className="text-sm sm:text-base mb-1 block"
-                >
-                  价格
-                </Label>
-                <div className="flex space-x-2">
+                {activeTab === TRANSACTION_TYPES.INCOME && (
+                  <div className="space-y-2">
+                    <Label htmlFor="incomeType" className="text-sm">
+                      收入类型
+                    </Label>
+                    <Select
+                      value={formData.incomeType}
+                      onValueChange={(value) =>
+                        setFormData((prev) => ({ ...prev, incomeType: value }))
+                      }
+                    >
+                      <SelectTrigger id="incomeType" className="w-full h-10">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(INCOME_TYPE_LABELS).map(
+                          ([value, label]) => (
+                            <SelectItem key={value} value={value}>
+                              {label}
+                            </SelectItem>
+                          )
+                        )}
+                      </SelectContent>
+                    </Select>
+                    <p className="text-xs text-muted-foreground">
+                      按到账时的市场价格计为收入，并作为这部分持仓的成本
+                    </p>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <Label htmlFor="amount" className="text-sm">
+                    数量
+                  </Label>
                   <Input
-                    id="price"
-                    name="price"
+                    id="amount"
+                    name="amount"
                     type="number"
                     inputMode="decimal"
-                    value={formData.price}
+                    value={formData.amount}
                     onChange={handleChange}
-                    placeholder="输入交易价格"
+                    placeholder={`输入${crypto.symbol.toUpperCase()}数量`}
                     className={cn(
-                      errors.price && "border-destructive",
+                      errors.amount && "border-destructive",
                       "text-sm"
                     )}
                     required
                     step="any"
                   />
-                  <Button
-                    type="button"
-                    variant="outline"
-                    size="icon"
-                    onClick={handleUseMarketPrice}
-                    title="使用当前市价"
-                  >
-                    <FiRefreshCw className="h-4 w-4" />
-                  </Button>
+                  {errors.amount && (
+                    <p className="text-xs text-destructive">{errors.amount}</p>
+                  )}
                 </div>
-                {errors.price && (
-                  <p className="text-xs text-red-500 mt-1">{errors.price}</p>
-                )}
-              </div>
 
-              <div className="mb-4">
-                <Label
-                  htmlFor="dateTime"
-                  className="text-sm sm:text-base mb-1 block"
-                >
-                  日期 & 时间
-                </Label>
-                <div className="relative">
-                  <Input
-                    type="datetime-local"
-                    id="dateTime"
-                    name="dateTime"
-                    value={formData.dateTime}
-                    onChange={handleDateTimeChange}
-                    className={cn(
-                      "pr-10",
-                      errors.dateTime ? "border-red-500" : ""
+                <div className="space-y-2">
+                  <Label
+                    htmlFor="price"
+                    className="text-sm sm:text-base mb-1 block"
+                  >
+                    {priceLabel}
+                  </Label>
+                  <div className="flex space-x-2">
+                    <Input
+                      id="price"
+                      name="price"
+                      type="number"
+                      inputMode="decimal"
+                      value={formData.price}
+                      onChange={handleChange}
+                      placeholder="输入交易价格"
+                      className={cn(
+                        errors.price && "border-destructive",
+                        "text-sm"
+                      )}
+                      required={!isTransfer}
+                      step="any"
+                    />
+                    <Input
+                      id="quoteCurrency"
+                      name="quoteCurrency"
+                      list="quoteCurrencyOptions"
+                      value={formData.quoteCurrency}
+                      onChange={handleQuoteCurrencyChange}
+                      onBlur={handleQuoteCurrencyBlur}
+                      aria-label="价格的计价货币"
+                      className={cn(
+                        errors.quoteCurrency && "border-destructive",
+                        "w-24 text-sm uppercase"
+                      )}
+                    />
+                    <datalist id="quoteCurrencyOptions">
+                      {QUOTE_CURRENCY_SUGGESTIONS.map((currency) => (
+                        <option key={currency} value={currency} />
+                      ))}
+                    </datalist>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="icon"
+                      onClick={handleUseMarketPrice}
+                      disabled={!canUseMarketPrice}
+                      title="使用当前市价"
+                    >
+                      <FiRefreshCw className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  {errors.price && (
+                    <p className="text-xs text-red-500 mt-1">{errors.price}</p>
+                  )}
+                  {errors.quoteCurrency && (
+                    <p className="text-xs text-red-500 mt-1">
+                      {errors.quoteCurrency}
+                    </p>
+                  )}
+                  {formData.quoteCurrency &&
+                    formData.quoteCurrency !== DEFAULT_BASE_CURRENCY && (
+                      <p className="text-xs text-muted-foreground">
+                        保存原始报价，并按交易时{formData.quoteCurrency}
+                        的美元价格换算为美元记录，现金手续费同样按
+                        {formData.quoteCurrency}输入
+                      </p>
                     )}
-                  />
                 </div>
-                {errors.dateTime && (
-                  <p className="text-xs text-red-500 mt-1">{errors.dateTime}</p>
-                )}
 
-                {historicalPrice && (
-                  <div className="mt-2 text-xs flex flex-col">
-                    <span
+                <div className="space-y-2">
+                  <Label htmlFor="fee" className="text-sm">
+                    {isTransfer ? "网络手续费（可选）" : "手续费（可选）"}
+                  </Label>
+                  <div className="flex space-x-2">
+                    <Input
+                      id="fee"
+                      name="fee"
+                      type="number"
+                      inputMode="decimal"
+                      value={formData.fee}
+                      onChange={handleChange}
+                      placeholder="输入手续费"
                       className={cn(
-                        "flex items-center",
-                        historicalPrice.isEstimated
-                          ? "text-yellow-500"
-                          : "text-primary"
+                        errors.fee && "border-destructive",
+                        "text-sm"
                       )}
+                      step="any"
+                    />
+                    <Select
+                      value={formData.feeCurrency}
+                      onValueChange={handleFeeCurrencyChange}
                     >
-                      {historicalPrice.isEstimated && "估算"}当时价格:{" "}
-                      {historicalPrice.price
-                        ? `$${historicalPrice.price.toLocaleString(undefined, {
-                            minimumFractionDigits: 2,
-                            maximumFractionDigits:
-                              crypto?.current_price > 1 ? 2 : 8,
-                          })}`
-                        : "未知"}
-                    </span>
+                      <SelectTrigger className="w-32 h-10">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={FEE_CURRENCIES.USD}>
+                          {formData.quoteCurrency}
+                        </SelectItem>
+                        <SelectItem value={FEE_CURRENCIES.COIN}>
+                          {crypto.symbol.toUpperCase()}
+                        </SelectItem>
+                        <SelectItem value={FEE_CURRENCIES.OTHER}>
+                          其他
+                        </SelectItem>
+                      </SelectContent>
+                    </Select>
                   </div>
-                )}
+                  {errors.fee && (
+                    <p className="text-xs text-red-500 mt-1">{errors.fee}</p>
+                  )}
+
+                  {formData.feeCurrency === FEE_CURRENCIES.OTHER && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <Input
+                          id="feeAsset"
+                          name="feeAsset"
+                          value={formData.feeAsset}
+                          onChange={handleChange}
+                          placeholder="币种，如 BNB"
+                          className={cn(
+                            errors.feeAsset && "border-destructive",
+                            "text-sm"
+                          )}
+                        />
+                        {errors.feeAsset && (
+                          <p className="text-xs text-red-500 mt-1">
+                            {errors.feeAsset}
+                          </p>
+                        )}
+                      </div>
+                      <div>
+                        <Input
+                          id="feePrice"
+                          name="feePrice"
+                          type="number"
+                          inputMode="decimal"
+                          value={formData.feePrice}
+                          onChange={handleChange}
+                          placeholder={`该币种${formData.quoteCurrency}价格`}
+                          className={cn(
+                            errors.feePrice && "border-destructive",
+                            "text-sm"
+                          )}
+                          step="any"
+                        />
+                        {errors.feePrice && (
+                          <p className="text-xs text-red-500 mt-1">
+                            {errors.feePrice}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
 
-                {isLoadingPrice && (
-                  <div className="mt-2 text-xs text-muted-foreground flex items-center">
-                    <span className="animate-spin mr-1">
-                      <FiRefreshCw size={12} />
-                    </span>
-                    获取历史价格中...
+                <div className="mb-4">
+                  <Label
+                    htmlFor="dateTime"
+                    className="text-sm sm:text-base mb-1 block"
+                  >
+                    日期 & 时间
+                  </Label>
+                  <div className="relative">
+                    <Input
+                      type="datetime-local"
+                      id="dateTime"
+                      name="dateTime"
+                      value={formData.dateTime}
+                      onChange={handleDateTimeChange}
+                      className={cn(
+                        "pr-10",
+                        errors.dateTime ? "border-red-500" : ""
+                      )}
+                    />
                   </div>
-                )}
+                  {errors.dateTime && (
+                    <p className="text-xs text-red-500 mt-1">
+                      {errors.dateTime}
+                    </p>
+                  )}
+
+                  {historicalPrice && !isLoadingPrice && (
+                    <div className="mt-2 text-xs flex flex-col">
+                      {historicalPrice.isUnavailable ? (
+                        <span className="text-yellow-500">
+                          当时价格不可用：没有该时间的行情数据，请手动输入价格
+                        </span>
+                      ) : (
+                        <>
+                          <span className="flex items-center text-primary">
+                            当时价格:{" "}
+                            {formatCurrency(
+                              historicalPrice.price,
+                              formData.quoteCurrency,
+                              {
+                                localeOptions: {
+                                  minimumFractionDigits: 2,
+                                  maximumFractionDigits:
+                                    historicalPrice.price > 1 ? 2 : 8,
+                                },
+                              }
+                            )}
+                          </span>
+                          <span className="text-muted-foreground">
+                            {historicalPrice.isCurrentPrice ? (
+                              "来源：当前市价"
+                            ) : (
+                              <>
+                                来源：{historicalPrice.sourceName}，精度：
+                                {formatGranularity(historicalPrice.granularity)}
+                                （数据时间{" "}
+                                {format(
+                                  historicalPrice.time,
+                                  "yyyy-MM-dd HH:mm"
+                                )}
+                                ）
+                              </>
+                            )}
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {isLoadingPrice && (
+                    <div className="mt-2 text-xs text-muted-foreground flex items-center">
+                      <span className="animate-spin mr-1">
+                        <FiRefreshCw size={12} />
+                      </span>
+                      获取历史价格中...
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="button"
+                    onClick={toggleReasonField}
+                    className="flex items-center text-sm font-medium text-muted-foreground hover:text-foreground transition-colors"
+                  >
+                    {reasonExpanded ? (
+                      <FiMinus className="mr-1 h-4 w-4" />
+                    ) : (
+                      <FiPlus className="mr-1 h-4 w-4" />
+                    )}
+                    {reasonLabel}（可选）
+                  </button>
+
+                  {reasonExpanded && (
+                    <div className="mt-2">
+                      <Textarea
+                        id="reason"
+                        name="reason"
+                        value={formData.reason}
+                        onChange={handleChange}
+                        placeholder={reasonPlaceholder}
+                        className="resize-none text-sm mt-2"
+                        rows={3}
+                      />
+                    </div>
+                  )}
+                </div>
               </div>
 
-              <div>
-                <button
-                  type="button"
-                  onClick={toggleReasonField}
-                  className="flex items-center text-sm font-medium text-muted-foreground hover:text-foreground transition-colors"
+              <div className="mt-6 flex justify-end">
+                <Button
+                  type="submit"
+                  variant={
+                    transactionType === TRANSACTION_TYPES.SELL
+                      ? "destructive"
+                      : "default"
+                  }
+                  className="w-full sm:w-auto"
+                  disabled={isSubmitting}
                 >
-                  {reasonExpanded ? (
-                    <FiMinus className="mr-1 h-4 w-4" />
-                  ) : (
-                    <FiPlus className="mr-1 h-4 w-4" />
-                  )}
-                  {activeTab === "buy" ? "买入理由" : "卖出理由"}（可选）
-                </button>
-
-                {reasonExpanded && (
-                  <div className="mt-2">
-                    <Textarea
-                      id="reason"
-                      name="reason"
-                      value={formData.reason}
-                      onChange={handleChange}
-                      placeholder={reasonPlaceholder}
-                      className="resize-none text-sm mt-2"
-                      rows={3}
-                    />
-                  </div>
-                )}
+                  {buttonText}
+                </Button>
               </div>
-            </div>
-
-            <div className="mt-6 flex justify-end">
-              <Button
-                type="submit"
-                variant={activeTab === "buy" ? "default" : "destructive"}
-                className="w-full sm:w-auto"
-              >
-                {buttonText}
-              </Button>
-            </div>
-          </form>
+            </form>
+          )}
         </Tabs>
       </DialogContent>
     </Dialog>
@@ -5,6 +5,7 @@ import {
   FiEdit2,
   FiMoreVertical,
   FiDownload,
+  FiLock,
   FiFileText,
   FiChevronDown,
 } from "react-icons/fi";
@@ -27,6 +28,81 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import {
+  FEE_CURRENCIES,
+  SWAP_LABEL,
+  SWAP_TYPE,
+  TRANSACTION_TYPES,
+  TRANSACTION_TYPE_LABELS,
+  formatTransactionFee,
+  getIncomeTypeLabel,
+  getTransactionFeeValue,
+  getTransactionLabel,
+  getTransactionTypeLabel,
+  isSwapLeg,
+  isTransferType,
+} from "@/utils/transactionUtils";
+import { calculateYearlyIncome } from "@/utils/cryptoUtils";
+import { DEFAULT_BASE_CURRENCY, formatCurrency } from "@/utils/currency";
+import { stringifyCSV } from "@/utils/csvParser";
+
+// 各交易类型标签的颜色样式
+const TYPE_BADGE_CLASSES = {
+  [TRANSACTION_TYPES.BUY]:
+    "bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100",
+  [TRANSACTION_TYPES.SELL]:
+    "bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100",
+  [TRANSACTION_TYPES.TRANSFER_IN]:
+    "bg-blue-100 text-blue-800 dark:bg-blue-800 dark:text-blue-100",
+  [TRANSACTION_TYPES.TRANSFER_OUT]:
+    "bg-orange-100 text-orange-800 dark:bg-orange-800 dark:text-orange-100",
+  [TRANSACTION_TYPES.TRANSFER]:
+    "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-100",
+  [TRANSACTION_TYPES.INCOME]:
+    "bg-purple-100 text-purple-800 dark:bg-purple-800 dark:text-purple-100",
+  [SWAP_TYPE]: "bg-teal-100 text-teal-800 dark:bg-teal-800 dark:text-teal-100",
+};
+
+/**
+ * 将共享 swapId 的卖出和买入记录合并为一行兑换记录
+ * @param {Array} transactions - 带币种信息的交易记录列表
+ * @returns {Array} 合并后的列表，兑换行的 legs 为 [卖出记录, 买入记录]
+ */
+const groupSwapLegs = (transactions) => {
+  const swaps = {};
+  transactions.filter(isSwapLeg).forEach((tx) => {
+    swaps[tx.swapId] = swaps[tx.swapId] || [];
+    swaps[tx.swapId].push(tx);
+  });
+
+  const rows = [];
+  transactions.forEach((tx) => {
+    const legs = isSwapLeg(tx) && swaps[tx.swapId];
+    const sellLeg =
+      legs && legs.find((leg) => leg.type === TRANSACTION_TYPES.SELL);
+    const buyLeg =
+      legs && legs.find((leg) => leg.type === TRANSACTION_TYPES.BUY);
+
+    // 缺少另一边的兑换记录按普通交易显示
+    if (!sellLeg || !buyLeg) {
+      rows.push(tx);
+      return;
+    }
+
+    if (tx === sellLeg) {
+      rows.push({ ...sellLeg, type: SWAP_TYPE, legs: [sellLeg, buyLeg] });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * 将兑换行展开为原始的卖出和买入记录，用于导出
+ * @param {Array} rows - 列表中的交易行
+ * @returns {Array} 原始交易记录列表
+ */
+const expandSwapRows = (rows) => rows.flatMap((row) => row.legs || [row]);
 
 /**
  * @typedef {Object} TransactionListProps
@@ -36,6 +112,9 @@ import {
  * @property {(transaction: Object) => void} onEdit - 编辑交易的回调函数
  * @property {Object} portfolio - 投资组合数据
  * @property {boolean} [isLoading] - 加载状态
+ * @property {boolean} [readOnly] - 是否只读，只读时不显示编辑和删除操作
+ * @property {() => void} [onExportEncryptedBackup] - 导出加密备份的回调函数
+ * @property {Object|null} [exchangeRates] - 基础货币的汇率表，年度收入按基础货币汇总，交易记录仍显示美元
  */
 
 /**
@@ -55,8 +134,17 @@ const exportTransactionsToCSV = (transactions) => {
     "数量",
     "价格(USD)",
     "总价值(USD)",
+    "手续费",
+    "手续费币种",
+    "手续费(USD)",
+    "计价货币",
+    "计价价格",
     "日期",
     "备注",
+    "来源",
+    "去向",
+    "收入类型",
+    "兑换ID",
   ];
 
   // 处理交易数据行
@@ -64,7 +152,13 @@ const exportTransactionsToCSV = (transactions) => {
     const totalValue = tx.amount * tx.price;
     const dateObj = new Date(tx.date);
     const formattedDate = format(dateObj, "yyyy-MM-dd HH:mm:ss");
-    const type = tx.type === "buy" ? "买入" : "卖出";
+    const type = getTransactionTypeLabel(tx.type);
+    const feeCurrency =
+      tx.feeCurrency === FEE_CURRENCIES.COIN
+        ? tx.coinSymbol?.toUpperCase() || ""
+        : tx.feeCurrency === FEE_CURRENCIES.OTHER
+        ? (tx.feeAsset || "").toUpperCase()
+        : "USD";
 
     return [
       tx.coinSymbol?.toUpperCase() || "",
@@ -72,16 +166,24 @@ const exportTransactionsToCSV = (transactions) => {
       tx.amount,
       tx.price,
       totalValue,
+      tx.fee || 0,
+      feeCurrency,
+      getTransactionFeeValue(tx),
+      tx.quoteCurrency || "USD",
+      tx.quoteCurrency ? tx.quotePrice : tx.price,
       formattedDate,
       tx.reason || "",
+      tx.fromLocation || "",
+      tx.toLocation || "",
+      tx.type === TRANSACTION_TYPES.INCOME
+        ? getIncomeTypeLabel(tx.incomeType)
+        : "",
+      tx.swapId || "",
     ];
   });
 
   // 组合成CSV内容
-  const csvContent = [
-    headers.join(","),
-    ...rows.map((row) => row.join(",")),
-  ].join("\n");
+  const csvContent = stringifyCSV([headers, ...rows]);
 
   // 创建下载链接
   const blob = new Blob(["\uFEFF" + csvContent], {
@@ -146,6 +248,28 @@ const exportTransactionsToJSON = (transactions, portfolio) => {
       type: tx.type,
       amount: tx.amount,
       price: tx.price,
+      fee: tx.fee || 0,
+      feeCurrency: tx.feeCurrency || FEE_CURRENCIES.USD,
+      ...(tx.feeCurrency === FEE_CURRENCIES.OTHER && {
+        feeAsset: tx.feeAsset,
+        feePrice: tx.feePrice,
+      }),
+      ...(tx.quoteCurrency && {
+        quoteCurrency: tx.quoteCurrency,
+        quotePrice: tx.quotePrice,
+      }),
+      ...(isTransferType(tx.type) && {
+        fromLocation: tx.fromLocation || "",
+        toLocation: tx.toLocation || "",
+      }),
+      ...(tx.type === TRANSACTION_TYPES.INCOME && {
+        incomeType: tx.incomeType,
+      }),
+      ...(isSwapLeg(tx) && {
+        swapId: tx.swapId,
+        swapCoinId: tx.swapCoinId,
+        swapAmount: tx.swapAmount,
+      }),
       date: tx.date,
       reason: tx.reason || "",
     });
@@ -171,6 +295,30 @@ const exportTransactionsToJSON = (transactions, portfolio) => {
   document.body.removeChild(link);
 };
 
+/**
+ * 显示美元金额，非美元计价的交易先显示原始报价，再显示换算后的美元金额
+ * @param {Object} transaction - 交易记录
+ * @param {number} usdValue - 美元金额
+ * @param {number} quoteValue - 以计价货币表示的金额
+ * @returns {JSX.Element|string}
+ */
+const renderQuotedValue = (transaction, usdValue, quoteValue) => {
+  if (!transaction.quoteCurrency) return `$${usdValue.toLocaleString()}`;
+
+  return (
+    <>
+      <div>
+        {formatCurrency(quoteValue, transaction.quoteCurrency, {
+          localeOptions: { maximumFractionDigits: 8 },
+        })}
+      </div>
+      <div className="text-xs text-muted-foreground">
+        ≈${usdValue.toLocaleString()}
+      </div>
+    </>
+  );
+};
+
 /**
  * 交易列表组件
  * @param {TransactionListProps} props
@@ -183,8 +331,14 @@ const TransactionList = ({
   onEdit,
   portfolio,
   isLoading = false,
+  readOnly = false,
+  onExportEncryptedBackup,
+  exchangeRates = null,
 }) => {
   const [activeTab, setActiveTab] = useState("all");
+  const [typeFilter, setTypeFilter] = useState("all");
+  // 交易视图显示所有交易，收入视图只显示收入记录及年度汇总
+  const [view, setView] = useState("transactions");
   const [allTransactions, setAllTransactions] = useState([]);
 
   // 获取所有币种的ID和名称，用于构建标签页
@@ -221,18 +375,37 @@ const TransactionList = ({
 
     // 按日期降序排序
     transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    setAllTransactions(transactions);
+    setAllTransactions(groupSwapLegs(transactions));
   }, [portfolio]);
 
-  // 根据选中的标签页筛选交易记录
+  // 根据选中的标签页和交易类型筛选交易记录
   const filteredTransactions = useMemo(() => {
-    if (activeTab === "all") {
-      return allTransactions;
-    } else {
-      // 从所有交易中筛选特定币种的交易记录
-      return allTransactions.filter((tx) => tx.coinId === activeTab);
+    // 从所有交易中筛选特定币种的交易记录
+    const coinTransactions =
+      activeTab === "all"
+        ? allTransactions
+        : allTransactions.filter((tx) =>
+            (tx.legs || [tx]).some((leg) => leg.coinId === activeTab)
+          );
+
+    const type = view === "income" ? TRANSACTION_TYPES.INCOME : typeFilter;
+    if (type === "all") {
+      return coinTransactions;
     }
-  }, [activeTab, allTransactions]);
+    return coinTransactions.filter((tx) => tx.type === type);
+  }, [activeTab, typeFilter, view, allTransactions]);
+
+  // 按年份汇总当前币种筛选下的收入
+  const yearlyIncome = useMemo(() => {
+    if (!portfolio || !portfolio.coins) return [];
+
+    const coins =
+      activeTab === "all"
+        ? portfolio.coins
+        : portfolio.coins.filter((coin) => coin.id === activeTab);
+    return calculateYearlyIncome(coins, exchangeRates);
+  }, [activeTab, portfolio, exchangeRates]);
+  const incomeCurrency = exchangeRates?.currency || DEFAULT_BASE_CURRENCY;
 
   if (
     (!transactions || transactions.length === 0) &&
@@ -264,12 +437,12 @@ const TransactionList = ({
 
   // 导出当前筛选后的交易记录
   const handleExportCSV = () => {
-    exportTransactionsToCSV(filteredTransactions);
+    exportTransactionsToCSV(expandSwapRows(filteredTransactions));
   };
 
   // 导出JSON格式的完整数据
   const handleExportJSON = () => {
-    exportTransactionsToJSON(filteredTransactions, portfolio);
+    exportTransactionsToJSON(expandSwapRows(filteredTransactions), portfolio);
   };
 
   return (
@@ -277,6 +450,24 @@ const TransactionList = ({
       <CardHeader className="flex flex-row items-center justify-between">
         <CardTitle>交易记录</CardTitle>
         <div className="flex gap-2">
+          {view === "transactions" && (
+            <Select value={typeFilter} onValueChange={setTypeFilter}>
+              <SelectTrigger className="h-9 w-[120px]">
+                <SelectValue placeholder="交易类型" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">全部类型</SelectItem>
+                {Object.entries(TRANSACTION_TYPE_LABELS).map(
+                  ([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  )
+                )}
+                <SelectItem value={SWAP_TYPE}>{SWAP_LABEL}</SelectItem>
+              </SelectContent>
+            </Select>
+          )}
           <DropdownMenu>
             <DropdownMenuTrigger asChild>
               <Button
@@ -298,11 +489,24 @@ const TransactionList = ({
                 <FiFileText className="mr-2 h-4 w-4" />
                 <span>导出为JSON (备份)</span>
               </DropdownMenuItem>
+              {onExportEncryptedBackup && (
+                <DropdownMenuItem onClick={onExportEncryptedBackup}>
+                  <FiLock className="mr-2 h-4 w-4" />
+                  <span>导出加密备份</span>
+                </DropdownMenuItem>
+              )}
             </DropdownMenuContent>
           </DropdownMenu>
         </div>
       </CardHeader>
       <CardContent>
+        <Tabs value={view} onValueChange={setView} className="mb-4">
+          <TabsList>
+            <TabsTrigger value="transactions">全部交易</TabsTrigger>
+            <TabsTrigger value="income">收入</TabsTrigger>
+          </TabsList>
+        </Tabs>
+
         {coinTabs.length > 0 && (
           <>
             {/* 移动端显示下拉选择器 */}
@@ -344,6 +548,36 @@ const TransactionList = ({
           </>
         )}
 
+        {view === "income" && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            {yearlyIncome.length === 0 ? (
+              <div className="col-span-full text-center py-4 text-muted-foreground">
+                暂无收入记录
+              </div>
+            ) : (
+              yearlyIncome.map(({ year, total, byType }) => (
+                <div key={year} className="rounded-lg border p-4">
+                  <h4 className="text-sm font-medium text-muted-foreground mb-1">
+                    {year} 年收入
+                  </h4>
+                  <p className="text-xl font-bold">
+                    {formatCurrency(total, incomeCurrency)}
+                  </p>
+                  {Object.entries(byType).map(([incomeType, value]) => (
+                    <div
+                      key={incomeType}
+                      className="flex justify-between text-xs text-muted-foreground"
+                    >
+                      <span>{getIncomeTypeLabel(incomeType)}</span>
+                      <span>{formatCurrency(value, incomeCurrency)}</span>
+                    </div>
+                  ))}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-border">
             <thead className="bg-muted">
@@ -382,22 +616,30 @@ const TransactionList = ({
                 </th>
                 <th
                   scope="col"
-                  className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                  className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
                 >
-                  日期
+                  手续费
                 </th>
                 <th
                   scope="col"
                   className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider"
                 >
-                  备注
+                  日期
                 </th>
                 <th
                   scope="col"
-                  className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                  className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider"
                 >
-                  操作
+                  备注
                 </th>
+                {!readOnly && (
+                  <th
+                    scope="col"
+                    className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                  >
+                    操作
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody
@@ -409,41 +651,94 @@ const TransactionList = ({
                 const totalValue = transaction.amount * transaction.price;
                 const dateObj = new Date(transaction.date);
                 const symbol = transaction.coinSymbol || crypto?.symbol || "";
+                // 兑换行按 [卖出, 买入] 顺序逐行显示两边的数量和价格
+                const legs = transaction.legs;
 
                 return (
                   <tr key={transaction.id} className="hover:bg-muted/50">
                     {activeTab === "all" && coinTabs.length > 0 && (
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center">
-                          <img
-                            src={transaction.coinImage}
-                            alt={transaction.coinName}
-                            className="h-6 w-6 rounded-full mr-2"
-                          />
-                          <span>{transaction.coinSymbol?.toUpperCase()}</span>
-                        </div>
+                        {(legs || [transaction]).map((leg, index) => (
+                          <div key={leg.id} className="flex items-center">
+                            {index > 0 && (
+                              <span className="mr-2 text-muted-foreground">
+                                →
+                              </span>
+                            )}
+                            <img
+                              src={leg.coinImage}
+                              alt={leg.coinName}
+                              className="h-6 w-6 rounded-full mr-2"
+                            />
+                            <span>{leg.coinSymbol?.toUpperCase()}</span>
+                          </div>
+                        ))}
                       </td>
                     )}
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          transaction.type === "buy"
-                            ? "bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100"
-                            : "bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100"
+                          TYPE_BADGE_CLASSES[transaction.type] ||
+                          TYPE_BADGE_CLASSES[TRANSACTION_TYPES.TRANSFER]
                         }`}
                       >
-                        {transaction.type === "buy" ? "买入" : "卖出"}
+                        {legs ? SWAP_LABEL : getTransactionLabel(transaction)}
                       </span>
+                      {(transaction.fromLocation || transaction.toLocation) && (
+                        <div className="text-xs text-muted-foreground mt-1">
+                          {transaction.fromLocation || "-"} →{" "}
+                          {transaction.toLocation || "-"}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {legs
+                        ? legs.map((leg, index) => (
+                            <div
+                              key={leg.id}
+                              className={
+                                index === 0 ? "text-red-600" : "text-green-600"
+                              }
+                            >
+                              {index === 0 ? "-" : "+"}
+                              {leg.amount.toLocaleString()}{" "}
+                              {leg.coinSymbol?.toUpperCase()}
+                            </div>
+                          ))
+                        : `${transaction.amount.toLocaleString()} ${symbol.toUpperCase()}`}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      {transaction.amount.toLocaleString()}{" "}
-                      {symbol.toUpperCase()}
+                      {legs
+                        ? legs.map((leg) => (
+                            <div key={leg.id}>
+                              ${leg.price.toLocaleString()}
+                            </div>
+                          ))
+                        : renderQuotedValue(
+                            transaction,
+                            transaction.price,
+                            transaction.quotePrice
+                          )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      ${transaction.price.toLocaleString()}
+                      {renderQuotedValue(
+                        transaction,
+                        totalValue,
+                        transaction.amount * transaction.quotePrice
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                      ${totalValue.toLocaleString()}
+                      <div>{formatTransactionFee(transaction, symbol)}</div>
+                      {transaction.feeCurrency &&
+                        transaction.feeCurrency !== FEE_CURRENCIES.USD &&
+                        getTransactionFeeValue(transaction) > 0 && (
+                          <div className="text-xs text-muted-foreground">
+                            ≈$
+                            {getTransactionFeeValue(
+                              transaction
+                            ).toLocaleString()}
+                          </div>
+                        )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       {format(dateObj, "yyyy-MM-dd HH:mm")}
@@ -451,54 +746,65 @@ const TransactionList = ({
                     <td className="px-6 py-4 text-sm max-w-[200px] truncate">
                       {transaction.reason || "-"}
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <DropdownMenu>
-                        <DropdownMenuTrigger asChild>
-                          <Button
-                            variant="ghost"
-                            size="sm"
-                            disabled={isLoading}
-                          >
-                            <FiMoreVertical className="h-4 w-4" />
-                          </Button>
-                        </DropdownMenuTrigger>
-                        <DropdownMenuContent align="end">
-                          <DropdownMenuItem
-                            onClick={() => {
-                              // 如果是全部标签页，需要先切换到对应币种的标签页
-                              if (activeTab === "all" && transaction.coinId) {
-                                setActiveTab(transaction.coinId);
-                                // 需要延迟执行编辑操作，等待标签页切换完成
-                                setTimeout(() => {
-                                  onEdit && onEdit(transaction);
-                                }, 100);
-                              } else {
-                                onEdit && onEdit(transaction);
-                              }
-                            }}
-                            disabled={isLoading}
-                          >
-                            <FiEdit2 className="mr-2 h-4 w-4" />
-                            <span>编辑</span>
-                          </DropdownMenuItem>
-                          <DropdownMenuItem
-                            onClick={() => {
-                              // 如果是全部标签页，需要传递币种ID
-                              if (activeTab === "all" && transaction.coinId) {
-                                onDelete(transaction.id, transaction.coinId);
-                              } else {
-                                onDelete(transaction.id);
-                              }
-                            }}
-                            className="text-destructive focus:text-destructive"
-                            disabled={isLoading}
-                          >
-                            <FiTrash2 className="mr-2 h-4 w-4" />
-                            <span>删除</span>
-                          </DropdownMenuItem>
-                        </DropdownMenuContent>
-                      </DropdownMenu>
-                    </td>
+                    {!readOnly && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              disabled={isLoading}
+                            >
+                              <FiMoreVertical className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            {/* 兑换由两条关联记录组成，只能整体删除 */}
+                            {!legs && (
+                              <DropdownMenuItem
+                                onClick={() => {
+                                  // 如果是全部标签页，需要先切换到对应币种的标签页
+                                  if (
+                                    activeTab === "all" &&
+                                    transaction.coinId
+                                  ) {
+                                    setActiveTab(transaction.coinId);
+                                    // 需要延迟执行编辑操作，等待标签页切换完成
+                                    setTimeout(() => {
+                                      onEdit && onEdit(transaction);
+                                    }, 100);
+                                  } else {
+                                    onEdit && onEdit(transaction);
+                                  }
+                                }}
+                                disabled={isLoading}
+                              >
+                                <FiEdit2 className="mr-2 h-4 w-4" />
+                                <span>编辑</span>
+                              </DropdownMenuItem>
+                            )}
+                            <DropdownMenuItem
+                              onClick={() => {
+                                // 如果是全部标签页或兑换记录，需要传递币种ID
+                                if (
+                                  (activeTab === "all" || legs) &&
+                                  transaction.coinId
+                                ) {
+                                  onDelete(transaction.id, transaction.coinId);
+                                } else {
+                                  onDelete(transaction.id);
+                                }
+                              }}
+                              className="text-destructive focus:text-destructive"
+                              disabled={isLoading}
+                            >
+                              <FiTrash2 className="mr-2 h-4 w-4" />
+                              <span>删除</span>
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </td>
+                    )}
                   </tr>
                 );
               })}
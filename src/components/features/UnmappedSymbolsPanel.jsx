@@ -0,0 +1,54 @@
+import React from "react";
+import { FiAlertTriangle } from "react-icons/fi";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui";
+
+/**
+ * @typedef {Object} UnmappedSymbolsPanelProps
+ * @property {Array<string>} symbols - 未匹配的币种符号
+ * @property {Object<string, string>} overrides - 手动指定的币种符号到CoinGecko ID的映射
+ * @property {(symbol: string, coinId: string) => void} onOverrideChange - 修改手动映射的回调函数
+ * @property {() => void} onApply - 重新匹配的回调函数
+ */
+
+/**
+ * 导入时未匹配币种的提示面板，可手动填写CoinGecko ID
+ * @param {UnmappedSymbolsPanelProps} props
+ * @returns {JSX.Element|null}
+ */
+const UnmappedSymbolsPanel = ({
+  symbols,
+  overrides,
+  onOverrideChange,
+  onApply,
+}) => {
+  if (symbols.length === 0) return null;
+
+  return (
+    <div className="rounded-md border border-yellow-300 bg-yellow-50 p-3 space-y-2 dark:border-yellow-900 dark:bg-yellow-900/20">
+      <p className="flex items-center text-sm text-yellow-800 dark:text-yellow-400">
+        <FiAlertTriangle className="mr-2 h-4 w-4 shrink-0" />
+        以下币种未能匹配到 CoinGecko，相关记录不会导入。可手动填写 CoinGecko ID
+        后重新匹配
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {symbols.map((symbol) => (
+          <div key={symbol} className="flex items-center gap-2">
+            <span className="w-16 shrink-0 text-sm font-medium">{symbol}</span>
+            <Input
+              value={overrides[symbol] || ""}
+              onChange={(e) => onOverrideChange(symbol, e.target.value)}
+              placeholder="如：bitcoin"
+              className="h-8 text-sm"
+            />
+          </div>
+        ))}
+      </div>
+      <Button variant="outline" size="sm" onClick={onApply}>
+        重新匹配
+      </Button>
+    </div>
+  );
+};
+
+export default UnmappedSymbolsPanel;
@@ -1,6 +1,27 @@
 import React from "react";
-import { FiPlus, FiRefreshCw } from "react-icons/fi";
+import {
+  FiAlertTriangle,
+  FiCheck,
+  FiChevronDown,
+  FiCloud,
+  FiCloudOff,
+  FiFolder,
+  FiPlus,
+  FiRefreshCw,
+  FiSettings,
+  FiShare2,
+  FiUpload,
+} from "react-icons/fi";
 import { Button } from "@/components/ui";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { ALL_PORTFOLIOS_ID } from "@/utils/portfolioStorage";
+import { SYNC_STATUS } from "@/hooks/useServerSync";
 import Image from "next/image";
 import CryptoCostLogo from "@/app/crypto-cost-logo.svg";
 import { ThemeToggle } from "@/components/ui/theme-toggle";
@@ -9,15 +30,75 @@ import { ThemeToggle } from "@/components/ui/theme-toggle";
  * @typedef {Object} HeaderProps
  * @property {() => void} onAddCrypto - 添加加密货币的回调函数
  * @property {() => void} onRefresh - 刷新数据的回调函数
+ * @property {() => void} [onOpenSettings] - 打开设置的回调函数
+ * @property {() => void} [onImportExchange] - 打开交易所记录导入的回调函数
+ * @property {() => void} [onImportCSV] - 打开通用CSV导入的回调函数
+ * @property {() => void} [onImportJSON] - 导入JSON投资组合数据的回调函数
  * @property {boolean} isRefreshing - 是否正在刷新
+ * @property {Array<{id: string, name: string}>} [portfolios] - 所有投资组合
+ * @property {string} [activePortfolioId] - 当前投资组合ID
+ * @property {(portfolioId: string) => void} [onSwitchPortfolio] - 切换投资组合的回调函数
+ * @property {() => void} [onManagePortfolios] - 打开投资组合管理的回调函数
+ * @property {string} [syncStatus] - 云端同步状态，见 SYNC_STATUS
+ * @property {() => void} [onOpenSync] - 打开云端同步设置的回调函数
+ * @property {() => void} [onShare] - 打开分享投资组合的回调函数
  */
 
+// 云端同步状态对应的说明
+const SYNC_STATUS_LABELS = {
+  [SYNC_STATUS.DISABLED]: "云端同步未开启",
+  [SYNC_STATUS.SYNCING]: "正在同步",
+  [SYNC_STATUS.SYNCED]: "已同步到云端",
+  [SYNC_STATUS.ERROR]: "同步失败",
+  [SYNC_STATUS.CONFLICT]: "同步冲突，需要选择保留的数据",
+};
+
+/**
+ * 云端同步状态图标
+ * @param {Object} props
+ * @param {string} props.status - 同步状态
+ * @returns {JSX.Element}
+ */
+const SyncStatusIcon = ({ status }) => {
+  switch (status) {
+    case SYNC_STATUS.SYNCING:
+      return <FiRefreshCw className="h-4 w-4 animate-spin" />;
+    case SYNC_STATUS.SYNCED:
+      return <FiCloud className="h-4 w-4" />;
+    case SYNC_STATUS.ERROR:
+    case SYNC_STATUS.CONFLICT:
+      return <FiAlertTriangle className="h-4 w-4 text-amber-400" />;
+    default:
+      return <FiCloudOff className="h-4 w-4 opacity-60" />;
+  }
+};
+
 /**
  * 页面头部组件
  * @param {HeaderProps} props
  * @returns {JSX.Element}
  */
-const Header = ({ onAddCrypto, onRefresh, isRefreshing }) => {
+const Header = ({
+  onAddCrypto,
+  onRefresh,
+  onOpenSettings,
+  onImportExchange,
+  onImportCSV,
+  onImportJSON,
+  isRefreshing,
+  portfolios = [],
+  activePortfolioId,
+  onSwitchPortfolio,
+  onManagePortfolios,
+  syncStatus = SYNC_STATUS.DISABLED,
+  onOpenSync,
+  onShare,
+}) => {
+  const isAggregateView = activePortfolioId === ALL_PORTFOLIOS_ID;
+  const activePortfolioName = isAggregateView
+    ? "全部投资组合"
+    : portfolios.find((p) => p.id === activePortfolioId)?.name || "";
+
   return (
     <header className="bg-black text-white p-4 shadow-md dark:bg-[#232325] dark:text-white">
       <div className="container mx-auto flex justify-between items-center">
@@ -29,6 +110,59 @@ const Header = ({ onAddCrypto, onRefresh, isRefreshing }) => {
           priority
         />
         <div className="flex space-x-2 items-center">
+          {onSwitchPortfolio && portfolios.length > 0 && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="flex items-center text-white hover:text-white hover:bg-gray-800 max-w-[160px]"
+                  aria-label="切换投资组合"
+                >
+                  <FiFolder className="mr-1 h-4 w-4 shrink-0" />
+                  <span className="truncate">{activePortfolioName}</span>
+                  <FiChevronDown className="ml-1 h-4 w-4 shrink-0" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                {portfolios.map((p) => (
+                  <DropdownMenuItem
+                    key={p.id}
+                    onClick={() => onSwitchPortfolio(p.id)}
+                  >
+                    <FiCheck
+                      className={`mr-2 h-4 w-4 ${
+                        p.id === activePortfolioId ? "" : "invisible"
+                      }`}
+                    />
+                    <span>{p.name}</span>
+                  </DropdownMenuItem>
+                ))}
+                {portfolios.length > 1 && (
+                  <DropdownMenuItem
+                    onClick={() => onSwitchPortfolio(ALL_PORTFOLIOS_ID)}
+                  >
+                    <FiCheck
+                      className={`mr-2 h-4 w-4 ${
+                        isAggregateView ? "" : "invisible"
+                      }`}
+                    />
+                    <span>全部投资组合</span>
+                  </DropdownMenuItem>
+                )}
+                {onManagePortfolios && (
+                  <>
+                    <DropdownMenuSeparator />
+                    <DropdownMenuItem onClick={onManagePortfolios}>
+                      <FiSettings className="mr-2 h-4 w-4" />
+                      <span>管理投资组合</span>
+                    </DropdownMenuItem>
+                  </>
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+
           <Button
             onClick={onRefresh}
             disabled={isRefreshing}
@@ -42,10 +176,81 @@ const Header = ({ onAddCrypto, onRefresh, isRefreshing }) => {
             />
           </Button>
 
+          {onOpenSync && (
+            <Button
+              onClick={onOpenSync}
+              variant="ghost"
+              size="icon"
+              className="h-9 w-9 text-white hover:text-white hover:bg-gray-800"
+              aria-label={SYNC_STATUS_LABELS[syncStatus]}
+              title={SYNC_STATUS_LABELS[syncStatus]}
+            >
+              <SyncStatusIcon status={syncStatus} />
+            </Button>
+          )}
+
+          {onShare && (
+            <Button
+              onClick={onShare}
+              variant="ghost"
+              size="icon"
+              className="h-9 w-9 text-white hover:text-white hover:bg-gray-800"
+              aria-label="分享投资组合"
+              title="分享投资组合"
+            >
+              <FiShare2 className="h-4 w-4" />
+            </Button>
+          )}
+
+          {(onImportExchange || onImportCSV || onImportJSON) && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-9 w-9 text-white hover:text-white hover:bg-gray-800"
+                  aria-label="导入"
+                >
+                  <FiUpload className="h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                {onImportExchange && (
+                  <DropdownMenuItem onClick={onImportExchange}>
+                    导入交易所记录
+                  </DropdownMenuItem>
+                )}
+                {onImportCSV && (
+                  <DropdownMenuItem onClick={onImportCSV}>
+                    导入CSV
+                  </DropdownMenuItem>
+                )}
+                {onImportJSON && (
+                  <DropdownMenuItem onClick={onImportJSON}>
+                    导入JSON
+                  </DropdownMenuItem>
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+
+          {onOpenSettings && (
+            <Button
+              onClick={onOpenSettings}
+              variant="ghost"
+              size="icon"
+              className="h-9 w-9 text-white hover:text-white hover:bg-gray-800"
+              aria-label="设置"
+            >
+              <FiSettings className="h-4 w-4" />
+            </Button>
+          )}
+
           <ThemeToggle />
 
           <Button
             onClick={onAddCrypto}
+            disabled={isAggregateView}
             variant="outline"
             size="sm"
             className="flex items-center bg-white text-black dark:bg-white dark:text-black"
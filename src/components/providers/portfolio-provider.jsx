@@ -0,0 +1,32 @@
+"use client";
+
+import * as React from "react";
+import { PortfolioContext, usePortfolioStore } from "@/hooks/usePortfolio";
+
+export function PortfolioProvider({ children }) {
+  const portfolio = usePortfolioStore();
+  return (
+    <PortfolioContext.Provider value={portfolio}>
+      {children}
+    </PortfolioContext.Provider>
+  );
+}
+
+// 只读快照不读取本地存储，也不提供修改方法，金额按快照生成时的基础货币显示
+export function ReadOnlyPortfolioProvider({ portfolio, currency, children }) {
+  const value = React.useMemo(
+    () => ({
+      portfolio,
+      currency,
+      isLoading: false,
+      error: null,
+      isReadOnly: true,
+    }),
+    [portfolio, currency]
+  );
+  return (
+    <PortfolioContext.Provider value={value}>
+      {children}
+    </PortfolioContext.Provider>
+  );
+}
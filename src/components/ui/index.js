@@ -24,6 +24,7 @@ export {
 export { Input } from "./input";
 export { Tabs, TabsContent, TabsList, TabsTrigger } from "./tabs";
 export { Textarea } from "./textarea";
+export { Toast } from "./toast";
 export { Label } from "./label";
 export {
   DropdownMenu,
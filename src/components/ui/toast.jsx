@@ -0,0 +1,67 @@
+import React, { useEffect } from "react";
+import { FiX } from "react-icons/fi";
+import { cn } from "@/lib/utils";
+import { Button } from "./button";
+
+/**
+ * @typedef {Object} ToastProps
+ * @property {string} message - 提示内容
+ * @property {string} [actionLabel] - 操作按钮文字
+ * @property {() => void} [onAction] - 点击操作按钮的回调函数
+ * @property {() => void} onClose - 关闭提示的回调函数
+ * @property {number} [duration=5000] - 自动关闭的时间（毫秒）
+ * @property {string} [className] - 自定义类名
+ */
+
+/**
+ * 页面底部的轻提示组件，到时间后自动关闭
+ * @param {ToastProps} props
+ * @returns {JSX.Element}
+ */
+const Toast = ({
+  message,
+  actionLabel,
+  onAction,
+  onClose,
+  duration = 5000,
+  className,
+}) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, duration);
+    return () => clearTimeout(timer);
+  }, [message, onClose, duration]);
+
+  return (
+    <div
+      role="status"
+      className={cn(
+        "fixed bottom-4 left-1/2 z-50 flex w-[calc(100%-2rem)] max-w-md -translate-x-1/2 items-center gap-3 rounded-md border bg-background px-4 py-3 text-sm text-foreground shadow-lg",
+        className
+      )}
+    >
+      <span className="flex-1">{message}</span>
+      {actionLabel && onAction && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            onAction();
+            onClose();
+          }}
+        >
+          {actionLabel}
+        </Button>
+      )}
+      <button
+        type="button"
+        onClick={onClose}
+        className="text-muted-foreground hover:text-foreground"
+        aria-label="关闭"
+      >
+        <FiX className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export { Toast };
@@ -1,12 +1,14 @@
 import { useState, useEffect, useCallback } from "react";
 import { searchCryptocurrencies, getTopCryptocurrencies } from "@/lib/api";
 import { debounce } from "@/utils/debounce";
+import { DEFAULT_BASE_CURRENCY } from "@/utils/currency";
 
 /**
  * 加密货币搜索的自定义钩子
+ * @param {string} [currency] - 价格的计价货币，默认美元
  * @returns {Object} 搜索相关的状态和方法
  */
-export const useCryptoSearch = () => {
+export const useCryptoSearch = (currency = DEFAULT_BASE_CURRENCY) => {
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [topCryptos, setTopCryptos] = useState([]);
@@ -18,7 +20,7 @@ export const useCryptoSearch = () => {
     setIsLoading(true);
     setError(null);
     try {
-      const data = await getTopCryptocurrencies(50);
+      const data = await getTopCryptocurrencies(50, currency);
       setTopCryptos(data);
     } catch (error) {
       console.error("Failed to fetch top cryptocurrencies:", error);
@@ -26,7 +28,7 @@ export const useCryptoSearch = () => {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [currency]);
 
   // 重试获取热门加密货币
   const retryFetchTopCryptos = useCallback(() => {
@@ -34,24 +36,27 @@ export const useCryptoSearch = () => {
   }, [fetchTopCryptos]);
 
   // 搜索加密货币
-  const searchCrypto = useCallback(async (query) => {
-    if (!query) {
-      setSearchResults([]);
-      return;
-    }
+  const searchCrypto = useCallback(
+    async (query) => {
+      if (!query) {
+        setSearchResults([]);
+        return;
+      }
 
-    setIsLoading(true);
-    setError(null);
-    try {
-      const results = await searchCryptocurrencies(query);
-      setSearchResults(results);
-    } catch (error) {
-      console.error("Failed to search cryptocurrencies:", error);
-      setError("Failed to search cryptocurrencies");
-    } finally {
-      setIsLoading(false);
-    }
-  }, []);
+      setIsLoading(true);
+      setError(null);
+      try {
+        const results = await searchCryptocurrencies(query, currency);
+        setSearchResults(results);
+      } catch (error) {
+        console.error("Failed to search cryptocurrencies:", error);
+        setError("Failed to search cryptocurrencies");
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [currency]
+  );
 
   // 更新搜索查询
   const updateSearchQuery = useCallback(
@@ -76,27 +81,30 @@ export const useCryptoSearch = () => {
   /**
    * 防抖搜索
    */
-  const debouncedSearch = useCallback((query) => {
-    if (!query.trim()) {
-      setSearchResults([]);
-      return;
-    }
-
-    const performSearch = async () => {
-      try {
-        setIsLoading(true);
-        const results = await searchCryptocurrencies(query);
-        setSearchResults(results);
-      } catch (err) {
-        setError("Failed to search cryptocurrencies");
-        console.error(err);
-      } finally {
-        setIsLoading(false);
+  const debouncedSearch = useCallback(
+    (query) => {
+      if (!query.trim()) {
+        setSearchResults([]);
+        return;
       }
-    };
 
-    debounce(performSearch, 500)();
-  }, []);
+      const performSearch = async () => {
+        try {
+          setIsLoading(true);
+          const results = await searchCryptocurrencies(query, currency);
+          setSearchResults(results);
+        } catch (err) {
+          setError("Failed to search cryptocurrencies");
+          console.error(err);
+        } finally {
+          setIsLoading(false);
+        }
+      };
+
+      debounce(performSearch, 500)();
+    },
+    [currency]
+  );
 
   // 当搜索查询变化时执行搜索
   useEffect(() => {
@@ -0,0 +1,266 @@
+import { useState, useCallback, useMemo } from "react";
+import { v4 as uuidv4 } from "uuid";
+import { findCoinBySymbol } from "@/lib/api";
+import { parseCSV } from "@/utils/csvParser";
+import {
+  AUTO_DATE_FORMAT,
+  CSV_IMPORT_FIELDS,
+  detectDelimiter,
+  guessColumnMapping,
+  mapCSVRows,
+} from "@/utils/csvMapping";
+import { TRANSACTION_TYPES } from "@/utils/transactionUtils";
+import { IMPORT_ROW_STATUS } from "./useExchangeImport";
+
+/**
+ * 为导入的兑换记录重新生成 swapId，并补全两边的关联信息
+ * 文件中的兑换ID可能与现有记录重复，因此按原ID分组后换成新的ID；
+ * 找不到另一边的兑换记录按普通买卖导入
+ * @param {Array<{coinId: string, transaction: Object}>} entries - 待导入的交易
+ * @returns {Array<{coinId: string, transaction: Object}>}
+ */
+const linkSwapLegs = (entries) => {
+  const groups = entries.reduce((acc, entry) => {
+    const { swapId } = entry.transaction;
+    if (swapId) {
+      acc[swapId] = [...(acc[swapId] || []), entry];
+    }
+    return acc;
+  }, {});
+
+  const newIds = {};
+  return entries.map((entry) => {
+    const { swapId, ...transaction } = entry.transaction;
+    if (!swapId) return entry;
+
+    const legs = groups[swapId];
+    const counterpart = legs.find((leg) => leg !== entry);
+    const isPaired =
+      legs.length === 2 &&
+      legs.some((leg) => leg.transaction.type === TRANSACTION_TYPES.SELL) &&
+      legs.some((leg) => leg.transaction.type === TRANSACTION_TYPES.BUY);
+    if (!isPaired) return { ...entry, transaction };
+
+    newIds[swapId] = newIds[swapId] || uuidv4();
+    return {
+      ...entry,
+      transaction: {
+        ...transaction,
+        swapId: newIds[swapId],
+        swapCoinId: counterpart.coinId,
+        swapAmount: counterpart.transaction.amount,
+      },
+    };
+  });
+};
+
+/**
+ * 通用CSV导入的自定义钩子
+ * 读取任意CSV后按列映射转换为交易记录，并将币种符号匹配为CoinGecko ID
+ * @param {Array} [portfolioCoins] - 当前投资组合的币种，优先按符号匹配已有币种
+ * @returns {Object} 导入相关的状态和方法
+ */
+export const useCsvImport = (portfolioCoins = []) => {
+  const [text, setText] = useState("");
+  const [delimiter, setDelimiterState] = useState(",");
+  const [headers, setHeaders] = useState([]);
+  const [csvRows, setCsvRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(AUTO_DATE_FORMAT);
+  const [rows, setRows] = useState([]);
+  const [symbolOverrides, setSymbolOverrides] = useState({});
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * 按分隔符解析文本并自动匹配列
+   * @param {string} content - CSV文本
+   * @param {string} nextDelimiter - 分隔符
+   */
+  const parseContent = useCallback((content, nextDelimiter) => {
+    const parsed = parseCSV(content, { delimiter: nextDelimiter });
+    setDelimiterState(nextDelimiter);
+    setHeaders(parsed.headers);
+    setCsvRows(parsed.rows);
+    setMapping(guessColumnMapping(parsed.headers));
+    setRows([]);
+
+    if (parsed.rows.length === 0) {
+      setError("文件中没有数据行");
+    }
+  }, []);
+
+  /**
+   * 读取CSV文件，自动识别分隔符
+   * @param {File} file - CSV文件
+   */
+  const loadFile = useCallback(
+    async (file) => {
+      setError(null);
+      try {
+        const content = await file.text();
+        setText(content);
+        parseContent(content, detectDelimiter(content));
+      } catch (err) {
+        console.error("Failed to read CSV file:", err);
+        setError("无法读取文件");
+      }
+    },
+    [parseContent]
+  );
+
+  /**
+   * 修改分隔符并重新解析
+   * @param {string} nextDelimiter - 分隔符
+   */
+  const setDelimiter = useCallback(
+    (nextDelimiter) => {
+      setError(null);
+      parseContent(text, nextDelimiter);
+    },
+    [parseContent, text]
+  );
+
+  /**
+   * 修改单个字段对应的列
+   * @param {string} field - 字段
+   * @param {string} header - 列名，空字符串表示不导入
+   */
+  const setFieldMapping = useCallback((field, header) => {
+    setMapping((prev) => ({ ...prev, [field]: header }));
+  }, []);
+
+  /**
+   * 为未匹配的币种符号手动指定CoinGecko ID
+   * @param {string} symbol - 币种符号
+   * @param {string} coinId - CoinGecko ID
+   */
+  const setSymbolOverride = useCallback((symbol, coinId) => {
+    setSymbolOverrides((prev) => ({ ...prev, [symbol]: coinId }));
+  }, []);
+
+  const missingFields = useMemo(
+    () =>
+      CSV_IMPORT_FIELDS.filter(
+        (field) => field.required && !mapping[field.key]
+      ),
+    [mapping]
+  );
+
+  /**
+   * 按当前映射生成预览，逐个匹配币种
+   */
+  const buildPreview = useCallback(async () => {
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const mapped = mapCSVRows(csvRows, mapping, { dateFormat, delimiter });
+      const coinsBySymbol = {};
+
+      // 顺序匹配以免触发接口的速率限制
+      for (const symbol of new Set(mapped.map((row) => row.symbol))) {
+        if (!symbol) continue;
+
+        const overrideId = symbolOverrides[symbol]?.trim().toLowerCase();
+        const existing = portfolioCoins.find(
+          (coin) =>
+            coin.symbol?.toUpperCase() === symbol ||
+            coin.id === symbol.toLowerCase()
+        );
+        coinsBySymbol[symbol] = overrideId
+          ? { id: overrideId }
+          : existing || (await findCoinBySymbol(symbol));
+      }
+
+      setRows(
+        mapped.map((row) => {
+          if (row.error) {
+            return {
+              ...row,
+              status: IMPORT_ROW_STATUS.ERROR,
+              coinId: null,
+              message: row.error,
+            };
+          }
+
+          const coin = coinsBySymbol[row.symbol];
+          return {
+            ...row,
+            status: coin ? IMPORT_ROW_STATUS.READY : IMPORT_ROW_STATUS.UNMAPPED,
+            coinId: coin?.id || null,
+            message: coin ? "" : `未找到币种 ${row.symbol}`,
+          };
+        })
+      );
+    } catch (err) {
+      console.error("Failed to build CSV import preview:", err);
+      setError("生成预览失败");
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [
+    csvRows,
+    mapping,
+    dateFormat,
+    delimiter,
+    symbolOverrides,
+    portfolioCoins,
+  ]);
+
+  /**
+   * 清空导入状态
+   */
+  const reset = useCallback(() => {
+    setText("");
+    setHeaders([]);
+    setCsvRows([]);
+    setMapping({});
+    setDateFormat(AUTO_DATE_FORMAT);
+    setRows([]);
+    setError(null);
+  }, []);
+
+  const unmappedSymbols = useMemo(
+    () => [
+      ...new Set(
+        rows
+          .filter((row) => row.status === IMPORT_ROW_STATUS.UNMAPPED)
+          .map((row) => row.symbol)
+      ),
+    ],
+    [rows]
+  );
+
+  const entries = useMemo(
+    () =>
+      linkSwapLegs(
+        rows
+          .filter((row) => row.status === IMPORT_ROW_STATUS.READY)
+          .map((row) => ({ coinId: row.coinId, transaction: row.transaction }))
+      ),
+    [rows]
+  );
+
+  return {
+    headers,
+    csvRows,
+    delimiter,
+    mapping,
+    missingFields,
+    dateFormat,
+    rows,
+    entries,
+    unmappedSymbols,
+    symbolOverrides,
+    isProcessing,
+    error,
+    loadFile,
+    setDelimiter,
+    setFieldMapping,
+    setDateFormat,
+    setSymbolOverride,
+    buildPreview,
+    reset,
+  };
+};
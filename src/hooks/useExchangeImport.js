@@ -0,0 +1,437 @@
+import { useState, useRef, useCallback, useMemo } from "react";
+import { v4 as uuidv4 } from "uuid";
+import {
+  findCoinBySymbol,
+  getFiatUsdRate,
+  getHistoricalPrice,
+} from "@/lib/api";
+import {
+  EXCHANGE_LABELS,
+  EXCHANGE_RECORD_KINDS,
+  isFiatCurrency,
+  isStablecoin,
+  parseExchangeCSV,
+} from "@/utils/exchangeParsers";
+import { FEE_CURRENCIES, TRANSACTION_TYPES } from "@/utils/transactionUtils";
+
+/**
+ * 导入预览行的状态
+ */
+export const IMPORT_ROW_STATUS = {
+  READY: "ready",
+  UNMAPPED: "unmapped",
+  SKIPPED: "skipped",
+  ERROR: "error",
+};
+
+// 法币和稳定币按现金处理，其余资产需要匹配CoinGecko币种
+const isCashAsset = (symbol) => isFiatCurrency(symbol) || isStablecoin(symbol);
+
+/**
+ * 将一条交易所记录转换为投资组合的交易记录
+ * @param {Object} record - 标准化的交易所记录
+ * @param {Object} lookup - 查询函数
+ * @param {(symbol: string) => Promise<Object|null>} lookup.resolveCoin - 查找币种
+ * @param {(asset: {symbol: string, amount: number}, date: string) => Promise<number|null>} lookup.toUsd - 将现金资产换算为美元
+ * @param {(coinId: string, date: string) => Promise<number|null>} lookup.getCoinPrice - 获取币种历史价格
+ * @returns {Promise<{status: string, entries: Array, unmappedSymbols: Array<string>, message: string}>}
+ */
+const resolveRecord = async (record, { resolveCoin, toUsd, getCoinPrice }) => {
+  const { kind, received, spent, fee, value, date } = record;
+  const unmappedSymbols = [];
+  const warnings = [];
+
+  const requireCoin = async (symbol) => {
+    const coin = await resolveCoin(symbol);
+    if (!coin) unmappedSymbols.push(symbol);
+    return coin;
+  };
+
+  const requireUsd = async (asset) => {
+    const usd = await toUsd(asset, date);
+    if (usd === null) {
+      throw new Error(`无法获取 ${asset.symbol} 的美元汇率`);
+    }
+    return usd;
+  };
+
+  // 手续费与交易币种相同时从数量中扣除，现金手续费换算为美元，其他币种按当时价格计价
+  const resolveFee = async (coinSymbol) => {
+    if (!fee) return {};
+    if (fee.symbol === coinSymbol) {
+      return { fee: fee.amount, feeCurrency: FEE_CURRENCIES.COIN };
+    }
+    if (isCashAsset(fee.symbol)) {
+      return { fee: await requireUsd(fee), feeCurrency: FEE_CURRENCIES.USD };
+    }
+
+    const feeCoin = await resolveCoin(fee.symbol);
+    const feePrice = feeCoin ? await getCoinPrice(feeCoin.id, date) : null;
+    if (!feePrice) {
+      warnings.push(`无法获取手续费资产 ${fee.symbol} 的价格，按0计价`);
+    }
+    return {
+      fee: fee.amount,
+      feeCurrency: FEE_CURRENCIES.OTHER,
+      feeAsset: fee.symbol,
+      feePrice: feePrice || 0,
+    };
+  };
+
+  const base = {
+    date,
+    reason: `从 ${EXCHANGE_LABELS[record.exchange]} 导入`,
+    importSource: record.exchange,
+    ...(record.externalId && { externalId: record.externalId }),
+  };
+
+  const result = (entries) => ({
+    status: unmappedSymbols.length
+      ? IMPORT_ROW_STATUS.UNMAPPED
+      : IMPORT_ROW_STATUS.READY,
+    entries: unmappedSymbols.length ? [] : entries,
+    unmappedSymbols,
+    message: unmappedSymbols.length
+      ? `未找到币种 ${unmappedSymbols.join(", ")}`
+      : warnings.join("；"),
+  });
+
+  switch (kind) {
+    case EXCHANGE_RECORD_KINDS.TRANSFER_IN: {
+      const coin = await requireCoin(received.symbol);
+      warnings.push("转入的原始成本价未知，已按0计入，可在导入后编辑");
+      return result([
+        {
+          coinId: coin?.id,
+          transaction: {
+            ...base,
+            type: TRANSACTION_TYPES.TRANSFER_IN,
+            amount: received.amount,
+            price: 0,
+          },
+        },
+      ]);
+    }
+
+    case EXCHANGE_RECORD_KINDS.TRANSFER_OUT: {
+      const coin = await requireCoin(spent.symbol);
+      const valueUsd = value ? await toUsd(value, date) : null;
+      return result([
+        {
+          coinId: coin?.id,
+          transaction: {
+            ...base,
+            type: TRANSACTION_TYPES.TRANSFER_OUT,
+            amount: spent.amount,
+            price: valueUsd ? valueUsd / spent.amount : 0,
+            ...(await resolveFee(spent.symbol)),
+          },
+        },
+      ]);
+    }
+
+    case EXCHANGE_RECORD_KINDS.INCOME: {
+      const coin = await requireCoin(received.symbol);
+      if (!coin) return result([]);
+
+      const valueUsd = value ? await toUsd(value, date) : null;
+      const price = valueUsd
+        ? valueUsd / received.amount
+        : await getCoinPrice(coin.id, date);
+      if (!price) {
+        throw new Error(`无法获取 ${received.symbol} 的历史价格`);
+      }
+
+      return result([
+        {
+          coinId: coin.id,
+          transaction: {
+            ...base,
+            type: TRANSACTION_TYPES.INCOME,
+            incomeType: record.incomeType,
+            amount: received.amount,
+            price,
+          },
+        },
+      ]);
+    }
+
+    default:
+      break;
+  }
+
+  const receivedIsCash = isCashAsset(received.symbol);
+  const spentIsCash = isCashAsset(spent.symbol);
+
+  if (receivedIsCash && spentIsCash) {
+    return {
+      status: IMPORT_ROW_STATUS.SKIPPED,
+      entries: [],
+      unmappedSymbols,
+      message: "法币与稳定币之间的兑换不影响持仓，已跳过",
+    };
+  }
+
+  // 用现金买入
+  if (spentIsCash) {
+    const coin = await requireCoin(received.symbol);
+    const costUsd = await requireUsd(spent);
+    return result([
+      {
+        coinId: coin?.id,
+        transaction: {
+          ...base,
+          type: TRANSACTION_TYPES.BUY,
+          amount: received.amount,
+          price: costUsd / received.amount,
+          ...(await resolveFee(received.symbol)),
+        },
+      },
+    ]);
+  }
+
+  // 卖出换成现金
+  if (receivedIsCash) {
+    const coin = await requireCoin(spent.symbol);
+    const proceedsUsd = await requireUsd(received);
+    return result([
+      {
+        coinId: coin?.id,
+        transaction: {
+          ...base,
+          type: TRANSACTION_TYPES.SELL,
+          amount: spent.amount,
+          price: proceedsUsd / spent.amount,
+          ...(await resolveFee(spent.symbol)),
+        },
+      },
+    ]);
+  }
+
+  // 币币成交拆分为共享 swapId 的卖出和买入两条记录
+  const fromCoin = await requireCoin(spent.symbol);
+  const toCoin = await requireCoin(received.symbol);
+  if (!fromCoin || !toCoin) return result([]);
+
+  let valueUsd = value ? await toUsd(value, date) : null;
+  if (!valueUsd) {
+    const fromPrice = await getCoinPrice(fromCoin.id, date);
+    valueUsd = fromPrice ? fromPrice * spent.amount : null;
+  }
+  if (!valueUsd) {
+    const toPrice = await getCoinPrice(toCoin.id, date);
+    valueUsd = toPrice ? toPrice * received.amount : null;
+  }
+  if (!valueUsd) {
+    throw new Error(
+      `无法获取 ${spent.symbol} 和 ${received.symbol} 的历史价格`
+    );
+  }
+
+  const swapId = uuidv4();
+  const feeOnReceived = fee?.symbol === received.symbol;
+  return result([
+    {
+      coinId: fromCoin.id,
+      transaction: {
+        ...base,
+        type: TRANSACTION_TYPES.SELL,
+        amount: spent.amount,
+        price: valueUsd / spent.amount,
+        swapId,
+        swapCoinId: toCoin.id,
+        swapAmount: received.amount,
+        ...(feeOnReceived ? {} : await resolveFee(spent.symbol)),
+      },
+    },
+    {
+      coinId: toCoin.id,
+      transaction: {
+        ...base,
+        type: TRANSACTION_TYPES.BUY,
+        amount: received.amount,
+        price: valueUsd / received.amount,
+        swapId,
+        swapCoinId: fromCoin.id,
+        swapAmount: spent.amount,
+        ...(feeOnReceived ? await resolveFee(received.symbol) : {}),
+      },
+    },
+  ]);
+};
+
+/**
+ * 交易所交易历史导入的自定义钩子
+ * 解析CSV后逐条匹配CoinGecko币种并换算美元价格，生成可预览的导入结果
+ * @returns {Object} 导入相关的状态和方法
+ */
+export const useExchangeImport = () => {
+  const [exchange, setExchange] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [symbolOverrides, setSymbolOverrides] = useState({});
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // 同一次导入中复用汇率和历史价格，避免重复请求
+  const rateCache = useRef({});
+  const priceCache = useRef({});
+
+  /**
+   * 逐条转换交易所记录
+   * @param {Array} parsedRecords - 标准化记录
+   * @param {Array} parseErrors - 解析失败的行
+   * @param {Object} overrides - 手动指定的币种符号到CoinGecko ID的映射
+   */
+  const resolveRecords = useCallback(
+    async (parsedRecords, parseErrors, overrides) => {
+      setIsProcessing(true);
+      setProgress({ done: 0, total: parsedRecords.length });
+
+      const lookup = {
+        resolveCoin: async (symbol) => {
+          const overrideId = overrides[symbol]?.trim();
+          if (overrideId) {
+            return {
+              id: overrideId.toLowerCase(),
+              symbol: symbol.toLowerCase(),
+              name: symbol,
+              image: "",
+            };
+          }
+          return await findCoinBySymbol(symbol);
+        },
+        toUsd: async (asset, date) => {
+          if (isStablecoin(asset.symbol)) return asset.amount;
+
+          const key = `${asset.symbol}_${date.slice(0, 10)}`;
+          if (rateCache.current[key] === undefined) {
+            rateCache.current[key] = await getFiatUsdRate(asset.symbol, date);
+          }
+          const rate = rateCache.current[key];
+          return rate === null ? null : asset.amount * rate;
+        },
+        getCoinPrice: async (coinId, date) => {
+          const key = `${coinId}_${date}`;
+          if (priceCache.current[key] === undefined) {
+            priceCache.current[key] = await getHistoricalPrice(coinId, date);
+          }
+          return priceCache.current[key];
+        },
+      };
+
+      const resolved = parseErrors.map(({ rowNumber, message }) => ({
+        rowNumber,
+        record: null,
+        status: IMPORT_ROW_STATUS.ERROR,
+        entries: [],
+        unmappedSymbols: [],
+        message,
+      }));
+
+      // 顺序处理以免触发接口的速率限制
+      for (const record of parsedRecords) {
+        try {
+          resolved.push({
+            rowNumber: record.rowNumber,
+            record,
+            ...(await resolveRecord(record, lookup)),
+          });
+        } catch (err) {
+          resolved.push({
+            rowNumber: record.rowNumber,
+            record,
+            status: IMPORT_ROW_STATUS.ERROR,
+            entries: [],
+            unmappedSymbols: [],
+            message: err.message,
+          });
+        }
+        setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+      }
+
+      setRows(resolved.sort((a, b) => a.rowNumber - b.rowNumber));
+      setIsProcessing(false);
+    },
+    []
+  );
+
+  /**
+   * 读取并解析交易所导出的CSV文件
+   * @param {File} file - CSV文件
+   * @param {string} [exchangeId] - 交易所，不传时自动识别
+   */
+  const loadFile = useCallback(
+    async (file, exchangeId) => {
+      setError(null);
+      setRows([]);
+      setRecords([]);
+
+      try {
+        const text = await file.text();
+        const parsed = parseExchangeCSV(text, exchangeId);
+        setExchange(parsed.exchange);
+        setRecords(parsed.records);
+        await resolveRecords(parsed.records, parsed.errors, symbolOverrides);
+      } catch (err) {
+        console.error("Failed to import exchange CSV:", err);
+        setError(err.message);
+        setIsProcessing(false);
+      }
+    },
+    [resolveRecords, symbolOverrides]
+  );
+
+  /**
+   * 为未匹配的币种符号手动指定CoinGecko ID
+   * @param {string} symbol - 币种符号
+   * @param {string} coinId - CoinGecko ID
+   */
+  const setSymbolOverride = useCallback((symbol, coinId) => {
+    setSymbolOverrides((prev) => ({ ...prev, [symbol]: coinId }));
+  }, []);
+
+  /**
+   * 使用手动指定的映射重新匹配当前文件
+   */
+  const applySymbolOverrides = useCallback(async () => {
+    const parseErrors = rows
+      .filter((row) => !row.record)
+      .map(({ rowNumber, message }) => ({ rowNumber, message }));
+    await resolveRecords(records, parseErrors, symbolOverrides);
+  }, [records, rows, resolveRecords, symbolOverrides]);
+
+  /**
+   * 清空导入状态
+   */
+  const reset = useCallback(() => {
+    setExchange(null);
+    setRecords([]);
+    setRows([]);
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+  }, []);
+
+  const unmappedSymbols = useMemo(
+    () => [...new Set(rows.flatMap((row) => row.unmappedSymbols))],
+    [rows]
+  );
+
+  const entries = useMemo(() => rows.flatMap((row) => row.entries), [rows]);
+
+  return {
+    exchange,
+    rows,
+    entries,
+    unmappedSymbols,
+    symbolOverrides,
+    progress,
+    isProcessing,
+    error,
+    loadFile,
+    setSymbolOverride,
+    applySymbolOverrides,
+    reset,
+  };
+};
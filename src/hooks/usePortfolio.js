@@ -1,36 +1,310 @@
-import { useEffect, useState } from "react";
+import { createContext, useContext, useEffect, useRef, useState } from "react";
 import { v4 as uuidv4 } from "uuid";
 import {
+  ALL_PORTFOLIOS_ID,
+  createConflictError,
+  createPortfolioInStorage,
+  deletePortfolioFromStorage,
   getPortfolioFromStorage,
+  getPortfolioIndex,
+  isConflictError,
+  renamePortfolioInStorage,
+  saveCoinDetailsToStorage,
   savePortfolioToStorage,
-} from "@/utils/localStorage";
-import { updatePortfolio } from "@/utils/cryptoUtils";
+  setActivePortfolioId,
+} from "@/utils/portfolioStorage";
+import {
+  aggregatePortfolios,
+  appendTransaction,
+  updatePortfolio,
+} from "@/utils/cryptoUtils";
+import {
+  DEFAULT_COST_BASIS_METHOD,
+  normalizeCostBasisMethod,
+} from "@/utils/costBasis";
+import { TRANSACTION_TYPES } from "@/utils/transactionUtils";
+import { DEFAULT_BASE_CURRENCY, normalizeBaseCurrency } from "@/utils/currency";
+import { applyImportMerge } from "@/utils/importMerge";
+import {
+  PORTFOLIO_SCHEMA_VERSION,
+  parsePortfolioData,
+} from "@/utils/portfolioSchema";
+import {
+  PORTFOLIO_CHANGE_TYPES,
+  subscribePortfolioChanges,
+} from "@/utils/portfolioSync";
+import { useUndoHistory } from "./useUndoHistory";
 import {
   getMultipleCryptocurrencyDetails,
   getTopCryptocurrencies,
+  getUsdExchangeRates,
   searchCryptocurrencies,
 } from "@/lib/api";
 
+// 基础货币是所有投资组合共用的显示设置，保存在当前浏览器中
+const BASE_CURRENCY_KEY = "crypto-portfolio-base-currency";
+
+/**
+ * 读取保存的基础货币
+ * @returns {string} 基础货币，未设置时为美元
+ */
+const readBaseCurrency = () => {
+  if (typeof window === "undefined") return DEFAULT_BASE_CURRENCY;
+
+  try {
+    return normalizeBaseCurrency(localStorage.getItem(BASE_CURRENCY_KEY));
+  } catch (error) {
+    console.error("Failed to read base currency:", error);
+    return DEFAULT_BASE_CURRENCY;
+  }
+};
+
+/**
+ * 保存基础货币
+ * @param {string} currency - 基础货币
+ */
+const writeBaseCurrency = (currency) => {
+  try {
+    localStorage.setItem(BASE_CURRENCY_KEY, currency);
+  } catch (error) {
+    console.error("Failed to save base currency:", error);
+  }
+};
+
 /**
  * 创建一个空的投资组合
+ * @param {Object} [settings] - 需要保留的投资组合设置
  * @returns {Object} 空的投资组合对象
  */
-const createEmptyPortfolio = () => ({
+const createEmptyPortfolio = (settings = {}) => ({
   coins: [],
   totalInvestment: 0,
   totalValue: 0,
   totalProfitLoss: 0,
   totalProfitLossPercentage: 0,
+  totalUnrealizedProfitLoss: 0,
+  totalRealizedProfitLoss: 0,
+  totalIncome: 0,
+  totalReturn: 0,
+  totalReturnPercentage: 0,
+  settings: {
+    costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+    ...settings,
+  },
 });
 
 /**
- * 投资组合管理的自定义钩子
+ * 生成用于撤销的投资组合快照，只保留交易记录和设置，其余指标在加载时重新计算
+ * @param {Object} portfolio - 投资组合数据
+ * @returns {{coins: Array, settings: Object}} 快照
+ */
+const takeSnapshot = (portfolio) => ({
+  coins: portfolio.coins,
+  settings: portfolio.settings,
+});
+
+/**
+ * 两个币种的交易记录是否相同，操作历史保存在会话存储中，只能按内容比较
+ * @param {Object} [a] - 币种数据，不存在时视为没有交易记录
+ * @param {Object} [b] - 币种数据，不存在时视为没有交易记录
+ * @returns {boolean}
+ */
+const hasSameTransactions = (a, b) =>
+  JSON.stringify(a?.transactions || []) ===
+  JSON.stringify(b?.transactions || []);
+
+// 聚合视图下尝试修改数据时的错误信息
+const AGGREGATE_VIEW_ERROR =
+  "Portfolio data cannot be modified in the all portfolios view";
+
+/**
+ * 从存储读取投资组合并按最新价格计算指标，聚合视图会汇总所有投资组合
+ * @param {string} portfolioId - 投资组合ID或 ALL_PORTFOLIOS_ID
+ * @param {Object|null} [exchangeRates] - 基础货币的汇率表，缺省时按美元计算
+ * @returns {Promise<Object>} 计算后的投资组合数据
+ */
+const loadPortfolio = async (portfolioId, exchangeRates = null) => {
+  // 行情按汇率表对应的货币获取，保证价格和换算后的交易记录使用同一种货币
+  const currency = exchangeRates?.currency || DEFAULT_BASE_CURRENCY;
+
+  if (portfolioId === ALL_PORTFOLIOS_ID) {
+    const { portfolios } = await getPortfolioIndex();
+    const storedPortfolios = (
+      await Promise.all(
+        portfolios.map(async ({ id }) => ({
+          id,
+          portfolio: await getPortfolioFromStorage(id),
+        }))
+      )
+    ).filter(({ portfolio }) => portfolio && portfolio.coins.length > 0);
+
+    if (storedPortfolios.length === 0) {
+      return createEmptyPortfolio();
+    }
+
+    // 所有投资组合共用一次价格请求
+    const coinIds = [
+      ...new Set(
+        storedPortfolios.flatMap(({ portfolio }) =>
+          portfolio.coins.map((coin) => coin.id)
+        )
+      ),
+    ];
+    const cryptoDataMap = await getMultipleCryptocurrencyDetails(
+      coinIds,
+      currency
+    );
+
+    const updatedPortfolios = storedPortfolios.map(({ id, portfolio }) => {
+      const updatedPortfolio = updatePortfolio(
+        portfolio,
+        cryptoDataMap,
+        exchangeRates
+      );
+      saveCoinDetailsToStorage(updatedPortfolio.coins, id);
+      return { id, portfolio: updatedPortfolio };
+    });
+
+    return {
+      ...createEmptyPortfolio(),
+      ...aggregatePortfolios(updatedPortfolios),
+    };
+  }
+
+  // 从存储获取投资组合
+  const storedPortfolio = await getPortfolioFromStorage(portfolioId);
+
+  if (!storedPortfolio || storedPortfolio.coins.length === 0) {
+    return createEmptyPortfolio(storedPortfolio?.settings);
+  }
+
+  // 获取所有币种的ID
+  const coinIds = storedPortfolio.coins.map((coin) => coin.id);
+
+  // 获取最新的加密货币数据
+  const cryptoDataMap = await getMultipleCryptocurrencyDetails(
+    coinIds,
+    currency
+  );
+
+  // 更新投资组合数据，只保存币种信息和最新价格，其余指标每次加载时重新计算
+  const updatedPortfolio = updatePortfolio(
+    storedPortfolio,
+    cryptoDataMap,
+    exchangeRates
+  );
+  saveCoinDetailsToStorage(updatedPortfolio.coins, portfolioId);
+
+  return updatedPortfolio;
+};
+
+/**
+ * 投资组合中最早一笔交易的时间
+ * @param {Array} coins - 币种列表
+ * @returns {number|null} 时间戳，没有交易时返回 null
+ */
+const getEarliestTransactionTime = (coins = []) =>
+  coins.reduce(
+    (earliest, coin) =>
+      (coin.transactions || []).reduce((min, tx) => {
+        const time = new Date(tx.date).getTime();
+        return isNaN(time) || (min !== null && min <= time) ? min : time;
+      }, earliest),
+    null
+  );
+
+/**
+ * 读取投资组合（聚合视图为所有投资组合）中最早一笔交易的时间，用于确定需要获取的汇率范围
+ * @param {string} portfolioId - 投资组合ID或 ALL_PORTFOLIOS_ID
+ * @returns {Promise<number|null>} 时间戳，没有交易时返回 null
+ */
+const readEarliestTransactionTime = async (portfolioId) => {
+  const ids =
+    portfolioId === ALL_PORTFOLIOS_ID
+      ? (await getPortfolioIndex()).portfolios.map(({ id }) => id)
+      : [portfolioId];
+  const portfolios = await Promise.all(ids.map(getPortfolioFromStorage));
+  return getEarliestTransactionTime(
+    portfolios.flatMap((portfolio) => portfolio?.coins || [])
+  );
+};
+
+/**
+ * 汇率表是否缺少投资组合中较早交易所需的汇率范围
+ * @param {Object} portfolio - 投资组合数据
+ * @param {Object|null} exchangeRates - 汇率表
+ * @returns {boolean}
+ */
+const needsEarlierExchangeRates = (portfolio, exchangeRates) => {
+  if (!exchangeRates) return false;
+  const earliest = getEarliestTransactionTime(portfolio.coins);
+  return earliest !== null && earliest < exchangeRates.from;
+};
+
+/**
+ * 获取基础货币的汇率后读取投资组合，汇率获取失败时暂时按美元计算
+ * 汇率按最早一笔交易到现在的完整时间范围获取
+ * @param {string} portfolioId - 投资组合ID或 ALL_PORTFOLIOS_ID
+ * @param {string} currency - 基础货币
+ * @returns {Promise<{portfolio: Object, exchangeRates: Object|null, notice: string|null}>}
+ * notice 为不影响使用的提示，例如汇率获取失败、部分交易日期没有汇率或部分币种没有价格
+ */
+const loadPortfolioInCurrency = async (portfolioId, currency) => {
+  let exchangeRates = null;
+  let notice = null;
+  if (currency !== DEFAULT_BASE_CURRENCY) {
+    const earliest = await readEarliestTransactionTime(portfolioId);
+    exchangeRates = await getUsdExchangeRates(currency, earliest ?? undefined);
+    if (!exchangeRates) {
+      notice = `无法获取${currency}汇率，暂时按美元显示`;
+    }
+  }
+
+  const portfolio = await loadPortfolio(portfolioId, exchangeRates);
+  const notices = [notice];
+  if (portfolio.coins.some((coin) => coin.exchangeRateUnavailable)) {
+    notices.push(`部分交易日期没有${currency}汇率，相关的成本和盈亏显示为 --`);
+  }
+  if (portfolio.coins.some((coin) => coin.priceUnavailable)) {
+    notices.push("部分币种无法获取当前价格，相关的价值和盈亏显示为 --");
+  }
+  return {
+    portfolio,
+    exchangeRates,
+    notice: notices.filter(Boolean).join("；") || null,
+  };
+};
+
+/**
+ * 共享的投资组合状态，由 PortfolioProvider 提供
+ */
+export const PortfolioContext = createContext(null);
+
+/**
+ * 创建投资组合状态，只应由 PortfolioProvider 调用一次，
+ * 组件中请使用 usePortfolio 读取共享的状态
  * @returns {Object} 投资组合管理相关的状态和方法
  */
-export const usePortfolio = () => {
+export const usePortfolioStore = () => {
   const [portfolio, setPortfolio] = useState(createEmptyPortfolio());
+  const [portfolioIndex, setPortfolioIndex] = useState({
+    activeId: null,
+    portfolios: [],
+  });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // 不影响使用的提示（如汇率获取失败），与加载失败的 error 分开显示
+  const [notice, setNotice] = useState(null);
+  const [baseCurrency, setBaseCurrencyState] = useState(DEFAULT_BASE_CURRENCY);
+  // 当前数据使用的汇率表，基础货币为美元或汇率获取失败时为 null
+  const [exchangeRates, setExchangeRates] = useState(null);
+  // 每个标签页各自记录正在查看的投资组合，不受其他标签页切换的影响
+  const activeIdRef = useRef(null);
+  const { canUndo, canRedo, lastRecorded, record, takeUndo, takeRedo } =
+    useUndoHistory();
+
+  // 聚合视图只用于查看，不能直接修改交易记录
+  const isAggregateView = portfolioIndex.activeId === ALL_PORTFOLIOS_ID;
 
   // 初始化投资组合
   useEffect(() => {
@@ -38,29 +312,15 @@ export const usePortfolio = () => {
       try {
         setIsLoading(true);
 
-        // 从本地存储获取投资组合
-        const storedPortfolio = getPortfolioFromStorage();
-
-        if (!storedPortfolio || storedPortfolio.coins.length === 0) {
-          setPortfolio(createEmptyPortfolio());
-          setIsLoading(false);
-          return;
-        }
-
-        // 获取所有币种的ID
-        const coinIds = storedPortfolio.coins.map((coin) => coin.id);
+        const currency = readBaseCurrency();
+        setBaseCurrencyState(currency);
 
-        // 获取最新的加密货币数据
-        const cryptoDataMap = await getMultipleCryptocurrencyDetails(coinIds);
-
-        // 更新投资组合数据
-        const updatedPortfolio = updatePortfolio(
-          storedPortfolio,
-          cryptoDataMap
-        );
-
-        setPortfolio(updatedPortfolio);
-        savePortfolioToStorage(updatedPortfolio);
+        const index = await getPortfolioIndex();
+        applyPortfolioIndex(index, index.activeId);
+        const loaded = await loadPortfolioInCurrency(index.activeId, currency);
+        setNotice(loaded.notice);
+        setExchangeRates(loaded.exchangeRates);
+        setPortfolio(loaded.portfolio);
       } catch (err) {
         setError("Failed to initialize portfolio");
         console.error(err);
@@ -72,13 +332,244 @@ export const usePortfolio = () => {
     initPortfolio();
   }, []);
 
+  /**
+   * 按基础货币重新加载投资组合
+   * @param {string} portfolioId - 投资组合ID或 ALL_PORTFOLIOS_ID
+   * @param {string} [currency] - 基础货币，默认为当前设置
+   * @returns {Promise<void>}
+   */
+  const loadAndSetPortfolio = async (portfolioId, currency = baseCurrency) => {
+    const loaded = await loadPortfolioInCurrency(portfolioId, currency);
+    setNotice(loaded.notice);
+    setExchangeRates(loaded.exchangeRates);
+    setPortfolio(loaded.portfolio);
+  };
+
+  /**
+   * 处理其他标签页保存的修改，当前查看的投资组合受影响时重新加载
+   * @param {Object} change - 变更内容
+   * @returns {Promise<void>}
+   */
+  const handleRemoteChange = async (change) => {
+    const previousActiveId = activeIdRef.current;
+    if (previousActiveId === null) return;
+
+    try {
+      if (change.type === PORTFOLIO_CHANGE_TYPES.INDEX) {
+        applyPortfolioIndex(await getPortfolioIndex());
+      }
+
+      const activeId = activeIdRef.current;
+      if (
+        activeId !== previousActiveId ||
+        activeId === ALL_PORTFOLIOS_ID ||
+        change.portfolioId === activeId ||
+        (change.type === PORTFOLIO_CHANGE_TYPES.DATA && !change.portfolioId)
+      ) {
+        await loadAndSetPortfolio(activeId);
+      }
+    } catch (err) {
+      console.error("Failed to sync portfolio from another tab:", err);
+    }
+  };
+  const handleRemoteChangeRef = useRef(handleRemoteChange);
+  handleRemoteChangeRef.current = handleRemoteChange;
+
+  // 监听其他标签页的修改，始终调用最新的处理函数
+  useEffect(
+    () =>
+      subscribePortfolioChanges((change) =>
+        handleRemoteChangeRef.current(change)
+      ),
+    []
+  );
+
+  /**
+   * 更新投资组合索引，当前标签页查看的投资组合仍然存在时保持不变
+   * @param {Object} index - 投资组合索引
+   * @param {string} [activeId] - 希望查看的投资组合ID，默认为当前查看的投资组合
+   * @returns {string} 实际查看的投资组合ID
+   */
+  const applyPortfolioIndex = (index, activeId = activeIdRef.current) => {
+    const exists =
+      activeId === ALL_PORTFOLIOS_ID ||
+      index.portfolios.some((p) => p.id === activeId);
+    const nextActiveId = exists ? activeId : index.activeId;
+
+    activeIdRef.current = nextActiveId;
+    setPortfolioIndex({ ...index, activeId: nextActiveId });
+    return nextActiveId;
+  };
+
+  /**
+   * 修改当前投资组合并保存，同时记录到操作历史以便撤销
+   * 其他标签页同时修改了同一币种时，读取最新数据后重新执行修改，不覆盖对方的记录
+   * @param {(current: Object) => Object|null} update - 根据当前数据生成修改后的投资组合，无需修改时返回 null
+   * @param {string} label - 操作说明，显示在撤销提示中
+   * @returns {Promise<Object|null>} 保存后的投资组合数据，无需修改时返回 null
+   * @throws {Error} 保存失败时抛出
+   */
+  const commitPortfolio = async (update, label) => {
+    const portfolioId = activeIdRef.current;
+    let current = portfolio;
+    let updated = update(current);
+    if (!updated) return null;
+
+    let saved;
+    let conflictCoinIds = null;
+    try {
+      // 只写入有变化的交易记录
+      saved = await savePortfolioToStorage(updated, portfolioId, current);
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+
+      conflictCoinIds = err.conflictCoinIds;
+      current = updatePortfolio(
+        (await getPortfolioFromStorage(portfolioId)) ||
+          createEmptyPortfolio(current.settings),
+        {},
+        exchangeRates
+      );
+      updated = update(current);
+      if (!updated) {
+        setPortfolio(current);
+        return null;
+      }
+      saved = await savePortfolioToStorage(updated, portfolioId, current);
+    }
+    if (!saved) {
+      throw new Error("Failed to save portfolio");
+    }
+    setPortfolio(saved);
+    // 新增了早于汇率范围的交易时，重新获取完整范围的汇率
+    if (needsEarlierExchangeRates(saved, exchangeRates)) {
+      await loadAndSetPortfolio(portfolioId);
+    }
+
+    record({
+      label,
+      portfolioId,
+      before: takeSnapshot(current),
+      after: takeSnapshot(saved),
+      conflictCoinIds,
+    });
+    return saved;
+  };
+
+  /**
+   * 将快照写回对应的投资组合，并切换到该投资组合以便查看结果
+   * 只写回与当前数据不同的币种；这些币种在这次修改之后又被其他标签页修改过时不覆盖对方的记录
+   * @param {string} portfolioId - 投资组合ID
+   * @param {Object} snapshot - 要恢复的快照
+   * @param {Object} expected - 恢复前应有的快照，即撤销时修改后的快照、重做时修改前的快照
+   * @returns {Promise<boolean>} 是否恢复成功，投资组合已被删除时返回false
+   * @throws {Error} 与其他标签页的修改冲突时抛出，可用 isConflictError 判断
+   */
+  const restoreSnapshot = async (portfolioId, snapshot, expected) => {
+    const index = await getPortfolioIndex();
+    const exists = index.portfolios.some((p) => p.id === portfolioId);
+    if (!exists) {
+      setError("The portfolio of this change no longer exists");
+      return false;
+    }
+
+    const stored =
+      (await getPortfolioFromStorage(portfolioId)) ||
+      createEmptyPortfolio(snapshot.settings);
+    const storedById = new Map(stored.coins.map((coin) => [coin.id, coin]));
+    const expectedById = new Map(expected.coins.map((coin) => [coin.id, coin]));
+    const snapshotIds = new Set(snapshot.coins.map((coin) => coin.id));
+
+    // 与当前数据相同的币种沿用已保存的数据，保存时不会写入；
+    // 这次修改之后其他标签页新增的币种保留
+    const coins = [
+      ...snapshot.coins.map((coin) => {
+        const storedCoin = storedById.get(coin.id);
+        return storedCoin && hasSameTransactions(storedCoin, coin)
+          ? storedCoin
+          : coin;
+      }),
+      ...stored.coins.filter(
+        (coin) => !snapshotIds.has(coin.id) && !expectedById.has(coin.id)
+      ),
+    ];
+    const changedCoinIds = [
+      ...coins
+        .filter((coin) => coin !== storedById.get(coin.id))
+        .map((coin) => coin.id),
+      ...stored.coins
+        .filter((coin) => !coins.some(({ id }) => id === coin.id))
+        .map((coin) => coin.id),
+    ];
+    const conflictCoinIds = changedCoinIds.filter(
+      (coinId) =>
+        !hasSameTransactions(storedById.get(coinId), expectedById.get(coinId))
+    );
+    if (conflictCoinIds.length > 0) {
+      throw createConflictError(conflictCoinIds);
+    }
+
+    // 以读取的数据为基准保存，读取之后的修改同样按修订号发现
+    await savePortfolioToStorage(
+      { ...stored, settings: snapshot.settings, coins },
+      portfolioId,
+      stored
+    );
+
+    if (activeIdRef.current !== portfolioId) {
+      await setActivePortfolioId(portfolioId);
+      applyPortfolioIndex(index, portfolioId);
+    }
+    await refreshPortfolio();
+    return true;
+  };
+
+  /**
+   * 撤销最近一次修改
+   * @returns {Promise<Object|null>} 被撤销的历史记录，没有可撤销的修改时返回 null
+   * @throws {Error} 修改过的币种又被其他标签页修改时抛出，可用 isConflictError 判断
+   */
+  const undo = async () => {
+    const entry = takeUndo();
+    if (!entry) return null;
+
+    const success = await restoreSnapshot(
+      entry.portfolioId,
+      entry.before,
+      entry.after
+    );
+    return success ? entry : null;
+  };
+
+  /**
+   * 重做最近一次撤销的修改
+   * @returns {Promise<Object|null>} 被重做的历史记录，没有可重做的修改时返回 null
+   * @throws {Error} 修改过的币种又被其他标签页修改时抛出，可用 isConflictError 判断
+   */
+  const redo = async () => {
+    const entry = takeRedo();
+    if (!entry) return null;
+
+    const success = await restoreSnapshot(
+      entry.portfolioId,
+      entry.after,
+      entry.before
+    );
+    return success ? entry : null;
+  };
+
   /**
    * 添加交易记录
    * @param {string} coinId - 加密货币ID
    * @param {Object} transactionData - 交易数据（不包含id和coinId）
-   * @returns {boolean} 是否添加成功
+   * @returns {Promise<boolean>} 是否添加成功
    */
-  const addTransaction = (coinId, transactionData) => {
+  const addTransaction = async (coinId, transactionData) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
+
     try {
       const transaction = {
         id: uuidv4(),
@@ -86,114 +577,187 @@ export const usePortfolio = () => {
         ...transactionData,
       };
 
-      setPortfolio((prevPortfolio) => {
-        const coinIndex = prevPortfolio.coins.findIndex(
-          (coin) => coin.id === coinId
-        );
+      await commitPortfolio(
+        (current) => ({
+          ...current,
+          coins: appendTransaction(current.coins, coinId, transaction),
+        }),
+        "添加交易记录"
+      );
 
-        let updatedCoins;
-
-        if (coinIndex >= 0) {
-          // 如果币种已存在，添加交易记录
-          updatedCoins = [...prevPortfolio.coins];
-          updatedCoins[coinIndex] = {
-            ...updatedCoins[coinIndex],
-            transactions: [
-              ...updatedCoins[coinIndex].transactions,
-              transaction,
-            ],
-          };
-        } else {
-          // 如果币种不存在，创建新的币种记录
-          updatedCoins = [
-            ...prevPortfolio.coins,
-            {
-              id: coinId,
-              symbol: "",
-              name: "",
-              image: "",
-              transactions: [transaction],
-              holdings: 0,
-              averageBuyPrice: 0,
-              totalInvestment: 0,
-              currentPrice: 0,
-              currentValue: 0,
-              profitLoss: 0,
-              profitLossPercentage: 0,
-              firstBuyDate: transaction.date,
-              lastTransactionDate: transaction.date,
-            },
-          ];
-        }
+      // 更新投资组合数据
+      refreshPortfolio();
 
-        const updatedPortfolio = {
-          ...prevPortfolio,
-          coins: updatedCoins,
-        };
+      return true;
+    } catch (err) {
+      setError("Failed to add transaction");
+      console.error(err);
+      return false;
+    }
+  };
 
-        // 保存到本地存储
-        savePortfolioToStorage(updatedPortfolio);
+  /**
+   * 添加币币兑换，生成共享 swapId 的卖出和买入两条记录
+   * @param {Object} swapData - 兑换数据
+   * @param {string} swapData.fromCoinId - 兑出的加密货币ID
+   * @param {string} swapData.toCoinId - 兑入的加密货币ID
+   * @param {Object} swapData.fromLeg - 卖出部分的交易数据（数量、价格、手续费）
+   * @param {Object} swapData.toLeg - 买入部分的交易数据（数量、价格）
+   * @param {string} swapData.date - 兑换时间
+   * @param {string} [swapData.reason] - 备注
+   * @returns {Promise<boolean>} 是否添加成功
+   */
+  const addSwap = async ({
+    fromCoinId,
+    toCoinId,
+    fromLeg,
+    toLeg,
+    date,
+    reason,
+  }) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
+
+    try {
+      const swapId = uuidv4();
+      const sellTransaction = {
+        ...fromLeg,
+        id: uuidv4(),
+        coinId: fromCoinId,
+        type: TRANSACTION_TYPES.SELL,
+        date,
+        reason: reason || "",
+        swapId,
+        swapCoinId: toCoinId,
+        swapAmount: toLeg.amount,
+      };
+      const buyTransaction = {
+        ...toLeg,
+        id: uuidv4(),
+        coinId: toCoinId,
+        type: TRANSACTION_TYPES.BUY,
+        date,
+        reason: reason || "",
+        swapId,
+        swapCoinId: fromCoinId,
+        swapAmount: fromLeg.amount,
+      };
 
-        return updatedPortfolio;
-      });
+      await commitPortfolio(
+        (current) => ({
+          ...current,
+          coins: appendTransaction(
+            appendTransaction(current.coins, fromCoinId, sellTransaction),
+            toCoinId,
+            buyTransaction
+          ),
+        }),
+        "添加兑换记录"
+      );
 
       // 更新投资组合数据
       refreshPortfolio();
 
       return true;
     } catch (err) {
-      setError("Failed to add transaction");
+      setError("Failed to add swap");
       console.error(err);
       return false;
     }
   };
 
   /**
-   * 删除交易记录
-   * @param {string} coinId - 加密货币ID
-   * @param {string} transactionId - 交易记录ID
-   * @returns {boolean} 是否删除成功
+   * 将导入的交易合并到当前投资组合，不覆盖现有记录
+   * @param {{added: Array, duplicates: Array, conflicts: Array}} plan - 由 planImportMerge 生成的合并预览
+   * @param {Object<string, string>} [resolutions] - 重复和冲突记录的处理方式，键为预览项的 key
+   * @returns {Promise<{addedCount: number, replacedCount: number, skippedCount: number}|false>} 合并结果，失败时返回false
    */
-  const deleteTransaction = async (coinId, transactionId) => {
+  const mergeTransactions = async (plan, resolutions = {}) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
+
     try {
-      setPortfolio((prevPortfolio) => {
-        const coinIndex = prevPortfolio.coins.findIndex(
-          (coin) => coin.id === coinId
+      const { addedCount, replacedCount } = applyImportMerge(
+        portfolio.coins,
+        plan,
+        resolutions
+      );
+      // 与其他标签页冲突时会基于最新数据重新合并，以实际合并的结果为准
+      let result;
+      await commitPortfolio((current) => {
+        const { coins, ...counts } = applyImportMerge(
+          current.coins,
+          plan,
+          resolutions
         );
+        result = counts;
+        return { ...current, coins };
+      }, `导入 ${addedCount + replacedCount} 条交易记录`);
 
-        if (coinIndex < 0) return prevPortfolio;
-
-        const updatedCoins = [...prevPortfolio.coins];
+      // 更新投资组合数据
+      refreshPortfolio();
 
-        // 过滤掉要删除的交易记录
-        updatedCoins[coinIndex] = {
-          ...updatedCoins[coinIndex],
-          transactions: updatedCoins[coinIndex].transactions.filter(
-            (t) => t.id !== transactionId
-          ),
-        };
+      return result;
+    } catch (err) {
+      setError("Failed to merge transactions");
+      console.error(err);
+      return false;
+    }
+  };
 
-        // 如果没有交易记录了，删除这个币种
-        const filteredCoins =
-          updatedCoins[coinIndex].transactions.length === 0
-            ? updatedCoins.filter((coin) => coin.id !== coinId)
-            : updatedCoins;
+  /**
+   * 删除交易记录，兑换记录会连同另一边的记录一起删除
+   * @param {string} coinId - 加密货币ID
+   * @param {string} transactionId - 交易记录ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  const deleteTransaction = async (coinId, transactionId) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
 
-        const updatedPortfolio = {
-          ...prevPortfolio,
-          coins: filteredCoins,
-        };
+    try {
+      const coin = portfolio.coins.find((c) => c.id === coinId);
+      const target = coin?.transactions.find((t) => t.id === transactionId);
+
+      if (!target) return false;
+
+      // 过滤掉要删除的交易记录
+      const shouldDelete = (t) =>
+        t.id === transactionId || (target.swapId && t.swapId === target.swapId);
+      const saved = await commitPortfolio(
+        (current) => {
+          if (!current.coins.some((c) => c.transactions.some(shouldDelete))) {
+            return null;
+          }
 
-        // 保存到本地存储
-        savePortfolioToStorage(updatedPortfolio);
+          const updatedCoins = current.coins.map((c) =>
+            c.transactions.some(shouldDelete)
+              ? {
+                  ...c,
+                  transactions: c.transactions.filter((t) => !shouldDelete(t)),
+                }
+              : c
+          );
 
-        return updatedPortfolio;
-      });
+          // 如果没有交易记录了，删除这个币种
+          return {
+            ...current,
+            coins: updatedCoins.filter((c) => c.transactions.length > 0),
+          };
+        },
+        target.swapId ? "删除兑换记录" : "删除交易记录"
+      );
 
       // 立即更新投资组合数据
       await refreshPortfolio();
 
-      return true;
+      return Boolean(saved);
     } catch (err) {
       setError("Failed to delete transaction");
       console.error(err);
@@ -209,26 +773,7 @@ export const usePortfolio = () => {
     try {
       setIsLoading(true);
 
-      const currentPortfolio =
-        getPortfolioFromStorage() || createEmptyPortfolio();
-
-      if (currentPortfolio.coins.length === 0) {
-        setPortfolio(createEmptyPortfolio());
-        setIsLoading(false);
-        return;
-      }
-
-      // 获取所有币种的ID
-      const coinIds = currentPortfolio.coins.map((coin) => coin.id);
-
-      // 获取最新的加密货币数据
-      const cryptoDataMap = await getMultipleCryptocurrencyDetails(coinIds);
-
-      // 更新投资组合数据
-      const updatedPortfolio = updatePortfolio(currentPortfolio, cryptoDataMap);
-
-      setPortfolio(updatedPortfolio);
-      savePortfolioToStorage(updatedPortfolio);
+      await loadAndSetPortfolio(activeIdRef.current);
     } catch (err) {
       setError("Failed to refresh portfolio");
       console.error(err);
@@ -238,74 +783,54 @@ export const usePortfolio = () => {
   };
 
   /**
-   * 导入投资组合数据
+   * 重新读取投资组合列表和当前投资组合，用于整体替换存储中的数据之后
+   * @returns {Promise<void>}
+   */
+  const reloadPortfolios = async () => {
+    applyPortfolioIndex(await getPortfolioIndex());
+    await refreshPortfolio();
+  };
+
+  /**
+   * 导入投资组合数据，替换当前投资组合的全部记录；保留现有记录请使用 mergeTransactions
    * @param {Object|string} data - 投资组合数据对象或JSON字符串
-   * @returns {boolean} 是否导入成功
+   * @returns {Promise<boolean>} 是否导入成功
    */
   const importPortfolio = async (data) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
+
     try {
       setIsLoading(true);
 
-      // 检查数据类型，如果是字符串则解析，否则直接使用
-      const importedPortfolio =
-        typeof data === "string" ? JSON.parse(data) : data;
-
-      // 验证导入的数据结构
-      if (!importedPortfolio || !Array.isArray(importedPortfolio.coins)) {
-        throw new Error("Invalid portfolio data format");
-      }
-
-      // 检查每个币种的数据是否有效
-      for (const coin of importedPortfolio.coins) {
-        if (!coin.id || !Array.isArray(coin.transactions)) {
-          throw new Error(`Invalid coin data: ${coin.id || "unknown"}`);
-        }
-
-        // 检查每个交易记录是否有效
-        for (const transaction of coin.transactions) {
-          if (
-            !transaction.id ||
-            !transaction.date ||
-            transaction.amount == null ||
-            transaction.price == null ||
-            !transaction.type
-          ) {
-            throw new Error(
-              `Invalid transaction data in coin: ${coin.id || "unknown"}`
-            );
-          }
-        }
-      }
+      // 升级早期版本的数据并校验全部记录
+      const importedPortfolio = parsePortfolioData(data);
 
       // 获取所有币种的ID
       const coinIds = importedPortfolio.coins.map((coin) => coin.id);
 
       // 获取最新的加密货币数据
-      const cryptoDataMap = await getMultipleCryptocurrencyDetails(coinIds);
-
-      // 更新每个币种的实时价格和相关数据
-      const updatedCoins = importedPortfolio.coins.map((coin) => {
-        const cryptoData = cryptoDataMap[coin.id];
-        if (!cryptoData) return coin;
-
-        return {
-          ...coin,
-          name: cryptoData.name || coin.name,
-          symbol: cryptoData.symbol || coin.symbol,
-          image: cryptoData.image || coin.image,
-          currentPrice: cryptoData.current_price,
-        };
-      });
-
-      // 处理投资组合的统计数据
-      const processedPortfolio = processPortfolioData({
-        ...importedPortfolio,
-        coins: updatedCoins,
-      });
-
-      // 保存到本地存储
-      savePortfolioToStorage(processedPortfolio);
-      setPortfolio(processedPortfolio);
+      const cryptoDataMap = await getMultipleCryptocurrencyDetails(
+        coinIds,
+        exchangeRates?.currency
+      );
+
+      // 更新每个币种的实时价格，并按当前的成本计算方法重新计算指标
+      const processedPortfolio = updatePortfolio(
+        {
+          ...importedPortfolio,
+          settings: {
+            ...portfolio.settings,
+            ...importedPortfolio.settings,
+          },
+        },
+        cryptoDataMap,
+        exchangeRates
+      );
+
+      await commitPortfolio(() => processedPortfolio, "替换投资组合");
 
       // 立即刷新以获取最新价格
       await refreshPortfolio();
@@ -321,102 +846,67 @@ export const usePortfolio = () => {
   };
 
   /**
-   * 处理投资组合数据，计算各项指标
-   * @param {Object} portfolio - 投资组合对象
-   * @returns {Object} 处理后的投资组合数据
+   * 设置成本计算方法，并按新方法重新计算投资组合指标
+   * @param {string} method - 成本计算方法 (fifo | lifo | hifo | average)
+   * @returns {Promise<boolean>} 是否设置成功
    */
-  const processPortfolioData = (portfolio) => {
-    // 处理每个币种的数据
-    const processedCoins = portfolio.coins.map((coin) => {
-      // 计算持有量、总投资、平均买入价格等
-      let totalHoldings = 0;
-      let totalInvestment = 0;
-      let totalBuyAmount = 0;
-      let firstBuyDate = null;
-      let lastTransactionDate = null;
-
-      // 处理每笔交易
-      coin.transactions.forEach((tx) => {
-        const amount = tx.amount || 0;
-        const price = tx.price || 0;
-
-        // 更新交易日期信息
-        const txDate = new Date(tx.date);
-        if (!firstBuyDate && tx.type === "buy") {
-          firstBuyDate = txDate;
-        } else if (tx.type === "buy" && txDate < firstBuyDate) {
-          firstBuyDate = txDate;
-        }
-
-        if (!lastTransactionDate) {
-          lastTransactionDate = txDate;
-        } else if (txDate > lastTransactionDate) {
-          lastTransactionDate = txDate;
-        }
+  const setCostBasisMethod = async (method) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
 
-        // 计算持有量
-        if (tx.type === "buy") {
-          totalHoldings += amount;
-          totalInvestment += amount * price;
-          totalBuyAmount += amount;
-        } else if (tx.type === "sell") {
-          totalHoldings -= amount;
-          // 这里使用简化的盈亏计算，实际应该使用FIFO等算法
-          totalInvestment = Math.max(
-            0,
-            totalInvestment - (amount / totalHoldings) * totalInvestment
-          );
-        }
-      });
-
-      // 计算平均买入价格
-      const averageBuyPrice =
-        totalBuyAmount > 0 ? totalInvestment / totalBuyAmount : 0;
-
-      // 计算当前价值和盈亏
-      const currentPrice = coin.currentPrice || 0;
-      const currentValue = totalHoldings * currentPrice;
-      const profitLoss = currentValue - totalInvestment;
-      const profitLossPercentage =
-        totalInvestment > 0 ? (profitLoss / totalInvestment) * 100 : 0;
-
-      // 返回处理后的币种数据
-      return {
-        ...coin,
-        holdings: totalHoldings,
-        totalInvestment,
-        averageBuyPrice,
-        currentValue,
-        profitLoss,
-        profitLossPercentage,
-        firstBuyDate: firstBuyDate ? firstBuyDate.toISOString() : null,
-        lastTransactionDate: lastTransactionDate
-          ? lastTransactionDate.toISOString()
-          : null,
-      };
-    });
+    try {
+      const costBasisMethod = normalizeCostBasisMethod(method);
+
+      const updatedPortfolio = updatePortfolio(
+        {
+          ...portfolio,
+          settings: {
+            ...portfolio.settings,
+            costBasisMethod,
+          },
+        },
+        {},
+        exchangeRates
+      );
+
+      // 交易记录没有变化，只会写入设置
+      await savePortfolioToStorage(
+        updatedPortfolio,
+        activeIdRef.current,
+        portfolio
+      );
+      setPortfolio(updatedPortfolio);
 
-    // 计算投资组合总指标
-    let totalInvestment = 0;
-    let totalValue = 0;
+      return true;
+    } catch (err) {
+      setError("Failed to update cost basis method");
+      console.error(err);
+      return false;
+    }
+  };
 
-    processedCoins.forEach((coin) => {
-      totalInvestment += coin.totalInvestment || 0;
-      totalValue += coin.currentValue || 0;
-    });
+  /**
+   * 设置基础货币，所有投资组合共用，切换后按新的货币重新获取行情和汇率
+   * @param {string} currency - 基础货币 (USD | EUR | CNY | GBP | JPY)
+   * @returns {Promise<void>}
+   */
+  const setBaseCurrency = async (currency) => {
+    const nextCurrency = normalizeBaseCurrency(currency);
+    writeBaseCurrency(nextCurrency);
+    setBaseCurrencyState(nextCurrency);
 
-    const totalProfitLoss = totalValue - totalInvestment;
-    const totalProfitLossPercentage =
-      totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
+    try {
+      setIsLoading(true);
 
-    // 返回处理后的投资组合
-    return {
-      coins: processedCoins,
-      totalInvestment,
-      totalValue,
-      totalProfitLoss,
-      totalProfitLossPercentage,
-    };
+      await loadAndSetPortfolio(activeIdRef.current, nextCurrency);
+    } catch (err) {
+      setError("Failed to change base currency");
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   /**
@@ -428,6 +918,7 @@ export const usePortfolio = () => {
       // 确保导出数据包含完整的币种信息，特别是图标URL
       const exportData = {
         ...portfolio,
+        version: PORTFOLIO_SCHEMA_VERSION,
         coins: portfolio.coins.map((coin) => ({
           ...coin,
           // 确保包含必要的字段，方便导入时自动匹配和获取价格
@@ -456,47 +947,49 @@ export const usePortfolio = () => {
    * @param {string} coinId - 加密货币ID
    * @param {string} transactionId - 交易记录ID
    * @param {Object} transactionData - 更新后的交易数据（不包含id和coinId）
-   * @returns {boolean} 是否更新成功
+   * @returns {Promise<boolean>} 是否更新成功
    */
-  const updateTransaction = (coinId, transactionId, transactionData) => {
-    try {
-      setPortfolio((prevPortfolio) => {
-        const coinIndex = prevPortfolio.coins.findIndex(
-          (coin) => coin.id === coinId
-        );
-
-        if (coinIndex < 0) return prevPortfolio;
-
-        const updatedCoins = [...prevPortfolio.coins];
-        const transactionIndex = updatedCoins[coinIndex].transactions.findIndex(
-          (t) => t.id === transactionId
-        );
+  const updateTransaction = async (coinId, transactionId, transactionData) => {
+    if (isAggregateView) {
+      setError(AGGREGATE_VIEW_ERROR);
+      return false;
+    }
 
-        if (transactionIndex < 0) return prevPortfolio;
+    try {
+      const coin = portfolio.coins.find((c) => c.id === coinId);
+      if (!coin?.transactions.some((t) => t.id === transactionId)) {
+        return false;
+      }
 
-        // 更新交易记录
-        updatedCoins[coinIndex].transactions[transactionIndex] = {
-          ...updatedCoins[coinIndex].transactions[transactionIndex],
-          ...transactionData,
-          id: transactionId,
-          coinId,
-        };
+      // 更新交易记录，不直接修改原数组，以免影响撤销用的快照
+      const saved = await commitPortfolio((current) => {
+        const currentCoin = current.coins.find((c) => c.id === coinId);
+        // 交易记录已在其他标签页被删除
+        if (!currentCoin?.transactions.some((t) => t.id === transactionId)) {
+          return null;
+        }
 
-        const updatedPortfolio = {
-          ...prevPortfolio,
-          coins: updatedCoins,
+        return {
+          ...current,
+          coins: current.coins.map((c) =>
+            c === currentCoin
+              ? {
+                  ...c,
+                  transactions: c.transactions.map((t) =>
+                    t.id === transactionId
+                      ? { ...t, ...transactionData, id: transactionId, coinId }
+                      : t
+                  ),
+                }
+              : c
+          ),
         };
-
-        // 保存到本地存储
-        savePortfolioToStorage(updatedPortfolio);
-
-        return updatedPortfolio;
-      });
+      }, "修改交易记录");
 
       // 更新投资组合数据
       refreshPortfolio();
 
-      return true;
+      return Boolean(saved);
     } catch (err) {
       setError("Failed to update transaction");
       console.error(err);
@@ -504,15 +997,120 @@ export const usePortfolio = () => {
     }
   };
 
+  /**
+   * 切换当前投资组合
+   * @param {string} portfolioId - 投资组合ID，ALL_PORTFOLIOS_ID 表示查看全部投资组合
+   * @returns {Promise<void>}
+   */
+  const switchPortfolio = async (portfolioId) => {
+    await setActivePortfolioId(portfolioId);
+    applyPortfolioIndex(await getPortfolioIndex(), portfolioId);
+    await refreshPortfolio();
+  };
+
+  /**
+   * 新建投资组合并切换过去，新投资组合沿用当前的设置
+   * @param {string} name - 投资组合名称
+   * @returns {Promise<string>} 新投资组合的ID
+   */
+  const createPortfolio = async (name) => {
+    const portfolioId = await createPortfolioInStorage(
+      name,
+      createEmptyPortfolio(portfolio.settings)
+    );
+    await switchPortfolio(portfolioId);
+    return portfolioId;
+  };
+
+  /**
+   * 重命名投资组合
+   * @param {string} portfolioId - 投资组合ID
+   * @param {string} name - 新名称
+   * @returns {Promise<void>}
+   */
+  const renamePortfolio = async (portfolioId, name) => {
+    await renamePortfolioInStorage(portfolioId, name);
+    applyPortfolioIndex(await getPortfolioIndex());
+  };
+
+  /**
+   * 复制投资组合，包括全部交易记录和设置
+   * @param {string} portfolioId - 要复制的投资组合ID
+   * @returns {Promise<string|null>} 新投资组合的ID，原投资组合不存在时返回 null
+   */
+  const duplicatePortfolio = async (portfolioId) => {
+    const source = (await getPortfolioIndex()).portfolios.find(
+      (p) => p.id === portfolioId
+    );
+    if (!source) return null;
+
+    const newId = await createPortfolioInStorage(
+      `${source.name} 副本`,
+      (await getPortfolioFromStorage(portfolioId)) || createEmptyPortfolio()
+    );
+    applyPortfolioIndex(await getPortfolioIndex());
+    return newId;
+  };
+
+  /**
+   * 删除投资组合，删除当前投资组合时切换到剩余的第一个
+   * @param {string} portfolioId - 投资组合ID
+   * @returns {Promise<boolean>} 是否删除成功，最后一个投资组合不能删除，由调用方提示
+   */
+  const deletePortfolio = async (portfolioId) => {
+    const success = await deletePortfolioFromStorage(portfolioId);
+    if (!success) return false;
+
+    applyPortfolioIndex(await getPortfolioIndex());
+    await refreshPortfolio();
+    return true;
+  };
+
   return {
     portfolio,
+    portfolios: portfolioIndex.portfolios,
+    activePortfolioId: portfolioIndex.activeId,
+    isAggregateView,
     isLoading,
     error,
+    notice,
+    baseCurrency,
+    // 当前金额实际使用的货币，汇率获取失败时为美元
+    currency: exchangeRates?.currency || DEFAULT_BASE_CURRENCY,
+    exchangeRates,
     addTransaction,
+    addSwap,
+    mergeTransactions,
     deleteTransaction,
     updateTransaction,
     refreshPortfolio,
+    reloadPortfolios,
     importPortfolio,
     exportPortfolioData,
+    setCostBasisMethod,
+    setBaseCurrency,
+    switchPortfolio,
+    createPortfolio,
+    renamePortfolio,
+    duplicatePortfolio,
+    deletePortfolio,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    lastChange: lastRecorded,
   };
 };
+
+/**
+ * 投资组合管理的自定义钩子，所有组件共享同一份状态、加载状态和错误信息
+ * @returns {Object} 投资组合管理相关的状态和方法
+ * @throws {Error} 不在 PortfolioProvider 内使用时抛出
+ */
+export const usePortfolio = () => {
+  const context = useContext(PortfolioContext);
+  if (!context) {
+    throw new Error("usePortfolio must be used within a PortfolioProvider");
+  }
+  return context;
+};
@@ -0,0 +1,339 @@
+import { useEffect, useRef, useState } from "react";
+import { fetchSyncedData, pushSyncedData } from "@/lib/syncApi";
+import { decryptBackup, encryptBackup } from "@/utils/backupCrypto";
+import {
+  exportAllPortfolios,
+  replaceAllPortfolios,
+} from "@/utils/portfolioStorage";
+
+const SYNC_CONFIG_KEY = "crypto-portfolio-server-sync";
+
+// 定时同步的间隔，以及本地修改后等待多久再同步
+const SYNC_INTERVAL = 5 * 60 * 1000;
+const SYNC_DEBOUNCE = 3000;
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+/**
+ * 同步状态
+ */
+export const SYNC_STATUS = {
+  DISABLED: "disabled",
+  SYNCING: "syncing",
+  SYNCED: "synced",
+  ERROR: "error",
+  CONFLICT: "conflict",
+};
+
+/**
+ * 读取同步设置
+ * @returns {{token: string, revision: number, hash: string|null, lastSyncedAt: string|null}|null} 同步设置，未开启同步时返回 null
+ */
+const readSyncConfig = () => {
+  if (typeof window === "undefined") return null;
+
+  try {
+    const config = JSON.parse(localStorage.getItem(SYNC_CONFIG_KEY));
+    return config && TOKEN_PATTERN.test(config.token) ? config : null;
+  } catch (error) {
+    console.error("Failed to read sync config:", error);
+    return null;
+  }
+};
+
+/**
+ * 保存同步设置
+ * @param {Object|null} config - 同步设置，null 表示关闭同步
+ */
+const writeSyncConfig = (config) => {
+  try {
+    if (config) {
+      localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(config));
+    } else {
+      localStorage.removeItem(SYNC_CONFIG_KEY);
+    }
+  } catch (error) {
+    console.error("Failed to save sync config:", error);
+  }
+};
+
+/**
+ * 生成新的同步令牌，令牌同时用于加密同步的数据，需要妥善保管
+ * @returns {string} 同步令牌
+ */
+export const generateSyncToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * 判断同步令牌格式是否正确
+ * @param {string} token - 同步令牌
+ * @returns {boolean} 是否正确
+ */
+export const isValidSyncToken = (token) => TOKEN_PATTERN.test(token || "");
+
+/**
+ * 计算文本的 SHA-256 摘要，用于判断本地数据在上次同步后是否变化
+ * @param {string} text - 文本
+ * @returns {Promise<string>} 十六进制摘要
+ */
+const hashText = async (text) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+/**
+ * 服务端同步的自定义钩子
+ * 数据用同步令牌加密后上传，服务端只保存密文；两端都有修改时由用户选择保留哪一份
+ * @param {Object} options
+ * @param {() => Promise<void>} options.onRemoteApplied - 用服务端数据替换本地数据后的回调函数
+ * @param {string} [options.changeKey] - 本地数据的变化标识，变化后稍后自动同步
+ * @returns {Object} 同步相关的状态和方法
+ */
+export const useServerSync = ({ onRemoteApplied, changeKey }) => {
+  const [config, setConfig] = useState(null);
+  const [status, setStatus] = useState(SYNC_STATUS.DISABLED);
+  const [error, setError] = useState(null);
+  const [storage, setStorage] = useState(null);
+  // 发生冲突时服务端的数据，等待用户选择
+  const [conflict, setConflict] = useState(null);
+  const isSyncingRef = useRef(false);
+
+  /**
+   * 保存同步设置并更新状态
+   * @param {Object|null} next - 同步设置
+   */
+  const saveConfig = (next) => {
+    writeSyncConfig(next);
+    setConfig(next);
+  };
+
+  /**
+   * 用服务端数据替换本地数据
+   * @param {Object} current - 同步设置
+   * @param {Object} remote - 服务端数据
+   * @returns {Promise<void>}
+   */
+  const applyRemote = async (current, remote) => {
+    const portfolios = JSON.parse(
+      await decryptBackup(remote.data, current.token)
+    );
+    await replaceAllPortfolios(portfolios);
+
+    // 以写入后的本地数据计算摘要，避免格式差异被当作本地修改
+    const hash = await hashText(JSON.stringify(await exportAllPortfolios()));
+    saveConfig({
+      ...current,
+      revision: remote.revision,
+      hash,
+      lastSyncedAt: new Date().toISOString(),
+    });
+    await onRemoteApplied?.();
+  };
+
+  /**
+   * 上传本地数据，其他设备在此期间已上传时重新读取服务端数据并等待用户选择
+   * @param {Object} current - 同步设置
+   * @param {string} localJson - 本地数据
+   * @param {string} hash - 本地数据的摘要
+   * @param {number} baseRevision - 本地数据所基于的修订号
+   * @returns {Promise<boolean>} 是否已上传，发生冲突时为 false
+   */
+  const pushLocal = async (current, localJson, hash, baseRevision) => {
+    let result;
+    try {
+      result = await pushSyncedData(
+        current.token,
+        await encryptBackup(localJson, current.token),
+        baseRevision
+      );
+    } catch (err) {
+      if (err.status !== 409) throw err;
+
+      const remote = await fetchSyncedData(current.token);
+      if (!remote) throw err;
+      setStorage(remote.storage);
+      setConflict(remote);
+      setStatus(SYNC_STATUS.CONFLICT);
+      return false;
+    }
+
+    setStorage(result.storage);
+    saveConfig({
+      ...current,
+      revision: result.revision,
+      hash,
+      lastSyncedAt: result.updatedAt,
+    });
+    return true;
+  };
+
+  /**
+   * 同步一次：只有服务端变化时下载，只有本地变化时上传，两端都变化时等待用户选择
+   * @returns {Promise<void>}
+   */
+  const sync = async () => {
+    // 每次重新读取设置，其他标签页可能已经同步过
+    const current = readSyncConfig();
+    if (!current || isSyncingRef.current) return;
+
+    isSyncingRef.current = true;
+    setStatus(SYNC_STATUS.SYNCING);
+    setError(null);
+    try {
+      const local = await exportAllPortfolios();
+      const localJson = JSON.stringify(local);
+      const hash = await hashText(localJson);
+      const localChanged = hash !== current.hash;
+
+      const remote = await fetchSyncedData(current.token);
+      if (remote) setStorage(remote.storage);
+      const remoteRevision = remote?.revision || 0;
+
+      if (remote && remoteRevision !== current.revision) {
+        // 首次连接且本地没有交易记录时直接使用服务端数据
+        const hasLocalData = local.some(({ data }) => data.coins.length > 0);
+        if (localChanged && (current.hash || hasLocalData)) {
+          setConflict(remote);
+          setStatus(SYNC_STATUS.CONFLICT);
+          return;
+        }
+        await applyRemote(current, remote);
+      } else if (localChanged || !remote) {
+        const pushed = await pushLocal(
+          current,
+          localJson,
+          hash,
+          remoteRevision
+        );
+        if (!pushed) return;
+      } else {
+        saveConfig({ ...current, lastSyncedAt: new Date().toISOString() });
+      }
+
+      setConflict(null);
+      setStatus(SYNC_STATUS.SYNCED);
+    } catch (err) {
+      console.error("Failed to sync portfolios:", err);
+      setError(err.message);
+      setStatus(SYNC_STATUS.ERROR);
+    } finally {
+      isSyncingRef.current = false;
+    }
+  };
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+
+  // 读取已保存的同步设置
+  useEffect(() => {
+    const stored = readSyncConfig();
+    setConfig(stored);
+    setStatus(stored ? SYNC_STATUS.SYNCED : SYNC_STATUS.DISABLED);
+  }, []);
+
+  // 开启同步后立即同步，之后定时同步，并在切回页面时同步
+  const token = config?.token;
+  useEffect(() => {
+    if (!token) return;
+
+    syncRef.current();
+    const intervalId = setInterval(() => syncRef.current(), SYNC_INTERVAL);
+    const handleFocus = () => syncRef.current();
+    window.addEventListener("focus", handleFocus);
+    return () => {
+      clearInterval(intervalId);
+      window.removeEventListener("focus", handleFocus);
+    };
+  }, [token]);
+
+  // 本地修改后稍后同步，连续修改只同步一次
+  useEffect(() => {
+    if (!token) return;
+
+    const timeoutId = setTimeout(() => syncRef.current(), SYNC_DEBOUNCE);
+    return () => clearTimeout(timeoutId);
+  }, [token, changeKey]);
+
+  /**
+   * 开启同步
+   * @param {string} newToken - 同步令牌，在其他设备上使用同一令牌即可看到相同的数据
+   * @returns {boolean} 令牌格式是否正确
+   */
+  const enable = (newToken) => {
+    const trimmed = (newToken || "").trim();
+    if (!isValidSyncToken(trimmed)) return false;
+
+    setConflict(null);
+    saveConfig({ token: trimmed, revision: 0, hash: null, lastSyncedAt: null });
+    return true;
+  };
+
+  /**
+   * 关闭同步，本地数据和服务端数据都会保留
+   */
+  const disable = () => {
+    saveConfig(null);
+    setConflict(null);
+    setError(null);
+    setStatus(SYNC_STATUS.DISABLED);
+  };
+
+  /**
+   * 解决冲突
+   * @param {boolean} useRemote - true 使用服务端数据替换本地数据，false 用本地数据覆盖服务端
+   * @returns {Promise<void>}
+   */
+  const resolveConflict = async (useRemote) => {
+    const current = readSyncConfig();
+    if (!current || !conflict) return;
+
+    isSyncingRef.current = true;
+    setStatus(SYNC_STATUS.SYNCING);
+    try {
+      if (useRemote) {
+        await applyRemote(current, conflict);
+      } else {
+        const localJson = JSON.stringify(await exportAllPortfolios());
+        const pushed = await pushLocal(
+          current,
+          localJson,
+          await hashText(localJson),
+          conflict.revision
+        );
+        if (!pushed) return;
+      }
+      setConflict(null);
+      setStatus(SYNC_STATUS.SYNCED);
+    } catch (err) {
+      console.error("Failed to resolve sync conflict:", err);
+      setError(err.message);
+      setStatus(SYNC_STATUS.ERROR);
+    } finally {
+      isSyncingRef.current = false;
+    }
+  };
+
+  return {
+    isEnabled: Boolean(config),
+    token: config?.token || null,
+    status,
+    error,
+    // 服务端未配置KV存储时为 memory，数据可能随服务重启丢失
+    storage,
+    lastSyncedAt: config?.lastSyncedAt || null,
+    conflictUpdatedAt: conflict?.updatedAt || null,
+    enable,
+    disable,
+    syncNow: () => syncRef.current(),
+    resolveConflict,
+  };
+};
@@ -0,0 +1,138 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { v4 as uuidv4 } from "uuid";
+
+const HISTORY_KEY = "crypto-portfolio-history";
+
+// 最多保留的操作记录数
+const MAX_HISTORY = 30;
+
+/**
+ * 从会话存储读取操作历史，关闭页面后历史即失效
+ * @returns {{past: Array, future: Array}} 操作历史
+ */
+const readHistory = () => {
+  if (typeof window === "undefined") return { past: [], future: [] };
+
+  try {
+    const data = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+    if (!data || !Array.isArray(data.past) || !Array.isArray(data.future)) {
+      return { past: [], future: [] };
+    }
+    return data;
+  } catch (error) {
+    console.error("Failed to read undo history:", error);
+    return { past: [], future: [] };
+  }
+};
+
+/**
+ * 保存操作历史到会话存储，超出存储空间时丢弃较早的记录
+ * @param {{past: Array, future: Array}} history - 操作历史
+ */
+const writeHistory = (history) => {
+  if (typeof window === "undefined") return;
+
+  let { past, future } = history;
+  while (past.length + future.length > 0) {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ past, future }));
+      return;
+    } catch (error) {
+      if (past.length > 0) {
+        past = past.slice(Math.ceil(past.length / 2));
+      } else {
+        future = future.slice(0, Math.floor(future.length / 2));
+      }
+    }
+  }
+  sessionStorage.removeItem(HISTORY_KEY);
+};
+
+/**
+ * 操作历史的自定义钩子，记录每次修改前后的快照，用于撤销和重做
+ * @returns {Object} 操作历史相关的状态和方法
+ */
+export const useUndoHistory = () => {
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [lastRecorded, setLastRecorded] = useState(null);
+  // 同步保存最新的历史，连续撤销时不依赖尚未更新的状态
+  const historyRef = useRef(history);
+
+  /**
+   * 更新操作历史并保存
+   * @param {{past: Array, future: Array}} next - 新的操作历史
+   */
+  const commit = useCallback((next) => {
+    historyRef.current = next;
+    setHistory(next);
+    writeHistory(next);
+  }, []);
+
+  // 从会话存储恢复本次会话的操作历史
+  useEffect(() => {
+    const stored = readHistory();
+    historyRef.current = stored;
+    setHistory(stored);
+  }, []);
+
+  /**
+   * 记录一次修改，之前撤销的操作将无法再重做
+   * @param {Object} change - 修改内容
+   * @param {string} change.label - 操作说明，显示在撤销提示中
+   * @param {string} change.portfolioId - 被修改的投资组合ID
+   * @param {Object} change.before - 修改前的快照
+   * @param {Object} change.after - 修改后的快照
+   * @returns {Object} 历史记录
+   */
+  const record = useCallback(
+    (change) => {
+      const entry = {
+        ...change,
+        id: uuidv4(),
+        createdAt: new Date().toISOString(),
+      };
+      commit({
+        past: [...historyRef.current.past, entry].slice(-MAX_HISTORY),
+        future: [],
+      });
+      setLastRecorded(entry);
+      return entry;
+    },
+    [commit]
+  );
+
+  /**
+   * 取出最近一次修改，移入可重做的记录
+   * @returns {Object|null} 需要撤销的历史记录，没有时返回 null
+   */
+  const takeUndo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    if (past.length === 0) return null;
+
+    const entry = past[past.length - 1];
+    commit({ past: past.slice(0, -1), future: [entry, ...future] });
+    return entry;
+  }, [commit]);
+
+  /**
+   * 取出最近一次撤销的修改，移回历史记录
+   * @returns {Object|null} 需要重做的历史记录，没有时返回 null
+   */
+  const takeRedo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    if (future.length === 0) return null;
+
+    const [entry, ...rest] = future;
+    commit({ past: [...past, entry], future: rest });
+    return entry;
+  }, [commit]);
+
+  return {
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    lastRecorded,
+    record,
+    takeUndo,
+    takeRedo,
+  };
+};
@@ -1,31 +1,38 @@
-import axios from "axios";
-
-// API配置
-const COINGECKO_API_URL = "https://api.coingecko.com/api/v3";
-const BINANCE_API_URL = "https://api.binance.com/api/v3";
-
-// 判断是否在生产环境
-const isProduction = process.env.NODE_ENV === "production";
-
-// API基础URL
-const API_BASE_URL = isProduction ? "" : "";
+import { createExchangeRates } from "@/utils/currency";
+import { isFiatCurrency } from "@/utils/exchangeParsers";
+import {
+  PRICE_RESOLUTIONS,
+  clearPriceHistory,
+  mergePricePoints,
+  readPriceHistory,
+  readPricePoint,
+  savePriceHistory,
+  savePricePoint,
+} from "@/utils/priceHistoryStore";
+import {
+  getMarketDataProvider,
+  getMarketDataProviders,
+  queryMarketData,
+} from "@/lib/marketData";
+import {
+  extractValidData,
+  findClosestPrice,
+  toTimestamp,
+  trackApiError,
+} from "@/lib/marketData/shared";
+
+// 默认计价货币
+const USD = "usd";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // 缓存配置
 const CACHE_EXPIRY = 60 * 60 * 1000; // 延长缓存到60分钟
 const cache = {
-  topCoins: { data: null, timestamp: 0 },
+  topCoins: { data: null, timestamp: 0, currency: USD },
   coinDetails: {},
-  marketData: {},
-  historicalPrices: {},
-  // 添加请求速率限制
-  requestCount: 0,
-  requestResetTime: 0,
-  // 添加全局加载状态跟踪
-  pendingRequests: new Map(),
-  lastRequestTime: {},
-  lastResults: {},
-  globalRequestCount: 0,
-  lastGlobalRequestTime: 0,
+  // 币种符号到CoinGecko币种的映射
+  symbolLookup: {},
 };
 
 // 初始化API错误跟踪
@@ -72,564 +79,106 @@ if (typeof window !== "undefined") {
   };
 }
 
-// 辅助函数：重试机制
-async function fetchWithRetry(
-  fetcher,
-  retries = 3,
-  delay = 1000,
-  cacheKey = null
-) {
-  // 如果存在相同的请求正在进行中，直接返回该Promise
-  if (cacheKey && cache.pendingRequests.has(cacheKey)) {
-    console.log(`复用已有请求: ${cacheKey}`);
-    return cache.pendingRequests.get(cacheKey);
-  }
-
-  // 增加一个防抖动验证，避免短时间内重复请求
-  const now = Date.now();
-  if (
-    cacheKey &&
-    cache.lastRequestTime[cacheKey] &&
-    now - cache.lastRequestTime[cacheKey] < 2000
-  ) {
-    console.log(`快速重复请求被阻止: ${cacheKey}`);
-    if (cache.lastResults[cacheKey]) {
-      return cache.lastResults[cacheKey];
-    }
-  }
-
-  // 记录请求时间
-  if (cacheKey) {
-    cache.lastRequestTime[cacheKey] = now;
-  }
-
-  // 全局请求限流
-  if (now - cache.lastGlobalRequestTime < 200) {
-    // 确保全局请求间隔至少200ms
-    cache.globalRequestCount++;
-    if (cache.globalRequestCount > 10) {
-      // 如果短时间内请求过多
-      const waitDelay = Math.min(delay * (cache.globalRequestCount / 5), 3000); // 最多等待3秒
-      console.log(`API请求频率过高，延迟 ${waitDelay}ms`);
-      await new Promise((resolve) => setTimeout(resolve, waitDelay));
-      cache.globalRequestCount = 0;
-    }
-  } else {
-    cache.lastGlobalRequestTime = now;
-    cache.globalRequestCount = 0;
-  }
-
-  const fetchPromise = (async () => {
-    try {
-      const result = await fetcher();
-      // 存储最近的结果，用于快速重复请求
-      if (cacheKey) {
-        cache.lastResults[cacheKey] = result;
-      }
-      return result;
-    } catch (error) {
-      console.warn(`请求失败: ${error.message}, 重试次数剩余: ${retries}`);
-      if (retries <= 0) throw error;
-
-      // 使用指数退避策略
-      const backoffDelay = delay * (1 + Math.random());
-      console.log(`等待 ${backoffDelay}ms 后重试...`);
-      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
-      return fetchWithRetry(fetcher, retries - 1, delay * 1.5, cacheKey);
-    } finally {
-      if (cacheKey) {
-        // 延迟从pendingRequests中删除，允许并发请求在短时间内重用结果
-        setTimeout(() => {
-          cache.pendingRequests.delete(cacheKey);
-        }, 500);
-      }
-    }
-  })();
-
-  if (cacheKey) {
-    cache.pendingRequests.set(cacheKey, fetchPromise);
-  }
-
-  return fetchPromise;
-}
-
-// 添加请求速率限制处理函数
-async function rateLimitedRequest(fetcher, fallbackData = null) {
-  // 检查当前分钟内的请求数
-  const now = Date.now();
-  if (now - cache.requestResetTime > 60000) {
-    // 重置计数器（每分钟）
-    cache.requestCount = 0;
-    cache.requestResetTime = now;
-  }
-
-  // 如果请求数超过限制，延迟或直接返回缓存
-  const MAX_REQUESTS_PER_MINUTE = 8; // 保守估计，防止触发限制
-
-  if (cache.requestCount >= MAX_REQUESTS_PER_MINUTE) {
-    console.warn("API请求频率已达上限，使用缓存数据或延迟请求");
-
-    // 如果有提供的备用数据，直接返回
-    if (fallbackData !== null) {
-      return fallbackData;
-    }
-
-    // 否则延迟请求到下一分钟
-    const timeToNextMinute = 60000 - (now - cache.requestResetTime);
-    await new Promise((resolve) =>
-      setTimeout(resolve, timeToNextMinute + 1000)
-    );
-
-    // 重置计数器
-    cache.requestCount = 0;
-    cache.requestResetTime = Date.now();
-  }
-
-  // 增加请求计数
-  cache.requestCount++;
-
-  try {
-    return await fetcher();
-  } catch (error) {
-    if (error.response && error.response.status === 429) {
-      console.error("遇到API限制，等待冷却期...");
-      // 触发了限制，强制等待较长时间
-      await new Promise((resolve) => setTimeout(resolve, 60000));
-      cache.requestCount = 0;
-      cache.requestResetTime = Date.now();
-
-      // 如果有备用数据，返回备用数据
-      if (fallbackData !== null) {
-        return fallbackData;
-      }
-
-      // 否则再次尝试
-      return await fetcher();
-    }
-    throw error;
-  }
-}
-
-// 辅助函数：提取API响应中的有效数据
-function extractValidData(response, defaultValue = []) {
-  if (!response) {
-    return defaultValue;
-  }
-
-  // 如果响应本身是数组，直接返回
-  if (Array.isArray(response)) {
-    return response;
-  }
-
-  // 检查常见的数据字段
-  if (response.data && Array.isArray(response.data)) {
-    return response.data;
-  }
-
-  // 如果是搜索结果，可能包含coins字段
-  if (response.coins && Array.isArray(response.coins)) {
-    return response.coins;
-  }
-
-  // 如果是市场数据，可能包含prices字段
-  if (response.prices && Array.isArray(response.prices)) {
-    return response.prices;
-  }
-
-  // 返回默认值
-  console.warn("Could not extract valid data from response:", response);
-  return defaultValue;
-}
-
 /**
- * 获取CoinGecko数据的代理函数
- * @param {string} endpoint - API端点路径
- * @param {Object} params - 请求参数
- * @returns {Promise<Object>} 响应数据
+ * 转换为CoinGecko使用的计价货币代码
+ * @param {string} [currency] - 货币代码（如 EUR）
+ * @returns {string} 小写的货币代码
  */
-async function fetchCoinGeckoProxy(endpoint, params = {}) {
-  // 生成缓存键
-  const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
-
-  // 检查缓存
-  if (
-    cache.marketData[cacheKey] &&
-    Date.now() - cache.marketData[cacheKey].timestamp < CACHE_EXPIRY
-  ) {
-    console.log(`Using cached data for: ${endpoint}`);
-    return cache.marketData[cacheKey].data;
-  }
-
-  try {
-    // 添加请求速率限制
-    const data = await rateLimitedRequest(async () => {
-      let response;
-
-      if (isProduction) {
-        const searchParams = new URLSearchParams({
-          endpoint,
-          ...params,
-        });
-
-        response = await axios.get(`/api/coingecko?${searchParams.toString()}`);
-      } else {
-        response = await axios.get(`${COINGECKO_API_URL}/${endpoint}`, {
-          params,
-        });
-      }
-
-      // 处理响应数据，确保格式一致
-      const responseData = response.data;
-
-      // 检查是否是一个有data字段的对象，且该字段是数组
-      if (
-        responseData &&
-        !Array.isArray(responseData) &&
-        Array.isArray(responseData.data)
-      ) {
-        return responseData.data;
-      }
-
-      // 否则返回原始响应
-      return responseData;
-    });
-
-    // 更新缓存
-    cache.marketData[cacheKey] = {
-      data: data,
-      timestamp: Date.now(),
-    };
-
-    return data;
-  } catch (error) {
-    // 记录错误
-    if (typeof window !== "undefined") {
-      window.trackApiError(`CoinGecko[${endpoint}]`, error);
-    }
-
-    // 尝试使用过期缓存
-    if (cache.marketData[cacheKey]) {
-      console.log(`Using stale cache for ${endpoint} due to error`);
-      return cache.marketData[cacheKey].data;
-    }
-
-    // 重新抛出错误
-    throw error;
-  }
-}
+const toVsCurrency = (currency) => (currency || USD).toLowerCase();
 
 /**
- * 获取币安价格数据，使用更可靠的公共端点
- * @param {string} symbol - 币种符号(带USDT后缀，例如 BTCUSDT)
- * @returns {Promise<number|null>} - 返回价格或null
+ * 用优先级高于数据来源的数据源的最新价格覆盖市场数据中的价格，
+ * 默认配置下即以美元计价时使用Binance价格
+ * @param {Array<Object>} coins - 市场数据
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {string} sourceId - 提供市场数据的数据源ID
+ * @returns {Promise<Array<Object>>} 更新价格后的市场数据
  */
-async function getBinancePrice(symbol) {
-  try {
-    // 使用 Binance 公共 API 端点，而不是通过本地代理
-    const response = await fetch(
-      `https://api1.binance.com/api/v3/ticker/price?symbol=${symbol}`,
-      {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      const errorMsg = `Binance API warning: ${response.status} - ${errorText}`;
-      console.warn(errorMsg);
-
-      // 记录错误
-      if (typeof window !== "undefined") {
-        window.trackApiError(`BinancePrice[${symbol}]`, {
-          message: errorMsg,
-          status: response.status,
-          details: errorText,
-        });
-      }
-
-      return null;
-    }
-
-    const data = await response.json();
-    const price = parseFloat(data.price);
-    return isNaN(price) ? null : price;
-  } catch (error) {
-    console.warn("Binance price API error (will try fallback):", error);
-
-    // 记录错误
-    if (typeof window !== "undefined") {
-      window.trackApiError(`BinancePrice[${symbol}]`, error);
-    }
-
-    return null;
+async function applyQuotes(coins, vsCurrency, sourceId) {
+  const quoteProviders = [];
+  for (const provider of getMarketDataProviders("getQuotes", vsCurrency)) {
+    if (provider.id === sourceId) break;
+    quoteProviders.push(provider);
   }
-}
+  if (quoteProviders.length === 0 || coins.length === 0) return coins;
 
-/**
- * 获取 Binance K线数据，使用更可靠的公共端点
- * @param {string} symbol - 币种符号(带USDT后缀，例如 BTCUSDT)
- * @param {string} interval - 时间间隔，例如 1d, 4h, 1h
- * @param {number} limit - 返回的K线数量
- * @returns {Promise<Array|null>} - 返回K线数据或null
- */
-async function getBinanceKlines(symbol, interval = "1d", limit = 7) {
-  try {
-    // 使用 Binance 公共 API 端点获取 K 线数据
-    const response = await fetch(
-      `https://api1.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`,
-      {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
+  const quotes = {};
+  for (const provider of quoteProviders) {
+    const missing = coins.filter((coin) => !quotes[coin.id]);
+    if (missing.length === 0) break;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.warn(
-        `Binance Klines API warning: ${response.status} - ${errorText}`
-      );
-      return null;
+    try {
+      Object.entries((await provider.getQuotes(missing, vsCurrency)) || {})
+        .filter(([id]) => !quotes[id])
+        .forEach(([id, quote]) => {
+          quotes[id] = quote;
+        });
+    } catch (error) {
+      console.warn(`${provider.name} quotes failed:`, error);
+      trackApiError(`${provider.name}[getQuotes]`, error);
     }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.warn("Binance klines API error (will try fallback):", error);
-    return null;
   }
-}
-
-/**
- * 使用 CoinGecko 作为主要数据源，币安作为备用
- * @param {Object} coinGeckoData - CoinGecko返回的数据
- * @returns {Promise<Object>} - 增强后的数据
- */
-async function enrichWithBinanceData(coinGeckoData) {
-  try {
-    const symbol = coinGeckoData.symbol.toUpperCase();
-    const binanceSymbol = `${symbol}USDT`;
-
-    // 尝试从 Binance 获取价格
-    const binancePrice = await getBinancePrice(binanceSymbol);
-
-    if (binancePrice !== null) {
-      // 如果 Binance 价格可用，则更新价格
-      const percentChange = coinGeckoData.price_change_percentage_24h || 0;
-
-      return {
-        ...coinGeckoData,
-        current_price: binancePrice,
-        binance_symbol: binanceSymbol,
-        binance_price_available: true,
-      };
-    }
 
-    // 如果 Binance 价格不可用，保留 CoinGecko 价格
-    return {
-      ...coinGeckoData,
-      binance_price_available: false,
-    };
-  } catch (error) {
-    console.warn("Error enriching with Binance data:", error);
-    return coinGeckoData;
-  }
+  return coins.map((coin) =>
+    quotes[coin.id] ? { ...coin, ...quotes[coin.id] } : coin
+  );
 }
 
 /**
- * 获取热门加密货币列表，优先使用Binance API
+ * 获取热门加密货币列表，按数据源优先级获取
  * @param {number} limit - 返回结果数量限制
+ * @param {string} [currency="usd"] - 计价货币
  * @returns {Promise<Array>} 加密货币列表
  */
-export const getTopCryptocurrencies = async (limit = 50) => {
-  // 检查缓存
+export const getTopCryptocurrencies = async (limit = 50, currency = USD) => {
+  const vsCurrency = toVsCurrency(currency);
+  // 检查缓存，缓存的计价货币不同时视为没有缓存
   const now = Date.now();
-  if (cache.topCoins.data && now - cache.topCoins.timestamp < CACHE_EXPIRY) {
+  const cachedCoins =
+    cache.topCoins.currency === vsCurrency ? cache.topCoins.data : null;
+  if (cachedCoins && now - cache.topCoins.timestamp < CACHE_EXPIRY) {
     console.log("使用缓存的热门币种数据");
-    return cache.topCoins.data.slice(0, limit);
+    return cachedCoins.slice(0, limit);
   }
 
-  try {
-    // 首先尝试从Binance获取主要交易对信息
-    console.log("尝试从Binance获取热门币种数据");
-    const binanceSymbols = await fetchBinanceSymbols();
-
-    if (binanceSymbols && binanceSymbols.length > 0) {
-      console.log(`成功从Binance获取了 ${binanceSymbols.length} 个交易对信息`);
-
-      // 筛选USDT交易对并提取基础币种
-      const usdtPairs = binanceSymbols
-        .filter((s) => s.symbol.endsWith("USDT"))
-        .sort((a, b) => parseFloat(b.volume) - parseFloat(a.volume)) // 按交易量排序
-        .slice(0, Math.min(100, limit * 2)); // 获取交易量最大的100个或limit*2个
-
-      // 基于Binance数据构建初步结果
-      let results = await Promise.all(
-        usdtPairs.map(async (pair) => {
-          const baseSymbol = pair.symbol.replace("USDT", "");
-          const price = await getBinancePrice(pair.symbol);
-
-          return {
-            id: baseSymbol.toLowerCase(), // 临时ID，后面需要通过CoinGecko API补充
-            symbol: baseSymbol.toLowerCase(),
-            name: baseSymbol,
-            current_price: price || 0,
-            price_change_24h: 0, // 需要额外API调用获取
-            price_change_percentage_24h: 0, // 需要额外API调用获取
-            market_cap: 0, // 需要通过CoinGecko补充
-            image: `https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/128/color/${baseSymbol.toLowerCase()}.png`,
-            binance_symbol: pair.symbol,
-            binance_volume: parseFloat(pair.volume || 0),
-            binance_price_available: price !== null,
-          };
-        })
-      );
-
-      // 过滤掉没有价格的结果
-      results = results.filter((r) => r.binance_price_available);
-
-      // 如果Binance数据足够使用，记录到缓存并返回
-      if (results.length >= limit) {
-        console.log(`使用Binance数据返回 ${limit} 个热门币种`);
-
-        // 更新缓存
-        cache.topCoins = {
-          data: results,
-          timestamp: now,
-        };
-
-        return results.slice(0, limit);
-      }
-
-      console.log(
-        `Binance数据不足 (${results.length}/${limit})，尝试使用CoinGecko补充`
-      );
-    }
-
-    // 如果Binance没有数据或数据不足，使用CoinGecko API
-    console.log("使用CoinGecko API获取热门币种数据");
-    const response = await fetchWithRetry(async () => {
-      return await fetchCoinGeckoProxy("coins/markets", {
-        vs_currency: "usd",
-        order: "market_cap_desc",
-        per_page: Math.min(100, limit),
-        page: 1,
-        sparkline: true,
-        price_change_percentage: "24h,7d",
-      });
-    });
-
-    // 确保响应是有效的数组
-    const validData = extractValidData(response);
-    if (!validData.length) {
-      console.error("Invalid response from CoinGecko API:", response);
-      // 如果缓存存在但已过期，仍然返回它
-      if (cache.topCoins.data) {
-        console.log("Returning stale cached data for top cryptocurrencies");
-        return cache.topCoins.data.slice(0, limit);
-      }
-      // 返回空数组
-      return [];
-    }
-
-    // 增强数据
-    const enrichedData = await Promise.all(
-      validData.map((coin) => enrichWithBinanceData(coin))
-    );
-
-    // 更新缓存
-    cache.topCoins = {
-      data: enrichedData,
-      timestamp: now,
-    };
-
-    return enrichedData.slice(0, limit);
-  } catch (error) {
-    console.error("Failed to fetch top cryptocurrencies:", error);
-
-    // 记录错误
-    if (typeof window !== "undefined") {
-      window.trackApiError("getTopCryptocurrencies", error);
-    }
+  const found = await queryMarketData("getTopCoins", vsCurrency, [
+    limit,
+    vsCurrency,
+  ]);
 
+  if (!found) {
     // 如果缓存存在但已过期，仍然返回它
-    if (cache.topCoins.data) {
+    if (cachedCoins) {
       console.log("Returning stale cached data for top cryptocurrencies");
-      return cache.topCoins.data.slice(0, limit);
+      return cachedCoins.slice(0, limit);
     }
-
     return [];
   }
-};
 
-/**
- * 获取Binance所有交易对信息
- * @returns {Promise<Array>} 交易对列表
- */
-async function fetchBinanceSymbols() {
-  try {
-    // 使用Binance API获取24小时统计信息，包含所有交易对的交易量
-    const response = await fetch(
-      "https://api1.binance.com/api/v3/ticker/24hr",
-      {
-        method: "GET",
-        headers: { "Content-Type": "application/json" },
-      }
-    );
+  const coins = await applyQuotes(found.result, vsCurrency, found.provider);
 
-    if (!response.ok) {
-      throw new Error(`Binance API error: ${response.status}`);
-    }
+  // 更新缓存
+  cache.topCoins = {
+    data: coins,
+    timestamp: now,
+    currency: vsCurrency,
+  };
 
-    const data = await response.json();
-    return data.map((item) => ({
-      symbol: item.symbol,
-      volume: item.quoteVolume, // 使用USDT计价的交易量
-      priceChange: item.priceChange,
-      priceChangePercent: item.priceChangePercent,
-    }));
-  } catch (error) {
-    console.error("Error fetching Binance symbols:", error);
-    return null;
-  }
-}
+  return coins.slice(0, limit);
+};
 
 /**
- * 搜索加密货币，优先使用Binance匹配
+ * 搜索加密货币，先在缓存的热门币中查找，再按数据源优先级搜索
  * @param {string} query - 搜索关键词
+ * @param {string} [currency="usd"] - 计价货币
  * @returns {Promise<Array>} 搜索结果列表
  */
-export const searchCryptocurrencies = async (query) => {
+export const searchCryptocurrencies = async (query, currency = USD) => {
   if (!query.trim()) return [];
+  const vsCurrency = toVsCurrency(currency);
 
   try {
-    // 检查是否是合约地址（以0x开头的40位十六进制字符串）
-    const isContractAddress = /^0x[a-fA-F0-9]{40}$/i.test(query);
-
-    // 如果是合约地址，直接使用CoinGecko搜索
-    if (isContractAddress) {
-      console.log(`搜索合约地址: ${query}`);
-      return await searchContractAddress(query);
-    }
-
-    // 尝试在Binance中搜索匹配的交易对
-    console.log(`在Binance中搜索: ${query}`);
-    const binanceResults = await searchBinanceSymbols(query);
-
-    if (binanceResults && binanceResults.length > 0) {
-      console.log(`Binance搜索找到 ${binanceResults.length} 个结果`);
-      return binanceResults;
-    }
-
-    console.log(`Binance无匹配结果，尝试使用CoinGecko搜索: ${query}`);
-
-    // 普通搜索
-    // 先尝试在缓存的热门币中搜索
-    if (cache.topCoins.data) {
+    if (cache.topCoins.data && cache.topCoins.currency === vsCurrency) {
       const cacheResults = cache.topCoins.data.filter(
         (coin) =>
           coin.name.toLowerCase().includes(query.toLowerCase()) ||
@@ -642,33 +191,13 @@ export const searchCryptocurrencies = async (query) => {
       }
     }
 
-    // 使用CoinGecko搜索API
-    const response = await fetchWithRetry(async () => {
-      return await fetchCoinGeckoProxy("search", { query });
-    });
-
-    // 搜索API只返回基本信息，需要获取详细信息
-    const coins = extractValidData(response.coins || response, []).slice(0, 10); // 限制结果数量
-
-    if (coins.length === 0) return [];
-
-    // 获取详细信息
-    const coinIds = coins.map((coin) => coin.id).join(",");
-    const detailsResponse = await fetchWithRetry(async () => {
-      return await fetchCoinGeckoProxy("coins/markets", {
-        vs_currency: "usd",
-        ids: coinIds,
-        order: "market_cap_desc",
-        sparkline: false,
-        price_change_percentage: "24h",
-      });
-    });
+    const found = await queryMarketData("search", vsCurrency, [
+      query,
+      vsCurrency,
+    ]);
+    if (!found) return [];
 
-    // 增强数据
-    const validDetailsData = extractValidData(detailsResponse, []);
-    return await Promise.all(
-      validDetailsData.map((coin) => enrichWithBinanceData(coin))
-    );
+    return await applyQuotes(found.result, vsCurrency, found.provider);
   } catch (error) {
     console.error("Failed to search cryptocurrencies:", error);
     return [];
@@ -676,193 +205,159 @@ export const searchCryptocurrencies = async (query) => {
 };
 
 /**
- * 在Binance中搜索匹配的交易对
- * @param {string} query - 搜索关键词
- * @returns {Promise<Array>} 搜索结果列表
+ * 根据币种符号查找对应的CoinGecko ID，用于导入交易所记录
+ * 优先匹配缓存的热门币，再按数据源优先级查找，符号相同的取市值排名最高的
+ * @param {string} symbol - 币种符号（如 BTC）
+ * @returns {Promise<{id: string, symbol: string, name: string, image: string}|null>} 币种信息，找不到时返回null
  */
-async function searchBinanceSymbols(query) {
-  try {
-    // 获取所有交易对信息
-    const symbols = await fetchBinanceSymbols();
-    if (!symbols || !symbols.length) return null;
-
-    // 搜索匹配的USDT交易对
-    const normalizedQuery = query.toLowerCase();
-    const matchingPairs = symbols.filter(
-      (s) =>
-        s.symbol.toLowerCase().includes(normalizedQuery) &&
-        s.symbol.endsWith("USDT")
-    );
+export const findCoinBySymbol = async (symbol) => {
+  const normalized = symbol?.trim().toLowerCase();
+  if (!normalized) return null;
 
-    if (matchingPairs.length === 0) return null;
-
-    // 构建结果对象
-    const results = await Promise.all(
-      matchingPairs.slice(0, 10).map(async (pair) => {
-        const baseSymbol = pair.symbol.replace("USDT", "");
-        const price = await getBinancePrice(pair.symbol);
-
-        if (price === null) return null;
-
-        return {
-          id: baseSymbol.toLowerCase(),
-          symbol: baseSymbol.toLowerCase(),
-          name: baseSymbol,
-          current_price: price,
-          price_change_24h: parseFloat(pair.priceChange) || 0,
-          price_change_percentage_24h: parseFloat(pair.priceChangePercent) || 0,
-          market_cap: 0, // Binance不提供市值数据
-          image: `https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/128/color/${baseSymbol.toLowerCase()}.png`,
-          binance_symbol: pair.symbol,
-          binance_volume: parseFloat(pair.volume || 0),
-          binance_price_available: true,
-        };
-      })
-    );
+  if (cache.symbolLookup[normalized] !== undefined) {
+    return cache.symbolLookup[normalized];
+  }
 
-    // 过滤掉无效结果
-    return results.filter((r) => r !== null);
-  } catch (error) {
-    console.error("Error searching Binance symbols:", error);
-    return null;
+  const cachedMatch = (cache.topCoins.data || []).find(
+    (coin) => coin.symbol.toLowerCase() === normalized
+  );
+  if (cachedMatch) {
+    const result = {
+      id: cachedMatch.id,
+      symbol: cachedMatch.symbol,
+      name: cachedMatch.name,
+      image: cachedMatch.image,
+    };
+    cache.symbolLookup[normalized] = result;
+    return result;
   }
-}
 
-/**
- * 搜索合约地址
- * @param {string} address - 合约地址
- * @returns {Promise<Array>} 搜索结果列表
- */
-async function searchContractAddress(address) {
-  try {
-    // 使用专门的API搜索合约地址
-    // 先尝试使用CoinGecko的资产平台API (使用ethereum作为默认平台)
-    const ethResponse = await fetchWithRetry(async () => {
-      return await fetchCoinGeckoProxy(
-        "coins/ethereum/contract/" + address.toLowerCase()
-      );
-    });
+  // 只缓存找到的币种，找不到或请求失败时下次重新查找
+  const found = await queryMarketData("findCoinBySymbol", null, [normalized]);
+  if (!found) return null;
 
-    if (ethResponse && ethResponse.id) {
-      // 获取详细市场数据
-      const detailsResponse = await fetchWithRetry(async () => {
-        return await fetchCoinGeckoProxy("coins/markets", {
-          vs_currency: "usd",
-          ids: ethResponse.id,
-          sparkline: false,
-          price_change_percentage: "24h",
-        });
-      });
-
-      if (
-        detailsResponse &&
-        Array.isArray(detailsResponse) &&
-        detailsResponse.length > 0
-      ) {
-        return [detailsResponse[0]];
-      }
-    }
+  cache.symbolLookup[normalized] = found.result;
+  return found.result;
+};
 
-    // 如果专门的合约搜索失败，尝试常规搜索
-    const response = await fetchWithRetry(async () => {
-      return await fetchCoinGeckoProxy("search", { query: address });
-    });
+/**
+ * 获取法币兑美元的历史汇率
+ * @param {string} currency - 法币代码（如 EUR）
+ * @param {number|Date} timestamp - 时间戳或日期对象
+ * @returns {Promise<number|null>} 1单位法币对应的美元数，获取失败时返回null
+ */
+export const getFiatUsdRate = async (currency, timestamp) => {
+  const code = currency?.trim().toLowerCase();
+  if (!code) return null;
+  if (code === USD) return 1;
+
+  const found = await queryMarketData("getFiatUsdRate", null, [
+    code,
+    toTimestamp(timestamp),
+  ]);
+  if (!found) {
+    console.error(`Failed to get ${currency} rate`);
+    return null;
+  }
+  return found.result;
+};
 
-    // 提取匹配的合约地址
-    const coinsData = extractValidData(response.coins || response, []);
-    const matchingCoins = coinsData.filter(
-      (coin) =>
-        coin.platforms &&
-        Object.values(coin.platforms).some(
-          (addr) => addr && addr.toLowerCase() === address.toLowerCase()
-        )
-    );
+/**
+ * 获取美元兑法币的每日汇率，用于把以美元记录的交易换算为基础货币
+ * 通过USDT分别以法币和美元计价的走势换算，按时间范围获取并保存在本地价格缓存中
+ * 没有数据的日期（如USDT发行之前）不在汇率表中，由调用方显示为不可用
+ * @param {string} currency - 法币代码（如 EUR）
+ * @param {number} [from] - 开始时间戳，通常为最早一笔交易的时间，缺省为一年前
+ * @returns {Promise<Object|null>} 汇率表（见 createExchangeRates），获取失败时返回null
+ */
+export const getUsdExchangeRates = async (
+  currency,
+  from = Date.now() - 365 * DAY_MS
+) => {
+  const code = toVsCurrency(currency);
+  // 多取一天，保证开始当天的汇率在范围内
+  const days = Math.max(1, Math.ceil((Date.now() - from) / DAY_MS) + 1);
+
+  const [localPrices, usdPrices] = await Promise.all(
+    [code, USD].map((vsCurrency) =>
+      getCoinPriceHistory("tether", days, vsCurrency)
+    )
+  );
+  if (!localPrices.length || !usdPrices.length) {
+    console.error(`Failed to get ${currency} exchange rates`);
+    return null;
+  }
 
-    if (matchingCoins.length > 0) {
-      // 获取详细信息
-      const coinIds = matchingCoins.map((coin) => coin.id).join(",");
-      const detailsResponse = await fetchWithRetry(async () => {
-        return await fetchCoinGeckoProxy("coins/markets", {
-          vs_currency: "usd",
-          ids: coinIds,
-          order: "market_cap_desc",
-          sparkline: false,
-          price_change_percentage: "24h",
-        });
-      });
+  const points = localPrices
+    .map(([timestamp, price]) => {
+      const usdPrice = findClosestPrice(usdPrices, timestamp);
+      return [timestamp, usdPrice ? price / usdPrice : 0];
+    })
+    .filter(([, rate]) => rate > 0);
 
-      return extractValidData(detailsResponse, []);
-    }
+  return points.length > 0 ? createExchangeRates(currency, points, from) : null;
+};
 
-    // 如果仍然没有找到，返回空数组
-    return [];
-  } catch (error) {
-    console.error("Failed to search contract address:", error);
-    return [];
-  }
-}
+/**
+ * 获取计价资产在某一时间的美元价格，用于把非美元计价的交易换算为美元
+ * 法币按当天汇率换算，其余资产（包括稳定币）按币种的历史价格换算
+ * @param {string} symbol - 计价资产符号（如 EUR、BTC）
+ * @param {number|Date|string} timestamp - 交易时间
+ * @returns {Promise<number|null>} 1单位计价资产的美元价格，获取失败时返回null
+ */
+export const getQuoteUsdRate = async (symbol, timestamp) => {
+  const code = symbol?.trim().toUpperCase();
+  if (!code) return null;
+  if (code === "USD") return 1;
+  if (isFiatCurrency(code)) return await getFiatUsdRate(code, timestamp);
+
+  const coin = await findCoinBySymbol(code);
+  if (!coin) return null;
+  return await getHistoricalPrice(coin.id, toTimestamp(timestamp));
+};
 
 /**
  * 获取加密货币详情
  * @param {string} coinId - 加密货币ID
+ * @param {string} [currency="usd"] - 计价货币
  * @returns {Promise<Object>} - 加密货币详情
  */
-export const getCryptocurrencyDetails = async (coinId) => {
-  try {
-    console.log(`Fetching details for coin ID: ${coinId}`);
-    const data = await fetchCoinGeckoProxy(
-      `coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`
-    );
-
-    if (!data || !data.id) {
-      throw new Error("Invalid cryptocurrency details response");
-    }
-
-    // 构造基础响应对象
-    const response = {
-      id: data.id,
-      symbol: data.symbol,
-      name: data.name,
-      image:
-        data.image?.large ||
-        data.image?.small ||
-        `https://raw.githubusercontent.com/coinwink/cryptocurrency-logos/master/coins/32x32/${data.symbol.toLowerCase()}.png`,
-      current_price: data.market_data?.current_price?.usd || 0,
-      market_cap: data.market_data?.market_cap?.usd || 0,
-      market_cap_rank: data.market_data?.market_cap_rank || null,
-      fully_diluted_valuation:
-        data.market_data?.fully_diluted_valuation?.usd || 0,
-      total_volume: data.market_data?.total_volume?.usd || 0,
-      high_24h: data.market_data?.high_24h?.usd || 0,
-      low_24h: data.market_data?.low_24h?.usd || 0,
-      price_change_24h: data.market_data?.price_change_24h || 0,
-      price_change_percentage_24h:
-        data.market_data?.price_change_percentage_24h || 0,
-      market_cap_change_24h: data.market_data?.market_cap_change_24h || 0,
-      market_cap_change_percentage_24h:
-        data.market_data?.market_cap_change_percentage_24h || 0,
-      circulating_supply: data.market_data?.circulating_supply || 0,
-      total_supply: data.market_data?.total_supply || 0,
-      max_supply: data.market_data?.max_supply || 0,
-      last_updated: data.last_updated || new Date().toISOString(),
-    };
-
-    // 尝试用 Binance 数据丰富响应
-    return await enrichWithBinanceData(response);
-  } catch (error) {
-    console.error("Failed to fetch cryptocurrency details:", error);
+export const getCryptocurrencyDetails = async (coinId, currency = USD) => {
+  const vsCurrency = toVsCurrency(currency);
+  const found = await queryMarketData("getMetadata", vsCurrency, [
+    coinId,
+    vsCurrency,
+  ]);
+
+  if (!found) {
+    console.error(`Failed to fetch cryptocurrency details for ${coinId}`);
     throw new Error("Failed to fetch cryptocurrency details");
   }
+
+  const [details] = await applyQuotes(
+    [found.result],
+    vsCurrency,
+    found.provider
+  );
+  return details;
 };
 
 /**
  * 获取多个加密货币的详细信息
  * @param {Array<string>} coinIds - 加密货币ID列表
+ * @param {string} [currency="usd"] - 计价货币
  * @returns {Promise<Object>} 加密货币ID到详细信息的映射
  */
-export const getMultipleCryptocurrencyDetails = async (coinIds) => {
+export const getMultipleCryptocurrencyDetails = async (
+  coinIds,
+  currency = USD
+) => {
   if (coinIds.length === 0) return {};
 
+  const vsCurrency = toVsCurrency(currency);
+  // 同一币种不同计价货币的数据分开缓存
+  const getDetailsCacheKey = (id) => `${id}_${vsCurrency}`;
+
   // 准备结果对象
   const result = {};
   const coinsToFetch = [];
@@ -870,11 +365,9 @@ export const getMultipleCryptocurrencyDetails = async (coinIds) => {
   // 检查哪些需要获取，哪些可以使用缓存
   const now = Date.now();
   coinIds.forEach((id) => {
-    if (
-      cache.coinDetails[id] &&
-      now - cache.coinDetails[id].timestamp < CACHE_EXPIRY
-    ) {
-      result[id] = cache.coinDetails[id].data;
+    const cached = cache.coinDetails[getDetailsCacheKey(id)];
+    if (cached && now - cached.timestamp < CACHE_EXPIRY) {
+      result[id] = cached.data;
     } else {
       coinsToFetch.push(id);
     }
@@ -883,114 +376,145 @@ export const getMultipleCryptocurrencyDetails = async (coinIds) => {
   // 如果所有币种都在缓存中，直接返回
   if (coinsToFetch.length === 0) return result;
 
-  try {
-    // 批量处理币种查询，每次最多查询5个
-    const batchSize = 5;
-    for (let i = 0; i < coinsToFetch.length; i += batchSize) {
-      const batchIds = coinsToFetch.slice(i, i + batchSize);
-      const response = await fetchWithRetry(async () => {
-        return await fetchCoinGeckoProxy("coins/markets", {
-          vs_currency: "usd",
-          ids: batchIds.join(","),
-          sparkline: true,
-          price_change_percentage: "24h,7d",
-        });
-      });
-
-      // 处理这批次的结果
-      if (response && Array.isArray(response)) {
-        const enrichedPromises = response.map(async (coin) => {
-          try {
-            const enriched = await enrichWithBinanceData(coin);
-
-            // 更新缓存
-            cache.coinDetails[coin.id] = {
-              data: enriched,
-              timestamp: now,
-            };
-
-            return [coin.id, enriched];
-          } catch (err) {
-            console.warn(`Error enriching data for ${coin.id}:`, err);
-            return [coin.id, coin];
-          }
-        });
-
-        // 等待所有增强数据处理完成
-        const enrichedEntries = await Promise.all(enrichedPromises);
-
-        // 合并结果
-        enrichedEntries.forEach(([id, data]) => {
-          result[id] = data;
-        });
-      }
-
-      // 如果还有更多批次，等待一小段时间以避免触发频率限制
-      if (i + batchSize < coinsToFetch.length) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      }
-    }
-
-    return result;
-  } catch (error) {
-    console.error("Failed to fetch multiple cryptocurrency details:", error);
+  const found = await queryMarketData("getMarkets", vsCurrency, [
+    coinsToFetch,
+    vsCurrency,
+  ]);
+  const coins = found
+    ? await applyQuotes(found.result, vsCurrency, found.provider)
+    : [];
+
+  coins.forEach((coin) => {
+    cache.coinDetails[getDetailsCacheKey(coin.id)] = {
+      data: coin,
+      timestamp: now,
+    };
+    result[coin.id] = coin;
+  });
 
-    // 对于未能获取的币种，尝试使用过期缓存
-    coinsToFetch.forEach((id) => {
-      if (cache.coinDetails[id]) {
+  // 对于未能获取的币种，尝试使用过期缓存
+  coinsToFetch
+    .filter((id) => !result[id])
+    .forEach((id) => {
+      const cached = cache.coinDetails[getDetailsCacheKey(id)];
+      if (cached) {
         console.log(`Using stale cache for ${id}`);
-        result[id] = cache.coinDetails[id].data;
+        result[id] = cached.data;
       }
     });
 
-    return result;
+  return result;
+};
+
+/**
+ * 价格走势在本地缓存中使用的粒度，与CoinGecko按天数返回的粒度一致
+ * @param {number} days - 天数
+ * @returns {number} 缓存粒度
+ */
+const getHistoryResolution = (days) =>
+  days <= 1
+    ? PRICE_RESOLUTIONS.FIVE_MINUTES
+    : days <= 90
+    ? PRICE_RESOLUTIONS.HOUR
+    : PRICE_RESOLUTIONS.DAY;
+
+/**
+ * 获取单个币种的价格走势，优先使用本地缓存，只请求缓存中缺少的时间段
+ * @param {string} coinId - 加密货币ID
+ * @param {number} days - 天数
+ * @param {string} vsCurrency - 计价货币代码
+ * @returns {Promise<Array<[number, number]>>} 按时间排序的价格数组
+ */
+const getCoinPriceHistory = async (coinId, days, vsCurrency) => {
+  const resolution = getHistoryResolution(days);
+  const to = Date.now();
+  const from = to - days * DAY_MS;
+
+  const cached = await readPriceHistory(
+    coinId,
+    vsCurrency,
+    resolution,
+    from,
+    to
+  );
+  // 不足一个粒度的缺口（例如上次获取之后的几分钟）不再请求
+  const gaps = cached.missing.filter(
+    ([start, end]) => end - start >= resolution
+  );
+  const prices = [...cached.prices];
+
+  for (const [start, end] of gaps) {
+    const found = await queryMarketData("getHistoryRange", vsCurrency, [
+      coinId,
+      start,
+      end,
+      vsCurrency,
+    ]);
+
+    if (!found) {
+      // 按时间范围获取失败时重新获取整段走势
+      const history = await queryMarketData("getHistory", vsCurrency, [
+        coinId,
+        days,
+        vsCurrency,
+      ]);
+      if (!history) break;
+
+      const historyPrices = extractValidData(history.result.prices, []);
+      await savePriceHistory(
+        coinId,
+        vsCurrency,
+        resolution,
+        from,
+        to,
+        historyPrices,
+        history.provider
+      );
+      return mergePricePoints([...prices, ...historyPrices], resolution);
+    }
+
+    const rangePrices = extractValidData(found.result.prices, []);
+    await savePriceHistory(
+      coinId,
+      vsCurrency,
+      resolution,
+      start,
+      end,
+      rangePrices,
+      found.provider
+    );
+    prices.push(...rangePrices);
   }
+
+  return mergePricePoints(prices, resolution);
 };
 
 /**
- * 获取历史价格数据，优先使用缓存，支持批量处理
+ * 获取历史价格数据，支持批量处理，价格保存在本地缓存中供图表和历史价格查询共用
  * @param {Array<string>|string} coinIds - 加密货币ID或ID数组
  * @param {number} days - 天数
- * @returns {Promise<Object>} - 历史价格数据，格式为 {coinId: {prices: [[timestamp, price], ...], market_caps: [...], total_volumes: [...]}}
+ * @param {string} [currency="usd"] - 计价货币
+ * @returns {Promise<Object>} - 历史价格数据，格式为 {coinId: {prices: [[timestamp, price], ...]}}
  */
-export const getHistoricalPriceData = async (coinIds, days = 7) => {
+export const getHistoricalPriceData = async (
+  coinIds,
+  days = 7,
+  currency = USD
+) => {
   if (!coinIds || coinIds.length === 0) return {};
+  const vsCurrency = toVsCurrency(currency);
 
   // 创建一个对象来存储结果
   const result = {};
 
   // 对每个币种并行请求数据
   await Promise.all(
-    coinIds.map(async (id) => {
-      try {
-        // 尝试使用我们的API代理
-        const response = await fetch(
-          `/api/coingecko?endpoint=coins/${id}/market_chart&vs_currency=usd&days=${days}`
-        );
-
-        if (!response.ok) {
-          throw new Error(`API错误: ${response.status}`);
-        }
-
-        const data = await response.json();
-        result[id] = data;
-      } catch (error) {
-        console.error(`获取${id}历史数据失败:`, error);
-
-        // 尝试直接从CoinGecko获取数据作为备用
-        try {
-          const fallbackResponse = await fetch(
-            `https://api.coingecko.com/api/v3/coins/${id}/market_chart?vs_currency=usd&days=${days}`
-          );
-
-          if (fallbackResponse.ok) {
-            const fallbackData = await fallbackResponse.json();
-            result[id] = fallbackData;
-            console.log(`成功从备用源获取${id}数据`);
-          }
-        } catch (fallbackError) {
-          console.error(`备用源也失败:`, fallbackError);
-        }
+    [].concat(coinIds).map(async (id) => {
+      const prices = await getCoinPriceHistory(id, days, vsCurrency);
+      if (prices.length > 0) {
+        result[id] = { prices };
+      } else {
+        console.error(`获取${id}历史数据失败`);
       }
     })
   );
@@ -999,21 +523,41 @@ export const getHistoricalPriceData = async (coinIds, days = 7) => {
 };
 
 /**
- * 获取特定时间的历史价格
+ * 清除本地缓存的历史价格，包括内存中的缓存
+ * @returns {Promise<void>}
+ */
+export const clearPriceHistoryCache = async () => {
+  if (typeof window !== "undefined") window._priceCache = {};
+  await clearPriceHistory();
+};
+
+/**
+ * 某一时间的历史价格及其来源和精度
+ * @typedef {Object} HistoricalPriceDetails
+ * @property {number} price - 价格
+ * @property {number} time - 价格数据点的时间戳
+ * @property {number} granularity - 数据粒度（毫秒），如1分钟K线为60000
+ * @property {string} source - 数据源ID
+ * @property {string} sourceName - 数据源名称
+ */
+
+/**
+ * 获取特定时间的历史价格及其来源和精度，按数据源优先级查找
  * @param {string} coinId - 加密货币ID
  * @param {number|Date} timestamp - 时间戳或日期对象
- * @returns {Promise<number|null>} - 返回价格或null
+ * @param {string} [currency="usd"] - 计价货币
+ * @returns {Promise<HistoricalPriceDetails|null>} - 返回价格详情，没有该时间的数据时返回null
  */
-export const getHistoricalPrice = async (coinId, timestamp) => {
+export const getHistoricalPriceDetails = async (
+  coinId,
+  timestamp,
+  currency = USD
+) => {
+  const vsCurrency = toVsCurrency(currency);
   // 确保timestamp是毫秒时间戳
-  const tsInMs =
-    timestamp instanceof Date
-      ? timestamp.getTime()
-      : typeof timestamp === "number"
-      ? timestamp
-      : new Date(timestamp).getTime();
-
-  // 转换为秒时间戳，因为CoinGecko API使用秒
+  const tsInMs = toTimestamp(timestamp);
+
+  // 转换为秒时间戳，用作缓存键
   const tsInSec = Math.floor(tsInMs / 1000);
 
   try {
@@ -1024,193 +568,83 @@ export const getHistoricalPrice = async (coinId, timestamp) => {
     );
 
     // 检查缓存
-    const cacheKey = `${coinId}_${tsInSec}`;
-    // 这里实现了简单的内存缓存，实际项目中可能需要更复杂的缓存机制
+    const cacheKey =
+      vsCurrency === USD
+        ? `${coinId}_${tsInSec}`
+        : `${coinId}_${tsInSec}_${vsCurrency}`;
+    // 先查内存缓存，再查本地缓存中同一分钟或同一5分钟的价格
     if (window._priceCache && window._priceCache[cacheKey]) {
       console.log("Retrieved price from cache");
       return window._priceCache[cacheKey];
     }
 
-    // 计算日期差异，决定使用哪个API
-    const now = Date.now();
-    const diffInDays = (now - tsInMs) / (1000 * 60 * 60 * 24);
+    const toDetails = (point, source) => {
+      const details = {
+        ...point,
+        source,
+        sourceName: getMarketDataProvider(source)?.name || source,
+      };
 
-    // 获取代币符号信息
-    const coinInfo = await fetchCoinGeckoProxy(
-      `coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`
-    );
+      // 缓存结果
+      if (!window._priceCache) window._priceCache = {};
+      window._priceCache[cacheKey] = details;
 
-    if (!coinInfo || !coinInfo.symbol) {
-      throw new Error("Failed to get coin symbol information");
-    }
+      return details;
+    };
 
-    const symbol = coinInfo.symbol.toUpperCase();
-    const binanceSymbol = `${symbol}USDT`;
-
-    // 尝试从Binance获取历史价格
-    if (diffInDays <= 30) {
-      try {
-        // 将日期转换为合适的区间
-        const interval = diffInDays <= 1 ? "1h" : diffInDays <= 7 ? "4h" : "1d";
-        const limit =
-          Math.ceil(diffInDays) *
-            (interval === "1h" ? 24 : interval === "4h" ? 6 : 1) +
-          5;
-
-        const klines = await getBinanceKlines(binanceSymbol, interval, limit);
-
-        if (klines && klines.length > 0) {
-          // 找到最接近的时间点
-          let closestKline = klines[0];
-          let minDiff = Math.abs(parseInt(klines[0][0]) - tsInMs);
-
-          for (let i = 1; i < klines.length; i++) {
-            const diff = Math.abs(parseInt(klines[i][0]) - tsInMs);
-            if (diff < minDiff) {
-              minDiff = diff;
-              closestKline = klines[i];
-            }
-          }
-
-          const price = parseFloat(closestKline[4]); // 收盘价
-
-          // 缓存结果
-          if (!window._priceCache) window._priceCache = {};
-          window._priceCache[cacheKey] = price;
-
-          return price;
-        }
-      } catch (error) {
-        console.warn(
-          "Failed to get Binance historical price, falling back to CoinGecko",
-          error
+    const stored = await readPricePoint(coinId, vsCurrency, tsInMs, [
+      PRICE_RESOLUTIONS.MINUTE,
+      PRICE_RESOLUTIONS.FIVE_MINUTES,
+    ]);
+    if (stored) return toDetails(stored, stored.source);
+
+    // 按交易对查询的数据源需要币种符号，只在用到时获取一次
+    let symbolPromise = null;
+    const getSymbol = () => {
+      symbolPromise =
+        symbolPromise ||
+        queryMarketData("getMetadata", USD, [coinId, USD]).then(
+          (found) => found?.result.symbol?.toUpperCase() || null
         );
-      }
-    }
-
-    // Binance数据不可用或时间太久远，使用CoinGecko API
-    // 决定使用哪个CoinGecko端点
-    if (diffInDays <= 30) {
-      // 过去30天用hourly数据
-      const hourlyData = await fetchCoinGeckoProxy(
-        `coins/${coinId}/market_chart?vs_currency=usd&days=${Math.ceil(
-          diffInDays
-        )}&interval=hourly`
-      );
-
-      if (hourlyData && hourlyData.prices && hourlyData.prices.length > 0) {
-        // 找到最接近的时间点
-        const closestPrice = findClosestPrice(hourlyData.prices, tsInMs);
-
-        // 缓存结果
-        if (!window._priceCache) window._priceCache = {};
-        window._priceCache[cacheKey] = closestPrice;
-
-        return closestPrice;
-      }
-    } else {
-      // 过去30天以上用daily数据
-      const dailyData = await fetchCoinGeckoProxy(
-        `coins/${coinId}/market_chart?vs_currency=usd&days=${Math.min(
-          Math.ceil(diffInDays),
-          365
-        )}&interval=daily`
-      );
-
-      if (dailyData && dailyData.prices && dailyData.prices.length > 0) {
-        // 找到最接近的时间点
-        const closestPrice = findClosestPrice(dailyData.prices, tsInMs);
+      return symbolPromise;
+    };
 
-        // 缓存结果
-        if (!window._priceCache) window._priceCache = {};
-        window._priceCache[cacheKey] = closestPrice;
+    const found = await queryMarketData("getPriceAt", vsCurrency, [
+      coinId,
+      tsInMs,
+      vsCurrency,
+      { getSymbol },
+    ]);
 
-        return closestPrice;
-      }
+    if (found) {
+      await savePricePoint(coinId, vsCurrency, found.result, found.provider);
+      return toDetails(found.result, found.provider);
     }
 
-    // 如果在CoinGecko也找不到数据，尝试估算历史价格
-    console.warn("Could not find exact historical price, trying estimation");
-    return await estimateHistoricalPrice(coinId, tsInMs);
+    // 数据源没有返回数据（例如离线或达到请求限制）时，使用图表缓存中同一小时或同一天的价格
+    const coarse = await readPricePoint(coinId, vsCurrency, tsInMs, [
+      PRICE_RESOLUTIONS.HOUR,
+      PRICE_RESOLUTIONS.DAY,
+    ]);
+    if (coarse) return toDetails(coarse, coarse.source);
+
+    // 所有数据源都没有该时间的数据，不使用估算价格，由调用方提示价格不可用
+    console.warn(`No historical price available for ${coinId} at ${tsInMs}`);
+    return null;
   } catch (error) {
     console.error("Failed to fetch historical price:", error);
-    // 如果所有API都失败，尝试估算价格
-    try {
-      return await estimateHistoricalPrice(coinId, tsInMs);
-    } catch (estError) {
-      console.error("Failed to estimate historical price:", estError);
-      return null;
-    }
+    return null;
   }
 };
 
 /**
- * 找到最接近指定时间戳的价格
- * @param {Array} prices - 价格数组，格式 [[timestamp, price], ...]
- * @param {number} targetTimestamp - 目标时间戳
- * @returns {number} - 最接近的价格
- */
-function findClosestPrice(prices, targetTimestamp) {
-  if (!prices || !prices.length) return null;
-
-  let closestPrice = prices[0][1];
-  let minDiff = Math.abs(prices[0][0] - targetTimestamp);
-
-  for (let i = 1; i < prices.length; i++) {
-    const diff = Math.abs(prices[i][0] - targetTimestamp);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closestPrice = prices[i][1];
-    }
-  }
-
-  return closestPrice;
-}
-
-/**
- * 估算历史价格（当无法获取确切价格时）
+ * 获取特定时间的历史价格
  * @param {string} coinId - 加密货币ID
- * @param {number} timestamp - 时间戳
- * @returns {Promise<number|null>} 估算的价格
+ * @param {number|Date} timestamp - 时间戳或日期对象
+ * @param {string} [currency="usd"] - 计价货币
+ * @returns {Promise<number|null>} - 返回价格，没有该时间的数据时返回null
  */
-async function estimateHistoricalPrice(coinId, timestamp) {
-  try {
-    // 获取当前价格
-    const coinDetails = await getCryptocurrencyDetails(coinId);
-    if (!coinDetails || !coinDetails.current_price) return null;
-
-    const currentPrice = coinDetails.current_price;
-    const now = Date.now();
-    const timeDiff = now - timestamp;
-
-    // 基于时间差异应用不同的随机因子
-    // 越接近当前时间，估算越接近当前价格
-    let randomFactorRange;
-
-    if (timeDiff < 7 * 24 * 60 * 60 * 1000) {
-      // 7天内
-      randomFactorRange = 0.1; // 价格在±10%范围内波动
-    } else if (timeDiff < 30 * 24 * 60 * 60 * 1000) {
-      // 30天内
-      randomFactorRange = 0.2; // 价格在±20%范围内波动
-    } else if (timeDiff < 90 * 24 * 60 * 60 * 1000) {
-      // 90天内
-      randomFactorRange = 0.3; // 价格在±30%范围内波动
-    } else {
-      // 更早
-      randomFactorRange = 0.5; // 价格在±50%范围内波动
-    }
-
-    // 生成随机因子
-    const randomFactor =
-      1 - randomFactorRange + Math.random() * randomFactorRange * 2;
-
-    // 应用随机因子估算价格
-    const estimatedPrice = currentPrice * randomFactor;
-
-    return estimatedPrice;
-  } catch (error) {
-    console.error("Failed to estimate historical price:", error);
-    return null;
-  }
-}
+export const getHistoricalPrice = async (coinId, timestamp, currency = USD) => {
+  const details = await getHistoricalPriceDetails(coinId, timestamp, currency);
+  return details ? details.price : null;
+};
@@ -0,0 +1,70 @@
+import { Redis } from "@upstash/redis";
+import { kv } from "@vercel/kv";
+
+// 尝试初始化KV存储，如果不可用则使用内存缓存
+let kvStore;
+try {
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    kvStore = kv;
+  } else if (
+    process.env.UPSTASH_REDIS_REST_URL &&
+    process.env.UPSTASH_REDIS_REST_TOKEN
+  ) {
+    kvStore = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
+  }
+} catch (error) {
+  console.warn("Failed to initialize KV store:", error);
+}
+
+// 内存缓存（备用方案），只在当前服务实例内有效，重启后丢失
+const memoryCache = {
+  data: new Map(),
+  set: async (key, value, ttl) => {
+    memoryCache.data.set(key, {
+      value,
+      expires: ttl ? Date.now() + ttl * 1000 : Infinity,
+    });
+    return true;
+  },
+  get: async (key) => {
+    const item = memoryCache.data.get(key);
+    if (!item) return null;
+    if (item.expires < Date.now()) {
+      memoryCache.data.delete(key);
+      return null;
+    }
+    return item.value;
+  },
+};
+
+/**
+ * 是否使用持久化的KV存储（Vercel KV 或 Upstash），否则数据只保存在内存中
+ */
+export const isPersistentStore = Boolean(kvStore);
+
+/**
+ * 可用的KV存储：优先使用 Vercel KV / Upstash Redis，未配置时使用内存缓存
+ */
+export const cache = {
+  /**
+   * 读取数据
+   * @param {string} key - 键
+   * @returns {Promise<*>} 数据，不存在或已过期时返回 null
+   */
+  get: (key) => (kvStore || memoryCache).get(key),
+
+  /**
+   * 写入数据
+   * @param {string} key - 键
+   * @param {*} value - 数据
+   * @param {number} [ttl] - 过期时间（秒），缺省时不过期
+   * @returns {Promise<*>}
+   */
+  set: (key, value, ttl) =>
+    kvStore
+      ? kvStore.set(key, value, ttl ? { ex: ttl } : undefined)
+      : memoryCache.set(key, value, ttl),
+};
@@ -0,0 +1,299 @@
+import { trackApiError, USE_MARKET_FIXTURES } from "./shared";
+
+// Binance 公共 API 端点，只有 USDT 交易对，仅在以美元计价时使用
+const BINANCE_API_URL = "https://api1.binance.com/api/v3";
+const USD = "usd";
+
+// 单次K线请求的最大数量
+const MAX_KLINES_PER_REQUEST = 1000;
+
+// 查询历史价格使用的K线间隔，Binance 从交易对上线起都有1分钟K线
+const PRICE_KLINE_INTERVAL = "1m";
+const PRICE_KLINE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 构建 Binance 请求地址，离线模式下通过 /api/binance 返回离线数据
+ * @param {string} endpoint - 接口路径，例如 ticker/price
+ * @param {Object} [params] - 查询参数
+ * @returns {string} 请求地址
+ */
+const getBinanceUrl = (endpoint, params = {}) => {
+  if (USE_MARKET_FIXTURES) {
+    return `/api/binance?${new URLSearchParams({ endpoint, ...params })}`;
+  }
+  const query = new URLSearchParams(params).toString();
+  return `${BINANCE_API_URL}/${endpoint}${query ? `?${query}` : ""}`;
+};
+
+// 币种图标，Binance 不提供图标
+const getIconUrl = (symbol) =>
+  `https://cdn.jsdelivr.net/gh/atomiclabs/cryptocurrency-icons@1a63530be6e374711a8554f31b17e4cb92c25fa5/128/color/${symbol.toLowerCase()}.png`;
+
+/**
+ * 获取币安价格数据，使用更可靠的公共端点
+ * @param {string} symbol - 币种符号(带USDT后缀，例如 BTCUSDT)
+ * @returns {Promise<number|null>} - 返回价格或null
+ */
+async function getBinancePrice(symbol) {
+  try {
+    // 使用 Binance 公共 API 端点，而不是通过本地代理
+    const response = await fetch(getBinanceUrl("ticker/price", { symbol }), {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const errorMsg = `Binance API warning: ${response.status} - ${errorText}`;
+      console.warn(errorMsg);
+
+      // 记录错误
+      trackApiError(`BinancePrice[${symbol}]`, {
+        message: errorMsg,
+        status: response.status,
+        details: errorText,
+      });
+
+      return null;
+    }
+
+    const data = await response.json();
+    const price = parseFloat(data.price);
+    return isNaN(price) ? null : price;
+  } catch (error) {
+    console.warn("Binance price API error (will try fallback):", error);
+
+    // 记录错误
+    trackApiError(`BinancePrice[${symbol}]`, error);
+
+    return null;
+  }
+}
+
+/**
+ * 获取 Binance 一段时间内的K线数据，超过单次请求上限时按 startTime 分页获取
+ * @param {string} symbol - 币种符号(带USDT后缀，例如 BTCUSDT)
+ * @param {string} interval - 时间间隔，例如 1d, 4h, 1h
+ * @param {number} startTime - 开始时间戳
+ * @param {number} endTime - 结束时间戳
+ * @returns {Promise<Array|null>} - 返回K线数据或null
+ */
+async function getBinanceKlines(symbol, interval, startTime, endTime) {
+  try {
+    const klines = [];
+    let pageStart = startTime;
+
+    while (pageStart <= endTime) {
+      // 使用 Binance 公共 API 端点获取 K 线数据
+      const response = await fetch(
+        getBinanceUrl("klines", {
+          symbol,
+          interval,
+          startTime: pageStart,
+          endTime,
+          limit: MAX_KLINES_PER_REQUEST,
+        }),
+        {
+          method: "GET",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.warn(
+          `Binance Klines API warning: ${response.status} - ${errorText}`
+        );
+        return null;
+      }
+
+      const page = await response.json();
+      klines.push(...page);
+
+      // 不足一页说明已经取完
+      if (page.length < MAX_KLINES_PER_REQUEST) break;
+      pageStart = page[page.length - 1][0] + 1;
+    }
+
+    return klines;
+  } catch (error) {
+    console.warn("Binance klines API error (will try fallback):", error);
+    return null;
+  }
+}
+
+/**
+ * 获取Binance所有交易对信息
+ * @returns {Promise<Array>} 交易对列表
+ */
+async function fetchBinanceSymbols() {
+  try {
+    // 使用Binance API获取24小时统计信息，包含所有交易对的交易量
+    const response = await fetch(getBinanceUrl("ticker/24hr"), {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Binance API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.map((item) => ({
+      symbol: item.symbol,
+      volume: item.quoteVolume, // 使用USDT计价的交易量
+      priceChange: item.priceChange,
+      priceChangePercent: item.priceChangePercent,
+    }));
+  } catch (error) {
+    console.error("Error fetching Binance symbols:", error);
+    return null;
+  }
+}
+
+/**
+ * 根据USDT交易对构建与CoinGecko市场数据格式一致的币种数据
+ * @param {Object} pair - 交易对信息
+ * @param {number|null} price - 最新价格
+ * @returns {Object} 币种数据，id 为临时ID
+ */
+const toMarketCoin = (pair, price) => {
+  const baseSymbol = pair.symbol.replace("USDT", "");
+  return {
+    id: baseSymbol.toLowerCase(), // 临时ID，后面需要通过CoinGecko API补充
+    symbol: baseSymbol.toLowerCase(),
+    name: baseSymbol,
+    current_price: price || 0,
+    price_change_24h: parseFloat(pair.priceChange) || 0,
+    price_change_percentage_24h: parseFloat(pair.priceChangePercent) || 0,
+    market_cap: 0, // Binance不提供市值数据
+    image: getIconUrl(baseSymbol),
+    binance_symbol: pair.symbol,
+    binance_volume: parseFloat(pair.volume || 0),
+    binance_price_available: price !== null,
+  };
+};
+
+/**
+ * Binance 数据源，只支持美元（USDT交易对），提供热门币种、搜索、最新价格和历史价格
+ * @type {import("./index").MarketDataProvider}
+ */
+export const binanceProvider = {
+  id: "binance",
+  name: "Binance",
+
+  supportsCurrency: (vsCurrency) => !vsCurrency || vsCurrency === USD,
+
+  async getTopCoins(limit) {
+    const binanceSymbols = await fetchBinanceSymbols();
+    if (!binanceSymbols || binanceSymbols.length === 0) return null;
+
+    console.log(`成功从Binance获取了 ${binanceSymbols.length} 个交易对信息`);
+
+    // 筛选USDT交易对，按交易量排序，取交易量最大的100个或limit*2个
+    const usdtPairs = binanceSymbols
+      .filter((s) => s.symbol.endsWith("USDT"))
+      .sort((a, b) => parseFloat(b.volume) - parseFloat(a.volume))
+      .slice(0, Math.min(100, limit * 2));
+
+    // 过滤掉没有价格的结果
+    const results = (
+      await Promise.all(
+        usdtPairs.map(async (pair) =>
+          toMarketCoin(pair, await getBinancePrice(pair.symbol))
+        )
+      )
+    ).filter((coin) => coin.binance_price_available);
+
+    // Binance数据不足时交给下一个数据源
+    if (results.length < limit) {
+      console.log(`Binance数据不足 (${results.length}/${limit})`);
+      return null;
+    }
+
+    console.log(`使用Binance数据返回 ${limit} 个热门币种`);
+    return results;
+  },
+
+  async search(query) {
+    // 合约地址没有对应的交易对
+    if (/^0x[a-fA-F0-9]{40}$/i.test(query)) return null;
+
+    // 获取所有交易对信息
+    const symbols = await fetchBinanceSymbols();
+    if (!symbols || !symbols.length) return null;
+
+    // 搜索匹配的USDT交易对
+    const normalizedQuery = query.toLowerCase();
+    const matchingPairs = symbols.filter(
+      (s) =>
+        s.symbol.toLowerCase().includes(normalizedQuery) &&
+        s.symbol.endsWith("USDT")
+    );
+
+    if (matchingPairs.length === 0) return null;
+
+    // 构建结果对象，过滤掉没有价格的结果
+    const results = await Promise.all(
+      matchingPairs
+        .slice(0, 10)
+        .map(async (pair) =>
+          toMarketCoin(pair, await getBinancePrice(pair.symbol))
+        )
+    );
+    const found = results.filter((coin) => coin.binance_price_available);
+    console.log(`Binance搜索找到 ${found.length} 个结果`);
+    return found;
+  },
+
+  async getQuotes(coins) {
+    const entries = await Promise.all(
+      coins.map(async (coin) => {
+        const binanceSymbol = `${coin.symbol.toUpperCase()}USDT`;
+        const price = await getBinancePrice(binanceSymbol);
+        return price === null
+          ? null
+          : [
+              coin.id,
+              {
+                current_price: price,
+                binance_symbol: binanceSymbol,
+                binance_price_available: true,
+              },
+            ];
+      })
+    );
+    return Object.fromEntries(entries.filter(Boolean));
+  },
+
+  async getPriceAt(coinId, timestamp, vsCurrency, { getSymbol }) {
+    const symbol = await getSymbol();
+    if (!symbol) return null;
+
+    // 只取目标时间前后各一根1分钟K线
+    const klines = await getBinanceKlines(
+      `${symbol}USDT`,
+      PRICE_KLINE_INTERVAL,
+      timestamp - PRICE_KLINE_INTERVAL_MS,
+      timestamp + PRICE_KLINE_INTERVAL_MS
+    );
+    if (!klines || klines.length === 0) return null;
+
+    // 使用包含目标时间的K线的收盘价，交易对当时还未上线时没有对应的K线
+    const kline = klines.find(
+      ([openTime, , , , , , closeTime]) =>
+        openTime <= timestamp && timestamp <= closeTime
+    );
+    return kline
+      ? {
+          price: parseFloat(kline[4]),
+          time: kline[0],
+          granularity: PRICE_KLINE_INTERVAL_MS,
+        }
+      : null;
+  },
+};
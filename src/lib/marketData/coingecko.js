@@ -0,0 +1,444 @@
+import axios from "axios";
+import {
+  extractValidData,
+  fetchWithRetry,
+  findPricePoint,
+  trackApiError,
+  USE_MARKET_FIXTURES,
+} from "./shared";
+
+// API配置
+const COINGECKO_API_URL = "https://api.coingecko.com/api/v3";
+
+// 判断是否在生产环境，生产环境和离线模式通过 /api/coingecko 代理请求
+const isProduction = process.env.NODE_ENV === "production";
+const useProxy = isProduction || USE_MARKET_FIXTURES;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 响应缓存和请求速率限制
+const CACHE_EXPIRY = 60 * 60 * 1000; // 延长缓存到60分钟
+const MAX_REQUESTS_PER_MINUTE = 8; // 保守估计，防止触发限制
+const state = {
+  responses: {},
+  requestCount: 0,
+  requestResetTime: 0,
+};
+
+// 添加请求速率限制处理函数
+async function rateLimitedRequest(fetcher, fallbackData = null) {
+  // 检查当前分钟内的请求数
+  const now = Date.now();
+  if (now - state.requestResetTime > 60000) {
+    // 重置计数器（每分钟）
+    state.requestCount = 0;
+    state.requestResetTime = now;
+  }
+
+  // 如果请求数超过限制，延迟或直接返回缓存
+  if (state.requestCount >= MAX_REQUESTS_PER_MINUTE) {
+    console.warn("API请求频率已达上限，使用缓存数据或延迟请求");
+
+    // 如果有提供的备用数据，直接返回
+    if (fallbackData !== null) {
+      return fallbackData;
+    }
+
+    // 否则延迟请求到下一分钟
+    const timeToNextMinute = 60000 - (now - state.requestResetTime);
+    await new Promise((resolve) =>
+      setTimeout(resolve, timeToNextMinute + 1000)
+    );
+
+    // 重置计数器
+    state.requestCount = 0;
+    state.requestResetTime = Date.now();
+  }
+
+  // 增加请求计数
+  state.requestCount++;
+
+  try {
+    return await fetcher();
+  } catch (error) {
+    if (error.response && error.response.status === 429) {
+      console.error("遇到API限制，等待冷却期...");
+      // 触发了限制，强制等待较长时间
+      await new Promise((resolve) => setTimeout(resolve, 60000));
+      state.requestCount = 0;
+      state.requestResetTime = Date.now();
+
+      // 如果有备用数据，返回备用数据
+      if (fallbackData !== null) {
+        return fallbackData;
+      }
+
+      // 否则再次尝试
+      return await fetcher();
+    }
+    throw error;
+  }
+}
+
+/**
+ * 获取CoinGecko数据的代理函数
+ * @param {string} endpoint - API端点路径
+ * @param {Object} params - 请求参数
+ * @returns {Promise<Object>} 响应数据
+ */
+async function fetchCoinGeckoProxy(endpoint, params = {}) {
+  // 生成缓存键
+  const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
+
+  // 检查缓存
+  if (
+    state.responses[cacheKey] &&
+    Date.now() - state.responses[cacheKey].timestamp < CACHE_EXPIRY
+  ) {
+    console.log(`Using cached data for: ${endpoint}`);
+    return state.responses[cacheKey].data;
+  }
+
+  try {
+    // 添加请求速率限制
+    const data = await rateLimitedRequest(async () => {
+      let response;
+
+      if (useProxy) {
+        const searchParams = new URLSearchParams({
+          endpoint,
+          ...params,
+        });
+
+        response = await axios.get(`/api/coingecko?${searchParams.toString()}`);
+      } else {
+        response = await axios.get(`${COINGECKO_API_URL}/${endpoint}`, {
+          params,
+        });
+      }
+
+      // 处理响应数据，确保格式一致
+      const responseData = response.data;
+
+      // 检查是否是一个有data字段的对象，且该字段是数组
+      if (
+        responseData &&
+        !Array.isArray(responseData) &&
+        Array.isArray(responseData.data)
+      ) {
+        return responseData.data;
+      }
+
+      // 否则返回原始响应
+      return responseData;
+    });
+
+    // 更新缓存
+    state.responses[cacheKey] = {
+      data: data,
+      timestamp: Date.now(),
+    };
+
+    return data;
+  } catch (error) {
+    // 记录错误
+    trackApiError(`CoinGecko[${endpoint}]`, error);
+
+    // 尝试使用过期缓存
+    if (state.responses[cacheKey]) {
+      console.log(`Using stale cache for ${endpoint} due to error`);
+      return state.responses[cacheKey].data;
+    }
+
+    // 重新抛出错误
+    throw error;
+  }
+}
+
+/**
+ * 获取币种的市场数据
+ * @param {Array<string>} coinIds - 币种ID列表
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {Object} [options] - 额外的请求参数
+ * @returns {Promise<Array>} 市场数据列表
+ */
+async function fetchMarkets(coinIds, vsCurrency, options = {}) {
+  const response = await fetchWithRetry(async () => {
+    return await fetchCoinGeckoProxy("coins/markets", {
+      vs_currency: vsCurrency,
+      ids: coinIds.join(","),
+      sparkline: false,
+      price_change_percentage: "24h",
+      ...options,
+    });
+  });
+  return extractValidData(response, []);
+}
+
+/**
+ * 搜索合约地址
+ * @param {string} address - 合约地址
+ * @param {string} vsCurrency - 计价货币代码
+ * @returns {Promise<Array>} 搜索结果列表
+ */
+async function searchContractAddress(address, vsCurrency) {
+  try {
+    // 使用专门的API搜索合约地址
+    // 先尝试使用CoinGecko的资产平台API (使用ethereum作为默认平台)
+    const ethResponse = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy(
+        "coins/ethereum/contract/" + address.toLowerCase()
+      );
+    });
+
+    if (ethResponse && ethResponse.id) {
+      // 获取详细市场数据
+      const details = await fetchMarkets([ethResponse.id], vsCurrency);
+      if (details.length > 0) {
+        return [details[0]];
+      }
+    }
+
+    // 如果专门的合约搜索失败，尝试常规搜索
+    const response = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy("search", { query: address });
+    });
+
+    // 提取匹配的合约地址
+    const coinsData = extractValidData(response.coins || response, []);
+    const matchingCoins = coinsData.filter(
+      (coin) =>
+        coin.platforms &&
+        Object.values(coin.platforms).some(
+          (addr) => addr && addr.toLowerCase() === address.toLowerCase()
+        )
+    );
+
+    if (matchingCoins.length > 0) {
+      // 获取详细信息
+      return await fetchMarkets(
+        matchingCoins.map((coin) => coin.id),
+        vsCurrency,
+        { order: "market_cap_desc" }
+      );
+    }
+
+    // 如果仍然没有找到，返回空数组
+    return [];
+  } catch (error) {
+    console.error("Failed to search contract address:", error);
+    return [];
+  }
+}
+
+/**
+ * CoinGecko 数据源，支持所有计价货币，提供行情、搜索、历史价格和币种信息
+ * @type {import("./index").MarketDataProvider}
+ */
+export const coinGeckoProvider = {
+  id: "coingecko",
+  name: "CoinGecko",
+
+  supportsCurrency: () => true,
+
+  async getTopCoins(limit, vsCurrency) {
+    console.log("使用CoinGecko API获取热门币种数据");
+    const response = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy("coins/markets", {
+        vs_currency: vsCurrency,
+        order: "market_cap_desc",
+        per_page: Math.min(100, limit),
+        page: 1,
+        sparkline: true,
+        price_change_percentage: "24h,7d",
+      });
+    });
+
+    // 确保响应是有效的数组
+    const validData = extractValidData(response);
+    if (!validData.length) {
+      console.error("Invalid response from CoinGecko API:", response);
+    }
+    return validData;
+  },
+
+  async search(query, vsCurrency) {
+    // 检查是否是合约地址（以0x开头的40位十六进制字符串）
+    if (/^0x[a-fA-F0-9]{40}$/i.test(query)) {
+      console.log(`搜索合约地址: ${query}`);
+      return await searchContractAddress(query, vsCurrency);
+    }
+
+    // 使用CoinGecko搜索API
+    const response = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy("search", { query });
+    });
+
+    // 搜索API只返回基本信息，需要获取详细信息
+    const coins = extractValidData(response.coins || response, []).slice(0, 10); // 限制结果数量
+
+    if (coins.length === 0) return [];
+
+    return await fetchMarkets(
+      coins.map((coin) => coin.id),
+      vsCurrency,
+      { order: "market_cap_desc" }
+    );
+  },
+
+  async getMarkets(coinIds, vsCurrency) {
+    const results = [];
+
+    // 批量处理币种查询，每次最多查询5个
+    const batchSize = 5;
+    try {
+      for (let i = 0; i < coinIds.length; i += batchSize) {
+        const batchIds = coinIds.slice(i, i + batchSize);
+        const response = await fetchMarkets(batchIds, vsCurrency, {
+          sparkline: true,
+          price_change_percentage: "24h,7d",
+        });
+        results.push(...response);
+
+        // 如果还有更多批次，等待一小段时间以避免触发频率限制
+        if (i + batchSize < coinIds.length) {
+          await new Promise((resolve) => setTimeout(resolve, 2000));
+        }
+      }
+    } catch (error) {
+      // 已获取的批次仍然返回，其余币种交给调用方处理
+      if (results.length === 0) throw error;
+      console.error("Failed to fetch remaining CoinGecko markets:", error);
+    }
+
+    return results;
+  },
+
+  async getMetadata(coinId, vsCurrency) {
+    console.log(`Fetching details for coin ID: ${coinId}`);
+    const data = await fetchCoinGeckoProxy(
+      `coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`
+    );
+
+    if (!data || !data.id) {
+      throw new Error("Invalid cryptocurrency details response");
+    }
+
+    return {
+      id: data.id,
+      symbol: data.symbol,
+      name: data.name,
+      image:
+        data.image?.large ||
+        data.image?.small ||
+        `https://raw.githubusercontent.com/coinwink/cryptocurrency-logos/master/coins/32x32/${data.symbol.toLowerCase()}.png`,
+      current_price: data.market_data?.current_price?.[vsCurrency] || 0,
+      market_cap: data.market_data?.market_cap?.[vsCurrency] || 0,
+      market_cap_rank: data.market_data?.market_cap_rank || null,
+      fully_diluted_valuation:
+        data.market_data?.fully_diluted_valuation?.[vsCurrency] || 0,
+      total_volume: data.market_data?.total_volume?.[vsCurrency] || 0,
+      high_24h: data.market_data?.high_24h?.[vsCurrency] || 0,
+      low_24h: data.market_data?.low_24h?.[vsCurrency] || 0,
+      price_change_24h:
+        data.market_data?.price_change_24h_in_currency?.[vsCurrency] || 0,
+      price_change_percentage_24h:
+        data.market_data?.price_change_percentage_24h || 0,
+      market_cap_change_24h: data.market_data?.market_cap_change_24h || 0,
+      market_cap_change_percentage_24h:
+        data.market_data?.market_cap_change_percentage_24h || 0,
+      circulating_supply: data.market_data?.circulating_supply || 0,
+      total_supply: data.market_data?.total_supply || 0,
+      max_supply: data.market_data?.max_supply || 0,
+      last_updated: data.last_updated || new Date().toISOString(),
+    };
+  },
+
+  async findCoinBySymbol(symbol) {
+    const response = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy("search", { query: symbol });
+    });
+
+    // 搜索结果按市值排名排序，取第一个符号完全匹配的币种
+    const match = extractValidData(response.coins || response, []).find(
+      (coin) => coin.symbol?.toLowerCase() === symbol
+    );
+    return match
+      ? {
+          id: match.id,
+          symbol: match.symbol.toLowerCase(),
+          name: match.name,
+          image: match.large || match.thumb || "",
+        }
+      : null;
+  },
+
+  async getHistory(coinId, days, vsCurrency) {
+    try {
+      // 尝试使用我们的API代理
+      const response = await fetch(
+        `/api/coingecko?endpoint=coins/${coinId}/market_chart&vs_currency=${vsCurrency}&days=${days}`
+      );
+
+      if (!response.ok) {
+        throw new Error(`API错误: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`获取${coinId}历史数据失败:`, error);
+      if (USE_MARKET_FIXTURES) return null;
+
+      // 尝试直接从CoinGecko获取数据作为备用
+      const fallbackResponse = await fetch(
+        `${COINGECKO_API_URL}/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}`
+      );
+      if (!fallbackResponse.ok) return null;
+
+      console.log(`成功从备用源获取${coinId}数据`);
+      return await fallbackResponse.json();
+    }
+  },
+
+  async getHistoryRange(coinId, from, to, vsCurrency) {
+    // CoinGecko 按范围长度自动选择粒度：1天内为5分钟或每小时，90天内为每小时，更长为每天
+    const chart = await fetchCoinGeckoProxy(
+      `coins/${coinId}/market_chart/range?vs_currency=${vsCurrency}&from=${Math.floor(
+        from / 1000
+      )}&to=${Math.ceil(to / 1000)}`
+    );
+    return Array.isArray(chart?.prices) ? chart : null;
+  },
+
+  async getPriceAt(coinId, timestamp, vsCurrency) {
+    // 按时间范围查询目标时间前后各一天的数据，CoinGecko 按范围自动选择最小的粒度
+    // （一般为每小时一个数据点，最近一天内为每5分钟），不受按天数查询最多365天的限制
+    const from = Math.floor((timestamp - DAY_MS) / 1000);
+    const to = Math.ceil(Math.min(timestamp + DAY_MS, Date.now()) / 1000);
+    const chart = await fetchCoinGeckoProxy(
+      `coins/${coinId}/market_chart/range?vs_currency=${vsCurrency}&from=${from}&to=${to}`
+    );
+
+    return findPricePoint(chart?.prices, timestamp, DAY_MS);
+  },
+
+  async getFiatUsdRate(code, timestamp) {
+    const date = new Date(timestamp);
+    // CoinGecko的历史接口按天查询，日期格式为 dd-mm-yyyy
+    const day = `${String(date.getUTCDate()).padStart(2, "0")}-${String(
+      date.getUTCMonth() + 1
+    ).padStart(2, "0")}-${date.getUTCFullYear()}`;
+
+    const response = await fetchWithRetry(async () => {
+      return await fetchCoinGeckoProxy("coins/tether/history", {
+        date: day,
+        localization: false,
+      });
+    });
+
+    const prices = response?.market_data?.current_price;
+    if (!prices || !prices.usd || !prices[code]) return null;
+
+    return prices.usd / prices[code];
+  },
+};
@@ -0,0 +1,116 @@
+import { binanceProvider } from "./binance";
+import { coinGeckoProvider } from "./coingecko";
+import { trackApiError } from "./shared";
+
+/**
+ * 行情数据源，以下方法都是可选的，没有实现的方法视为不提供该能力；
+ * 返回 null 或空数组表示没有数据，按优先级交给下一个数据源
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id - 数据源ID，用于配置优先级
+ * @property {string} name - 显示名称
+ * @property {(vsCurrency: string|null) => boolean} supportsCurrency - 是否支持该计价货币，null 表示与计价货币无关的请求
+ * @property {(limit: number, vsCurrency: string) => Promise<Array|null>} [getTopCoins] - 热门币种的市场数据
+ * @property {(query: string, vsCurrency: string) => Promise<Array|null>} [search] - 搜索币种，返回市场数据
+ * @property {(coins: Array<{id: string, symbol: string}>, vsCurrency: string) => Promise<Object|null>} [getQuotes] - 最新价格，币种ID到要覆盖的价格字段的映射
+ * @property {(coinIds: Array<string>, vsCurrency: string) => Promise<Array|null>} [getMarkets] - 多个币种的市场数据
+ * @property {(coinId: string, vsCurrency: string) => Promise<Object|null>} [getMetadata] - 单个币种的详细信息
+ * @property {(symbol: string) => Promise<Object|null>} [findCoinBySymbol] - 根据小写符号查找币种
+ * @property {(coinId: string, days: number, vsCurrency: string) => Promise<Object|null>} [getHistory] - 价格走势，格式同CoinGecko的 market_chart
+ * @property {(coinId: string, from: number, to: number, vsCurrency: string) => Promise<Object|null>} [getHistoryRange] - 一段时间（毫秒时间戳）内的价格走势，格式同CoinGecko的 market_chart
+ * @property {(coinId: string, timestamp: number, vsCurrency: string, context: {getSymbol: () => Promise<string|null>}) => Promise<PricePoint|null>} [getPriceAt] - 某一时间的价格
+ * @property {(code: string, timestamp: number) => Promise<number|null>} [getFiatUsdRate] - 1单位法币（小写代码）对应的美元数
+ */
+
+/**
+ * 某一时间的价格及其精度
+ * @typedef {Object} PricePoint
+ * @property {number} price - 价格
+ * @property {number} time - 价格数据点（K线开盘或走势数据点）的时间戳
+ * @property {number} granularity - 数据粒度，即相邻数据点的间隔（毫秒）
+ */
+
+// 默认优先使用Binance的实时价格，Binance不支持的请求由CoinGecko提供
+const DEFAULT_PROVIDER_ORDER = [binanceProvider.id, coinGeckoProvider.id];
+
+const providers = new Map(
+  [binanceProvider, coinGeckoProvider].map((provider) => [
+    provider.id,
+    provider,
+  ])
+);
+
+/**
+ * 注册数据源，数据源需要出现在优先级配置中才会被使用；
+ * 未配置 NEXT_PUBLIC_MARKET_DATA_PROVIDERS 时排在默认数据源之后
+ * @param {MarketDataProvider} provider - 数据源
+ */
+export const registerMarketDataProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+/**
+ * 根据ID获取数据源
+ * @param {string} id - 数据源ID
+ * @returns {MarketDataProvider|null} 数据源，未注册时返回null
+ */
+export const getMarketDataProvider = (id) => providers.get(id) || null;
+
+/**
+ * 数据源的优先级，可通过 NEXT_PUBLIC_MARKET_DATA_PROVIDERS 配置（逗号分隔的数据源ID，如 coingecko,binance）
+ * @returns {Array<string>} 按优先级排列的数据源ID
+ */
+export const getMarketDataProviderOrder = () => {
+  const configured = (process.env.NEXT_PUBLIC_MARKET_DATA_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => providers.has(id));
+  if (configured.length > 0) return [...new Set(configured)];
+
+  return [
+    ...DEFAULT_PROVIDER_ORDER,
+    ...[...providers.keys()].filter(
+      (id) => !DEFAULT_PROVIDER_ORDER.includes(id)
+    ),
+  ];
+};
+
+/**
+ * 按优先级列出提供某项能力且支持该计价货币的数据源
+ * @param {string} method - 数据源方法名
+ * @param {string|null} [vsCurrency] - 计价货币代码
+ * @returns {Array<MarketDataProvider>} 数据源列表
+ */
+export const getMarketDataProviders = (method, vsCurrency = null) =>
+  getMarketDataProviderOrder()
+    .map((id) => providers.get(id))
+    .filter(
+      (provider) =>
+        typeof provider[method] === "function" &&
+        provider.supportsCurrency(vsCurrency)
+    );
+
+// null、undefined 和空数组表示没有数据
+const hasData = (result) =>
+  Array.isArray(result)
+    ? result.length > 0
+    : result !== null && result !== undefined;
+
+/**
+ * 按优先级依次调用数据源，返回第一个有数据的结果，出错的数据源记录错误后跳过
+ * @param {string} method - 数据源方法名
+ * @param {string|null} vsCurrency - 计价货币代码，用于筛选数据源
+ * @param {Array} args - 调用参数
+ * @returns {Promise<{result: *, provider: string}|null>} 结果和提供结果的数据源ID，全部没有数据时返回null
+ */
+export const queryMarketData = async (method, vsCurrency, args) => {
+  for (const provider of getMarketDataProviders(method, vsCurrency)) {
+    try {
+      const result = await provider[method](...args);
+      if (hasData(result)) return { result, provider: provider.id };
+    } catch (error) {
+      console.warn(`${provider.name} ${method} failed:`, error);
+      trackApiError(`${provider.name}[${method}]`, error);
+    }
+  }
+  return null;
+};
@@ -0,0 +1,213 @@
+// 行情数据源共用的请求辅助函数
+
+// 离线模式：行情请求都发往 /api/coingecko 和 /api/binance，由本地离线数据响应
+export const USE_MARKET_FIXTURES =
+  process.env.NEXT_PUBLIC_MARKET_DATA_FIXTURES === "true";
+
+// 请求去重和全局限流的状态
+const requestState = {
+  pendingRequests: new Map(),
+  lastRequestTime: {},
+  lastResults: {},
+  globalRequestCount: 0,
+  lastGlobalRequestTime: 0,
+};
+
+/**
+ * 记录数据源的请求错误，错误可以通过 window.showApiErrors 查看
+ * @param {string} endpoint - 出错的接口
+ * @param {Error|Object|string} error - 错误
+ */
+export function trackApiError(endpoint, error) {
+  if (typeof window !== "undefined" && window.trackApiError) {
+    window.trackApiError(endpoint, error);
+  }
+}
+
+// 辅助函数：重试机制
+export async function fetchWithRetry(
+  fetcher,
+  retries = 3,
+  delay = 1000,
+  cacheKey = null
+) {
+  // 如果存在相同的请求正在进行中，直接返回该Promise
+  if (cacheKey && requestState.pendingRequests.has(cacheKey)) {
+    console.log(`复用已有请求: ${cacheKey}`);
+    return requestState.pendingRequests.get(cacheKey);
+  }
+
+  // 增加一个防抖动验证，避免短时间内重复请求
+  const now = Date.now();
+  if (
+    cacheKey &&
+    requestState.lastRequestTime[cacheKey] &&
+    now - requestState.lastRequestTime[cacheKey] < 2000
+  ) {
+    console.log(`快速重复请求被阻止: ${cacheKey}`);
+    if (requestState.lastResults[cacheKey]) {
+      return requestState.lastResults[cacheKey];
+    }
+  }
+
+  // 记录请求时间
+  if (cacheKey) {
+    requestState.lastRequestTime[cacheKey] = now;
+  }
+
+  // 全局请求限流
+  if (now - requestState.lastGlobalRequestTime < 200) {
+    // 确保全局请求间隔至少200ms
+    requestState.globalRequestCount++;
+    if (requestState.globalRequestCount > 10) {
+      // 如果短时间内请求过多
+      const waitDelay = Math.min(
+        delay * (requestState.globalRequestCount / 5),
+        3000
+      ); // 最多等待3秒
+      console.log(`API请求频率过高，延迟 ${waitDelay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, waitDelay));
+      requestState.globalRequestCount = 0;
+    }
+  } else {
+    requestState.lastGlobalRequestTime = now;
+    requestState.globalRequestCount = 0;
+  }
+
+  const fetchPromise = (async () => {
+    try {
+      const result = await fetcher();
+      // 存储最近的结果，用于快速重复请求
+      if (cacheKey) {
+        requestState.lastResults[cacheKey] = result;
+      }
+      return result;
+    } catch (error) {
+      console.warn(`请求失败: ${error.message}, 重试次数剩余: ${retries}`);
+      if (retries <= 0) throw error;
+
+      // 使用指数退避策略
+      const backoffDelay = delay * (1 + Math.random());
+      console.log(`等待 ${backoffDelay}ms 后重试...`);
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+      return fetchWithRetry(fetcher, retries - 1, delay * 1.5, cacheKey);
+    } finally {
+      if (cacheKey) {
+        // 延迟从pendingRequests中删除，允许并发请求在短时间内重用结果
+        setTimeout(() => {
+          requestState.pendingRequests.delete(cacheKey);
+        }, 500);
+      }
+    }
+  })();
+
+  if (cacheKey) {
+    requestState.pendingRequests.set(cacheKey, fetchPromise);
+  }
+
+  return fetchPromise;
+}
+
+// 辅助函数：提取API响应中的有效数据
+export function extractValidData(response, defaultValue = []) {
+  if (!response) {
+    return defaultValue;
+  }
+
+  // 如果响应本身是数组，直接返回
+  if (Array.isArray(response)) {
+    return response;
+  }
+
+  // 检查常见的数据字段
+  if (response.data && Array.isArray(response.data)) {
+    return response.data;
+  }
+
+  // 如果是搜索结果，可能包含coins字段
+  if (response.coins && Array.isArray(response.coins)) {
+    return response.coins;
+  }
+
+  // 如果是市场数据，可能包含prices字段
+  if (response.prices && Array.isArray(response.prices)) {
+    return response.prices;
+  }
+
+  // 返回默认值
+  console.warn("Could not extract valid data from response:", response);
+  return defaultValue;
+}
+
+/**
+ * 找到最接近指定时间戳的价格
+ * @param {Array} prices - 价格数组，格式 [[timestamp, price], ...]
+ * @param {number} targetTimestamp - 目标时间戳
+ * @returns {number} - 最接近的价格
+ */
+export function findClosestPrice(prices, targetTimestamp) {
+  if (!prices || !prices.length) return null;
+
+  let closestPrice = prices[0][1];
+  let minDiff = Math.abs(prices[0][0] - targetTimestamp);
+
+  for (let i = 1; i < prices.length; i++) {
+    const diff = Math.abs(prices[i][0] - targetTimestamp);
+    if (diff < minDiff) {
+      minDiff = diff;
+      closestPrice = prices[i][1];
+    }
+  }
+
+  return closestPrice;
+}
+
+/**
+ * 找到最接近指定时间戳的价格数据点，并根据相邻数据点的间隔得到数据粒度
+ * @param {Array} prices - 按时间排列的价格数组，格式 [[timestamp, price], ...]
+ * @param {number} targetTimestamp - 目标时间戳
+ * @param {number} [defaultGranularity] - 只有一个数据点时使用的粒度（毫秒），默认一天
+ * @returns {{price: number, time: number, granularity: number}|null} 价格、数据点时间和粒度（毫秒），
+ * 最近的数据点与目标时间相差超过一个粒度（例如币种当时还未上线）时返回null
+ */
+export function findPricePoint(
+  prices,
+  targetTimestamp,
+  defaultGranularity = 24 * 60 * 60 * 1000
+) {
+  if (!prices || !prices.length) return null;
+
+  let index = 0;
+  for (let i = 1; i < prices.length; i++) {
+    if (
+      Math.abs(prices[i][0] - targetTimestamp) <
+      Math.abs(prices[index][0] - targetTimestamp)
+    ) {
+      index = i;
+    }
+  }
+
+  // 取与前后数据点间隔中较小的一个，避免数据末尾的实时价格影响判断
+  const gaps = [
+    index > 0 ? prices[index][0] - prices[index - 1][0] : null,
+    index < prices.length - 1 ? prices[index + 1][0] - prices[index][0] : null,
+  ].filter((gap) => gap > 0);
+  const granularity = gaps.length > 0 ? Math.min(...gaps) : defaultGranularity;
+
+  const [time, price] = prices[index];
+  return Math.abs(time - targetTimestamp) <= granularity
+    ? { price, time, granularity }
+    : null;
+}
+
+/**
+ * 将时间戳或日期统一为毫秒时间戳
+ * @param {number|Date|string} timestamp - 时间戳、日期对象或日期字符串
+ * @returns {number} 毫秒时间戳
+ */
+export const toTimestamp = (timestamp) =>
+  timestamp instanceof Date
+    ? timestamp.getTime()
+    : typeof timestamp === "number"
+    ? timestamp
+    : new Date(timestamp).getTime();
@@ -0,0 +1,403 @@
+import charts from "@/fixtures/market/charts.json";
+import markets from "@/fixtures/market/markets.json";
+import meta from "@/fixtures/market/meta.json";
+import { USE_MARKET_FIXTURES } from "@/lib/marketData/shared";
+
+// 离线行情数据，用于测试和演示，由 /api/coingecko 和 /api/binance 在离线模式下返回
+// markets.json 为以美元计价的 coins/markets 响应，charts.json 为每个币种按 meta.interval 间隔的美元价格，
+// 最后一个价格对应 meta.recordedAt。返回时整体平移到当前时间，使最新价格始终是“现在”的价格
+
+const BINANCE_QUOTE = "USDT";
+
+// Binance K线间隔对应的毫秒数
+const KLINE_INTERVALS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "30m": 30 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "2h": 2 * 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "12h": 12 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+};
+const MAX_KLINES = 1000;
+
+// 随价格按比例换算的市场数据字段
+const PRICE_FIELDS = [
+  "current_price",
+  "market_cap",
+  "fully_diluted_valuation",
+  "total_volume",
+  "high_24h",
+  "low_24h",
+  "price_change_24h",
+  "market_cap_change_24h",
+];
+
+/**
+ * 是否使用离线行情数据，由 NEXT_PUBLIC_MARKET_DATA_FIXTURES=true 开启
+ * @returns {boolean}
+ */
+export const isMarketFixtureMode = () => USE_MARKET_FIXTURES;
+
+const findCoin = (coinId) => markets.find((coin) => coin.id === coinId);
+
+const findCoinByPair = (pair) =>
+  markets.find(
+    (coin) => `${coin.symbol.toUpperCase()}${BINANCE_QUOTE}` === pair
+  );
+
+/**
+ * 1美元对应的计价货币数量，计价货币可以是法币或离线数据中的币种
+ * @param {string} [vsCurrency="usd"] - 计价货币代码
+ * @returns {number|null} 换算比例，不支持的计价货币返回null
+ */
+const getUsdRate = (vsCurrency = "usd") => {
+  const code = vsCurrency.toLowerCase();
+  if (meta.usdRates[code]) return meta.usdRates[code];
+
+  const coin = markets.find((item) => item.symbol === code);
+  return coin ? 1 / coin.current_price : null;
+};
+
+/**
+ * 币种的美元价格序列，最后一个价格平移到当前时间
+ * @param {string} coinId - 币种ID
+ * @param {number} now - 当前时间戳
+ * @returns {Array<[number, number]>|null} [时间戳, 价格] 列表
+ */
+const getSeries = (coinId, now) => {
+  const prices = charts[coinId];
+  if (!prices) return null;
+
+  return prices.map((price, index) => [
+    now - (prices.length - 1 - index) * meta.interval,
+    price,
+  ]);
+};
+
+/**
+ * 按相邻两个价格线性插值得到某一时间的价格，超出范围时取两端的价格
+ * @param {Array<[number, number]>} series - 价格序列
+ * @param {number} timestamp - 时间戳
+ * @returns {number} 价格
+ */
+const priceAt = (series, timestamp) => {
+  if (timestamp <= series[0][0]) return series[0][1];
+
+  const last = series[series.length - 1];
+  if (timestamp >= last[0]) return last[1];
+
+  const index = Math.floor((timestamp - series[0][0]) / meta.interval);
+  const [startTime, startPrice] = series[index];
+  const [endTime, endPrice] = series[index + 1];
+  return (
+    startPrice +
+    ((endPrice - startPrice) * (timestamp - startTime)) / (endTime - startTime)
+  );
+};
+
+const percentChange = (from, to) => (from ? ((to - from) / from) * 100 : 0);
+
+/**
+ * 转换为指定计价货币的 coins/markets 数据
+ * @param {Object} coin - 以美元计价的市场数据
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {number} rate - 1美元对应的计价货币数量
+ * @param {Object} params - 请求参数
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 市场数据
+ */
+const toMarketCoin = (coin, vsCurrency, rate, params, now) => {
+  const series = getSeries(coin.id, now);
+  const converted = { ...coin, last_updated: new Date(now).toISOString() };
+  PRICE_FIELDS.forEach((field) => {
+    if (typeof coin[field] === "number") converted[field] = coin[field] * rate;
+  });
+
+  converted.price_change_percentage_24h_in_currency = percentChange(
+    priceAt(series, now - 24 * 60 * 60 * 1000),
+    coin.current_price
+  );
+  converted.price_change_percentage_7d_in_currency = percentChange(
+    priceAt(series, now - 7 * 24 * 60 * 60 * 1000),
+    coin.current_price
+  );
+
+  if (params.sparkline === "true") {
+    converted.sparkline_in_7d = {
+      price: series.slice(-8).map(([, price]) => price * rate),
+    };
+  }
+  return converted;
+};
+
+/**
+ * coins/{id} 的币种详情，所有支持的法币一起返回
+ * @param {Object} coin - 以美元计价的市场数据
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 币种详情
+ */
+const toCoinDetails = (coin, now) => {
+  const inCurrencies = (value) =>
+    Object.fromEntries(
+      Object.entries(meta.usdRates).map(([code, rate]) => [code, value * rate])
+    );
+
+  return {
+    id: coin.id,
+    symbol: coin.symbol,
+    name: coin.name,
+    image: { thumb: coin.image, small: coin.image, large: coin.image },
+    market_data: {
+      current_price: inCurrencies(coin.current_price),
+      market_cap: inCurrencies(coin.market_cap),
+      market_cap_rank: coin.market_cap_rank,
+      fully_diluted_valuation: inCurrencies(coin.fully_diluted_valuation),
+      total_volume: inCurrencies(coin.total_volume),
+      high_24h: inCurrencies(coin.high_24h),
+      low_24h: inCurrencies(coin.low_24h),
+      price_change_24h_in_currency: inCurrencies(coin.price_change_24h),
+      price_change_percentage_24h: coin.price_change_percentage_24h,
+      market_cap_change_24h: coin.market_cap_change_24h,
+      market_cap_change_percentage_24h: coin.market_cap_change_percentage_24h,
+      circulating_supply: coin.circulating_supply,
+      total_supply: coin.total_supply,
+      max_supply: coin.max_supply,
+    },
+    last_updated: new Date(now).toISOString(),
+  };
+};
+
+/**
+ * coins/{id}/market_chart 和 coins/{id}/market_chart/range 的价格走势
+ * @param {Object} coin - 以美元计价的市场数据
+ * @param {Object} params - 请求参数，days 为天数或 max；按时间范围查询时为 from、to（秒）
+ * @param {number} rate - 1美元对应的计价货币数量
+ * @param {number} now - 当前时间戳
+ * @returns {Object} {prices, market_caps, total_volumes}
+ */
+const toMarketChart = (coin, params, rate, now) => {
+  let from = -Infinity;
+  let to = Infinity;
+  if (params.from !== undefined || params.to !== undefined) {
+    from = Number(params.from) * 1000;
+    to = Number(params.to) * 1000;
+  } else if (params.days !== "max" && !isNaN(Number(params.days))) {
+    from = now - Number(params.days) * 24 * 60 * 60 * 1000;
+  }
+  const points = getSeries(coin.id, now).filter(
+    ([time]) => time >= from && time <= to
+  );
+
+  return {
+    prices: points.map(([time, price]) => [time, price * rate]),
+    market_caps: points.map(([time, price]) => [
+      time,
+      price * coin.circulating_supply * rate,
+    ]),
+    total_volumes: points.map(([time, price]) => [
+      time,
+      (coin.total_volume * price * rate) / coin.current_price,
+    ]),
+  };
+};
+
+/**
+ * coins/{id}/history 某一天的价格，日期早于离线数据时和CoinGecko一样不返回 market_data
+ * @param {Object} coin - 以美元计价的市场数据
+ * @param {string} date - 日期，格式 dd-mm-yyyy
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 当天的币种数据
+ */
+const toHistory = (coin, date, now) => {
+  const [day, month, year] = String(date || "")
+    .split("-")
+    .map(Number);
+  const timestamp = Date.UTC(year, month - 1, day);
+  const series = getSeries(coin.id, now);
+  const result = { id: coin.id, symbol: coin.symbol, name: coin.name };
+  if (isNaN(timestamp) || timestamp < series[0][0] - meta.interval) {
+    return result;
+  }
+
+  const price = priceAt(series, timestamp);
+  return {
+    ...result,
+    market_data: {
+      current_price: Object.fromEntries(
+        Object.entries(meta.usdRates).map(([code, rate]) => [
+          code,
+          price * rate,
+        ])
+      ),
+    },
+  };
+};
+
+/**
+ * 返回CoinGecko接口的离线数据
+ * @param {string} endpoint - 接口路径，可以带查询参数（如 coins/bitcoin?localization=false）
+ * @param {Object} [params] - 请求参数
+ * @returns {Object|Array|null} 响应数据，没有对应数据时返回null
+ */
+export const getCoinGeckoFixture = (endpoint, params = {}) => {
+  const [path, query] = endpoint.split("?");
+  const allParams = {
+    ...Object.fromEntries(new URLSearchParams(query || "")),
+    ...params,
+  };
+  const vsCurrency = allParams.vs_currency || "usd";
+  const now = Date.now();
+
+  if (path === "coins/markets") {
+    const rate = getUsdRate(vsCurrency);
+    if (!rate) return null;
+
+    const ids = allParams.ids ? allParams.ids.split(",") : null;
+    const perPage = Number(allParams.per_page) || 100;
+    return markets
+      .filter((coin) => !ids || ids.includes(coin.id))
+      .sort((a, b) => a.market_cap_rank - b.market_cap_rank)
+      .slice(0, perPage)
+      .map((coin) => toMarketCoin(coin, vsCurrency, rate, allParams, now));
+  }
+
+  if (path === "search") {
+    const query = (allParams.query || "").trim().toLowerCase();
+    return {
+      coins: markets
+        .filter(
+          (coin) =>
+            query &&
+            (coin.id.includes(query) ||
+              coin.symbol.includes(query) ||
+              coin.name.toLowerCase().includes(query))
+        )
+        .map((coin) => ({
+          id: coin.id,
+          name: coin.name,
+          api_symbol: coin.id,
+          symbol: coin.symbol.toUpperCase(),
+          market_cap_rank: coin.market_cap_rank,
+          thumb: coin.image,
+          large: coin.image,
+        })),
+      exchanges: [],
+      categories: [],
+    };
+  }
+
+  const [, coinId, resource] = path.match(/^coins\/([^/]+)(?:\/(.+))?$/) || [];
+  const coin = coinId && findCoin(coinId);
+  if (!coin) return null;
+
+  if (!resource) return toCoinDetails(coin, now);
+
+  if (resource === "market_chart" || resource === "market_chart/range") {
+    const rate = getUsdRate(vsCurrency);
+    return rate ? toMarketChart(coin, allParams, rate, now) : null;
+  }
+
+  if (resource === "history") return toHistory(coin, allParams.date, now);
+
+  return null;
+};
+
+/**
+ * Binance 的K线数据，价格由离线价格序列插值得到
+ * @param {Array<[number, number]>} series - 价格序列
+ * @param {Object} params - 请求参数，支持 interval、limit、startTime、endTime
+ * @param {number} now - 当前时间戳
+ * @returns {Array<Array>|null} K线列表，不支持的间隔返回null
+ */
+const toKlines = (series, params, now) => {
+  const intervalMs = KLINE_INTERVALS[params.interval];
+  if (!intervalMs) return null;
+
+  const limit = Math.min(Number(params.limit) || 500, MAX_KLINES);
+  const endTime = Math.min(Number(params.endTime) || now, now);
+  // 和交易对上线前一样，离线数据开始之前没有K线
+  const startTime = Math.max(
+    params.startTime
+      ? Number(params.startTime)
+      : endTime - (limit - 1) * intervalMs,
+    Math.ceil(series[0][0] / intervalMs) * intervalMs
+  );
+
+  const klines = [];
+  for (
+    let openTime = Math.floor(startTime / intervalMs) * intervalMs;
+    openTime <= endTime && klines.length < limit;
+    openTime += intervalMs
+  ) {
+    const closeTime = openTime + intervalMs - 1;
+    const open = priceAt(series, openTime);
+    const close = priceAt(series, Math.min(closeTime, now));
+    klines.push([
+      openTime,
+      String(open),
+      String(Math.max(open, close)),
+      String(Math.min(open, close)),
+      String(close),
+      "0",
+      closeTime,
+      "0",
+      0,
+      "0",
+      "0",
+      "0",
+    ]);
+  }
+  return klines;
+};
+
+/**
+ * Binance 24小时行情
+ * @param {Object} coin - 以美元计价的市场数据
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 24小时行情
+ */
+const toTicker24hr = (coin, now) => {
+  const open = priceAt(getSeries(coin.id, now), now - 24 * 60 * 60 * 1000);
+  return {
+    symbol: `${coin.symbol.toUpperCase()}${BINANCE_QUOTE}`,
+    priceChange: String(coin.current_price - open),
+    priceChangePercent: String(percentChange(open, coin.current_price)),
+    lastPrice: String(coin.current_price),
+    volume: String(coin.total_volume / coin.current_price),
+    quoteVolume: String(coin.total_volume),
+  };
+};
+
+/**
+ * 返回Binance接口的离线数据，只有离线数据中的币种有USDT交易对
+ * @param {string} endpoint - 接口路径（ticker/price、ticker/24hr、klines）
+ * @param {Object} [params] - 请求参数
+ * @returns {Object|Array|null} 响应数据，交易对或接口不存在时返回null
+ */
+export const getBinanceFixture = (endpoint, params = {}) => {
+  const now = Date.now();
+  const coin = params.symbol ? findCoinByPair(params.symbol) : null;
+  if (params.symbol && !coin) return null;
+
+  switch (endpoint) {
+    case "ticker/price":
+      return coin
+        ? { symbol: params.symbol, price: String(coin.current_price) }
+        : null;
+    case "ticker/24hr":
+      return coin
+        ? toTicker24hr(coin, now)
+        : markets
+            .filter((item) => item.symbol !== BINANCE_QUOTE.toLowerCase())
+            .map((item) => toTicker24hr(item, now));
+    case "klines":
+      return coin ? toKlines(getSeries(coin.id, now), params, now) : null;
+    default:
+      return null;
+  }
+};
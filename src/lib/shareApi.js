@@ -0,0 +1,53 @@
+// 分享接口，见 src/app/api/share
+const SHARE_API_URL = "/api/share";
+
+/**
+ * 快照可选的有效期（天）
+ */
+export const SHARE_EXPIRY_DAYS = [1, 7, 30];
+
+/**
+ * 根据响应创建错误，status 为 HTTP 状态码
+ * @param {Response} response - 失败的响应
+ * @returns {Promise<Error>} 错误
+ */
+const createShareError = async (response) => {
+  const body = await response.json().catch(() => null);
+  const error = new Error(body?.error || `Share API error: ${response.status}`);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * 上传只读快照
+ * @param {Object} snapshot - 分享快照，见 createShareSnapshot
+ * @param {number} expiresInDays - 有效期（天），见 SHARE_EXPIRY_DAYS
+ * @returns {Promise<{id: string, expiresAt: string, storage: string}>} 快照ID和过期时间
+ * @throws {Error} 请求失败时抛出
+ */
+export const createSharedSnapshot = async (snapshot, expiresInDays) => {
+  const response = await fetch(SHARE_API_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ snapshot, expiresInDays }),
+  });
+
+  if (!response.ok) throw await createShareError(response);
+  return response.json();
+};
+
+/**
+ * 读取只读快照
+ * @param {string} id - 快照ID
+ * @returns {Promise<{snapshot: Object, createdAt: string, expiresAt: string}|null>} 快照，不存在或已过期时返回 null
+ * @throws {Error} 请求失败时抛出
+ */
+export const fetchSharedSnapshot = async (id) => {
+  const response = await fetch(`${SHARE_API_URL}/${encodeURIComponent(id)}`, {
+    cache: "no-store",
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) throw await createShareError(response);
+  return response.json();
+};
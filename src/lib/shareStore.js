@@ -0,0 +1,28 @@
+// 快照ID为 16 字节随机数的 base64url 编码
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * 生成快照ID，链接中只包含该ID，无法枚举其他快照
+ * @returns {string} 快照ID
+ */
+export const generateShareId = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * 判断快照ID格式是否正确
+ * @param {string} id - 快照ID
+ * @returns {boolean} 是否正确
+ */
+export const isValidShareId = (id) => SHARE_ID_PATTERN.test(id || "");
+
+/**
+ * 快照在KV存储中的键
+ * @param {string} id - 快照ID
+ * @returns {string} 存储键
+ */
+export const getShareKey = (id) => `share:${id}`;
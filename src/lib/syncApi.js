@@ -0,0 +1,54 @@
+// 同步接口，见 src/app/api/sync
+const SYNC_API_URL = "/api/sync";
+
+/**
+ * 根据响应创建错误，status 为 HTTP 状态码，冲突时 revision 为服务端的最新修订号
+ * @param {Response} response - 失败的响应
+ * @returns {Promise<Error>} 错误
+ */
+const createSyncError = async (response) => {
+  const body = await response.json().catch(() => null);
+  const error = new Error(body?.error || `Sync API error: ${response.status}`);
+  error.status = response.status;
+  if (body?.revision !== undefined) error.revision = body.revision;
+  return error;
+};
+
+/**
+ * 读取同步令牌对应的数据
+ * @param {string} token - 同步令牌
+ * @returns {Promise<{revision: number, updatedAt: string, data: string, storage: string}|null>} 服务端数据，尚未上传过时返回 null
+ * @throws {Error} 请求失败时抛出
+ */
+export const fetchSyncedData = async (token) => {
+  const response = await fetch(SYNC_API_URL, {
+    headers: { Authorization: `Bearer ${token}` },
+    cache: "no-store",
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) throw await createSyncError(response);
+  return response.json();
+};
+
+/**
+ * 上传数据，服务端的修订号与 baseRevision 不一致时失败（status 为 409）
+ * @param {string} token - 同步令牌
+ * @param {string} data - 加密后的数据
+ * @param {number} baseRevision - 本地数据所基于的修订号，首次上传为 0
+ * @returns {Promise<{revision: number, updatedAt: string, storage: string}>} 保存后的修订号
+ * @throws {Error} 请求失败或修订号冲突时抛出
+ */
+export const pushSyncedData = async (token, data, baseRevision) => {
+  const response = await fetch(SYNC_API_URL, {
+    method: "PUT",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ data, baseRevision }),
+  });
+
+  if (!response.ok) throw await createSyncError(response);
+  return response.json();
+};
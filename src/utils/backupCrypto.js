@@ -0,0 +1,231 @@
+/**
+ * 加密备份：用口令派生密钥（PBKDF2），以 AES-GCM 加密导出的投资组合数据
+ * 备份文件仍是 JSON，只包含密文和解密所需的参数
+ */
+
+/**
+ * 加密备份文件的格式标识
+ */
+export const ENCRYPTED_BACKUP_FORMAT = "crypto-portfolio-encrypted-backup";
+
+const ENCRYPTED_BACKUP_VERSION = 1;
+
+// PBKDF2 迭代次数，按 OWASP 对 PBKDF2-HMAC-SHA256 的建议取值
+const PBKDF2_ITERATIONS = 310000;
+// 解密时接受的迭代次数范围，过低的备份不够安全，过高会让解密长时间卡住
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * 备份相关错误的类型
+ * invalid_backup 为文件格式不正确，decrypt_failed 为口令错误或文件已损坏
+ */
+export const BACKUP_ERROR_CODES = {
+  INVALID_BACKUP: "invalid_backup",
+  DECRYPT_FAILED: "decrypt_failed",
+  UNSUPPORTED: "unsupported",
+};
+
+/**
+ * 创建带错误类型的错误
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误类型，见 BACKUP_ERROR_CODES
+ * @returns {Error} 错误
+ */
+const createBackupError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * 获取 WebCrypto 接口，不支持时抛出错误（非 HTTPS 页面中不可用）
+ * @returns {SubtleCrypto} WebCrypto 接口
+ */
+const getSubtleCrypto = () => {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw createBackupError(
+      "Web Crypto API is not available",
+      BACKUP_ERROR_CODES.UNSUPPORTED
+    );
+  }
+  return subtle;
+};
+
+/**
+ * 将字节数组编码为 Base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64 字符串
+ */
+const toBase64 = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+/**
+ * 将 Base64 解码为字节数组
+ * @param {string} value - Base64 字符串
+ * @returns {Uint8Array} 字节数组
+ */
+const fromBase64 = (value) =>
+  Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+/**
+ * 根据口令派生 AES-GCM 密钥
+ * @param {string} passphrase - 口令
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @returns {Promise<CryptoKey>} 密钥
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const subtle = getSubtleCrypto();
+  const baseKey = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+/**
+ * 判断文件内容是否为加密备份
+ * @param {string|Object} data - 文件内容或解析后的对象
+ * @returns {boolean} 是否为加密备份
+ */
+export const isEncryptedBackup = (data) => {
+  if (typeof data === "string") {
+    try {
+      return isEncryptedBackup(JSON.parse(data));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return data?.format === ENCRYPTED_BACKUP_FORMAT;
+};
+
+/**
+ * 用口令加密备份数据
+ * @param {string} plaintext - 要加密的内容（导出的投资组合 JSON）
+ * @param {string} passphrase - 口令
+ * @returns {Promise<string>} 加密备份文件的内容
+ */
+export const encryptBackup = async (plaintext, passphrase) => {
+  if (!passphrase) {
+    throw new Error("Passphrase is required");
+  }
+
+  const subtle = getSubtleCrypto();
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(salt),
+    },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(ciphertext)),
+  });
+};
+
+/**
+ * 用口令解密备份
+ * @param {string|Object} backup - 加密备份文件的内容或解析后的对象
+ * @param {string} passphrase - 口令
+ * @returns {Promise<string>} 解密后的内容
+ * @throws {Error} 文件格式不正确、口令错误或文件已损坏时抛出，code 为错误类型
+ */
+export const decryptBackup = async (backup, passphrase) => {
+  let envelope;
+  try {
+    envelope = typeof backup === "string" ? JSON.parse(backup) : backup;
+  } catch (error) {
+    throw createBackupError(
+      "Backup file is not valid JSON",
+      BACKUP_ERROR_CODES.INVALID_BACKUP
+    );
+  }
+
+  const { kdf, cipher, data, version } = envelope || {};
+  if (
+    !isEncryptedBackup(envelope) ||
+    version > ENCRYPTED_BACKUP_VERSION ||
+    kdf?.name !== "PBKDF2" ||
+    cipher?.name !== "AES-GCM" ||
+    !Number.isInteger(kdf.iterations) ||
+    typeof kdf.salt !== "string" ||
+    typeof cipher.iv !== "string" ||
+    typeof data !== "string"
+  ) {
+    throw createBackupError(
+      "Unsupported encrypted backup format",
+      BACKUP_ERROR_CODES.INVALID_BACKUP
+    );
+  }
+  if (
+    kdf.iterations < MIN_PBKDF2_ITERATIONS ||
+    kdf.iterations > MAX_PBKDF2_ITERATIONS
+  ) {
+    throw createBackupError(
+      `Unsupported PBKDF2 iteration count: ${kdf.iterations}`,
+      BACKUP_ERROR_CODES.INVALID_BACKUP
+    );
+  }
+
+  let salt;
+  let iv;
+  let ciphertext;
+  try {
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(cipher.iv);
+    ciphertext = fromBase64(data);
+  } catch (error) {
+    throw createBackupError(
+      "Encrypted backup is corrupted",
+      BACKUP_ERROR_CODES.INVALID_BACKUP
+    );
+  }
+
+  const key = await deriveKey(passphrase, salt, kdf.iterations);
+  try {
+    const plaintext = await getSubtleCrypto().decrypt(
+      { name: "AES-GCM", iv },
+      key,
+      ciphertext
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // AES-GCM 校验失败时无法区分口令错误和数据被篡改
+    throw createBackupError(
+      "Incorrect passphrase or corrupted backup",
+      BACKUP_ERROR_CODES.DECRYPT_FAILED
+    );
+  }
+};
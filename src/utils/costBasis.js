@@ -0,0 +1,304 @@
+import {
+  TRANSACTION_TYPES,
+  getTransactionCoinFee,
+  getTransactionFeeValue,
+} from "./transactionUtils";
+
+/**
+ * 成本计算方法
+ */
+export const COST_BASIS_METHODS = {
+  FIFO: "fifo",
+  LIFO: "lifo",
+  HIFO: "hifo",
+  AVERAGE: "average",
+};
+
+export const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.FIFO;
+
+/**
+ * 成本计算方法的显示名称
+ */
+export const COST_BASIS_METHOD_LABELS = {
+  [COST_BASIS_METHODS.FIFO]: "先进先出 (FIFO)",
+  [COST_BASIS_METHODS.LIFO]: "后进先出 (LIFO)",
+  [COST_BASIS_METHODS.HIFO]: "最高成本先出 (HIFO)",
+  [COST_BASIS_METHODS.AVERAGE]: "移动加权平均",
+};
+
+// 浮点误差容忍度，剩余数量小于该值的批次视为已耗尽
+const EPSILON = 1e-12;
+
+/**
+ * 校正成本计算方法，未知值回退为默认方法
+ * @param {string} method - 成本计算方法
+ * @returns {string} 有效的成本计算方法
+ */
+export const normalizeCostBasisMethod = (method) => {
+  return Object.values(COST_BASIS_METHODS).includes(method)
+    ? method
+    : DEFAULT_COST_BASIS_METHOD;
+};
+
+/**
+ * 按时间顺序排序交易记录，同一时间的交易保持原有顺序
+ * @param {Array} transactions - 交易记录列表
+ * @returns {Array} 排序后的交易记录列表
+ */
+export const sortTransactionsByDate = (transactions) => {
+  return transactions
+    .map((transaction, index) => ({ transaction, index }))
+    .sort((a, b) => {
+      const diff =
+        new Date(a.transaction.date).getTime() -
+        new Date(b.transaction.date).getTime();
+      return diff !== 0 && !isNaN(diff) ? diff : a.index - b.index;
+    })
+    .map(({ transaction }) => transaction);
+};
+
+/**
+ * 根据成本计算方法确定卖出时消耗批次的顺序
+ * @param {Array} lots - 未耗尽的买入批次
+ * @param {string} method - 成本计算方法
+ * @returns {Array} 按消耗顺序排列的批次
+ */
+const orderLotsForDisposal = (lots, method) => {
+  switch (method) {
+    case COST_BASIS_METHODS.LIFO:
+      return [...lots].reverse();
+    case COST_BASIS_METHODS.HIFO:
+      return [...lots].sort((a, b) => b.unitCost - a.unitCost);
+    default:
+      return lots;
+  }
+};
+
+/**
+ * 从批次中扣除卖出数量
+ * @param {Array} lots - 未耗尽的买入批次
+ * @param {number} amount - 卖出数量
+ * @param {string} method - 成本计算方法
+ * @returns {{matches: Array, matchedAmount: number}} 匹配到的批次及数量
+ */
+const consumeLots = (lots, amount, method) => {
+  const matches = [];
+  let matchedAmount = 0;
+
+  if (method === COST_BASIS_METHODS.AVERAGE) {
+    // 平均成本法：按比例从所有批次中扣除，保持剩余持仓的单位成本不变
+    const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    if (available <= EPSILON) return { matches, matchedAmount };
+
+    const ratio = Math.min(1, amount / available);
+    lots.forEach((lot) => {
+      const used = lot.remaining * ratio;
+      if (used <= EPSILON) return;
+      lot.remaining -= used;
+      matchedAmount += used;
+      matches.push({
+        lotId: lot.id,
+        date: lot.date,
+        amount: used,
+        unitCost: lot.unitCost,
+        costBasis: used * lot.unitCost,
+      });
+    });
+
+    return { matches, matchedAmount };
+  }
+
+  let left = amount;
+  for (const lot of orderLotsForDisposal(lots, method)) {
+    if (left <= EPSILON) break;
+
+    const used = Math.min(lot.remaining, left);
+    if (used <= EPSILON) continue;
+
+    lot.remaining -= used;
+    left -= used;
+    matchedAmount += used;
+    matches.push({
+      lotId: lot.id,
+      date: lot.date,
+      amount: used,
+      unitCost: lot.unitCost,
+      costBasis: used * lot.unitCost,
+    });
+  }
+
+  return { matches, matchedAmount };
+};
+
+/**
+ * 按批次计算持仓成本：每笔卖出按所选方法匹配具体的买入批次
+ * 手续费计入成本：买入时以币种支付的手续费减少到账数量，其他手续费计入买入成本；
+ * 卖出时以币种支付的手续费额外消耗持仓，其他手续费从卖出所得中扣除
+ * 转账不产生处置：转入按填写的原始成本价建立批次，转出按所选方法移出批次，
+ * 转账的网络手续费单独计为费用
+ * 收入按到账时的市场价格计为收入，并以该价格建立批次，不计入买入成本
+ * @param {Array} transactions - 交易记录列表
+ * @param {string} [method] - 成本计算方法 (fifo | lifo | hifo | average)
+ * @returns {{lots: Array, disposals: Array, transfers: Array, incomes: Array, holdings: number, totalInvestment: number, averageBuyPrice: number, totalBuyCost: number, realizedProfitLoss: number, totalIncome: number, totalFees: number, networkFeeCost: number}}
+ *   lots 为剩余的买入批次，disposals 为每笔卖出匹配到的批次明细及已实现盈亏，transfers 为转出和内部转账移出的批次，
+ *   incomes 为每笔收入的公允价值
+ */
+export const calculateCostBasis = (transactions = [], method) => {
+  const costBasisMethod = normalizeCostBasisMethod(method);
+  const lots = [];
+  const disposals = [];
+  const transfers = [];
+  const incomes = [];
+  let totalBuyCost = 0;
+  let totalFees = 0;
+  let networkFeeCost = 0;
+
+  // 建立新的持仓批次
+  const acquire = (tx, received, cost, countAsBuyCost = true) => {
+    if (countAsBuyCost) totalBuyCost += cost;
+    if (received <= EPSILON) return;
+
+    lots.push({
+      id: tx.id,
+      date: tx.date,
+      amount: received,
+      remaining: received,
+      unitCost: cost / received,
+    });
+  };
+
+  // 按成本计算方法移出持仓
+  const remove = (amount) => {
+    if (amount <= EPSILON) {
+      return { matches: [], matchedAmount: 0, costBasis: 0 };
+    }
+
+    const openLots = lots.filter((lot) => lot.remaining > EPSILON);
+    const { matches, matchedAmount } = consumeLots(
+      openLots,
+      amount,
+      costBasisMethod
+    );
+
+    return {
+      matches,
+      matchedAmount,
+      costBasis: matches.reduce((sum, m) => sum + m.costBasis, 0),
+    };
+  };
+
+  sortTransactionsByDate(transactions).forEach((tx) => {
+    const amount = Number(tx.amount) || 0;
+    const price = Number(tx.price) || 0;
+    const isTransfer = tx.type === TRANSACTION_TYPES.TRANSFER;
+    // 内部转账的数量只是转移，不影响持仓，只需处理手续费
+    if (amount <= 0 && !isTransfer) return;
+
+    const coinFee = getTransactionCoinFee(tx);
+    const feeValue = getTransactionFeeValue(tx);
+    // 以币种支付的手续费体现在数量上，不再重复计入金额
+    const cashFee = coinFee > 0 ? 0 : feeValue;
+    totalFees += feeValue;
+
+    switch (tx.type) {
+      case TRANSACTION_TYPES.BUY:
+        acquire(tx, amount - coinFee, amount * price + cashFee);
+        return;
+
+      case TRANSACTION_TYPES.TRANSFER_IN:
+        // 转入沿用原始成本价，网络手续费不计入成本
+        networkFeeCost += cashFee;
+        acquire(tx, amount - coinFee, amount * price);
+        return;
+
+      case TRANSACTION_TYPES.INCOME: {
+        // 收入的公允价值即该批次的成本，手续费按费用处理
+        const value = amount * price;
+        networkFeeCost += cashFee;
+        acquire(tx, amount - coinFee, value, false);
+        incomes.push({
+          transactionId: tx.id,
+          incomeType: tx.incomeType,
+          date: tx.date,
+          amount,
+          price,
+          value,
+        });
+        return;
+      }
+
+      case TRANSACTION_TYPES.SELL: {
+        const disposed = amount + coinFee;
+        const { matches, matchedAmount, costBasis } = remove(disposed);
+        const proceeds = amount * price - cashFee;
+
+        disposals.push({
+          transactionId: tx.id,
+          date: tx.date,
+          amount: disposed,
+          price,
+          fee: feeValue,
+          proceeds,
+          costBasis,
+          realizedProfitLoss: proceeds - costBasis,
+          // 卖出数量超过当时持仓时，超出部分没有可匹配的成本
+          unmatchedAmount: Math.max(0, disposed - matchedAmount),
+          matches,
+        });
+        return;
+      }
+
+      case TRANSACTION_TYPES.TRANSFER_OUT:
+      case TRANSACTION_TYPES.TRANSFER: {
+        const moved = isTransfer ? 0 : remove(amount);
+        const fee = remove(coinFee);
+        // 转出的成本随币一起离开投资组合，网络手续费消耗的成本计为费用
+        if (moved) totalBuyCost -= moved.costBasis;
+        networkFeeCost += fee.costBasis + cashFee;
+
+        transfers.push({
+          transactionId: tx.id,
+          type: tx.type,
+          date: tx.date,
+          amount: isTransfer ? 0 : amount,
+          costBasis: moved ? moved.costBasis : 0,
+          networkFee: fee.costBasis + cashFee,
+          matches: moved ? moved.matches : [],
+        });
+        return;
+      }
+
+      default:
+        // 未知类型的交易不影响持仓
+        return;
+    }
+  });
+
+  const openLots = lots
+    .filter((lot) => lot.remaining > EPSILON)
+    .map((lot) => ({ ...lot }));
+  const holdings = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+  const totalInvestment = openLots.reduce(
+    (sum, lot) => sum + lot.remaining * lot.unitCost,
+    0
+  );
+
+  return {
+    method: costBasisMethod,
+    lots: openLots,
+    disposals,
+    transfers,
+    incomes,
+    holdings,
+    totalInvestment,
+    averageBuyPrice: holdings > 0 ? totalInvestment / holdings : 0,
+    totalBuyCost: Math.max(0, totalBuyCost),
+    totalFees,
+    networkFeeCost,
+    realizedProfitLoss: disposals.reduce(
+      (sum, disposal) => sum + disposal.realizedProfitLoss,
+      0
+    ),
+    totalIncome: incomes.reduce((sum, income) => sum + income.value, 0),
+  };
+};
@@ -1,52 +1,41 @@
 import { format } from "date-fns";
+import { calculateCostBasis, DEFAULT_COST_BASIS_METHOD } from "./costBasis";
+import { DEFAULT_INCOME_TYPE, TRANSACTION_TYPES } from "./transactionUtils";
+import {
+  DEFAULT_BASE_CURRENCY,
+  convertPriceFromCurrency,
+  convertTransactionFromUsd,
+  getExchangeRate,
+} from "./currency";
 
 /**
  * 计算持有数量
  * @param {Array} transactions - 交易记录列表
+ * @param {string} [method] - 成本计算方法
  * @returns {number} 持有数量
  */
-export const calculateHoldings = (transactions) => {
-  return transactions.reduce((total, transaction) => {
-    if (transaction.type === "buy") {
-      return total + transaction.amount;
-    } else {
-      return total - transaction.amount;
-    }
-  }, 0);
+export const calculateHoldings = (transactions, method) => {
+  return calculateCostBasis(transactions, method).holdings;
 };
 
 /**
- * 计算平均买入价格
+ * 计算剩余持仓的平均买入价格
  * @param {Array} transactions - 交易记录列表
+ * @param {string} [method] - 成本计算方法
  * @returns {number} 平均买入价格
  */
-export const calculateAverageBuyPrice = (transactions) => {
-  const buyTransactions = transactions.filter((t) => t.type === "buy");
-
-  if (buyTransactions.length === 0) return 0;
-
-  const totalCost = buyTransactions.reduce(
-    (sum, t) => sum + t.price * t.amount,
-    0
-  );
-  const totalAmount = buyTransactions.reduce((sum, t) => sum + t.amount, 0);
-
-  return totalAmount > 0 ? totalCost / totalAmount : 0;
+export const calculateAverageBuyPrice = (transactions, method) => {
+  return calculateCostBasis(transactions, method).averageBuyPrice;
 };
 
 /**
- * 计算总投资成本
+ * 计算剩余持仓的总投资成本
  * @param {Array} transactions - 交易记录列表
+ * @param {string} [method] - 成本计算方法
  * @returns {number} 总投资成本
  */
-export const calculateTotalInvestment = (transactions) => {
-  return transactions.reduce((total, t) => {
-    if (t.type === "buy") {
-      return total + t.price * t.amount;
-    } else {
-      return total - t.price * t.amount;
-    }
-  }, 0);
+export const calculateTotalInvestment = (transactions, method) => {
+  return calculateCostBasis(transactions, method).totalInvestment;
 };
 
 /**
@@ -109,74 +98,423 @@ export const getLastTransactionDate = (transactions) => {
   return format(lastDate, "yyyy-MM-dd");
 };
 
+// 有交易缺少当天汇率时无法换算为基础货币的成本指标
+const UNAVAILABLE_COST_BASIS = {
+  averageBuyPrice: null,
+  totalInvestment: null,
+  totalBuyCost: null,
+  totalFees: null,
+  networkFeeCost: null,
+  realizedProfitLoss: null,
+  totalIncome: null,
+};
+
 /**
- * 更新投资组合币种数据
+ * 所有值都可以计算（不为 null）
+ * @param {...(number|null)} values - 指标
+ * @returns {boolean}
+ */
+const isAvailable = (...values) => values.every((value) => value !== null);
+
+/**
+ * 根据交易记录和当前价格计算币种的各项指标
+ * 交易记录以美元保存，按交易当天的汇率换算为基础货币后再计算，币种上保留原始交易记录
+ * 有交易缺少当天汇率时，成本和盈亏相关的指标为 null，并标记 exchangeRateUnavailable；
+ * 没有当前价格时，价值和盈亏相关的指标为 null，并标记 priceUnavailable
  * @param {Object} coin - 投资组合币种数据
- * @param {Object} cryptoData - 加密货币市场数据
- * @returns {Object} 更新后的投资组合币种数据
+ * @param {number|null} currentPrice - 以基础货币计价的当前价格，null 表示无法获取
+ * @param {string} [method] - 成本计算方法
+ * @param {Object|null} [exchangeRates] - 基础货币的汇率表，缺省时按美元计算
+ * @returns {Object} 包含最新指标的币种数据
  */
-export const updatePortfolioCoin = (coin, cryptoData) => {
-  const holdings = calculateHoldings(coin.transactions);
-  const averageBuyPrice = calculateAverageBuyPrice(coin.transactions);
-  const totalInvestment = calculateTotalInvestment(coin.transactions);
-  const currentPrice = cryptoData.current_price;
-  const currentValue = calculateCurrentValue(holdings, currentPrice);
-  const profitLoss = calculateProfitLoss(currentValue, totalInvestment);
-  const profitLossPercentage = calculateProfitLossPercentage(
-    profitLoss,
-    totalInvestment
+export const calculateCoinMetrics = (
+  coin,
+  currentPrice,
+  method = DEFAULT_COST_BASIS_METHOD,
+  exchangeRates = null
+) => {
+  const transactions = coin.transactions || [];
+  const convertedTransactions = transactions.map((tx) =>
+    convertTransactionFromUsd(tx, exchangeRates)
   );
-  const firstBuyDate = getFirstBuyDate(coin.transactions);
-  const lastTransactionDate = getLastTransactionDate(coin.transactions);
+  const exchangeRateUnavailable = convertedTransactions.some(
+    (tx) => tx.exchangeRateUnavailable
+  );
+  const costBasis = calculateCostBasis(convertedTransactions, method);
+  const { holdings } = costBasis;
+  const {
+    averageBuyPrice,
+    totalInvestment,
+    totalBuyCost,
+    totalFees,
+    networkFeeCost,
+    realizedProfitLoss,
+    totalIncome,
+  } = exchangeRateUnavailable ? UNAVAILABLE_COST_BASIS : costBasis;
+  const price = currentPrice ?? null;
+  const currentValue = isAvailable(price)
+    ? calculateCurrentValue(holdings, price)
+    : null;
+  // 未实现盈亏只针对剩余持仓，已实现盈亏来自卖出时匹配的批次
+  const profitLoss = isAvailable(currentValue, totalInvestment)
+    ? calculateProfitLoss(currentValue, totalInvestment)
+    : null;
+  const profitLossPercentage = isAvailable(profitLoss)
+    ? calculateProfitLossPercentage(profitLoss, totalInvestment)
+    : null;
+  // 转账网络手续费不进入任何批次的成本，直接从总回报中扣除；收入单独计入总回报
+  const totalReturn = isAvailable(
+    realizedProfitLoss,
+    profitLoss,
+    totalIncome,
+    networkFeeCost
+  )
+    ? realizedProfitLoss + profitLoss + totalIncome - networkFeeCost
+    : null;
+  const totalReturnPercentage = isAvailable(totalReturn, totalBuyCost)
+    ? calculateProfitLossPercentage(totalReturn, totalBuyCost)
+    : null;
 
   return {
     ...coin,
-    symbol: cryptoData.symbol,
-    name: cryptoData.name,
-    image: cryptoData.image,
+    exchangeRateUnavailable,
+    priceUnavailable: price === null,
     holdings,
     averageBuyPrice,
     totalInvestment,
-    currentPrice,
+    currentPrice: price,
+    priceCurrency: exchangeRates?.currency || DEFAULT_BASE_CURRENCY,
+    // 同时保存美元价格，切换到其他基础货币时可以换算
+    currentPriceUsd:
+      isAvailable(price) && exchangeRates
+        ? price / getExchangeRate(exchangeRates)
+        : price,
     currentValue,
     profitLoss,
     profitLossPercentage,
-    firstBuyDate,
-    lastTransactionDate,
+    unrealizedProfitLoss: profitLoss,
+    realizedProfitLoss,
+    totalIncome,
+    totalBuyCost,
+    totalFees,
+    networkFeeCost,
+    totalReturn,
+    totalReturnPercentage,
+    firstBuyDate: getFirstBuyDate(transactions),
+    lastTransactionDate: getLastTransactionDate(transactions),
   };
 };
 
+/**
+ * 更新投资组合币种数据
+ * @param {Object} coin - 投资组合币种数据
+ * @param {Object} cryptoData - 以基础货币计价的加密货币市场数据
+ * @param {string} [method] - 成本计算方法
+ * @param {Object|null} [exchangeRates] - 基础货币的汇率表
+ * @returns {Object} 更新后的投资组合币种数据
+ */
+export const updatePortfolioCoin = (
+  coin,
+  cryptoData,
+  method,
+  exchangeRates
+) => {
+  return calculateCoinMetrics(
+    {
+      ...coin,
+      symbol: cryptoData.symbol,
+      name: cryptoData.name,
+      image: cryptoData.image,
+    },
+    cryptoData.current_price,
+    method,
+    exchangeRates
+  );
+};
+
+/**
+ * 汇总所有币种的某项指标，有币种的该指标无法计算时返回 null
+ * @param {Array} coins - 已计算指标的币种列表
+ * @param {string} field - 指标字段
+ * @returns {number|null} 合计
+ */
+const sumCoinField = (coins, field) =>
+  coins.reduce(
+    (sum, coin) =>
+      isAvailable(sum, coin[field]) ? sum + (coin[field] || 0) : null,
+    0
+  );
+
+/**
+ * 汇总所有币种，计算投资组合总指标
+ * 有币种的指标无法计算（为 null）时，对应的总指标也为 null
+ * @param {Array} coins - 已计算指标的币种列表
+ * @returns {Object} 投资组合总指标
+ */
+export const calculatePortfolioTotals = (coins) => {
+  const totalInvestment = sumCoinField(coins, "totalInvestment");
+  const totalValue = sumCoinField(coins, "currentValue");
+  const totalProfitLoss = isAvailable(totalValue, totalInvestment)
+    ? totalValue - totalInvestment
+    : null;
+  const totalProfitLossPercentage = isAvailable(totalProfitLoss)
+    ? calculateProfitLossPercentage(totalProfitLoss, totalInvestment)
+    : null;
+  const totalRealizedProfitLoss = sumCoinField(coins, "realizedProfitLoss");
+  const totalBuyCost = sumCoinField(coins, "totalBuyCost");
+  const totalIncome = sumCoinField(coins, "totalIncome");
+  const totalFees = sumCoinField(coins, "totalFees");
+  const totalNetworkFeeCost = sumCoinField(coins, "networkFeeCost");
+  const totalReturn = isAvailable(
+    totalRealizedProfitLoss,
+    totalProfitLoss,
+    totalIncome,
+    totalNetworkFeeCost
+  )
+    ? totalRealizedProfitLoss +
+      totalProfitLoss +
+      totalIncome -
+      totalNetworkFeeCost
+    : null;
+  const totalReturnPercentage = isAvailable(totalReturn, totalBuyCost)
+    ? calculateProfitLossPercentage(totalReturn, totalBuyCost)
+    : null;
+
+  return {
+    totalInvestment,
+    totalValue,
+    totalProfitLoss,
+    totalProfitLossPercentage,
+    totalUnrealizedProfitLoss: totalProfitLoss,
+    totalRealizedProfitLoss,
+    totalIncome,
+    totalFees,
+    totalReturn,
+    totalReturnPercentage,
+  };
+};
+
+/**
+ * 按年份汇总投资组合的收入，按收入当天的汇率换算为基础货币
+ * 有收入缺少当天汇率时，该年的总额和对应类型的金额为 null
+ * @param {Array} coins - 投资组合币种列表
+ * @param {Object|null} [exchangeRates] - 基础货币的汇率表，缺省时按美元汇总
+ * @returns {Array<{year: number, total: number|null, byType: Object}>} 每年的收入总额及按收入类型的明细，按年份降序排列
+ */
+export const calculateYearlyIncome = (coins = [], exchangeRates = null) => {
+  const years = {};
+
+  coins.forEach((coin) => {
+    (coin.transactions || []).forEach((tx) => {
+      if (tx.type !== TRANSACTION_TYPES.INCOME) return;
+
+      const year = new Date(tx.date).getFullYear();
+      if (isNaN(year)) return;
+
+      const { price } = convertTransactionFromUsd(tx, exchangeRates);
+      const value =
+        price === null ? null : (Number(tx.amount) || 0) * (Number(price) || 0);
+      const incomeType = tx.incomeType || DEFAULT_INCOME_TYPE;
+      if (!years[year]) {
+        years[year] = { year, total: 0, byType: {} };
+      }
+      const { byType } = years[year];
+      const typeTotal = byType[incomeType] ?? 0;
+      years[year].total = isAvailable(years[year].total, value)
+        ? years[year].total + value
+        : null;
+      byType[incomeType] = isAvailable(typeTotal, value)
+        ? typeTotal + value
+        : null;
+    });
+  });
+
+  return Object.values(years).sort((a, b) => b.year - a.year);
+};
+
+/**
+ * 将交易记录添加到对应币种，币种不存在时创建新的币种记录
+ * @param {Array} coins - 币种列表
+ * @param {string} coinId - 加密货币ID
+ * @param {Object} transaction - 交易记录
+ * @returns {Array} 更新后的币种列表
+ */
+export const appendTransaction = (coins, coinId, transaction) => {
+  const coinIndex = coins.findIndex((coin) => coin.id === coinId);
+
+  if (coinIndex >= 0) {
+    // 如果币种已存在，添加交易记录
+    const updatedCoins = [...coins];
+    updatedCoins[coinIndex] = {
+      ...updatedCoins[coinIndex],
+      transactions: [...updatedCoins[coinIndex].transactions, transaction],
+    };
+    return updatedCoins;
+  }
+
+  // 如果币种不存在，创建新的币种记录
+  return [
+    ...coins,
+    {
+      id: coinId,
+      symbol: "",
+      name: "",
+      image: "",
+      transactions: [transaction],
+      holdings: 0,
+      averageBuyPrice: 0,
+      totalInvestment: 0,
+      currentPrice: 0,
+      currentValue: 0,
+      profitLoss: 0,
+      profitLossPercentage: 0,
+      realizedProfitLoss: 0,
+      totalIncome: 0,
+      totalReturn: 0,
+      totalReturnPercentage: 0,
+      firstBuyDate: transaction.date,
+      lastTransactionDate: transaction.date,
+    },
+  ];
+};
+
+/**
+ * 以基础货币计价的已保存价格，无法获取行情时使用
+ * 保存时的计价货币与基础货币不同时，按保存的美元价格换算
+ * @param {Object} coin - 投资组合币种数据
+ * @param {Object|null} exchangeRates - 基础货币的汇率表
+ * @returns {number|null} 价格，无法换算时返回 null
+ */
+const getCachedPrice = (coin, exchangeRates) => {
+  const price = convertPriceFromCurrency(
+    coin.currentPrice,
+    coin.priceCurrency,
+    exchangeRates
+  );
+  if (price !== null || coin.currentPriceUsd == null) return price;
+
+  return convertPriceFromCurrency(
+    coin.currentPriceUsd,
+    DEFAULT_BASE_CURRENCY,
+    exchangeRates
+  );
+};
+
 /**
  * 更新整个投资组合数据
  * @param {Object} portfolio - 投资组合数据
- * @param {Object} cryptoDataMap - 加密货币ID到市场数据的映射
+ * @param {Object} [cryptoDataMap] - 加密货币ID到以基础货币计价的市场数据的映射，缺省时使用已保存的价格
+ * @param {Object|null} [exchangeRates] - 基础货币的汇率表，缺省时按美元计算
  * @returns {Object} 更新后的投资组合数据
  */
-export const updatePortfolio = (portfolio, cryptoDataMap) => {
+export const updatePortfolio = (
+  portfolio,
+  cryptoDataMap = {},
+  exchangeRates = null
+) => {
+  const method = portfolio.settings?.costBasisMethod;
+
   const updatedCoins = portfolio.coins.map((coin) => {
     const cryptoData = cryptoDataMap[coin.id];
-    if (!cryptoData) return coin;
+    if (!cryptoData) {
+      // 已保存的价格可能是切换基础货币之前的计价，需要换算
+      return calculateCoinMetrics(
+        coin,
+        getCachedPrice(coin, exchangeRates),
+        method,
+        exchangeRates
+      );
+    }
 
-    return updatePortfolioCoin(coin, cryptoData);
+    return updatePortfolioCoin(coin, cryptoData, method, exchangeRates);
   });
 
-  const totalInvestment = updatedCoins.reduce(
-    (sum, coin) => sum + coin.totalInvestment,
-    0
-  );
-  const totalValue = updatedCoins.reduce(
-    (sum, coin) => sum + coin.currentValue,
-    0
+  return {
+    ...portfolio,
+    coins: updatedCoins,
+    ...calculatePortfolioTotals(updatedCoins),
+  };
+};
+
+// 聚合多个投资组合时按币种直接相加的指标
+const SUMMABLE_COIN_FIELDS = [
+  "holdings",
+  "totalInvestment",
+  "currentValue",
+  "profitLoss",
+  "unrealizedProfitLoss",
+  "realizedProfitLoss",
+  "totalIncome",
+  "totalBuyCost",
+  "totalFees",
+  "networkFeeCost",
+  "totalReturn",
+];
+
+/**
+ * 合并多个投资组合中的同一币种，各投资组合分别按自己的成本计算方法计算后再相加
+ * @param {Array} coins - 同一币种在各投资组合中已计算指标的数据
+ * @returns {Object} 合并后的币种数据
+ */
+const mergeCoins = (coins) => {
+  const merged = { ...coins[0], transactions: [] };
+  SUMMABLE_COIN_FIELDS.forEach((field) => {
+    merged[field] = sumCoinField(coins, field);
+  });
+  merged.exchangeRateUnavailable = coins.some(
+    (coin) => coin.exchangeRateUnavailable
   );
-  const totalProfitLoss = totalValue - totalInvestment;
-  const totalProfitLossPercentage =
-    totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
+  merged.priceUnavailable = coins.some((coin) => coin.priceUnavailable);
+
+  coins.forEach((coin) => {
+    merged.transactions.push(...(coin.transactions || []));
+  });
+
+  merged.averageBuyPrice = !isAvailable(merged.totalInvestment)
+    ? null
+    : merged.holdings > 0
+    ? merged.totalInvestment / merged.holdings
+    : 0;
+  merged.profitLossPercentage = isAvailable(merged.profitLoss)
+    ? calculateProfitLossPercentage(merged.profitLoss, merged.totalInvestment)
+    : null;
+  merged.totalReturnPercentage = isAvailable(
+    merged.totalReturn,
+    merged.totalBuyCost
+  )
+    ? calculateProfitLossPercentage(merged.totalReturn, merged.totalBuyCost)
+    : null;
+  merged.firstBuyDate = getFirstBuyDate(merged.transactions);
+  merged.lastTransactionDate = getLastTransactionDate(merged.transactions);
+
+  return merged;
+};
+
+/**
+ * 汇总多个投资组合，用于"全部投资组合"视图
+ * @param {Array<{id: string, portfolio: Object}>} portfolios - 已计算指标的投资组合及其ID
+ * @returns {Object} 汇总后的投资组合数据，交易记录带有 portfolioId 标记
+ */
+export const aggregatePortfolios = (portfolios) => {
+  const coinGroups = {};
+
+  portfolios.forEach(({ id, portfolio }) => {
+    (portfolio?.coins || []).forEach((coin) => {
+      coinGroups[coin.id] = coinGroups[coin.id] || [];
+      coinGroups[coin.id].push({
+        ...coin,
+        transactions: (coin.transactions || []).map((tx) => ({
+          ...tx,
+          portfolioId: id,
+        })),
+      });
+    });
+  });
+
+  const coins = Object.values(coinGroups).map(mergeCoins);
 
   return {
-    coins: updatedCoins,
-    totalInvestment,
-    totalValue,
-    totalProfitLoss,
-    totalProfitLossPercentage,
+    coins,
+    ...calculatePortfolioTotals(coins),
   };
 };
@@ -0,0 +1,317 @@
+import { parse as parseDateWithFormat } from "date-fns";
+import {
+  DEFAULT_INCOME_TYPE,
+  FEE_CURRENCIES,
+  TRANSACTION_TYPES,
+  isTransferType,
+  parseIncomeType,
+  parseTransactionType,
+} from "./transactionUtils";
+
+/**
+ * 可映射的交易字段
+ * aliases 为自动匹配列名时使用的候选名称（不区分大小写），包含本应用导出CSV的列名
+ */
+export const CSV_IMPORT_FIELDS = [
+  {
+    key: "date",
+    label: "日期",
+    required: true,
+    aliases: ["日期", "date", "time", "timestamp", "date(utc)"],
+  },
+  {
+    key: "type",
+    label: "类型",
+    required: true,
+    aliases: ["类型", "type", "side", "transaction type"],
+  },
+  {
+    key: "coin",
+    label: "币种",
+    required: true,
+    aliases: ["币种", "coin", "asset", "symbol", "currency"],
+  },
+  {
+    key: "amount",
+    label: "数量",
+    required: true,
+    aliases: ["数量", "amount", "quantity", "qty", "volume", "executed"],
+  },
+  {
+    key: "price",
+    label: "价格(USD)",
+    required: false,
+    aliases: ["价格(usd)", "价格", "price", "price (usd)", "unit price"],
+  },
+  {
+    key: "fee",
+    label: "手续费",
+    required: false,
+    aliases: ["手续费", "fee", "fees"],
+  },
+  {
+    key: "feeCurrency",
+    label: "手续费币种",
+    required: false,
+    aliases: ["手续费币种", "fee currency", "fee coin", "fee asset"],
+  },
+  {
+    key: "feeValue",
+    label: "手续费(USD)",
+    required: false,
+    aliases: ["手续费(usd)", "fee (usd)", "fee usd"],
+  },
+  {
+    key: "reason",
+    label: "备注",
+    required: false,
+    aliases: ["备注", "note", "notes", "memo", "description"],
+  },
+  {
+    key: "fromLocation",
+    label: "来源",
+    required: false,
+    aliases: ["来源", "from"],
+  },
+  {
+    key: "toLocation",
+    label: "去向",
+    required: false,
+    aliases: ["去向", "to"],
+  },
+  {
+    key: "incomeType",
+    label: "收入类型",
+    required: false,
+    aliases: ["收入类型", "income type"],
+  },
+  {
+    key: "swapId",
+    label: "兑换ID",
+    required: false,
+    aliases: ["兑换id", "swap id"],
+  },
+];
+
+/**
+ * 可选的分隔符
+ */
+export const CSV_DELIMITERS = [
+  { value: ",", label: "逗号 (,)" },
+  { value: ";", label: "分号 (;)" },
+  { value: "\t", label: "制表符 (Tab)" },
+  { value: "|", label: "竖线 (|)" },
+];
+
+// 自动识别日期格式的选项值
+export const AUTO_DATE_FORMAT = "auto";
+
+/**
+ * 可选的日期格式，格式字符串遵循 date-fns 的写法
+ */
+export const CSV_DATE_FORMATS = [
+  { value: AUTO_DATE_FORMAT, label: "自动识别" },
+  { value: "yyyy-MM-dd HH:mm:ss", label: "2024-01-31 13:45:00" },
+  { value: "yyyy-MM-dd", label: "2024-01-31" },
+  { value: "yyyy/MM/dd HH:mm", label: "2024/01/31 13:45" },
+  { value: "dd/MM/yyyy HH:mm", label: "31/01/2024 13:45" },
+  { value: "dd/MM/yyyy", label: "31/01/2024" },
+  { value: "MM/dd/yyyy HH:mm", label: "01/31/2024 13:45" },
+  { value: "MM/dd/yyyy", label: "01/31/2024" },
+  { value: "dd.MM.yyyy", label: "31.01.2024" },
+  { value: "unix", label: "Unix 时间戳（秒）" },
+  { value: "unix_ms", label: "Unix 时间戳（毫秒）" },
+];
+
+// 常见的英文交易类型写法
+const TYPE_ALIASES = {
+  purchase: TRANSACTION_TYPES.BUY,
+  sale: TRANSACTION_TYPES.SELL,
+  deposit: TRANSACTION_TYPES.TRANSFER_IN,
+  receive: TRANSACTION_TYPES.TRANSFER_IN,
+  withdrawal: TRANSACTION_TYPES.TRANSFER_OUT,
+  send: TRANSACTION_TYPES.TRANSFER_OUT,
+  reward: TRANSACTION_TYPES.INCOME,
+  staking: TRANSACTION_TYPES.INCOME,
+  airdrop: TRANSACTION_TYPES.INCOME,
+};
+
+/**
+ * 根据文件内容猜测分隔符，取首行中出现次数最多的候选分隔符
+ * @param {string} text - CSV文本
+ * @returns {string} 分隔符
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = (text || "").split(/\r?\n/)[0] || "";
+  const counts = CSV_DELIMITERS.map(({ value }) => ({
+    value,
+    count: firstLine.split(value).length - 1,
+  }));
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count > 0 ? best.value : ",";
+};
+
+/**
+ * 根据列名自动匹配字段
+ * @param {Array<string>} headers - CSV表头
+ * @returns {Object<string, string>} 字段到列名的映射，未匹配的字段为空字符串
+ */
+export const guessColumnMapping = (headers = []) => {
+  const used = new Set();
+  return CSV_IMPORT_FIELDS.reduce((mapping, field) => {
+    const header = headers.find(
+      (h) => !used.has(h) && field.aliases.includes(h.trim().toLowerCase())
+    );
+    if (header) used.add(header);
+    mapping[field.key] = header || "";
+    return mapping;
+  }, {});
+};
+
+/**
+ * 解析数字文本
+ * 分隔符不是逗号且数字中只有逗号时，将逗号视为小数点（如 "1,5"）
+ * @param {string} value - 数字文本
+ * @param {string} delimiter - 文件的分隔符
+ * @returns {number} 解析后的数字，无法解析时返回NaN
+ */
+const parseNumber = (value, delimiter) => {
+  let text = String(value ?? "").trim();
+  if (!text) return NaN;
+
+  if (delimiter !== "," && text.includes(",") && !text.includes(".")) {
+    text = text.replace(/,/g, ".");
+  }
+  return parseFloat(text.replace(/[^0-9.eE-]/g, ""));
+};
+
+/**
+ * 按所选格式解析日期
+ * @param {string} value - 日期文本
+ * @param {string} dateFormat - 日期格式
+ * @returns {Date|null} 日期，无法解析时返回null
+ */
+const parseDate = (value, dateFormat) => {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  let date;
+  if (dateFormat === "unix" || dateFormat === "unix_ms") {
+    const timestamp = Number(text);
+    date = new Date(dateFormat === "unix" ? timestamp * 1000 : timestamp);
+  } else if (dateFormat && dateFormat !== AUTO_DATE_FORMAT) {
+    date = parseDateWithFormat(text, dateFormat, new Date());
+  } else {
+    date = new Date(text.replace(/\s+UTC$/i, "Z"));
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 解析交易类型，兼容中文名称、类型值和常见英文写法
+ * @param {string} value - 类型文本
+ * @returns {string|null} 交易类型
+ */
+const parseType = (value) => {
+  const type = parseTransactionType(value);
+  if (type) return type;
+
+  return (
+    TYPE_ALIASES[
+      String(value || "")
+        .trim()
+        .toLowerCase()
+    ] || null
+  );
+};
+
+/**
+ * 按列映射将CSV行转换为交易数据，币种暂以符号表示，由调用方匹配为CoinGecko ID
+ * @param {Array<Object>} rows - 以表头为键的CSV行
+ * @param {Object<string, string>} mapping - 字段到列名的映射
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - 日期格式
+ * @param {string} [options.delimiter] - 文件的分隔符，用于判断小数点写法
+ * @returns {Array<{rowNumber: number, symbol: string, transaction: Object|null, error: string|null}>}
+ */
+export const mapCSVRows = (
+  rows,
+  mapping,
+  { dateFormat = AUTO_DATE_FORMAT, delimiter = "," } = {}
+) => {
+  const read = (row, key) => (mapping[key] ? row[mapping[key]] ?? "" : "");
+
+  return rows.map((row, index) => {
+    const rowNumber = index + 1;
+    const symbol = String(read(row, "coin")).trim().toUpperCase();
+    const fail = (error) => ({ rowNumber, symbol, transaction: null, error });
+
+    const type = parseType(read(row, "type"));
+    if (!type) return fail(`无法识别的交易类型 "${read(row, "type")}"`);
+    if (!symbol) return fail("缺少币种");
+
+    const date = parseDate(read(row, "date"), dateFormat);
+    if (!date) return fail(`无法解析日期 "${read(row, "date")}"`);
+
+    const amount = parseNumber(read(row, "amount"), delimiter);
+    // 内部转账只记录手续费，数量可以为0
+    if (
+      isNaN(amount) ||
+      amount < 0 ||
+      (amount === 0 && type !== TRANSACTION_TYPES.TRANSFER)
+    ) {
+      return fail("无效的数量");
+    }
+
+    const price = parseNumber(read(row, "price"), delimiter);
+    if (isNaN(price) && !isTransferType(type)) {
+      return fail("缺少价格");
+    }
+
+    const transaction = {
+      type,
+      amount,
+      price: isNaN(price) ? 0 : price,
+      date: date.toISOString(),
+      reason: String(read(row, "reason")).trim(),
+    };
+
+    if (isTransferType(type)) {
+      transaction.fromLocation = String(read(row, "fromLocation")).trim();
+      transaction.toLocation = String(read(row, "toLocation")).trim();
+    }
+
+    if (type === TRANSACTION_TYPES.INCOME) {
+      transaction.incomeType =
+        parseIncomeType(read(row, "incomeType")) || DEFAULT_INCOME_TYPE;
+    }
+
+    const swapId = String(read(row, "swapId")).trim();
+    if (swapId) {
+      transaction.swapId = swapId;
+    }
+
+    // 手续费按手续费币种还原计价方式，第三方资产由美元价值反推单价
+    const fee = parseNumber(read(row, "fee"), delimiter);
+    if (fee > 0) {
+      const feeCurrency = (
+        String(read(row, "feeCurrency")).trim() || "USD"
+      ).toUpperCase();
+      transaction.fee = fee;
+
+      if (feeCurrency === "USD") {
+        transaction.feeCurrency = FEE_CURRENCIES.USD;
+      } else if (feeCurrency === symbol) {
+        transaction.feeCurrency = FEE_CURRENCIES.COIN;
+      } else {
+        const feeValue = parseNumber(read(row, "feeValue"), delimiter);
+        transaction.feeCurrency = FEE_CURRENCIES.OTHER;
+        transaction.feeAsset = feeCurrency;
+        transaction.feePrice = feeValue > 0 ? feeValue / fee : 0;
+      }
+    }
+
+    return { rowNumber, symbol, transaction, error: null };
+  });
+};
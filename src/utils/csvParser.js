@@ -0,0 +1,106 @@
+/**
+ * 解析CSV文本为二维数组，支持引号包裹的字段以及字段内的逗号、换行和转义引号
+ * @param {string} text - CSV文本
+ * @param {string} [delimiter] - 分隔符，默认为逗号
+ * @returns {Array<Array<string>>} 行列表，空行已去除
+ */
+export const parseCSVRows = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  // 去掉Excel导出时添加的BOM
+  const source = (text || "").replace(/^﻿/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  rows.push(row);
+
+  return rows.filter((r) => r.some((value) => value !== ""));
+};
+
+/**
+ * 解析带表头的CSV文本
+ * @param {string} text - CSV文本
+ * @param {Object} [options]
+ * @param {(row: Array<string>) => boolean} [options.isHeaderRow] - 判断表头所在行，用于跳过文件开头的说明文字，默认第一行为表头
+ * @param {string} [options.delimiter] - 分隔符，默认为逗号
+ * @returns {{headers: Array<string>, rows: Array<Object>}} 表头及以表头为键的数据行
+ */
+export const parseCSV = (text, { isHeaderRow, delimiter } = {}) => {
+  const allRows = parseCSVRows(text, delimiter);
+  const headerIndex = isHeaderRow ? allRows.findIndex(isHeaderRow) : 0;
+  if (headerIndex < 0 || !allRows[headerIndex]) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = allRows[headerIndex];
+  const rows = allRows.slice(headerIndex + 1).map((values) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] ?? "";
+    });
+    return record;
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * 转义单个CSV字段，包含分隔符、引号或换行的字段用引号包裹
+ * @param {*} value - 字段值
+ * @param {string} [delimiter] - 分隔符，默认为逗号
+ * @returns {string} 转义后的字段
+ */
+export const escapeCSVField = (value, delimiter = ",") => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * 将二维数组转换为CSV文本
+ * @param {Array<Array<*>>} rows - 行列表，第一行通常为表头
+ * @param {string} [delimiter] - 分隔符，默认为逗号
+ * @returns {string} CSV文本
+ */
+export const stringifyCSV = (rows, delimiter = ",") => {
+  return rows
+    .map((row) =>
+      row.map((value) => escapeCSVField(value, delimiter)).join(delimiter)
+    )
+    .join("\n");
+};
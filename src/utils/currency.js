@@ -0,0 +1,195 @@
+import { FEE_CURRENCIES } from "./transactionUtils";
+
+/**
+ * 可选的基础货币，所有价格和金额按基础货币显示
+ */
+export const BASE_CURRENCIES = {
+  USD: "USD",
+  EUR: "EUR",
+  CNY: "CNY",
+  GBP: "GBP",
+  JPY: "JPY",
+};
+
+export const DEFAULT_BASE_CURRENCY = BASE_CURRENCIES.USD;
+
+/**
+ * 基础货币的显示名称
+ */
+export const BASE_CURRENCY_LABELS = {
+  [BASE_CURRENCIES.USD]: "美元 (USD)",
+  [BASE_CURRENCIES.EUR]: "欧元 (EUR)",
+  [BASE_CURRENCIES.CNY]: "人民币 (CNY)",
+  [BASE_CURRENCIES.GBP]: "英镑 (GBP)",
+  [BASE_CURRENCIES.JPY]: "日元 (JPY)",
+};
+
+// 金额前显示的货币符号，人民币和日元都使用 ¥，日元加前缀区分
+const CURRENCY_SYMBOLS = {
+  [BASE_CURRENCIES.USD]: "$",
+  [BASE_CURRENCIES.EUR]: "€",
+  [BASE_CURRENCIES.CNY]: "¥",
+  [BASE_CURRENCIES.GBP]: "£",
+  [BASE_CURRENCIES.JPY]: "JP¥",
+};
+
+/**
+ * 校正基础货币，未知值回退为美元
+ * @param {string} currency - 货币代码
+ * @returns {string} 有效的基础货币
+ */
+export const normalizeBaseCurrency = (currency) => {
+  const code = String(currency || "").toUpperCase();
+  return Object.values(BASE_CURRENCIES).includes(code)
+    ? code
+    : DEFAULT_BASE_CURRENCY;
+};
+
+/**
+ * 获取货币符号
+ * @param {string} [currency] - 货币代码
+ * @returns {string|null} 货币符号，不是可选的基础货币时返回null
+ */
+export const getCurrencySymbol = (currency = DEFAULT_BASE_CURRENCY) =>
+  CURRENCY_SYMBOLS[String(currency).toUpperCase()] || null;
+
+// 金额无法计算（如缺少汇率或价格）时显示的占位符
+export const UNAVAILABLE_AMOUNT = "--";
+
+/**
+ * 格式化金额，如 €1,234.5、-$20，没有货币符号的计价资产显示为 0.05 BTC
+ * 金额为 null 表示无法计算，显示为 --
+ * @param {number|null} value - 金额
+ * @param {string} [currency] - 货币代码
+ * @param {Object} [options]
+ * @param {boolean} [options.signed=false] - 正数是否显示加号
+ * @param {Object} [options.localeOptions] - 传给 toLocaleString 的数字格式
+ * @returns {string} 格式化后的金额
+ */
+export const formatCurrency = (
+  value,
+  currency = DEFAULT_BASE_CURRENCY,
+  { signed = false, localeOptions } = {}
+) => {
+  if (value === null) return UNAVAILABLE_AMOUNT;
+
+  const number = Number(value) || 0;
+  const sign = number < 0 ? "-" : signed && number > 0 ? "+" : "";
+  const amount = Math.abs(number).toLocaleString(undefined, localeOptions);
+  const symbol = getCurrencySymbol(currency);
+  return symbol
+    ? `${sign}${symbol}${amount}`
+    : `${sign}${amount} ${String(currency).toUpperCase()}`;
+};
+
+/**
+ * 格式化百分比，保留两位小数，如 +12.34%，为 null 时显示为 --
+ * @param {number|null} value - 百分比
+ * @param {Object} [options]
+ * @param {boolean} [options.signed=false] - 正数是否显示加号
+ * @returns {string} 格式化后的百分比
+ */
+export const formatPercentage = (value, { signed = false } = {}) => {
+  if (value === null) return UNAVAILABLE_AMOUNT;
+
+  const number = Number(value) || 0;
+  return `${signed && number > 0 ? "+" : ""}${number.toFixed(2)}%`;
+};
+
+/**
+ * 日期对应的汇率键（UTC 日期）
+ * @param {string|number|Date} date - 日期
+ * @returns {string|null} yyyy-MM-dd，日期无效时返回 null
+ */
+const toRateDay = (date) => {
+  const time = new Date(date).getTime();
+  return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+};
+
+/**
+ * 根据每日汇率数据创建汇率表
+ * @param {string} currency - 基础货币
+ * @param {Array<[number, number]>} points - [时间戳, 1美元兑换的基础货币数量]
+ * @param {number} [from] - 获取汇率的开始时间，缺省为最早一天的汇率时间
+ * @returns {{currency: string, days: Array<string>, rates: Object, latest: number, from: number}} 汇率表
+ */
+export const createExchangeRates = (currency, points, from) => {
+  const rates = {};
+  points.forEach(([timestamp, rate]) => {
+    const day = toRateDay(timestamp);
+    if (day && rate > 0) rates[day] = rate;
+  });
+
+  const days = Object.keys(rates).sort();
+  return {
+    currency: normalizeBaseCurrency(currency),
+    days,
+    rates,
+    latest: days.length > 0 ? rates[days[days.length - 1]] : null,
+    from: from ?? (days.length > 0 ? new Date(days[0]).getTime() : null),
+  };
+};
+
+/**
+ * 查询某天 1 美元兑换的基础货币数量，不使用其他日期的汇率代替
+ * @param {Object|null} exchangeRates - 汇率表，null 表示基础货币为美元
+ * @param {string|number|Date} [date] - 日期，缺省时返回最新汇率
+ * @returns {number|null} 汇率，没有当天的汇率时返回 null
+ */
+export const getExchangeRate = (exchangeRates, date) => {
+  if (!exchangeRates) return 1;
+  if (date === undefined) return exchangeRates.latest || 1;
+
+  const day = toRateDay(date);
+  return (day && exchangeRates.rates[day]) || null;
+};
+
+/**
+ * 将以美元记录的交易换算为基础货币，使用交易当天的汇率
+ * 以币种或第三方资产支付的手续费数量不变，第三方资产的单价一并换算
+ * 没有当天汇率时价格和手续费为 null，并标记 exchangeRateUnavailable
+ * @param {Object} transaction - 交易记录
+ * @param {Object|null} exchangeRates - 汇率表
+ * @returns {Object} 换算后的交易记录
+ */
+export const convertTransactionFromUsd = (transaction, exchangeRates) => {
+  if (!exchangeRates) return transaction;
+
+  const rate = getExchangeRate(exchangeRates, transaction.date);
+  const convert = (value) =>
+    rate === null ? null : (Number(value) || 0) * rate;
+  const converted = {
+    ...transaction,
+    price: convert(transaction.price),
+  };
+  if (rate === null) converted.exchangeRateUnavailable = true;
+
+  if (transaction.feeCurrency === FEE_CURRENCIES.OTHER) {
+    converted.feePrice = convert(transaction.feePrice);
+  } else if (transaction.feeCurrency !== FEE_CURRENCIES.COIN) {
+    converted.fee = convert(transaction.fee);
+  }
+
+  return converted;
+};
+
+/**
+ * 把价格从原计价货币换算为汇率表对应的基础货币，使用最新汇率
+ * 只有汇率表时只能从美元换算，其他货币之间无法换算
+ * @param {number|null} price - 价格，null 表示没有价格
+ * @param {string} [fromCurrency] - 价格的计价货币，缺省为美元
+ * @param {Object|null} exchangeRates - 汇率表，null 表示基础货币为美元
+ * @returns {number|null} 换算后的价格，无法换算时返回 null
+ */
+export const convertPriceFromCurrency = (
+  price,
+  fromCurrency,
+  exchangeRates
+) => {
+  const from = normalizeBaseCurrency(fromCurrency);
+  const to = exchangeRates?.currency || DEFAULT_BASE_CURRENCY;
+  if (price === null || price === undefined) return null;
+  if (from === to) return price;
+  if (from !== DEFAULT_BASE_CURRENCY) return null;
+  return (Number(price) || 0) * getExchangeRate(exchangeRates);
+};
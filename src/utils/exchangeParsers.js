@@ -0,0 +1,462 @@
+import { parseCSV } from "./csvParser";
+import { INCOME_TYPES } from "./transactionUtils";
+
+/**
+ * 支持导入的交易所
+ */
+export const EXCHANGES = {
+  BINANCE: "binance",
+  COINBASE: "coinbase",
+  KRAKEN: "kraken",
+};
+
+/**
+ * 交易所的显示名称
+ */
+export const EXCHANGE_LABELS = {
+  [EXCHANGES.BINANCE]: "Binance",
+  [EXCHANGES.COINBASE]: "Coinbase",
+  [EXCHANGES.KRAKEN]: "Kraken",
+};
+
+/**
+ * 交易所记录的类别
+ * trade 为两种资产之间的成交（received 为得到的资产，spent 为付出的资产），
+ * 其余类别只涉及一种资产
+ */
+export const EXCHANGE_RECORD_KINDS = {
+  TRADE: "trade",
+  TRANSFER_IN: "transfer_in",
+  TRANSFER_OUT: "transfer_out",
+  INCOME: "income",
+};
+
+/**
+ * 可直接换算为美元的法币
+ */
+export const FIAT_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "CAD",
+  "AUD",
+  "JPY",
+  "CHF",
+  "TRY",
+  "BRL",
+  "KRW",
+  "CNY",
+  "HKD",
+  "SGD",
+];
+
+/**
+ * 美元稳定币，导入时按1美元计价
+ */
+export const STABLECOINS = [
+  "USDT",
+  "USDC",
+  "BUSD",
+  "FDUSD",
+  "TUSD",
+  "DAI",
+  "USDP",
+  "PYUSD",
+];
+
+/**
+ * 判断是否为法币
+ * @param {string} symbol - 资产符号
+ * @returns {boolean}
+ */
+export const isFiatCurrency = (symbol) =>
+  FIAT_CURRENCIES.includes(String(symbol || "").toUpperCase());
+
+/**
+ * 判断是否为美元稳定币
+ * @param {string} symbol - 资产符号
+ * @returns {boolean}
+ */
+export const isStablecoin = (symbol) =>
+  STABLECOINS.includes(String(symbol || "").toUpperCase());
+
+// 交易对中可能出现的计价资产，按长度从长到短匹配，避免 USDT 被识别为 USD
+const QUOTE_ASSETS = [
+  ...STABLECOINS,
+  ...FIAT_CURRENCIES,
+  "BTC",
+  "ETH",
+  "BNB",
+  "SOL",
+  "DOT",
+  "XRP",
+  "TRX",
+].sort((a, b) => b.length - a.length);
+
+// Kraken 的旧资产代码
+const KRAKEN_ASSET_ALIASES = {
+  XBT: "BTC",
+  XDG: "DOGE",
+};
+
+/**
+ * 解析数字文本，去掉货币符号、千分位和空格
+ * @param {string} value - 数字文本
+ * @returns {number} 解析后的数字，无法解析时返回0
+ */
+const parseNumber = (value) => {
+  const number = parseFloat(String(value ?? "").replace(/[^0-9.eE+-]/g, ""));
+  return isNaN(number) ? 0 : number;
+};
+
+/**
+ * 解析交易所导出的时间，未带时区的时间按UTC处理
+ * @param {string} value - 时间文本
+ * @returns {string|null} ISO格式时间，无法解析时返回null
+ */
+const parseDate = (value) => {
+  const text = String(value || "")
+    .trim()
+    .replace(/\s+UTC$/i, "Z");
+  if (!text) return null;
+
+  const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(
+    hasTimezone ? text.replace(" ", "T") : `${text.replace(" ", "T")}Z`
+  );
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 解析带资产符号的数量，如 "0.00100000BTC"
+ * @param {string} value - 数量文本
+ * @returns {{amount: number, symbol: string}}
+ */
+const parseAmountWithSymbol = (value) => {
+  const match = String(value || "")
+    .replace(/,/g, "")
+    .trim()
+    .match(/^(\d*\.?\d+(?:e[+-]?\d+)?)\s*([A-Za-z0-9]+)$/i);
+  if (!match) return { amount: parseNumber(value), symbol: "" };
+
+  return { amount: parseNumber(match[1]), symbol: match[2].toUpperCase() };
+};
+
+/**
+ * 将没有分隔符的交易对拆分为基础资产和计价资产，如 BTCUSDT → BTC / USDT
+ * @param {string} pair - 交易对
+ * @returns {{base: string, quote: string}|null}
+ */
+const splitPair = (pair) => {
+  const normalized = String(pair || "")
+    .toUpperCase()
+    .replace(/[-_ ]/g, "/");
+  if (normalized.includes("/")) {
+    const [base, quote] = normalized.split("/");
+    return base && quote ? { base, quote } : null;
+  }
+
+  const quote = QUOTE_ASSETS.find(
+    (asset) => normalized.endsWith(asset) && normalized.length > asset.length
+  );
+  return quote ? { base: normalized.slice(0, -quote.length), quote } : null;
+};
+
+/**
+ * 将交易方向转换为得到和付出的资产
+ * @param {boolean} isBuy - 是否为买入基础资产
+ * @param {{symbol: string, amount: number}} base - 基础资产
+ * @param {{symbol: string, amount: number}} quote - 计价资产
+ * @returns {{received: Object, spent: Object}}
+ */
+const toTradeLegs = (isBuy, base, quote) =>
+  isBuy ? { received: base, spent: quote } : { received: quote, spent: base };
+
+/**
+ * 标准化Kraken资产代码，如 XXBT → BTC、ZUSD → USD
+ * @param {string} asset - Kraken资产代码
+ * @returns {string}
+ */
+const normalizeKrakenAsset = (asset) => {
+  let symbol = String(asset || "").toUpperCase();
+  if (symbol.length === 4 && /^[XZ]/.test(symbol)) {
+    symbol = symbol.slice(1);
+  }
+  return KRAKEN_ASSET_ALIASES[symbol] || symbol;
+};
+
+/**
+ * 拆分Kraken交易对，兼容 XXBTZUSD、XBTUSDT 和 ETH/USD 等格式
+ * @param {string} pair - Kraken交易对
+ * @returns {{base: string, quote: string}|null}
+ */
+const splitKrakenPair = (pair) => {
+  const normalized = String(pair || "").toUpperCase();
+  // 旧格式为两个带 X/Z 前缀的四位代码
+  if (/^[XZ][A-Z]{3}[XZ][A-Z]{3}$/.test(normalized)) {
+    return {
+      base: normalizeKrakenAsset(normalized.slice(0, 4)),
+      quote: normalizeKrakenAsset(normalized.slice(4)),
+    };
+  }
+
+  const split = splitPair(normalized);
+  return split
+    ? {
+        base: normalizeKrakenAsset(split.base),
+        quote: normalizeKrakenAsset(split.quote),
+      }
+    : null;
+};
+
+/**
+ * 解析Binance现货交易历史
+ * 兼容新格式（Date(UTC), Pair, Side, Price, Executed, Amount, Fee）
+ * 和旧格式（Date(UTC), Market, Type, Price, Amount, Total, Fee, Fee Coin）
+ * @param {Object} row - CSV行
+ * @returns {Object} 标准化记录
+ */
+const parseBinanceRow = (row) => {
+  const isBuy = String(row.Side || row.Type).toUpperCase() === "BUY";
+
+  if (row.Executed !== undefined) {
+    const base = parseAmountWithSymbol(row.Executed);
+    const quote = parseAmountWithSymbol(row.Amount);
+    const fee = parseAmountWithSymbol(row.Fee);
+
+    return {
+      date: parseDate(row["Date(UTC)"]),
+      kind: EXCHANGE_RECORD_KINDS.TRADE,
+      ...toTradeLegs(isBuy, base, quote),
+      fee: fee.amount > 0 ? fee : null,
+    };
+  }
+
+  const pair = splitPair(row.Market);
+  if (!pair) {
+    throw new Error(`无法识别交易对 ${row.Market}`);
+  }
+
+  const fee = parseNumber(row.Fee);
+  return {
+    date: parseDate(row["Date(UTC)"]),
+    kind: EXCHANGE_RECORD_KINDS.TRADE,
+    ...toTradeLegs(
+      isBuy,
+      { symbol: pair.base, amount: parseNumber(row.Amount) },
+      { symbol: pair.quote, amount: parseNumber(row.Total) }
+    ),
+    fee:
+      fee > 0
+        ? { symbol: String(row["Fee Coin"] || "").toUpperCase(), amount: fee }
+        : null,
+  };
+};
+
+// Coinbase 交易类型与收入类型的对应关系
+const COINBASE_INCOME_TYPES = {
+  "rewards income": INCOME_TYPES.STAKING,
+  "staking income": INCOME_TYPES.STAKING,
+  "inflation reward": INCOME_TYPES.STAKING,
+  "learning reward": INCOME_TYPES.AIRDROP,
+  "coinbase earn": INCOME_TYPES.AIRDROP,
+  interest: INCOME_TYPES.INTEREST,
+};
+
+/**
+ * 解析Coinbase交易记录
+ * 买卖、收发、奖励和币币兑换（Convert）都会导出，兑换的目标资产从备注中解析
+ * @param {Object} row - CSV行
+ * @returns {Object|null} 标准化记录，不涉及持仓的记录返回null
+ */
+const parseCoinbaseRow = (row) => {
+  const type = String(row["Transaction Type"] || "")
+    .trim()
+    .toLowerCase();
+  const symbol = String(row.Asset || "").toUpperCase();
+  const amount = Math.abs(parseNumber(row["Quantity Transacted"]));
+  const currency = String(
+    row["Spot Price Currency"] || row["Price Currency"] || "USD"
+  ).toUpperCase();
+  const spotPrice = parseNumber(
+    row["Spot Price at Transaction"] || row["Price at Transaction"]
+  );
+  const subtotal = Math.abs(parseNumber(row.Subtotal)) || amount * spotPrice;
+  const feeAmount = Math.abs(
+    parseNumber(row["Fees and/or Spread"] || row.Fees)
+  );
+  const fee = feeAmount > 0 ? { symbol: currency, amount: feeAmount } : null;
+  const date = parseDate(row.Timestamp);
+  const asset = { symbol, amount };
+  const cash = { symbol: currency, amount: subtotal };
+
+  if (type.endsWith("buy")) {
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.TRADE,
+      ...toTradeLegs(true, asset, cash),
+      fee,
+    };
+  }
+
+  if (type.endsWith("sell")) {
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.TRADE,
+      ...toTradeLegs(false, asset, cash),
+      fee,
+    };
+  }
+
+  if (type === "convert") {
+    // 备注格式：Converted 0.01 ETH to 20.5 USDC
+    const match = String(row.Notes || "").match(
+      /converted\s+([\d.,]+)\s+(\w+)\s+to\s+([\d.,]+)\s+(\w+)/i
+    );
+    if (!match) {
+      throw new Error("无法从备注中解析兑换的目标资产");
+    }
+
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.TRADE,
+      received: {
+        symbol: match[4].toUpperCase(),
+        amount: parseNumber(match[3]),
+      },
+      spent: { symbol: match[2].toUpperCase(), amount: parseNumber(match[1]) },
+      fee,
+      value: { currency, amount: subtotal },
+    };
+  }
+
+  if (type === "send" || type === "withdrawal") {
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.TRANSFER_OUT,
+      spent: asset,
+      fee,
+    };
+  }
+
+  if (type === "receive" || type === "deposit") {
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.TRANSFER_IN,
+      received: asset,
+      fee: null,
+    };
+  }
+
+  if (COINBASE_INCOME_TYPES[type]) {
+    return {
+      date,
+      kind: EXCHANGE_RECORD_KINDS.INCOME,
+      received: asset,
+      incomeType: COINBASE_INCOME_TYPES[type],
+      fee: null,
+      value: { currency, amount: amount * spotPrice },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 解析Kraken交易历史（trades.csv），手续费以计价资产计
+ * @param {Object} row - CSV行
+ * @returns {Object} 标准化记录
+ */
+const parseKrakenRow = (row) => {
+  const pair = splitKrakenPair(row.pair);
+  if (!pair) {
+    throw new Error(`无法识别交易对 ${row.pair}`);
+  }
+
+  const fee = parseNumber(row.fee);
+  return {
+    date: parseDate(row.time),
+    kind: EXCHANGE_RECORD_KINDS.TRADE,
+    ...toTradeLegs(
+      String(row.type).toLowerCase() === "buy",
+      { symbol: pair.base, amount: parseNumber(row.vol) },
+      { symbol: pair.quote, amount: parseNumber(row.cost) }
+    ),
+    fee: fee > 0 ? { symbol: pair.quote, amount: fee } : null,
+    externalId: row.txid || undefined,
+  };
+};
+
+// 各交易所的表头特征和解析函数
+const EXCHANGE_FORMATS = {
+  [EXCHANGES.BINANCE]: {
+    matches: (headers) =>
+      headers.includes("Date(UTC)") &&
+      (headers.includes("Pair") || headers.includes("Market")),
+    parseRow: parseBinanceRow,
+  },
+  [EXCHANGES.COINBASE]: {
+    matches: (headers) =>
+      headers.includes("Transaction Type") && headers.includes("Asset"),
+    parseRow: parseCoinbaseRow,
+  },
+  [EXCHANGES.KRAKEN]: {
+    matches: (headers) =>
+      headers.includes("pair") &&
+      headers.includes("vol") &&
+      headers.includes("cost"),
+    parseRow: parseKrakenRow,
+  },
+};
+
+const isKnownHeaderRow = (row) =>
+  Object.values(EXCHANGE_FORMATS).some((format) => format.matches(row));
+
+/**
+ * 根据表头识别交易所
+ * @param {Array<string>} headers - CSV表头
+ * @returns {string|null} 交易所，无法识别时返回null
+ */
+export const detectExchange = (headers = []) => {
+  const matched = Object.entries(EXCHANGE_FORMATS).find(([, format]) =>
+    format.matches(headers)
+  );
+  return matched ? matched[0] : null;
+};
+
+/**
+ * 解析交易所导出的交易历史CSV
+ * Coinbase 的导出文件在表头前有说明文字，会自动跳过
+ * @param {string} text - CSV文本
+ * @param {string} [exchange] - 交易所，不传时根据表头自动识别
+ * @returns {{exchange: string, records: Array<Object>, errors: Array<{rowNumber: number, message: string}>}}
+ *   records 为标准化记录 {rowNumber, exchange, date, kind, received, spent, fee, value, incomeType, externalId}
+ * @throws {Error} 无法识别文件格式时抛出
+ */
+export const parseExchangeCSV = (text, exchange) => {
+  const { headers, rows } = parseCSV(text, { isHeaderRow: isKnownHeaderRow });
+  const detected = exchange || detectExchange(headers);
+  const format = EXCHANGE_FORMATS[detected];
+
+  if (!format || !format.matches(headers)) {
+    throw new Error("无法识别的文件格式，请确认是交易所导出的交易历史CSV");
+  }
+
+  const records = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    try {
+      const record = format.parseRow(row);
+      if (!record) return;
+      if (!record.date) {
+        throw new Error("无效的日期");
+      }
+      records.push({ rowNumber, exchange: detected, ...record });
+    } catch (error) {
+      errors.push({ rowNumber, message: error.message });
+    }
+  });
+
+  return { exchange: detected, records, errors };
+};
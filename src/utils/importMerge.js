@@ -0,0 +1,209 @@
+import { v4 as uuidv4 } from "uuid";
+import { appendTransaction } from "./cryptoUtils";
+import { parsePortfolioData } from "./portfolioSchema";
+
+/**
+ * 重复或冲突记录的处理方式
+ * skip 跳过导入的记录，replace 用导入的记录替换现有记录，keep_both 以新ID同时保留两条记录
+ */
+export const MERGE_RESOLUTIONS = {
+  SKIP: "skip",
+  REPLACE: "replace",
+  KEEP_BOTH: "keep_both",
+};
+
+/**
+ * 合并预览中各类记录的默认处理方式
+ */
+export const DEFAULT_MERGE_RESOLUTION = MERGE_RESOLUTIONS.SKIP;
+
+/**
+ * 将投资组合数据升级到当前版本后展开为待导入的交易列表
+ * @param {Object} data - 任意版本的投资组合数据
+ * @returns {Array<{coinId: string, transaction: Object}>}
+ * @throws {Error} 数据无效时抛出，errors 字段列出全部无效记录
+ */
+export const extractImportEntries = (data) => {
+  return parsePortfolioData(data).coins.flatMap((coin) =>
+    coin.transactions.map((transaction) => ({ coinId: coin.id, transaction }))
+  );
+};
+
+/**
+ * 计算交易记录的指纹：币种、时间（精确到秒）、数量和价格都相同视为同一笔交易
+ * 导出的CSV只保留到秒，数值按10位有效数字比较以忽略浮点误差
+ * @param {string} coinId - 加密货币ID
+ * @param {Object} transaction - 交易记录
+ * @returns {string} 指纹
+ */
+export const getTransactionFingerprint = (coinId, transaction) => {
+  const time = Math.floor(new Date(transaction.date).getTime() / 1000);
+  const amount = Number(transaction.amount || 0).toPrecision(10);
+  const price = Number(transaction.price || 0).toPrecision(10);
+  return [coinId, time, amount, price].join("|");
+};
+
+/**
+ * 对比现有记录生成合并预览
+ * - added：新的交易记录
+ * - duplicates：ID相同且内容一致，或指纹与现有记录（或本次导入的前一条记录）相同
+ * - conflicts：ID与现有记录相同但内容不同
+ * @param {Array} coins - 现有的币种列表
+ * @param {Array<{coinId: string, transaction: Object}>} entries - 待导入的交易
+ * @returns {{added: Array, duplicates: Array, conflicts: Array}}
+ *   每一项为 {key, coinId, transaction, existing}，existing 为对应的现有记录及其币种ID，
+ *   与本次导入的其他记录重复时 existing.isImported 为 true
+ */
+export const planImportMerge = (coins, entries) => {
+  const byId = {};
+  const byFingerprint = {};
+  coins.forEach((coin) => {
+    coin.transactions.forEach((transaction) => {
+      const existing = { coinId: coin.id, transaction };
+      byId[transaction.id] = existing;
+      byFingerprint[getTransactionFingerprint(coin.id, transaction)] = existing;
+    });
+  });
+
+  const plan = { added: [], duplicates: [], conflicts: [] };
+  entries.forEach(({ coinId, transaction }, index) => {
+    const key = `${index}`;
+    const fingerprint = getTransactionFingerprint(coinId, transaction);
+    const sameId = transaction.id && byId[transaction.id];
+    const sameContent = byFingerprint[fingerprint];
+
+    if (sameId) {
+      const matches =
+        sameId.coinId === coinId &&
+        sameId.transaction.type === transaction.type &&
+        getTransactionFingerprint(sameId.coinId, sameId.transaction) ===
+          fingerprint;
+      plan[matches ? "duplicates" : "conflicts"].push({
+        key,
+        coinId,
+        transaction,
+        existing: sameId,
+      });
+      return;
+    }
+
+    if (sameContent) {
+      plan.duplicates.push({ key, coinId, transaction, existing: sameContent });
+      return;
+    }
+
+    // 记录本次导入的指纹，同一文件中的重复行也会被识别
+    byFingerprint[fingerprint] = { coinId, transaction, isImported: true };
+    plan.added.push({ key, coinId, transaction, existing: null });
+  });
+
+  return plan;
+};
+
+/**
+ * 按合并预览和处理方式生成合并后的币种列表
+ * 新记录的ID与现有记录重复时会重新生成，保留两条的兑换记录会换用新的 swapId，
+ * 兑换记录只能两边一起替换，只替换其中一边时跳过
+ * @param {Array} coins - 现有的币种列表
+ * @param {{added: Array, duplicates: Array, conflicts: Array}} plan - 合并预览
+ * @param {Object<string, string>} [resolutions] - 重复和冲突记录的处理方式，键为预览项的 key
+ * @returns {{coins: Array, addedCount: number, replacedCount: number, skippedCount: number}}
+ */
+export const applyImportMerge = (coins, plan, resolutions = {}) => {
+  const existingIds = new Set(
+    coins.flatMap((coin) => coin.transactions.map((t) => t.id))
+  );
+  const swapIds = {};
+  let updatedCoins = coins;
+  let addedCount = 0;
+  let replacedCount = 0;
+  let skippedCount = 0;
+
+  // 同时保留的记录换用新ID，兑换的两边共用同一个新的 swapId
+  const withNewIds = (transaction) => {
+    const copy = { ...transaction, id: uuidv4() };
+    if (copy.swapId) {
+      swapIds[copy.swapId] = swapIds[copy.swapId] || uuidv4();
+      copy.swapId = swapIds[copy.swapId];
+    }
+    return copy;
+  };
+
+  const add = ({ coinId, transaction }, forceNewIds) => {
+    const prepared =
+      forceNewIds || !transaction.id || existingIds.has(transaction.id)
+        ? withNewIds(transaction)
+        : transaction;
+    existingIds.add(prepared.id);
+    updatedCoins = appendTransaction(updatedCoins, coinId, {
+      ...prepared,
+      coinId,
+    });
+    addedCount++;
+  };
+
+  const getResolution = (item) =>
+    resolutions[item.key] || DEFAULT_MERGE_RESOLUTION;
+
+  // 选择替换的现有记录，与本次导入的其他记录重复时没有可替换的现有记录
+  const replacingIds = new Set(
+    [...plan.duplicates, ...plan.conflicts]
+      .filter(
+        (item) =>
+          getResolution(item) === MERGE_RESOLUTIONS.REPLACE &&
+          !item.existing.isImported
+      )
+      .map((item) => item.existing.transaction.id)
+  );
+
+  // 兑换记录的每一边都要被替换，否则另一边会留下失去配对的 swapId
+  const canReplace = ({ transaction }) =>
+    !transaction.swapId ||
+    coins.every((coin) =>
+      coin.transactions.every(
+        (t) => t.swapId !== transaction.swapId || replacingIds.has(t.id)
+      )
+    );
+
+  plan.added.forEach((item) => add(item, false));
+
+  [...plan.duplicates, ...plan.conflicts].forEach((item) => {
+    const resolution = getResolution(item);
+
+    if (resolution === MERGE_RESOLUTIONS.KEEP_BOTH) {
+      add(item, true);
+      return;
+    }
+
+    if (
+      resolution === MERGE_RESOLUTIONS.REPLACE &&
+      !item.existing.isImported &&
+      canReplace(item.existing)
+    ) {
+      const { coinId, transaction } = item.existing;
+      updatedCoins = updatedCoins
+        .map((coin) =>
+          coin.id === coinId
+            ? {
+                ...coin,
+                transactions: coin.transactions.filter(
+                  (t) => t.id !== transaction.id
+                ),
+              }
+            : coin
+        )
+        .filter((coin) => coin.id !== coinId || coin.transactions.length > 0);
+      updatedCoins = appendTransaction(updatedCoins, item.coinId, {
+        ...item.transaction,
+        id: transaction.id,
+        coinId: item.coinId,
+      });
+      replacedCount++;
+      return;
+    }
+
+    skippedCount++;
+  });
+
+  return { coins: updatedCoins, addedCount, replacedCount, skippedCount };
+};
@@ -0,0 +1,93 @@
+/**
+ * 判断当前环境是否支持 IndexedDB（服务端渲染时不可用）
+ * @returns {boolean} 是否支持
+ */
+export const isIndexedDBAvailable = () =>
+  typeof window !== "undefined" && typeof window.indexedDB !== "undefined";
+
+/**
+ * 将 IndexedDB 请求包装为 Promise
+ * @param {IDBRequest} request - IndexedDB 请求
+ * @returns {Promise<*>} 请求结果
+ */
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// 已打开的数据库连接，按数据库名称缓存
+const connections = {};
+
+/**
+ * 打开数据库，同一数据库只打开一次
+ * @param {string} name - 数据库名称
+ * @param {number} version - 数据库版本
+ * @param {(db: IDBDatabase, oldVersion: number) => void} upgrade - 创建或升级对象仓库的回调函数
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (!connections[name]) {
+    connections[name] = new Promise((resolve, reject) => {
+      if (!isIndexedDBAvailable()) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = window.indexedDB.open(name, version);
+      request.onupgradeneeded = (event) =>
+        upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // 其他页面升级数据库时关闭连接，下次使用时重新打开
+        db.onversionchange = () => {
+          db.close();
+          delete connections[name];
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        delete connections[name];
+        reject(request.error);
+      };
+    });
+  }
+
+  return connections[name];
+};
+
+/**
+ * 在一个事务中执行读写操作，事务提交后返回回调函数的结果
+ * 回调函数中只能等待同一事务的请求，等待其他异步操作会导致事务提前提交
+ * @param {Promise<IDBDatabase>} dbPromise - 数据库连接
+ * @param {string|Array<string>} storeNames - 涉及的对象仓库
+ * @param {"readonly"|"readwrite"} mode - 事务模式
+ * @param {(transaction: IDBTransaction) => Promise<*>|*} callback - 执行操作的回调函数
+ * @returns {Promise<*>} 回调函数的结果
+ */
+export const runTransaction = async (dbPromise, storeNames, mode, callback) => {
+  const db = await dbPromise;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+
+    Promise.resolve(callback(transaction))
+      .then((value) => {
+        result = value;
+      })
+      .catch((error) => {
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // 事务已经提交或中止
+        }
+        reject(error);
+      });
+  });
+};
@@ -1,132 +1,152 @@
+/**
+ * 早期版本保存在 localStorage 中的投资组合数据
+ * 现在的数据保存在 IndexedDB（见 portfolioStorage），这里用于读取旧数据并迁移，
+ * 以及在无法使用 IndexedDB 时（如隐私模式）按同样的格式保存数据
+ */
+
 const PORTFOLIO_KEY = "crypto-portfolio";
+const PORTFOLIO_INDEX_KEY = "crypto-portfolio-index";
+
+// 默认投资组合的ID，对应不带后缀的存储键
+const DEFAULT_PORTFOLIO_ID = "default";
 
 /**
- * 从本地存储获取投资组合数据
- * @returns {Object|null} 投资组合数据
+ * 获取投资组合数据对应的存储键
+ * @param {string} portfolioId - 投资组合ID
+ * @returns {string} 存储键
  */
-export const getPortfolioFromStorage = () => {
-  if (typeof window === "undefined") return null;
+const getPortfolioKey = (portfolioId) => {
+  return portfolioId === DEFAULT_PORTFOLIO_ID
+    ? PORTFOLIO_KEY
+    : `${PORTFOLIO_KEY}:${portfolioId}`;
+};
 
+/**
+ * 读取 localStorage 中的 JSON 数据
+ * @param {string} key - 存储键
+ * @returns {*} 解析后的数据，不存在或无法解析时返回 null
+ */
+const readJSON = (key) => {
   try {
-    const portfolioData = localStorage.getItem(PORTFOLIO_KEY);
-    if (!portfolioData) return null;
-
-    return JSON.parse(portfolioData);
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
   } catch (error) {
-    console.error("Failed to get portfolio from storage:", error);
+    console.error(`Failed to read ${key} from localStorage:`, error);
     return null;
   }
 };
 
 /**
- * 保存投资组合数据到本地存储
- * @param {Object} portfolio - 投资组合数据
+ * 写入 localStorage 中的 JSON 数据
+ * @param {string} key - 存储键
+ * @param {*} value - 数据
+ * @returns {boolean} 是否写入成功
  */
-export const savePortfolioToStorage = (portfolio) => {
-  if (typeof window === "undefined") return;
-
+const writeJSON = (key, value) => {
   try {
-    localStorage.setItem(PORTFOLIO_KEY, JSON.stringify(portfolio));
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
   } catch (error) {
-    console.error("Failed to save portfolio to storage:", error);
+    console.error(`Failed to write ${key} to localStorage:`, error);
+    return false;
   }
 };
 
 /**
- * 添加交易记录
- * @param {string} coinId - 加密货币ID
- * @param {Object} transaction - 交易记录
- * @returns {Object|null} 更新后的投资组合数据
+ * 读取 localStorage 中的投资组合索引
+ * @returns {Object|null} 投资组合索引，不存在时返回 null
  */
-export const addTransaction = (coinId, transaction) => {
-  const portfolio = getPortfolioFromStorage() || {
-    coins: [],
-    totalInvestment: 0,
-    totalValue: 0,
-    totalProfitLoss: 0,
-    totalProfitLossPercentage: 0,
-  };
-
-  // 查找币种
-  const coinIndex = portfolio.coins.findIndex((coin) => coin.id === coinId);
-
-  if (coinIndex >= 0) {
-    // 如果币种已存在，添加交易记录
-    portfolio.coins[coinIndex].transactions.push(transaction);
-  } else {
-    // 如果币种不存在，创建新的币种记录
-    portfolio.coins.push({
-      id: coinId,
-      symbol: "",
-      name: "",
-      image: "",
-      transactions: [transaction],
-      holdings: 0,
-      averageBuyPrice: 0,
-      totalInvestment: 0,
-      currentPrice: 0,
-      currentValue: 0,
-      profitLoss: 0,
-      profitLossPercentage: 0,
-      firstBuyDate: transaction.date,
-      lastTransactionDate: transaction.date,
-    });
-  }
+export const readLocalPortfolioIndex = () => {
+  if (typeof window === "undefined") return null;
+  return readJSON(PORTFOLIO_INDEX_KEY);
+};
 
-  savePortfolioToStorage(portfolio);
-  return portfolio;
+/**
+ * 保存投资组合索引到 localStorage
+ * @param {Object} index - 投资组合索引
+ * @returns {boolean} 是否保存成功
+ */
+export const writeLocalPortfolioIndex = (index) => {
+  if (typeof window === "undefined") return false;
+  return writeJSON(PORTFOLIO_INDEX_KEY, index);
 };
 
 /**
- * 删除交易记录
- * @param {string} coinId - 加密货币ID
- * @param {string} transactionId - 交易记录ID
- * @returns {Object|null} 更新后的投资组合数据
+ * 读取 localStorage 中的投资组合数据
+ * @param {string} portfolioId - 投资组合ID
+ * @returns {Object|null} 投资组合数据，不存在时返回 null
  */
-export const deleteTransaction = (coinId, transactionId) => {
-  const portfolio = getPortfolioFromStorage();
-  if (!portfolio) return null;
+export const readLocalPortfolio = (portfolioId) => {
+  if (typeof window === "undefined") return null;
+  return readJSON(getPortfolioKey(portfolioId));
+};
 
-  const coinIndex = portfolio.coins.findIndex((coin) => coin.id === coinId);
-  if (coinIndex < 0) return portfolio;
+/**
+ * 保存投资组合数据到 localStorage
+ * @param {string} portfolioId - 投资组合ID
+ * @param {Object} data - 投资组合数据
+ * @returns {boolean} 是否保存成功
+ */
+export const writeLocalPortfolio = (portfolioId, data) => {
+  if (typeof window === "undefined") return false;
+  return writeJSON(getPortfolioKey(portfolioId), data);
+};
 
-  // 过滤掉要删除的交易记录
-  portfolio.coins[coinIndex].transactions = portfolio.coins[
-    coinIndex
-  ].transactions.filter((t) => t.id !== transactionId);
+/**
+ * 删除 localStorage 中的投资组合数据
+ * @param {string} portfolioId - 投资组合ID
+ */
+export const removeLocalPortfolio = (portfolioId) => {
+  if (typeof window === "undefined") return;
 
-  // 如果没有交易记录了，删除这个币种
-  if (portfolio.coins[coinIndex].transactions.length === 0) {
-    portfolio.coins = portfolio.coins.filter((coin) => coin.id !== coinId);
+  try {
+    localStorage.removeItem(getPortfolioKey(portfolioId));
+  } catch (error) {
+    console.error("Failed to remove portfolio from localStorage:", error);
   }
-
-  savePortfolioToStorage(portfolio);
-  return portfolio;
 };
 
 /**
- * 导出投资组合数据
- * @returns {string} 投资组合数据的JSON字符串
+ * 读取 localStorage 中的全部投资组合
+ * 只有单个投资组合的更早版本没有索引，此时按默认投资组合读取
+ * @returns {{activeId: string, portfolios: Array<{id: string, name: string, createdAt: string, data: Object|null}>}|null}
+ *   旧数据，没有旧数据时返回 null
  */
-export const exportPortfolio = () => {
-  const portfolio = getPortfolioFromStorage();
-  if (!portfolio) return "";
+export const readLegacyPortfolios = () => {
+  if (typeof window === "undefined") return null;
 
-  return JSON.stringify(portfolio);
+  const index = readJSON(PORTFOLIO_INDEX_KEY);
+  const entries =
+    Array.isArray(index?.portfolios) && index.portfolios.length > 0
+      ? index.portfolios
+      : localStorage.getItem(PORTFOLIO_KEY) !== null
+      ? [{ id: DEFAULT_PORTFOLIO_ID, name: "我的投资组合" }]
+      : [];
+
+  if (entries.length === 0) return null;
+
+  return {
+    activeId: index?.activeId || entries[0].id,
+    portfolios: entries.map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      createdAt: entry.createdAt || new Date().toISOString(),
+      data: readJSON(getPortfolioKey(entry.id)),
+    })),
+  };
 };
 
 /**
- * 导入投资组合数据
- * @param {string} data - 投资组合数据的JSON字符串
- * @returns {boolean} 是否导入成功
+ * 迁移完成后删除 localStorage 中的旧数据，释放存储空间
+ * @param {Array<string>} portfolioIds - 已迁移的投资组合ID
  */
-export const importPortfolio = (data) => {
+export const clearLegacyPortfolios = (portfolioIds) => {
+  if (typeof window === "undefined") return;
+
   try {
-    const portfolio = JSON.parse(data);
-    savePortfolioToStorage(portfolio);
-    return true;
+    portfolioIds.forEach((id) => localStorage.removeItem(getPortfolioKey(id)));
+    localStorage.removeItem(PORTFOLIO_INDEX_KEY);
   } catch (error) {
-    console.error("Failed to import portfolio:", error);
-    return false;
+    console.error("Failed to clear legacy portfolio data:", error);
   }
 };
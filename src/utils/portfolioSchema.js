@@ -0,0 +1,306 @@
+import { v4 as uuidv4 } from "uuid";
+import { COST_BASIS_METHODS, normalizeCostBasisMethod } from "./costBasis";
+import {
+  DEFAULT_INCOME_TYPE,
+  FEE_CURRENCIES,
+  INCOME_TYPES,
+  TRANSACTION_TYPES,
+  parseTransactionType,
+} from "./transactionUtils";
+
+/**
+ * 当前的投资组合数据版本
+ * 1: 没有 version 字段的早期数据（本地存储和导出的JSON）
+ * 2: 交易记录带有 coinId、数值字段为数字，并包含投资组合设置
+ */
+export const PORTFOLIO_SCHEMA_VERSION = 2;
+
+// 没有 version 字段的数据视为第1版
+const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * 将数字文本转换为数字，其他值保持不变
+ * @param {*} value - 原始值
+ * @returns {*} 转换后的值
+ */
+const toNumber = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return value;
+  const number = Number(value);
+  return isNaN(number) ? value : number;
+};
+
+/**
+ * 第1版升级到第2版：补全交易ID和 coinId，数值字段转为数字，
+ * 交易类型统一为类型值，补全手续费计价方式、收入类型和成本计算方法
+ * @param {Object} data - 第1版数据
+ * @returns {Object} 第2版数据
+ */
+const migrateV1ToV2 = (data) => ({
+  ...data,
+  coins: !Array.isArray(data.coins)
+    ? data.coins
+    : data.coins.map((coin) => {
+        // 结构不完整的数据原样保留，交给校验列出
+        if (!coin || !Array.isArray(coin.transactions)) return coin;
+
+        return {
+          ...coin,
+          transactions: coin.transactions.map((transaction) => {
+            if (!transaction || typeof transaction !== "object")
+              return transaction;
+
+            const migrated = {
+              ...transaction,
+              id: transaction.id || uuidv4(),
+              coinId: transaction.coinId || coin.id,
+              type:
+                parseTransactionType(transaction.type) ||
+                transaction.type ||
+                TRANSACTION_TYPES.BUY,
+              amount: toNumber(transaction.amount),
+              price: toNumber(transaction.price),
+            };
+
+            if (transaction.fee != null) {
+              migrated.fee = toNumber(transaction.fee);
+              migrated.feeCurrency =
+                transaction.feeCurrency || FEE_CURRENCIES.USD;
+            }
+            if (transaction.feePrice != null) {
+              migrated.feePrice = toNumber(transaction.feePrice);
+            }
+            if (
+              migrated.type === TRANSACTION_TYPES.INCOME &&
+              !transaction.incomeType
+            ) {
+              migrated.incomeType = DEFAULT_INCOME_TYPE;
+            }
+
+            return migrated;
+          }),
+        };
+      }),
+  settings: {
+    ...data.settings,
+    costBasisMethod: normalizeCostBasisMethod(data.settings?.costBasisMethod),
+  },
+});
+
+/**
+ * 各版本的升级函数，键为升级前的版本
+ */
+const MIGRATIONS = {
+  1: migrateV1ToV2,
+};
+
+/**
+ * 创建带有全部无效记录的校验错误
+ * @param {string} message - 错误信息
+ * @param {Array<string>} errors - 无效记录的说明
+ * @returns {Error} 错误对象，errors 字段包含全部无效记录
+ */
+const createValidationError = (message, errors) => {
+  const error = new Error(message);
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * 获取数据的版本，没有 version 字段时视为第1版
+ * @param {Object} data - 投资组合数据
+ * @returns {number} 数据版本
+ */
+export const getSchemaVersion = (data) => {
+  const version = Number(data?.version);
+  return Number.isInteger(version) && version > 0
+    ? version
+    : LEGACY_SCHEMA_VERSION;
+};
+
+/**
+ * 将投资组合数据逐版本升级到当前版本
+ * @param {Object} data - 任意版本的投资组合数据
+ * @returns {Object} 当前版本的投资组合数据
+ * @throws {Error} 数据来自更新版本的应用，无法识别时抛出
+ */
+export const migratePortfolio = (data) => {
+  if (!data || typeof data !== "object") return data;
+
+  let version = getSchemaVersion(data);
+  if (version > PORTFOLIO_SCHEMA_VERSION) {
+    throw createValidationError(
+      `Unsupported portfolio schema version: ${version}`,
+      [
+        `数据版本 ${version} 高于当前支持的版本 ${PORTFOLIO_SCHEMA_VERSION}，请先更新应用`,
+      ]
+    );
+  }
+
+  let migrated = data;
+  while (version < PORTFOLIO_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+
+  return { ...migrated, version: PORTFOLIO_SCHEMA_VERSION };
+};
+
+/**
+ * 校验单条交易记录
+ * @param {Object} transaction - 交易记录
+ * @returns {Array<string>} 无效字段的说明
+ */
+const validateTransaction = (transaction) => {
+  if (!transaction || typeof transaction !== "object") {
+    return ["不是有效的交易记录"];
+  }
+
+  const problems = [];
+  const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+  if (!transaction.id) problems.push("缺少ID");
+  if (!Object.values(TRANSACTION_TYPES).includes(transaction.type)) {
+    problems.push(`无法识别的交易类型 "${transaction.type ?? ""}"`);
+  }
+  if (!transaction.date || isNaN(new Date(transaction.date).getTime())) {
+    problems.push(`无效的日期 "${transaction.date ?? ""}"`);
+  }
+  if (!isNumber(transaction.amount) || transaction.amount < 0) {
+    problems.push(`无效的数量 "${transaction.amount ?? ""}"`);
+  }
+  if (!isNumber(transaction.price) || transaction.price < 0) {
+    problems.push(`无效的价格 "${transaction.price ?? ""}"`);
+  }
+  if (
+    transaction.fee != null &&
+    (!isNumber(transaction.fee) || transaction.fee < 0)
+  ) {
+    problems.push(`无效的手续费 "${transaction.fee}"`);
+  }
+  if (
+    transaction.feeCurrency &&
+    !Object.values(FEE_CURRENCIES).includes(transaction.feeCurrency)
+  ) {
+    problems.push(`无法识别的手续费计价方式 "${transaction.feeCurrency}"`);
+  }
+  if (
+    transaction.type === TRANSACTION_TYPES.INCOME &&
+    !Object.values(INCOME_TYPES).includes(transaction.incomeType)
+  ) {
+    problems.push(`无法识别的收入类型 "${transaction.incomeType ?? ""}"`);
+  }
+
+  return problems;
+};
+
+/**
+ * 校验当前版本的投资组合数据，列出全部无效的记录
+ * @param {Object} data - 投资组合数据
+ * @returns {Array<string>} 无效记录的说明，数据有效时为空数组
+ */
+export const validatePortfolio = (data) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.coins)) {
+    return ["缺少币种列表 coins"];
+  }
+
+  const errors = [];
+  const coinIds = new Set();
+  const transactionIds = new Set();
+
+  if (
+    data.settings?.costBasisMethod &&
+    !Object.values(COST_BASIS_METHODS).includes(data.settings.costBasisMethod)
+  ) {
+    errors.push(`无法识别的成本计算方法 "${data.settings.costBasisMethod}"`);
+  }
+
+  data.coins.forEach((coin, coinIndex) => {
+    const coinLabel = `第 ${coinIndex + 1} 个币种${
+      coin?.id ? ` ${coin.id}` : ""
+    }`;
+
+    if (!coin?.id) {
+      errors.push(`${coinLabel}：缺少ID`);
+    } else if (coinIds.has(coin.id)) {
+      errors.push(`${coinLabel}：与前面的币种重复`);
+    }
+    coinIds.add(coin?.id);
+
+    if (!Array.isArray(coin?.transactions)) {
+      errors.push(`${coinLabel}：缺少交易记录列表`);
+      return;
+    }
+
+    coin.transactions.forEach((transaction, index) => {
+      const label = `${coinLabel} 的第 ${index + 1} 条交易`;
+      const problems = validateTransaction(transaction);
+
+      // 第2版的每条交易都带有所属币种的 coinId
+      if (transaction && typeof transaction === "object") {
+        if (!transaction.coinId) {
+          problems.push("缺少 coinId");
+        } else if (transaction.coinId !== coin.id) {
+          problems.push(`coinId "${transaction.coinId}" 与所属币种不一致`);
+        }
+      }
+
+      if (transaction?.id && transactionIds.has(transaction.id)) {
+        problems.push(`ID ${transaction.id} 重复`);
+      }
+      transactionIds.add(transaction?.id);
+
+      if (problems.length > 0) {
+        errors.push(`${label}：${problems.join("，")}`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * 升级并校验投资组合数据（本地存储或导入的JSON）
+ * @param {Object|string} data - 投资组合数据对象或JSON字符串
+ * @returns {Object} 当前版本的投资组合数据
+ * @throws {Error} 数据无效时抛出，errors 字段列出全部无效记录
+ */
+export const parsePortfolioData = (data) => {
+  let parsed = data;
+  if (typeof data === "string") {
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      throw createValidationError("Invalid portfolio JSON", [
+        "不是有效的JSON数据",
+      ]);
+    }
+  }
+
+  const migrated = migratePortfolio(parsed);
+  const errors = validatePortfolio(migrated);
+  if (errors.length > 0) {
+    throw createValidationError(
+      `Invalid portfolio data: ${errors.length} invalid records`,
+      errors
+    );
+  }
+
+  return migrated;
+};
+
+/**
+ * 将校验错误整理为显示文本，无效记录较多时只列出前几条
+ * @param {Error} error - parsePortfolioData 抛出的错误
+ * @param {number} [limit=10] - 最多列出的记录数
+ * @returns {string} 多行的错误说明
+ */
+export const formatValidationErrors = (error, limit = 10) => {
+  const errors = error?.errors || [];
+  if (errors.length === 0) return "文件格式不正确";
+
+  const lines = errors.slice(0, limit);
+  if (errors.length > limit) {
+    lines.push(`另有 ${errors.length - limit} 处错误未列出`);
+  }
+  return [`发现 ${errors.length} 处无效数据：`, ...lines].join("\n");
+};
@@ -0,0 +1,1016 @@
+import { v4 as uuidv4 } from "uuid";
+import {
+  isIndexedDBAvailable,
+  openDatabase,
+  requestToPromise,
+  runTransaction,
+} from "./indexedDB";
+import {
+  clearLegacyPortfolios,
+  readLegacyPortfolios,
+  readLocalPortfolio,
+  readLocalPortfolioIndex,
+  removeLocalPortfolio,
+  writeLocalPortfolio,
+  writeLocalPortfolioIndex,
+} from "./localStorage";
+import { PORTFOLIO_SCHEMA_VERSION, migratePortfolio } from "./portfolioSchema";
+import {
+  PORTFOLIO_CHANGE_TYPES,
+  broadcastPortfolioChange,
+} from "./portfolioSync";
+
+const DB_NAME = "crypto-portfolio";
+const DB_VERSION = 1;
+
+// 对象仓库：投资组合（名称和设置）、币种、交易记录和其他状态
+const PORTFOLIOS_STORE = "portfolios";
+const COINS_STORE = "coins";
+const TRANSACTIONS_STORE = "transactions";
+const META_STORE = "meta";
+const DATA_STORES = [PORTFOLIOS_STORE, COINS_STORE, TRANSACTIONS_STORE];
+
+const ACTIVE_ID_KEY = "activeId";
+
+/**
+ * 默认投资组合的ID
+ */
+export const DEFAULT_PORTFOLIO_ID = "default";
+
+/**
+ * 聚合视图的ID，表示同时查看所有投资组合
+ */
+export const ALL_PORTFOLIOS_ID = "all";
+
+const DEFAULT_PORTFOLIO_NAME = "我的投资组合";
+
+// 币种记录中保存的字段，持仓、盈亏等指标在加载时根据交易记录重新计算；
+// currentPrice 为最近一次获取的价格，仅在无法获取行情时使用，priceCurrency 为其计价货币，
+// currentPriceUsd 为同一价格的美元计价，切换到其他基础货币时用于换算
+const COIN_FIELDS = [
+  "id",
+  "symbol",
+  "name",
+  "image",
+  "currentPrice",
+  "priceCurrency",
+  "currentPriceUsd",
+];
+
+/**
+ * 创建或升级对象仓库
+ * 币种和交易记录以 [portfolioId, id] 为主键，每条交易记录单独保存
+ * @param {IDBDatabase} db - 数据库连接
+ */
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(PORTFOLIOS_STORE)) {
+    db.createObjectStore(PORTFOLIOS_STORE, { keyPath: "id" });
+  }
+  [COINS_STORE, TRANSACTIONS_STORE].forEach((name) => {
+    if (!db.objectStoreNames.contains(name)) {
+      const store = db.createObjectStore(name, {
+        keyPath: ["portfolioId", "id"],
+      });
+      store.createIndex("portfolioId", "portfolioId");
+    }
+  });
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: "key" });
+  }
+};
+
+/**
+ * 转换为币种记录
+ * revision 在币种的交易记录每次变化时加一，用于发现其他标签页同时做出的修改
+ * @param {string} portfolioId - 投资组合ID
+ * @param {Object} coin - 币种数据
+ * @param {number} position - 在投资组合中的顺序
+ * @param {number} revision - 交易记录的修订号
+ * @param {Object} [stored] - 已保存的币种记录，币种没有价格（为 null）时保留其中的价格
+ * @returns {Object} 币种记录
+ */
+const toCoinRecord = (portfolioId, coin, position, revision, stored) => {
+  const record = { portfolioId, position, revision };
+  const source =
+    coin.currentPrice === null && stored
+      ? {
+          ...coin,
+          currentPrice: stored.currentPrice,
+          priceCurrency: stored.priceCurrency,
+          currentPriceUsd: stored.currentPriceUsd,
+        }
+      : coin;
+  COIN_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) record[field] = source[field];
+  });
+  return record;
+};
+
+/**
+ * 转换为交易记录，position 用于还原同一币种内的原有顺序
+ * coinId 取自所属币种，读取时按它把交易分组到币种下
+ * @param {string} portfolioId - 投资组合ID
+ * @param {string} coinId - 所属币种ID
+ * @param {Object} transaction - 交易数据
+ * @param {number} position - 在币种交易列表中的顺序
+ * @returns {Object} 交易记录
+ */
+const toTransactionRecord = (portfolioId, coinId, transaction, position) => ({
+  ...transaction,
+  coinId,
+  portfolioId,
+  position,
+});
+
+/**
+ * 去掉记录中仅用于存储的字段
+ * @param {Object} record - 币种或交易记录
+ * @returns {Object} 币种或交易数据
+ */
+const fromRecord = ({ portfolioId, position, ...data }) => data;
+
+const byPosition = (a, b) => a.position - b.position;
+
+/**
+ * 创建保存冲突错误
+ * @param {Array<string>} coinIds - 已被其他标签页修改的币种ID
+ * @returns {Error} 冲突错误
+ */
+export const createConflictError = (coinIds) => {
+  const error = new Error(
+    `Coins were modified in another tab: ${coinIds.join(", ")}`
+  );
+  error.conflictCoinIds = coinIds;
+  return error;
+};
+
+/**
+ * 判断是否为保存冲突错误（保存期间其他标签页修改了同一币种）
+ * @param {*} error - 捕获的错误
+ * @returns {boolean} 是否为冲突错误
+ */
+export const isConflictError = (error) => Array.isArray(error?.conflictCoinIds);
+
+/**
+ * 在事务中读取投资组合
+ * @param {IDBTransaction} transaction - 包含全部数据仓库的事务
+ * @param {string} portfolioId - 投资组合ID
+ * @returns {Promise<Object|null>} 投资组合数据，不存在时返回 null
+ */
+const readPortfolio = async (transaction, portfolioId) => {
+  const [record, coinRecords, transactionRecords] = await Promise.all([
+    requestToPromise(
+      transaction.objectStore(PORTFOLIOS_STORE).get(portfolioId)
+    ),
+    requestToPromise(
+      transaction
+        .objectStore(COINS_STORE)
+        .index("portfolioId")
+        .getAll(portfolioId)
+    ),
+    requestToPromise(
+      transaction
+        .objectStore(TRANSACTIONS_STORE)
+        .index("portfolioId")
+        .getAll(portfolioId)
+    ),
+  ]);
+  if (!record) return null;
+
+  const transactionsByCoin = {};
+  transactionRecords.sort(byPosition).forEach((item) => {
+    transactionsByCoin[item.coinId] = transactionsByCoin[item.coinId] || [];
+    transactionsByCoin[item.coinId].push(fromRecord(item));
+  });
+
+  // 缺少币种记录的交易也要保留，没有交易记录的币种不再显示
+  const coinIds = [
+    ...coinRecords.sort(byPosition).map((coin) => coin.id),
+    ...Object.keys(transactionsByCoin),
+  ];
+  const coins = [...new Set(coinIds)]
+    .filter((coinId) => transactionsByCoin[coinId])
+    .map((coinId) => {
+      const coinRecord = coinRecords.find((coin) => coin.id === coinId);
+      return {
+        ...(coinRecord ? fromRecord(coinRecord) : { id: coinId }),
+        transactions: transactionsByCoin[coinId],
+      };
+    });
+
+  return {
+    coins,
+    settings: record.settings || {},
+    version: record.version,
+  };
+};
+
+/**
+ * 在事务中写入投资组合
+ * 传入上一次保存的数据时只写入有变化的交易记录，否则整体写入；
+ * 有变化的币种在此期间已被其他标签页修改时放弃写入并抛出冲突错误
+ * @param {IDBTransaction} transaction - 包含全部数据仓库的事务
+ * @param {string} portfolioId - 投资组合ID
+ * @param {Object} portfolio - 投资组合数据
+ * @param {Object|null} previous - 上一次保存的投资组合数据
+ * @returns {Promise<{coins: Array, changedCoinIds: Array<string>}>} 带有最新修订号的币种列表及有变化的币种ID
+ * @throws {Error} 发生冲突时抛出，conflictCoinIds 为冲突的币种ID
+ */
+const writePortfolio = async (
+  transaction,
+  portfolioId,
+  portfolio,
+  previous
+) => {
+  const portfolios = transaction.objectStore(PORTFOLIOS_STORE);
+  const coins = transaction.objectStore(COINS_STORE);
+  const transactions = transaction.objectStore(TRANSACTIONS_STORE);
+  const currentCoins = (portfolio.coins || []).map((coin) => ({
+    ...coin,
+    transactions: coin.transactions || [],
+  }));
+
+  const [existing, storedCoins] = await Promise.all([
+    requestToPromise(portfolios.get(portfolioId)),
+    requestToPromise(coins.index("portfolioId").getAll(portfolioId)),
+  ]);
+  const storedById = new Map(storedCoins.map((coin) => [coin.id, coin]));
+  const storedRevision = (coinId) => storedById.get(coinId)?.revision || 0;
+
+  // 交易列表未被替换的币种没有变化
+  const previousCoins = new Map(
+    (previous?.coins || []).map((coin) => [coin.id, coin])
+  );
+  const currentById = new Map(currentCoins.map((coin) => [coin.id, coin]));
+  const changedCoinIds = previous
+    ? [
+        ...currentCoins
+          .filter(
+            (coin) =>
+              coin.transactions !== previousCoins.get(coin.id)?.transactions
+          )
+          .map((coin) => coin.id),
+        ...previous.coins
+          .filter((coin) => !currentById.has(coin.id))
+          .map((coin) => coin.id),
+      ]
+    : currentCoins.map((coin) => coin.id);
+
+  if (previous) {
+    const conflictCoinIds = changedCoinIds.filter(
+      (coinId) =>
+        storedRevision(coinId) !== (previousCoins.get(coinId)?.revision || 0)
+    );
+    if (conflictCoinIds.length > 0) {
+      throw createConflictError(conflictCoinIds);
+    }
+  }
+
+  portfolios.put({
+    id: portfolioId,
+    name: DEFAULT_PORTFOLIO_NAME,
+    createdAt: new Date().toISOString(),
+    ...existing,
+    settings: portfolio.settings || {},
+    version: PORTFOLIO_SCHEMA_VERSION,
+  });
+
+  // 币种记录很少，每次整体写入；没有变化的币种保留原有修订号，
+  // 返回的数据中仍使用读取时的修订号，以便发现其他标签页之后的修改
+  const changed = new Set(changedCoinIds);
+  // 增量写入时只删除本次移除的币种，保留其他标签页新增的币种
+  storedCoins
+    .filter(
+      (coin) =>
+        !currentById.has(coin.id) && (!previous || previousCoins.has(coin.id))
+    )
+    .forEach((coin) => coins.delete([portfolioId, coin.id]));
+  const savedCoins = currentCoins.map((coin, position) => {
+    const revision = changed.has(coin.id)
+      ? storedRevision(coin.id) + 1
+      : storedRevision(coin.id);
+    coins.put(
+      toCoinRecord(
+        portfolioId,
+        coin,
+        position,
+        revision,
+        storedById.get(coin.id)
+      )
+    );
+    return changed.has(coin.id) ? { ...coin, revision } : coin;
+  });
+
+  if (!previous) {
+    const transactionKeys = await requestToPromise(
+      transactions.index("portfolioId").getAllKeys(portfolioId)
+    );
+    const transactionIds = new Set(
+      currentCoins.flatMap((coin) => coin.transactions.map((t) => t.id))
+    );
+    transactionKeys
+      .filter(([, transactionId]) => !transactionIds.has(transactionId))
+      .forEach((key) => transactions.delete(key));
+    currentCoins.forEach((coin) =>
+      coin.transactions.forEach((t, position) =>
+        transactions.put(toTransactionRecord(portfolioId, coin.id, t, position))
+      )
+    );
+    return { coins: savedCoins, changedCoinIds };
+  }
+
+  // 先删除再写入，交易在币种之间移动时不会被误删
+  previous.coins.forEach((previousCoin) => {
+    const coin = currentById.get(previousCoin.id);
+    if (coin?.transactions === previousCoin.transactions) return;
+
+    const remainingIds = new Set((coin?.transactions || []).map((t) => t.id));
+    previousCoin.transactions
+      .filter((t) => !remainingIds.has(t.id))
+      .forEach((t) => transactions.delete([portfolioId, t.id]));
+  });
+
+  currentCoins.forEach((coin) => {
+    const previousCoin = previousCoins.get(coin.id);
+    if (coin.transactions === previousCoin?.transactions) return;
+
+    const previousPositions = new Map(
+      (previousCoin?.transactions || []).map((t, position) => [t, position])
+    );
+    coin.transactions.forEach((t, position) => {
+      if (previousPositions.get(t) !== position) {
+        transactions.put(
+          toTransactionRecord(portfolioId, coin.id, t, position)
+        );
+      }
+    });
+  });
+
+  return { coins: savedCoins, changedCoinIds };
+};
+
+// 从 localStorage 迁移旧数据的任务，每个页面只执行一次
+let legacyMigration = null;
+
+/**
+ * 初始化数据库：首次使用时迁移 localStorage 中的旧数据，没有旧数据时创建默认投资组合
+ * @param {Promise<IDBDatabase>} dbPromise - 数据库连接
+ * @returns {Promise<void>}
+ */
+const initializeDatabase = async (dbPromise) => {
+  const legacy = readLegacyPortfolios();
+
+  // 只有本次事务实际迁移了旧数据才返回 true，其他标签页已完成初始化时不会迁移
+  const migrated = await runTransaction(
+    dbPromise,
+    [...DATA_STORES, META_STORE],
+    "readwrite",
+    async (transaction) => {
+      const count = await requestToPromise(
+        transaction.objectStore(PORTFOLIOS_STORE).count()
+      );
+      if (count > 0) return false;
+
+      if (!legacy) {
+        transaction.objectStore(PORTFOLIOS_STORE).put({
+          id: DEFAULT_PORTFOLIO_ID,
+          name: DEFAULT_PORTFOLIO_NAME,
+          createdAt: new Date().toISOString(),
+          settings: {},
+          version: PORTFOLIO_SCHEMA_VERSION,
+        });
+        return false;
+      }
+
+      for (const { id, name, createdAt, data } of legacy.portfolios) {
+        transaction
+          .objectStore(PORTFOLIOS_STORE)
+          .put({ id, name, createdAt, settings: {} });
+        if (data) {
+          await writePortfolio(transaction, id, migratePortfolio(data), null);
+        }
+      }
+      transaction
+        .objectStore(META_STORE)
+        .put({ key: ACTIVE_ID_KEY, value: legacy.activeId });
+      return true;
+    }
+  );
+
+  // 数据已写入 IndexedDB 后再删除旧数据
+  if (migrated) {
+    clearLegacyPortfolios(legacy.portfolios.map(({ id }) => id));
+  }
+};
+
+/**
+ * 获取数据库连接，首次调用时完成初始化
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+const getDatabase = async () => {
+  const dbPromise = openDatabase(DB_NAME, DB_VERSION, upgradeDatabase);
+  if (!legacyMigration) {
+    legacyMigration = initializeDatabase(dbPromise).catch((error) => {
+      legacyMigration = null;
+      throw error;
+    });
+  }
+  await legacyMigration;
+  return dbPromise;
+};
+
+// 是否改用 localStorage 保存的检测结果，每个页面只检测一次
+let localStorageFallback = null;
+
+/**
+ * 是否改用 localStorage 保存数据
+ * 不支持 IndexedDB 或无法打开数据库时（如 Firefox 隐私模式、存储被禁用）按早期版本的格式保存在 localStorage，
+ * 之后可以使用 IndexedDB 时会像早期数据一样迁移
+ * @returns {Promise<boolean>}
+ */
+const isUsingLocalStorage = () => {
+  if (!localStorageFallback) {
+    localStorageFallback = isIndexedDBAvailable()
+      ? openDatabase(DB_NAME, DB_VERSION, upgradeDatabase).then(
+          () => false,
+          (error) => {
+            console.error(
+              "IndexedDB is unavailable, using localStorage:",
+              error
+            );
+            return true;
+          }
+        )
+      : Promise.resolve(true);
+  }
+  return localStorageFallback;
+};
+
+/**
+ * 创建只包含默认投资组合的索引
+ * @returns {{activeId: string, portfolios: Array}} 投资组合索引
+ */
+const createDefaultIndex = () => ({
+  activeId: DEFAULT_PORTFOLIO_ID,
+  portfolios: [
+    {
+      id: DEFAULT_PORTFOLIO_ID,
+      name: DEFAULT_PORTFOLIO_NAME,
+      createdAt: new Date().toISOString(),
+    },
+  ],
+});
+
+/**
+ * 读取 localStorage 中的投资组合索引，没有索引时只有默认投资组合
+ * @returns {{activeId: string, portfolios: Array}} 投资组合索引
+ */
+const getLocalPortfolioIndex = () => {
+  const index = readLocalPortfolioIndex();
+  if (!Array.isArray(index?.portfolios) || index.portfolios.length === 0) {
+    return createDefaultIndex();
+  }
+
+  const portfolios = index.portfolios.map(({ id, name, createdAt }) => ({
+    id,
+    name,
+    createdAt,
+  }));
+  const activeId =
+    index.activeId === ALL_PORTFOLIOS_ID ||
+    portfolios.some((p) => p.id === index.activeId)
+      ? index.activeId
+      : portfolios[0].id;
+  return { activeId, portfolios };
+};
+
+/**
+ * 转换为 localStorage 中保存的币种数据，与 IndexedDB 的币种记录保存相同的字段
+ * @param {Object} coin - 币种数据
+ * @param {Object} [stored] - 已保存的币种数据，币种没有价格时保留其中的价格
+ * @returns {Object} 币种数据
+ */
+const toLocalCoin = (coin, stored) => {
+  const { portfolioId, position, revision, ...fields } = toCoinRecord(
+    null,
+    coin,
+    0,
+    0,
+    stored
+  );
+  const transactions = (coin.transactions || []).map((t) =>
+    t.coinId === coin.id ? t : { ...t, coinId: coin.id }
+  );
+  return { ...fields, transactions };
+};
+
+/**
+ * 保存投资组合到 localStorage
+ * @param {string} portfolioId - 投资组合ID
+ * @param {Object} portfolio - 投资组合数据
+ * @returns {boolean} 是否保存成功
+ */
+const saveLocalPortfolio = (portfolioId, portfolio) => {
+  const storedCoins = new Map(
+    (readLocalPortfolio(portfolioId)?.coins || []).map((coin) => [
+      coin.id,
+      coin,
+    ])
+  );
+  return writeLocalPortfolio(portfolioId, {
+    version: PORTFOLIO_SCHEMA_VERSION,
+    settings: portfolio.settings || {},
+    coins: (portfolio.coins || []).map((coin) =>
+      toLocalCoin(coin, storedCoins.get(coin.id))
+    ),
+  });
+};
+
+/**
+ * 获取投资组合索引（所有投资组合的名称列表及当前选中的投资组合）
+ * @returns {Promise<{activeId: string, portfolios: Array<{id: string, name: string, createdAt: string}>}>} 投资组合索引
+ */
+export const getPortfolioIndex = async () => {
+  if (await isUsingLocalStorage()) return getLocalPortfolioIndex();
+
+  try {
+    return await runTransaction(
+      getDatabase(),
+      [PORTFOLIOS_STORE, META_STORE],
+      "readonly",
+      async (transaction) => {
+        const [records, active] = await Promise.all([
+          requestToPromise(transaction.objectStore(PORTFOLIOS_STORE).getAll()),
+          requestToPromise(
+            transaction.objectStore(META_STORE).get(ACTIVE_ID_KEY)
+          ),
+        ]);
+        if (records.length === 0) return createDefaultIndex();
+
+        const portfolios = records
+          .map(({ id, name, createdAt }) => ({ id, name, createdAt }))
+          .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+        const activeId =
+          active?.value === ALL_PORTFOLIOS_ID ||
+          portfolios.some((p) => p.id === active?.value)
+            ? active.value
+            : portfolios[0].id;
+
+        return { activeId, portfolios };
+      }
+    );
+  } catch (error) {
+    console.error("Failed to get portfolio index from storage:", error);
+    return createDefaultIndex();
+  }
+};
+
+/**
+ * 获取当前选中的投资组合ID
+ * @returns {Promise<string>} 投资组合ID，聚合视图时为 ALL_PORTFOLIOS_ID
+ */
+export const getActivePortfolioId = async () => {
+  return (await getPortfolioIndex()).activeId;
+};
+
+/**
+ * 切换当前选中的投资组合
+ * @param {string} portfolioId - 投资组合ID或 ALL_PORTFOLIOS_ID
+ * @returns {Promise<void>}
+ */
+export const setActivePortfolioId = async (portfolioId) => {
+  const index = await getPortfolioIndex();
+  const exists =
+    portfolioId === ALL_PORTFOLIOS_ID ||
+    index.portfolios.some((p) => p.id === portfolioId);
+  if (!exists) return;
+
+  if (await isUsingLocalStorage()) {
+    writeLocalPortfolioIndex({ ...index, activeId: portfolioId });
+    return;
+  }
+
+  try {
+    await runTransaction(
+      getDatabase(),
+      META_STORE,
+      "readwrite",
+      (transaction) =>
+        transaction
+          .objectStore(META_STORE)
+          .put({ key: ACTIVE_ID_KEY, value: portfolioId })
+    );
+  } catch (error) {
+    console.error("Failed to save active portfolio:", error);
+  }
+};
+
+/**
+ * 获取投资组合数据，早期版本的数据会升级到当前版本
+ * @param {string} [portfolioId] - 投资组合ID，默认为当前选中的投资组合
+ * @returns {Promise<Object|null>} 投资组合数据（交易记录和设置，不含计算指标）
+ */
+export const getPortfolioFromStorage = async (portfolioId) => {
+  const id = portfolioId || (await getActivePortfolioId());
+  if (id === ALL_PORTFOLIOS_ID) return null;
+
+  try {
+    const portfolio = (await isUsingLocalStorage())
+      ? readLocalPortfolio(id)
+      : await runTransaction(
+          getDatabase(),
+          DATA_STORES,
+          "readonly",
+          (transaction) => readPortfolio(transaction, id)
+        );
+    if (!portfolio) return null;
+
+    try {
+      return migratePortfolio(portfolio);
+    } catch (error) {
+      // 无法升级时保留原始数据，避免被空投资组合覆盖
+      console.error("Failed to migrate portfolio data:", error);
+      return portfolio;
+    }
+  } catch (error) {
+    console.error("Failed to get portfolio from storage:", error);
+    return null;
+  }
+};
+
+/**
+ * 保存投资组合的交易记录、币种信息和设置，计算指标不会保存
+ * 保存成功后通知其他标签页重新加载
+ * @param {Object} portfolio - 投资组合数据
+ * @param {string} [portfolioId] - 投资组合ID，默认为当前选中的投资组合
+ * @param {Object} [previous] - 上一次保存的投资组合数据，传入时只写入有变化的交易记录，
+ *   并检查这些币种是否已被其他标签页修改；改用 localStorage 保存时整体写入，不做检查
+ * @returns {Promise<Object|null>} 保存后的投资组合数据（币种带有最新修订号），保存失败时返回 null
+ * @throws {Error} 与其他标签页的修改冲突时抛出，可用 isConflictError 判断
+ */
+export const savePortfolioToStorage = async (
+  portfolio,
+  portfolioId,
+  previous = null
+) => {
+  const id = portfolioId || (await getActivePortfolioId());
+  // 聚合视图由各投资组合汇总而来，不单独保存
+  if (id === ALL_PORTFOLIOS_ID) return null;
+
+  if (await isUsingLocalStorage()) {
+    if (!saveLocalPortfolio(id, portfolio)) return null;
+    broadcastPortfolioChange({
+      type: PORTFOLIO_CHANGE_TYPES.DATA,
+      portfolioId: id,
+    });
+    return portfolio;
+  }
+
+  try {
+    const { coins, changedCoinIds } = await runTransaction(
+      getDatabase(),
+      DATA_STORES,
+      "readwrite",
+      (transaction) => writePortfolio(transaction, id, portfolio, previous)
+    );
+    broadcastPortfolioChange({
+      type: PORTFOLIO_CHANGE_TYPES.DATA,
+      portfolioId: id,
+      coinIds: changedCoinIds,
+    });
+    return { ...portfolio, coins };
+  } catch (error) {
+    if (isConflictError(error)) throw error;
+    console.error("Failed to save portfolio to storage:", error);
+    return null;
+  }
+};
+
+/**
+ * 只更新币种的名称、图标和最新价格，获取行情后调用
+ * @param {Array} coins - 币种列表
+ * @param {string} portfolioId - 投资组合ID
+ * @returns {Promise<void>}
+ */
+export const saveCoinDetailsToStorage = async (coins, portfolioId) => {
+  if (portfolioId === ALL_PORTFOLIOS_ID) return;
+
+  if (await isUsingLocalStorage()) {
+    const stored = readLocalPortfolio(portfolioId);
+    if (!stored) return;
+    const details = new Map(coins.map((coin) => [coin.id, coin]));
+    // 交易记录使用已保存的数据，只更新币种信息和价格
+    writeLocalPortfolio(portfolioId, {
+      ...stored,
+      coins: (stored.coins || []).map((coin) =>
+        details.has(coin.id)
+          ? toLocalCoin(
+              { ...details.get(coin.id), transactions: coin.transactions },
+              coin
+            )
+          : coin
+      ),
+    });
+    return;
+  }
+
+  try {
+    await runTransaction(
+      getDatabase(),
+      COINS_STORE,
+      "readwrite",
+      async (transaction) => {
+        const store = transaction.objectStore(COINS_STORE);
+        for (const coin of coins) {
+          const existing = await requestToPromise(
+            store.get([portfolioId, coin.id])
+          );
+          // 币种已被删除时不再写回
+          if (existing) {
+            store.put(
+              toCoinRecord(
+                portfolioId,
+                coin,
+                existing.position,
+                existing.revision || 0,
+                existing
+              )
+            );
+          }
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Failed to save coin details to storage:", error);
+  }
+};
+
+/**
+ * 读取全部投资组合，用于在设备之间同步
+ * 只包含交易记录、币种名称和设置，不含最新价格和修订号等本地数据
+ * @returns {Promise<Array<{id: string, name: string, createdAt: string, data: Object}>>} 投资组合列表
+ */
+export const exportAllPortfolios = async () => {
+  const { portfolios } = await getPortfolioIndex();
+
+  if (await isUsingLocalStorage()) {
+    return Promise.all(
+      portfolios.map(async ({ id, name, createdAt }) => {
+        const portfolio = await getPortfolioFromStorage(id);
+        return {
+          id,
+          name,
+          createdAt,
+          data: {
+            version: PORTFOLIO_SCHEMA_VERSION,
+            settings: portfolio?.settings || {},
+            coins: (portfolio?.coins || []).map(
+              ({ currentPrice, priceCurrency, currentPriceUsd, ...coin }) =>
+                coin
+            ),
+          },
+        };
+      })
+    );
+  }
+
+  return runTransaction(
+    getDatabase(),
+    DATA_STORES,
+    "readonly",
+    async (transaction) => {
+      const entries = await Promise.all(
+        portfolios.map(async ({ id, name, createdAt }) => {
+          const portfolio = await readPortfolio(transaction, id);
+          return {
+            id,
+            name,
+            createdAt,
+            data: {
+              version: PORTFOLIO_SCHEMA_VERSION,
+              settings: portfolio?.settings || {},
+              coins: (portfolio?.coins || []).map(
+                ({
+                  currentPrice,
+                  priceCurrency,
+                  currentPriceUsd,
+                  revision,
+                  ...coin
+                }) => coin
+              ),
+            },
+          };
+        })
+      );
+      return entries;
+    }
+  );
+};
+
+/**
+ * 用同步得到的数据替换全部投资组合，不在列表中的投资组合会被删除
+ * 当前选中的投资组合仍然存在时保持不变
+ * @param {Array<{id: string, name: string, createdAt: string, data: Object}>} portfolios - 投资组合列表
+ * @returns {Promise<void>}
+ * @throws {Error} 列表为空或数据无法升级到当前版本时抛出
+ */
+export const replaceAllPortfolios = async (portfolios) => {
+  if (!Array.isArray(portfolios) || portfolios.length === 0) {
+    throw new Error("At least one portfolio is required");
+  }
+  const entries = portfolios.map((entry) => ({
+    ...entry,
+    data: migratePortfolio(entry.data || { coins: [] }),
+  }));
+  const ids = new Set(entries.map(({ id }) => id));
+
+  if (await isUsingLocalStorage()) {
+    const index = getLocalPortfolioIndex();
+    index.portfolios
+      .filter(({ id }) => !ids.has(id))
+      .forEach(({ id }) => removeLocalPortfolio(id));
+    entries.forEach(({ id, data }) => saveLocalPortfolio(id, data));
+    writeLocalPortfolioIndex({
+      activeId:
+        index.activeId === ALL_PORTFOLIOS_ID || ids.has(index.activeId)
+          ? index.activeId
+          : entries[0].id,
+      portfolios: entries.map(({ id, name, createdAt }) => ({
+        id,
+        name: name || DEFAULT_PORTFOLIO_NAME,
+        createdAt: createdAt || new Date().toISOString(),
+      })),
+    });
+    broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.INDEX });
+    broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.DATA });
+    return;
+  }
+
+  await runTransaction(
+    getDatabase(),
+    [...DATA_STORES, META_STORE],
+    "readwrite",
+    async (transaction) => {
+      const existingIds = await requestToPromise(
+        transaction.objectStore(PORTFOLIOS_STORE).getAllKeys()
+      );
+      for (const portfolioId of existingIds.filter((id) => !ids.has(id))) {
+        transaction.objectStore(PORTFOLIOS_STORE).delete(portfolioId);
+        for (const storeName of [COINS_STORE, TRANSACTIONS_STORE]) {
+          const store = transaction.objectStore(storeName);
+          const keys = await requestToPromise(
+            store.index("portfolioId").getAllKeys(portfolioId)
+          );
+          keys.forEach((key) => store.delete(key));
+        }
+      }
+
+      for (const { id, name, createdAt, data } of entries) {
+        transaction.objectStore(PORTFOLIOS_STORE).put({
+          id,
+          name: name || DEFAULT_PORTFOLIO_NAME,
+          createdAt: createdAt || new Date().toISOString(),
+        });
+        await writePortfolio(transaction, id, data, null);
+      }
+
+      const active = await requestToPromise(
+        transaction.objectStore(META_STORE).get(ACTIVE_ID_KEY)
+      );
+      if (active?.value !== ALL_PORTFOLIOS_ID && !ids.has(active?.value)) {
+        transaction
+          .objectStore(META_STORE)
+          .put({ key: ACTIVE_ID_KEY, value: entries[0].id });
+      }
+    }
+  );
+  // 不指定投资组合表示全部投资组合的数据都可能变化
+  broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.INDEX });
+  broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.DATA });
+};
+
+/**
+ * 新建投资组合
+ * @param {string} name - 投资组合名称
+ * @param {Object} [portfolio] - 初始数据，缺省时为空投资组合
+ * @returns {Promise<string>} 新投资组合的ID
+ */
+export const createPortfolioInStorage = async (
+  name,
+  portfolio = { coins: [] }
+) => {
+  const id = uuidv4();
+
+  if (await isUsingLocalStorage()) {
+    const index = getLocalPortfolioIndex();
+    saveLocalPortfolio(id, portfolio);
+    writeLocalPortfolioIndex({
+      ...index,
+      portfolios: [
+        ...index.portfolios,
+        { id, name, createdAt: new Date().toISOString() },
+      ],
+    });
+  } else {
+    await runTransaction(
+      getDatabase(),
+      DATA_STORES,
+      "readwrite",
+      async (transaction) => {
+        transaction
+          .objectStore(PORTFOLIOS_STORE)
+          .put({ id, name, createdAt: new Date().toISOString() });
+        await writePortfolio(transaction, id, portfolio, null);
+      }
+    );
+  }
+  broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.INDEX });
+
+  return id;
+};
+
+/**
+ * 重命名投资组合
+ * @param {string} portfolioId - 投资组合ID
+ * @param {string} name - 新名称
+ * @returns {Promise<void>}
+ */
+export const renamePortfolioInStorage = async (portfolioId, name) => {
+  if (await isUsingLocalStorage()) {
+    const index = getLocalPortfolioIndex();
+    writeLocalPortfolioIndex({
+      ...index,
+      portfolios: index.portfolios.map((p) =>
+        p.id === portfolioId ? { ...p, name } : p
+      ),
+    });
+  } else {
+    await runTransaction(
+      getDatabase(),
+      PORTFOLIOS_STORE,
+      "readwrite",
+      async (transaction) => {
+        const store = transaction.objectStore(PORTFOLIOS_STORE);
+        const record = await requestToPromise(store.get(portfolioId));
+        if (record) store.put({ ...record, name });
+      }
+    );
+  }
+  broadcastPortfolioChange({ type: PORTFOLIO_CHANGE_TYPES.INDEX });
+};
+
+/**
+ * 删除投资组合及其全部交易记录，至少保留一个投资组合
+ * @param {string} portfolioId - 投资组合ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export const deletePortfolioFromStorage = async (portfolioId) => {
+  const index = await getPortfolioIndex();
+  const remaining = index.portfolios.filter((p) => p.id !== portfolioId);
+  if (remaining.length === 0 || remaining.length === index.portfolios.length) {
+    return false;
+  }
+
+  if (await isUsingLocalStorage()) {
+    removeLocalPortfolio(portfolioId);
+    writeLocalPortfolioIndex({
+      activeId:
+        index.activeId === portfolioId ? remaining[0].id : index.activeId,
+      portfolios: remaining,
+    });
+    broadcastPortfolioChange({
+      type: PORTFOLIO_CHANGE_TYPES.INDEX,
+      portfolioId,
+    });
+    return true;
+  }
+
+  await runTransaction(
+    getDatabase(),
+    [...DATA_STORES, META_STORE],
+    "readwrite",
+    async (transaction) => {
+      transaction.objectStore(PORTFOLIOS_STORE).delete(portfolioId);
+      for (const storeName of [COINS_STORE, TRANSACTIONS_STORE]) {
+        const store = transaction.objectStore(storeName);
+        const keys = await requestToPromise(
+          store.index("portfolioId").getAllKeys(portfolioId)
+        );
+        keys.forEach((key) => store.delete(key));
+      }
+
+      // 删除的是当前投资组合时，切换到剩余的第一个
+      if (index.activeId === portfolioId) {
+        transaction
+          .objectStore(META_STORE)
+          .put({ key: ACTIVE_ID_KEY, value: remaining[0].id });
+      }
+    }
+  );
+  broadcastPortfolioChange({
+    type: PORTFOLIO_CHANGE_TYPES.INDEX,
+    portfolioId,
+  });
+
+  return true;
+};
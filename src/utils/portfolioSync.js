@@ -0,0 +1,93 @@
+import { v4 as uuidv4 } from "uuid";
+
+const CHANNEL_NAME = "crypto-portfolio-sync";
+
+// 不支持 BroadcastChannel 时借助 localStorage 的 storage 事件通知其他标签页
+const FALLBACK_STORAGE_KEY = "crypto-portfolio-sync";
+
+/**
+ * 变更类型
+ * data 为某个投资组合的交易记录或设置发生变化，index 为投资组合列表发生变化
+ */
+export const PORTFOLIO_CHANGE_TYPES = {
+  DATA: "data",
+  INDEX: "index",
+};
+
+// 当前标签页的ID，用于忽略自己发出的消息
+const TAB_ID = uuidv4();
+
+const listeners = new Set();
+let channel = null;
+
+/**
+ * 分发来自其他标签页的变更
+ * @param {Object} message - 变更消息
+ */
+const dispatch = (message) => {
+  if (!message || message.tabId === TAB_ID) return;
+  listeners.forEach((listener) => listener(message));
+};
+
+/**
+ * 处理 localStorage 的 storage 事件
+ * @param {StorageEvent} event - storage 事件
+ */
+const handleStorageEvent = (event) => {
+  if (event.key !== FALLBACK_STORAGE_KEY || !event.newValue) return;
+
+  try {
+    dispatch(JSON.parse(event.newValue));
+  } catch (error) {
+    console.error("Failed to parse portfolio sync message:", error);
+  }
+};
+
+/**
+ * 开始监听其他标签页的消息，同一页面只创建一个频道
+ */
+const connect = () => {
+  if (typeof window === "undefined" || channel) return;
+
+  if (typeof window.BroadcastChannel !== "undefined") {
+    channel = new window.BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => dispatch(event.data);
+  } else {
+    channel = { postMessage: null };
+    window.addEventListener("storage", handleStorageEvent);
+  }
+};
+
+/**
+ * 通知其他标签页数据已变化
+ * @param {Object} change - 变更内容
+ * @param {string} change.type - 变更类型 (data | index)
+ * @param {string} [change.portfolioId] - 发生变化的投资组合ID，数据变更未指定时表示全部投资组合
+ * @param {Array<string>} [change.coinIds] - 交易记录发生变化的币种ID
+ */
+export const broadcastPortfolioChange = (change) => {
+  connect();
+  if (!channel) return;
+
+  const message = { ...change, tabId: TAB_ID, timestamp: Date.now() };
+  try {
+    if (channel.postMessage) {
+      channel.postMessage(message);
+    } else {
+      localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(message));
+    }
+  } catch (error) {
+    console.error("Failed to broadcast portfolio change:", error);
+  }
+};
+
+/**
+ * 订阅其他标签页的数据变化
+ * @param {(change: Object) => void} listener - 收到变更时的回调函数
+ * @returns {() => void} 取消订阅的函数
+ */
+export const subscribePortfolioChanges = (listener) => {
+  connect();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,363 @@
+import {
+  isIndexedDBAvailable,
+  openDatabase,
+  requestToPromise,
+  runTransaction,
+} from "./indexedDB";
+
+const DB_NAME = "crypto-price-history";
+const DB_VERSION = 1;
+
+// 对象仓库：价格数据点，以及每个价格序列已经获取过的时间段
+const POINTS_STORE = "points";
+const COVERAGE_STORE = "coverage";
+
+/**
+ * 本地价格缓存支持的粒度（毫秒），同一粒度下每个时间段只保存一个价格
+ */
+export const PRICE_RESOLUTIONS = {
+  MINUTE: 60 * 1000,
+  FIVE_MINUTES: 5 * 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * 创建对象仓库
+ * 价格数据点以 [coinId, vsCurrency, resolution, bucket] 为主键，bucket 为数据点所在时间段的开始时间；
+ * 已获取的时间段以 [coinId, vsCurrency, resolution] 为主键，用于区分“没有数据”和“还没有获取”
+ * @param {IDBDatabase} db - 数据库连接
+ */
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(POINTS_STORE)) {
+    db.createObjectStore(POINTS_STORE, {
+      keyPath: ["coinId", "vsCurrency", "resolution", "bucket"],
+    });
+  }
+  if (!db.objectStoreNames.contains(COVERAGE_STORE)) {
+    db.createObjectStore(COVERAGE_STORE, {
+      keyPath: ["coinId", "vsCurrency", "resolution"],
+    });
+  }
+};
+
+const getDatabase = () => openDatabase(DB_NAME, DB_VERSION, upgradeDatabase);
+
+const toBucket = (time, resolution) =>
+  Math.floor(time / resolution) * resolution;
+
+/**
+ * 数据粒度对应的缓存粒度，取最接近的一个
+ * @param {number} granularity - 数据粒度（毫秒）
+ * @returns {number} 缓存粒度
+ */
+export const toPriceResolution = (granularity) =>
+  Object.values(PRICE_RESOLUTIONS).reduce((closest, resolution) =>
+    Math.abs(Math.log(resolution / granularity)) <
+    Math.abs(Math.log(closest / granularity))
+      ? resolution
+      : closest
+  );
+
+/**
+ * 按粒度合并价格数据点，同一时间段内保留时间最晚的价格
+ * @param {Array<[number, number]>} prices - 价格数组，格式 [[timestamp, price], ...]
+ * @param {number} resolution - 缓存粒度
+ * @returns {Array<[number, number]>} 按时间排序的价格数组
+ */
+export const mergePricePoints = (prices, resolution) => {
+  const byBucket = new Map();
+  prices.forEach(([time, price]) => {
+    const bucket = toBucket(time, resolution);
+    const existing = byBucket.get(bucket);
+    if (!existing || existing[0] <= time) byBucket.set(bucket, [time, price]);
+  });
+  return [...byBucket.values()].sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * 合并重叠或相邻的时间段
+ * @param {Array<[number, number]>} ranges - 时间段列表
+ * @returns {Array<[number, number]>} 按开始时间排序的时间段列表
+ */
+const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+
+/**
+ * 找出 [from, to] 中没有被已获取时间段覆盖的部分
+ * @param {Array<[number, number]>} ranges - 已获取的时间段，按开始时间排序且互不重叠
+ * @param {number} from - 开始时间戳
+ * @param {number} to - 结束时间戳
+ * @returns {Array<[number, number]>} 缺少的时间段
+ */
+const getMissingRanges = (ranges, from, to) => {
+  const missing = [];
+  let cursor = from;
+  for (const [start, end] of ranges) {
+    if (end < cursor) continue;
+    if (start > to) break;
+    if (start > cursor) missing.push([cursor, start]);
+    cursor = Math.max(cursor, end);
+  }
+  if (cursor < to) missing.push([cursor, to]);
+  return missing;
+};
+
+/**
+ * 读取一段时间内缓存的价格走势
+ * @param {string} coinId - 币种ID
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {number} resolution - 缓存粒度
+ * @param {number} from - 开始时间戳
+ * @param {number} to - 结束时间戳
+ * @returns {Promise<{prices: Array<[number, number]>, missing: Array<[number, number]>}>}
+ * 缓存的价格和还没有获取过的时间段，无法使用 IndexedDB 时整个时间段都视为缺少
+ */
+export const readPriceHistory = async (
+  coinId,
+  vsCurrency,
+  resolution,
+  from,
+  to
+) => {
+  const empty = { prices: [], missing: [[from, to]] };
+  if (!isIndexedDBAvailable()) return empty;
+
+  try {
+    return await runTransaction(
+      getDatabase(),
+      [POINTS_STORE, COVERAGE_STORE],
+      "readonly",
+      async (transaction) => {
+        const series = [coinId, vsCurrency, resolution];
+        const [coverage, points] = await Promise.all([
+          requestToPromise(transaction.objectStore(COVERAGE_STORE).get(series)),
+          requestToPromise(
+            transaction
+              .objectStore(POINTS_STORE)
+              .getAll(
+                window.IDBKeyRange.bound(
+                  [...series, toBucket(from, resolution)],
+                  [...series, to]
+                )
+              )
+          ),
+        ]);
+
+        return {
+          prices: points
+            .filter((point) => point.time >= from && point.time <= to)
+            .map((point) => [point.time, point.price]),
+          missing: getMissingRanges(coverage?.ranges || [], from, to),
+        };
+      }
+    );
+  } catch (error) {
+    console.error("读取价格缓存失败:", error);
+    return empty;
+  }
+};
+
+/**
+ * 保存一段时间内获取到的价格走势，并记录该时间段已经获取过
+ * 只记录到最后一个返回的数据点，当前还没有结束的时间段（如按天保存时的今天）价格还会变化，不记为已获取
+ * @param {string} coinId - 币种ID
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {number} resolution - 缓存粒度
+ * @param {number} from - 开始时间戳
+ * @param {number} to - 结束时间戳
+ * @param {Array<[number, number]>} prices - 获取到的价格，可以比缓存粒度更细
+ * @param {string} source - 数据源ID
+ * @returns {Promise<void>}
+ */
+export const savePriceHistory = async (
+  coinId,
+  vsCurrency,
+  resolution,
+  from,
+  to,
+  prices,
+  source
+) => {
+  if (!isIndexedDBAvailable()) return;
+
+  try {
+    await runTransaction(
+      getDatabase(),
+      [POINTS_STORE, COVERAGE_STORE],
+      "readwrite",
+      async (transaction) => {
+        const pointsStore = transaction.objectStore(POINTS_STORE);
+        const points = mergePricePoints(
+          prices.filter(([time]) => time >= from && time <= to),
+          resolution
+        );
+        points.forEach(([time, price]) => {
+          pointsStore.put({
+            coinId,
+            vsCurrency,
+            resolution,
+            bucket: toBucket(time, resolution),
+            time,
+            price,
+            source,
+          });
+        });
+
+        if (points.length === 0) return;
+        const coveredTo = Math.min(
+          points[points.length - 1][0],
+          toBucket(Date.now(), resolution)
+        );
+        if (coveredTo <= from) return;
+
+        const coverageStore = transaction.objectStore(COVERAGE_STORE);
+        const coverage = await requestToPromise(
+          coverageStore.get([coinId, vsCurrency, resolution])
+        );
+        coverageStore.put({
+          coinId,
+          vsCurrency,
+          resolution,
+          ranges: mergeRanges([...(coverage?.ranges || []), [from, coveredTo]]),
+        });
+      }
+    );
+  } catch (error) {
+    console.error("保存价格缓存失败:", error);
+  }
+};
+
+/**
+ * 保存单个时间点的价格，按数据粒度对应的缓存粒度保存
+ * @param {string} coinId - 币种ID
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {{price: number, time: number, granularity: number}} point - 价格数据点
+ * @param {string} source - 数据源ID
+ * @returns {Promise<void>}
+ */
+export const savePricePoint = async (coinId, vsCurrency, point, source) => {
+  if (!isIndexedDBAvailable()) return;
+
+  const resolution = toPriceResolution(point.granularity);
+  try {
+    await runTransaction(
+      getDatabase(),
+      POINTS_STORE,
+      "readwrite",
+      (transaction) =>
+        requestToPromise(
+          transaction.objectStore(POINTS_STORE).put({
+            coinId,
+            vsCurrency,
+            resolution,
+            bucket: toBucket(point.time, resolution),
+            time: point.time,
+            price: point.price,
+            source,
+          })
+        )
+    );
+  } catch (error) {
+    console.error("保存价格缓存失败:", error);
+  }
+};
+
+/**
+ * 读取某一时间的缓存价格，按给定的粒度顺序查找目标时间所在时间段的价格
+ * @param {string} coinId - 币种ID
+ * @param {string} vsCurrency - 计价货币代码
+ * @param {number} timestamp - 时间戳
+ * @param {Array<number>} resolutions - 按优先级排列的缓存粒度
+ * @returns {Promise<{price: number, time: number, granularity: number, source: string}|null>}
+ * 价格数据点，没有缓存时返回null
+ */
+export const readPricePoint = async (
+  coinId,
+  vsCurrency,
+  timestamp,
+  resolutions
+) => {
+  if (!isIndexedDBAvailable()) return null;
+
+  try {
+    const points = await runTransaction(
+      getDatabase(),
+      POINTS_STORE,
+      "readonly",
+      (transaction) =>
+        Promise.all(
+          resolutions.map((resolution) =>
+            requestToPromise(
+              transaction
+                .objectStore(POINTS_STORE)
+                .get([
+                  coinId,
+                  vsCurrency,
+                  resolution,
+                  toBucket(timestamp, resolution),
+                ])
+            )
+          )
+        )
+    );
+
+    const point = points.find(Boolean);
+    return point
+      ? {
+          price: point.price,
+          time: point.time,
+          granularity: point.resolution,
+          source: point.source,
+        }
+      : null;
+  } catch (error) {
+    console.error("读取价格缓存失败:", error);
+    return null;
+  }
+};
+
+/**
+ * 统计缓存的价格数据点数量
+ * @returns {Promise<number>} 数据点数量
+ */
+export const countPriceHistory = async () => {
+  if (!isIndexedDBAvailable()) return 0;
+
+  return await runTransaction(
+    getDatabase(),
+    POINTS_STORE,
+    "readonly",
+    (transaction) =>
+      requestToPromise(transaction.objectStore(POINTS_STORE).count())
+  );
+};
+
+/**
+ * 清除所有缓存的价格
+ * @returns {Promise<void>}
+ */
+export const clearPriceHistory = async () => {
+  if (!isIndexedDBAvailable()) return;
+
+  await runTransaction(
+    getDatabase(),
+    [POINTS_STORE, COVERAGE_STORE],
+    "readwrite",
+    (transaction) =>
+      Promise.all([
+        requestToPromise(transaction.objectStore(POINTS_STORE).clear()),
+        requestToPromise(transaction.objectStore(COVERAGE_STORE).clear()),
+      ])
+  );
+};
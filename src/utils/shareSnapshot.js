@@ -0,0 +1,126 @@
+import { startOfDay, subDays } from "date-fns";
+import { calculatePortfolioTotals } from "./cryptoUtils";
+import { TRANSACTION_TYPES, getHoldingsDelta } from "./transactionUtils";
+import { DEFAULT_BASE_CURRENCY, normalizeBaseCurrency } from "./currency";
+
+// 快照中保留多少天的持仓变化，与资产走势图显示的天数一致
+const SNAPSHOT_HISTORY_DAYS = 7;
+
+// 与持仓规模成正比的金额字段，隐藏金额时按比例缩放
+const AMOUNT_FIELDS = [
+  "holdings",
+  "totalInvestment",
+  "currentValue",
+  "profitLoss",
+  "unrealizedProfitLoss",
+  "realizedProfitLoss",
+  "totalIncome",
+  "totalBuyCost",
+  "totalFees",
+  "networkFeeCost",
+  "totalReturn",
+];
+
+// 与持仓规模无关的字段，直接保留
+const RATIO_FIELDS = [
+  "currentPrice",
+  "averageBuyPrice",
+  "profitLossPercentage",
+  "totalReturnPercentage",
+];
+
+/**
+ * 把交易记录汇总为最近几天的持仓变化，只用于绘制资产走势图
+ * 更早的交易合并为一条期初持仓，快照中不包含交易价格、手续费和备注
+ * @param {Array} transactions - 交易记录
+ * @param {number} scale - 数量的缩放比例
+ * @returns {Array} 汇总后的持仓变化
+ */
+const summarizeHoldingsHistory = (transactions = [], scale) => {
+  const cutoff = startOfDay(subDays(new Date(), SNAPSHOT_HISTORY_DAYS));
+  let openingHoldings = 0;
+  let hasOpening = false;
+  const recent = [];
+
+  transactions.forEach((transaction) => {
+    const delta = getHoldingsDelta(transaction) * scale;
+    if (new Date(transaction.date) < cutoff) {
+      openingHoldings += delta;
+      hasOpening = true;
+    } else if (delta !== 0) {
+      recent.push({ date: transaction.date, delta });
+    }
+  });
+
+  const toTransaction = (date, delta, index) => ({
+    id: `snapshot-${index}`,
+    type:
+      delta < 0
+        ? TRANSACTION_TYPES.TRANSFER_OUT
+        : TRANSACTION_TYPES.TRANSFER_IN,
+    amount: Math.abs(delta),
+    price: 0,
+    date,
+  });
+
+  const history = recent
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(({ date, delta }, index) => toTransaction(date, delta, index + 1));
+
+  return hasOpening
+    ? [toTransaction(cutoff.toISOString(), openingHoldings, 0), ...history]
+    : history;
+};
+
+/**
+ * 生成投资组合的分享快照
+ * 隐藏金额时所有金额按同一比例缩放为以当前总价值 100 为基准的相对值，
+ * 快照中不再包含真实金额，百分比和各币种占比保持不变；
+ * 总价值和买入成本都为 0 时没有缩放基准，金额和持仓变化都不输出
+ * @param {Object} portfolio - 已计算指标的投资组合数据
+ * @param {Object} [options]
+ * @param {string} [options.name] - 投资组合名称
+ * @param {boolean} [options.hideAmounts=false] - 是否隐藏金额
+ * @param {string} [options.currency] - 金额的计价货币
+ * @returns {{name: string, hideAmounts: boolean, currency: string, createdAt: string, portfolio: Object}} 分享快照
+ */
+export const createShareSnapshot = (
+  portfolio,
+  { name = "", hideAmounts = false, currency = DEFAULT_BASE_CURRENCY } = {}
+) => {
+  const baseValue = portfolio.totalValue || portfolio.totalBuyCost || 0;
+  // 隐藏金额时不能退回真实数值，没有基准时 scale 为 null
+  const scale = !hideAmounts ? 1 : baseValue > 0 ? 100 / baseValue : null;
+
+  const coins = portfolio.coins.map((coin) => {
+    const shared = {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      image: coin.image,
+      transactions:
+        scale === null
+          ? []
+          : summarizeHoldingsHistory(coin.transactions, scale),
+    };
+    // 无法计算的指标（null）保持为 null，分享页面同样显示为不可用
+    RATIO_FIELDS.forEach((field) => {
+      shared[field] = coin[field] === null ? null : coin[field] || 0;
+    });
+    AMOUNT_FIELDS.forEach((field) => {
+      shared[field] =
+        coin[field] === null || scale === null
+          ? null
+          : (coin[field] || 0) * scale;
+    });
+    return shared;
+  });
+
+  return {
+    name,
+    hideAmounts,
+    currency: normalizeBaseCurrency(currency),
+    createdAt: new Date().toISOString(),
+    portfolio: { coins, ...calculatePortfolioTotals(coins) },
+  };
+};
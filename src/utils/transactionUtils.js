@@ -0,0 +1,247 @@
+/**
+ * 交易类型
+ * transfer_in / transfer_out 为钱包或交易所之间的转入、转出，transfer 为自有账户间的内部转账，
+ * 三者都只改变持仓，不产生应税处置，也不产生新的成本；
+ * income 为质押、空投等收入，按到账时的市场价格计为收入，并作为该批次的成本
+ */
+export const TRANSACTION_TYPES = {
+  BUY: "buy",
+  SELL: "sell",
+  TRANSFER_IN: "transfer_in",
+  TRANSFER_OUT: "transfer_out",
+  TRANSFER: "transfer",
+  INCOME: "income",
+};
+
+/**
+ * 交易类型的显示名称
+ */
+export const TRANSACTION_TYPE_LABELS = {
+  [TRANSACTION_TYPES.BUY]: "买入",
+  [TRANSACTION_TYPES.SELL]: "卖出",
+  [TRANSACTION_TYPES.TRANSFER_IN]: "转入",
+  [TRANSACTION_TYPES.TRANSFER_OUT]: "转出",
+  [TRANSACTION_TYPES.TRANSFER]: "内部转账",
+  [TRANSACTION_TYPES.INCOME]: "收入",
+};
+
+/**
+ * 转账类交易类型
+ */
+export const TRANSFER_TYPES = [
+  TRANSACTION_TYPES.TRANSFER_IN,
+  TRANSACTION_TYPES.TRANSFER_OUT,
+  TRANSACTION_TYPES.TRANSFER,
+];
+
+/**
+ * 判断是否为转账类交易
+ * @param {string} type - 交易类型
+ * @returns {boolean} 是否为转账类交易
+ */
+export const isTransferType = (type) => TRANSFER_TYPES.includes(type);
+
+/**
+ * 获取交易类型的显示名称
+ * @param {string} type - 交易类型
+ * @returns {string} 显示名称
+ */
+export const getTransactionTypeLabel = (type) => {
+  return TRANSACTION_TYPE_LABELS[type] || type || "";
+};
+
+/**
+ * 根据显示名称或类型值解析交易类型，用于导入
+ * @param {string} value - 显示名称（如 "买入"）或类型值（如 "buy"）
+ * @returns {string|null} 交易类型，无法识别时返回 null
+ */
+export const parseTransactionType = (value) => {
+  if (!value) return null;
+
+  const normalized = String(value).trim().toLowerCase();
+  if (Object.values(TRANSACTION_TYPES).includes(normalized)) {
+    return normalized;
+  }
+
+  const matched = Object.entries(TRANSACTION_TYPE_LABELS).find(
+    ([, label]) => label === String(value).trim()
+  );
+  return matched ? matched[0] : null;
+};
+
+/**
+ * 币币兑换的显示类型
+ * 兑换不是独立的交易类型，而是由共享 swapId 的卖出和买入两条记录组成，
+ * 两条记录分别计入各自币种的成本和盈亏
+ */
+export const SWAP_TYPE = "swap";
+
+export const SWAP_LABEL = "兑换";
+
+/**
+ * 判断交易记录是否为兑换的一部分
+ * @param {Object} transaction - 交易记录
+ * @returns {boolean} 是否为兑换记录
+ */
+export const isSwapLeg = (transaction) => !!transaction?.swapId;
+
+/**
+ * 收入类型，记录在收入交易的 incomeType 字段
+ */
+export const INCOME_TYPES = {
+  STAKING: "staking",
+  AIRDROP: "airdrop",
+  INTEREST: "interest",
+  MINING: "mining",
+};
+
+/**
+ * 收入类型的显示名称
+ */
+export const INCOME_TYPE_LABELS = {
+  [INCOME_TYPES.STAKING]: "质押奖励",
+  [INCOME_TYPES.AIRDROP]: "空投",
+  [INCOME_TYPES.INTEREST]: "利息",
+  [INCOME_TYPES.MINING]: "挖矿奖励",
+};
+
+export const DEFAULT_INCOME_TYPE = INCOME_TYPES.STAKING;
+
+/**
+ * 获取收入类型的显示名称
+ * @param {string} incomeType - 收入类型
+ * @returns {string} 显示名称
+ */
+export const getIncomeTypeLabel = (incomeType) => {
+  return (
+    INCOME_TYPE_LABELS[incomeType] || INCOME_TYPE_LABELS[DEFAULT_INCOME_TYPE]
+  );
+};
+
+/**
+ * 根据显示名称或类型值解析收入类型，用于导入
+ * @param {string} value - 显示名称（如 "空投"）或类型值（如 "airdrop"）
+ * @returns {string|null} 收入类型，无法识别时返回 null
+ */
+export const parseIncomeType = (value) => {
+  if (!value) return null;
+
+  const normalized = String(value).trim().toLowerCase();
+  if (Object.values(INCOME_TYPES).includes(normalized)) {
+    return normalized;
+  }
+
+  const matched = Object.entries(INCOME_TYPE_LABELS).find(
+    ([, label]) => label === String(value).trim()
+  );
+  return matched ? matched[0] : null;
+};
+
+/**
+ * 获取交易记录的显示名称，收入交易显示具体的收入类型
+ * @param {Object} transaction - 交易记录
+ * @returns {string} 显示名称
+ */
+export const getTransactionLabel = (transaction) => {
+  if (transaction?.type === TRANSACTION_TYPES.INCOME) {
+    return getIncomeTypeLabel(transaction.incomeType);
+  }
+  return getTransactionTypeLabel(transaction?.type);
+};
+
+/**
+ * 手续费计价方式
+ * usd: 以美元支付；coin: 以交易的币种支付；other: 以第三方资产（如 BNB）支付
+ */
+export const FEE_CURRENCIES = {
+  USD: "usd",
+  COIN: "coin",
+  OTHER: "other",
+};
+
+/**
+ * 获取交易的手续费数量
+ * @param {Object} transaction - 交易记录
+ * @returns {number} 手续费数量（按手续费计价资产计）
+ */
+export const getTransactionFee = (transaction) => {
+  const fee = Number(transaction?.fee) || 0;
+  return fee > 0 ? fee : 0;
+};
+
+/**
+ * 计算交易手续费的美元价值
+ * @param {Object} transaction - 交易记录
+ * @returns {number} 手续费美元价值
+ */
+export const getTransactionFeeValue = (transaction) => {
+  const fee = getTransactionFee(transaction);
+  if (fee === 0) return 0;
+
+  switch (transaction.feeCurrency) {
+    case FEE_CURRENCIES.COIN:
+      return fee * (Number(transaction.price) || 0);
+    case FEE_CURRENCIES.OTHER:
+      return fee * (Number(transaction.feePrice) || 0);
+    default:
+      return fee;
+  }
+};
+
+/**
+ * 获取以交易币种支付的手续费数量
+ * @param {Object} transaction - 交易记录
+ * @returns {number} 以交易币种计的手续费数量
+ */
+export const getTransactionCoinFee = (transaction) => {
+  return transaction?.feeCurrency === FEE_CURRENCIES.COIN
+    ? getTransactionFee(transaction)
+    : 0;
+};
+
+/**
+ * 格式化手续费显示文本
+ * @param {Object} transaction - 交易记录
+ * @param {string} [coinSymbol] - 交易币种符号
+ * @returns {string} 手续费文本，没有手续费时返回 "-"
+ */
+export const formatTransactionFee = (transaction, coinSymbol = "") => {
+  const fee = getTransactionFee(transaction);
+  if (fee === 0) return "-";
+
+  switch (transaction.feeCurrency) {
+    case FEE_CURRENCIES.COIN:
+      return `${fee.toLocaleString()} ${coinSymbol.toUpperCase()}`;
+    case FEE_CURRENCIES.OTHER:
+      return `${fee.toLocaleString()} ${(
+        transaction.feeAsset || ""
+      ).toUpperCase()}`;
+    default:
+      return `$${fee.toLocaleString()}`;
+  }
+};
+
+/**
+ * 计算单笔交易对持仓数量的影响
+ * @param {Object} transaction - 交易记录
+ * @returns {number} 持仓变化量，增加为正，减少为负
+ */
+export const getHoldingsDelta = (transaction) => {
+  const amount = Number(transaction?.amount) || 0;
+  const coinFee = getTransactionCoinFee(transaction);
+
+  switch (transaction?.type) {
+    case TRANSACTION_TYPES.BUY:
+    case TRANSACTION_TYPES.TRANSFER_IN:
+    case TRANSACTION_TYPES.INCOME:
+      return amount - coinFee;
+    case TRANSACTION_TYPES.SELL:
+    case TRANSACTION_TYPES.TRANSFER_OUT:
+      return -(amount + coinFee);
+    case TRANSACTION_TYPES.TRANSFER:
+      // 内部转账只有网络手续费会减少持仓
+      return -coinFee;
+    default:
+      return 0;
+  }
+};